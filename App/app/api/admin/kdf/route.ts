@@ -0,0 +1,64 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { PRIVATE_KEY_KDF } from '@/lib/crypto';
+import { metadataNeedsKdfUpgrade } from '@/lib/rewrap-keys';
+
+const USERS_PER_PAGE = 1000;
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+/**
+ * How many accounts still have private keys encrypted with older KDF
+ * parameters. They are upgraded when their owner next logs in; until then
+ * they are as strong as the parameters they were stored with.
+ * Admins only (SEAL_ADMIN_EMAILS).
+ */
+export async function GET(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+    if (!isAdmin(auth.email)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403, headers });
+    }
+
+    const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+
+    if (!serviceRole || !supabaseUrl) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    const adminClient = createClient(supabaseUrl, serviceRole);
+    let accounts = 0;
+    let legacy = 0;
+    for (let page = 1; ; page++) {
+      const { data, error } = await adminClient.auth.admin.listUsers({ page, perPage: USERS_PER_PAGE });
+      if (error) {
+        console.error('[Seal] KDF status list error:', error);
+        return NextResponse.json({ error: 'Could not list users' }, { status: 500, headers });
+      }
+
+      for (const user of data.users) {
+        const meta = user.user_metadata ?? {};
+        if (!meta.encrypted_private_key) continue;
+        accounts++;
+        if (metadataNeedsKdfUpgrade(meta)) legacy++;
+      }
+      if (data.users.length < USERS_PER_PAGE) break;
+    }
+
+    return NextResponse.json({ accounts, legacy, current: PRIVATE_KEY_KDF }, { headers });
+  } catch (err) {
+    console.error('[Seal] KDF status API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
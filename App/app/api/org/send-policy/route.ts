@@ -0,0 +1,111 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { domainOf, parseSendPolicy } from '@/lib/send-policy';
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+function adminClientOrNull() {
+  const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  return serviceRole && supabaseUrl ? createClient(supabaseUrl, serviceRole) : null;
+}
+
+/**
+ * The send guard policy of the user's organization (their email domain), or
+ * null if it has none. canEdit tells Settings whether to offer editing it.
+ */
+export async function GET(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.email) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+
+    const adminClient = adminClientOrNull();
+    if (!adminClient) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    const domain = domainOf(auth.email);
+    const { data, error } = await adminClient
+      .from('org_send_policies')
+      .select('policy, updated_at')
+      .eq('domain', domain)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[Seal] Send policy fetch error:', error);
+      return NextResponse.json({ error: 'Could not load the send policy' }, { status: 500, headers });
+    }
+
+    return NextResponse.json(
+      {
+        domain,
+        policy: data ? parseSendPolicy(data.policy) : null,
+        updatedAt: data?.updated_at ?? null,
+        canEdit: isAdmin(auth.email),
+      },
+      { headers }
+    );
+  } catch (err) {
+    console.error('[Seal] Send policy API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Set the send guard policy of the admin's own organization, or remove it
+ * with policy: null so members fall back to their own settings.
+ * Admins only (SEAL_ADMIN_EMAILS).
+ */
+export async function POST(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.email) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+    if (!isAdmin(auth.email)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403, headers });
+    }
+
+    const body = await request.json();
+    const policy = body.policy === null ? null : parseSendPolicy(body.policy);
+    if (body.policy !== null && !policy) {
+      return NextResponse.json({ error: 'Invalid send policy' }, { status: 400, headers });
+    }
+
+    const adminClient = adminClientOrNull();
+    if (!adminClient) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    const domain = domainOf(auth.email);
+    const { error } = policy
+      ? await adminClient.from('org_send_policies').upsert({
+          domain,
+          policy,
+          updated_by: auth.email,
+          updated_at: new Date().toISOString(),
+        })
+      : await adminClient.from('org_send_policies').delete().eq('domain', domain);
+
+    if (error) {
+      console.error('[Seal] Send policy update error:', error);
+      return NextResponse.json({ error: 'Could not save the send policy' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ domain, policy }, { headers });
+  } catch (err) {
+    console.error('[Seal] Send policy API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
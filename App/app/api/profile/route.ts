@@ -3,6 +3,8 @@ import { NextResponse } from 'next/server';
 import type { NextRequest } from 'next/server';
 import { authenticateRequest } from '@/lib/auth';
 import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { isKdfParams } from '@/lib/crypto';
+import { isRecoveryRecord, recoveryToMetadata } from '@/lib/recovery';
 
 export async function OPTIONS(request: NextRequest) {
   return handleCorsPreFlight(request);
@@ -12,7 +14,21 @@ export async function POST(request: NextRequest) {
   const headers = corsHeaders(request);
 
   try {
-    const { userId, email, publicKey, encryptedPrivateKey, salt, iv } = await request.json();
+    const {
+      userId,
+      email,
+      publicKey,
+      encryptedPrivateKey,
+      salt,
+      iv,
+      kdf,
+      signingPublicKey,
+      encryptedSigningKey,
+      signingSalt,
+      signingIv,
+      signingKdf,
+      recovery,
+    } = await request.json();
 
     if (!userId || !email || !publicKey) {
       return NextResponse.json({ error: 'Missing required fields' }, { status: 400, headers });
@@ -37,11 +53,48 @@ export async function POST(request: NextRequest) {
 
     const adminClient = createClient(supabaseUrl, serviceRole);
 
+    const { data: existing } = await adminClient
+      .from('profiles')
+      .select('public_key, signing_public_key')
+      .eq('id', userId)
+      .maybeSingle();
+
+    // Replacing the encryption key here would strand every file sealed for
+    // the old one; /api/users/keys/rotate keeps it as a retired key
+    if (existing?.public_key && existing.public_key !== publicKey) {
+      return NextResponse.json(
+        { error: 'Encryption keys can only be replaced by rotating them' },
+        { status: 409, headers }
+      );
+    }
+
+    // A published signing key vouches for every file its owner signs, so
+    // once the profile exists only the signed-in owner may set one; without a
+    // session it can only come with the profile being created at signup
+    if (signingPublicKey && existing && !(auth.authenticated && auth.userId === userId)) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 403, headers });
+    }
+
+    // Recovery data set up at signup. Likewise only the signed-in owner may
+    // replace an existing recovery code (see /api/users/recovery).
+    if (recovery !== undefined) {
+      if (!isRecoveryRecord(recovery)) {
+        return NextResponse.json({ error: 'Invalid recovery data' }, { status: 400, headers });
+      }
+      if (!auth.authenticated) {
+        const { data: userData } = await adminClient.auth.admin.getUserById(userId);
+        if (userData.user?.user_metadata?.recovery) {
+          return NextResponse.json({ error: 'Unauthorized' }, { status: 403, headers });
+        }
+      }
+    }
+
     // Store profile with public key
     const { error: profileError } = await adminClient.from('profiles').upsert({
       id: userId,
       email: email.toLowerCase(),
       public_key: publicKey,
+      ...(signingPublicKey ? { signing_public_key: signingPublicKey } : {}),
     });
 
     if (profileError) {
@@ -49,15 +102,34 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ error: profileError.message }, { status: 500, headers });
     }
 
-    // Store encrypted private key in user metadata (if provided)
+    // Store encrypted private keys in user metadata (if provided).
+    // Supabase merges user_metadata, so the signing key can be added on its own later.
+    const metadata: Record<string, unknown> = {};
     if (encryptedPrivateKey && salt && iv) {
+      Object.assign(metadata, {
+        public_key: publicKey,
+        encrypted_private_key: encryptedPrivateKey,
+        salt: salt,
+        iv: iv,
+        kdf: isKdfParams(kdf) ? kdf : null,
+      });
+    }
+    if (signingPublicKey && encryptedSigningKey && signingSalt && signingIv) {
+      Object.assign(metadata, {
+        signing_public_key: signingPublicKey,
+        encrypted_signing_key: encryptedSigningKey,
+        signing_salt: signingSalt,
+        signing_iv: signingIv,
+        signing_kdf: isKdfParams(signingKdf) ? signingKdf : null,
+      });
+    }
+    if (recovery) {
+      metadata.recovery = recoveryToMetadata(recovery);
+    }
+
+    if (Object.keys(metadata).length > 0) {
       const { error: metaError } = await adminClient.auth.admin.updateUserById(userId, {
-        user_metadata: {
-          public_key: publicKey,
-          encrypted_private_key: encryptedPrivateKey,
-          salt: salt,
-          iv: iv,
-        },
+        user_metadata: metadata,
       });
 
       if (metaError) {
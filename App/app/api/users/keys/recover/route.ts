@@ -0,0 +1,90 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest, recentlyRecovered } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { rewrapMetadata } from '@/lib/rewrap-keys';
+
+// How long a password reset link's session may set a new password
+const RECOVERY_WINDOW_SECONDS = 15 * 60;
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+/**
+ * Set a new password after the recovery code unlocked the private keys, and
+ * store the keys encrypted under it in the same update (see
+ * lib/rewrap-keys.ts). A stolen session must not be enough, so the session
+ * has to come from a password reset link opened in the last few minutes, or
+ * the request has to carry the current password (signed in, but the keys are
+ * still under the password from before a reset).
+ */
+export async function POST(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.userId || !auth.email) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+
+    const { currentPassword, newPassword, ...keys } = await request.json();
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      return NextResponse.json({ error: 'Password must be at least 8 characters' }, { status: 400, headers });
+    }
+
+    const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+    if (!serviceRole || !supabaseUrl || !supabaseAnonKey) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    if (typeof currentPassword === 'string' && currentPassword) {
+      const verifier = createClient(supabaseUrl, supabaseAnonKey, { auth: { persistSession: false } });
+      const { error: signInError } = await verifier.auth.signInWithPassword({
+        email: auth.email,
+        password: currentPassword,
+      });
+      if (signInError) {
+        return NextResponse.json({ error: 'Incorrect password' }, { status: 403, headers });
+      }
+      await verifier.auth.signOut({ scope: 'local' });
+    } else if (!recentlyRecovered(auth, RECOVERY_WINDOW_SECONDS)) {
+      return NextResponse.json(
+        { error: 'Your reset link has expired. Request a new one from the login page.' },
+        { status: 403, headers }
+      );
+    }
+
+    const adminClient = createClient(supabaseUrl, serviceRole);
+    const { data: userData, error: fetchError } = await adminClient.auth.admin.getUserById(auth.userId);
+
+    if (fetchError || !userData.user) {
+      return NextResponse.json({ error: 'Could not fetch user data' }, { status: 500, headers });
+    }
+
+    const result = rewrapMetadata(userData.user.user_metadata ?? {}, keys);
+    if ('error' in result) {
+      return NextResponse.json({ error: result.error }, { status: result.status, headers });
+    }
+
+    // One update, so the password and the keys never get out of step
+    const { error: updateError } = await adminClient.auth.admin.updateUserById(auth.userId, {
+      password: newPassword,
+      user_metadata: result.metadata,
+    });
+
+    if (updateError) {
+      console.error('[Seal] Key recovery update error:', updateError);
+      return NextResponse.json({ error: updateError.message }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (err) {
+    console.error('[Seal] Key recovery API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
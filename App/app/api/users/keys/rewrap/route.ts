@@ -0,0 +1,66 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { rewrapMetadata } from '@/lib/rewrap-keys';
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+/**
+ * Replace the stored copies of the user's private keys after a login,
+ * encrypted under the same password with newer KDF parameters (see
+ * lib/rewrap-keys.ts). Changing the password goes through
+ * /api/users/password or /api/users/keys/recover, which check more than the
+ * session.
+ */
+export async function POST(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+
+    const keys = await request.json();
+    if ('newPassword' in keys) {
+      return NextResponse.json({ error: 'Use /api/users/password to change the password' }, { status: 400, headers });
+    }
+
+    const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+
+    if (!serviceRole || !supabaseUrl) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    const adminClient = createClient(supabaseUrl, serviceRole);
+    const { data: userData, error: fetchError } = await adminClient.auth.admin.getUserById(auth.userId);
+
+    if (fetchError || !userData.user) {
+      return NextResponse.json({ error: 'Could not fetch user data' }, { status: 500, headers });
+    }
+
+    const result = rewrapMetadata(userData.user.user_metadata ?? {}, keys);
+    if ('error' in result) {
+      return NextResponse.json({ error: result.error }, { status: result.status, headers });
+    }
+
+    const { error: updateError } = await adminClient.auth.admin.updateUserById(auth.userId, {
+      user_metadata: result.metadata,
+    });
+
+    if (updateError) {
+      console.error('[Seal] Key rewrap update error:', updateError);
+      return NextResponse.json({ error: updateError.message }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (err) {
+    console.error('[Seal] Key rewrap API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,124 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { isKdfParams, isPasswordEncrypted } from '@/lib/crypto';
+import { withRecoveryKeyring } from '@/lib/recovery';
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+/**
+ * Replace the user's encryption key pair. The current key pair moves to
+ * user_metadata.retired_keys (its private key stays encrypted under the
+ * user's password), so files sealed for it can still be opened. Accounts
+ * with a recovery code send the refreshed recovery keyring along, so the
+ * code still restores every key.
+ */
+export async function POST(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+
+    const {
+      currentPublicKey,
+      publicKey,
+      encryptedPrivateKey,
+      salt,
+      iv,
+      kdf,
+      recoveryCreatedAt,
+      recoveryKeyring,
+    } = await request.json();
+    if (!currentPublicKey || !publicKey || !encryptedPrivateKey || !salt || !iv || !isKdfParams(kdf)) {
+      return NextResponse.json({ error: 'Missing required fields' }, { status: 400, headers });
+    }
+
+    const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+
+    if (!serviceRole || !supabaseUrl) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    const adminClient = createClient(supabaseUrl, serviceRole);
+    const { data: userData, error: fetchError } = await adminClient.auth.admin.getUserById(auth.userId);
+
+    if (fetchError || !userData.user) {
+      return NextResponse.json({ error: 'Could not fetch user data' }, { status: 500, headers });
+    }
+
+    const meta = userData.user.user_metadata;
+    if (!meta?.public_key || !meta?.encrypted_private_key || !meta?.salt || !meta?.iv) {
+      return NextResponse.json({ error: 'Encryption keys not found' }, { status: 404, headers });
+    }
+
+    // A rotation from another tab or device got there first; retiring a key
+    // the client never saw could lose it. Likewise a new recovery code: the
+    // refreshed keyring is encrypted for the old one.
+    if (meta.public_key !== currentPublicKey || (meta.recovery?.created_at ?? null) !== (recoveryCreatedAt ?? null)) {
+      return NextResponse.json(
+        { error: 'Your keys changed since this page loaded. Reload and try again.' },
+        { status: 409, headers }
+      );
+    }
+    if (publicKey === currentPublicKey) {
+      return NextResponse.json({ error: 'The new key must differ from the current one' }, { status: 400, headers });
+    }
+    if (meta.recovery && !isPasswordEncrypted(recoveryKeyring)) {
+      return NextResponse.json({ error: 'Missing required fields' }, { status: 400, headers });
+    }
+
+    const retiredKeys = [
+      ...(meta.retired_keys ?? []),
+      {
+        public_key: meta.public_key,
+        encrypted_private_key: meta.encrypted_private_key,
+        salt: meta.salt,
+        iv: meta.iv,
+        ...(meta.kdf ? { kdf: meta.kdf } : {}),
+        retired_at: new Date().toISOString(),
+      },
+    ];
+
+    // Save the private keys first: if publishing the new public key fails,
+    // senders keep using the old one, which is still in retired_keys
+    const { error: metaError } = await adminClient.auth.admin.updateUserById(auth.userId, {
+      user_metadata: {
+        public_key: publicKey,
+        encrypted_private_key: encryptedPrivateKey,
+        salt,
+        iv,
+        kdf,
+        retired_keys: retiredKeys,
+        ...(meta.recovery ? { recovery: withRecoveryKeyring(meta.recovery, recoveryKeyring) } : {}),
+      },
+    });
+
+    if (metaError) {
+      console.error('[Seal] Key rotation metadata error:', metaError);
+      return NextResponse.json({ error: metaError.message }, { status: 500, headers });
+    }
+
+    const { error: profileError } = await adminClient
+      .from('profiles')
+      .update({ public_key: publicKey })
+      .eq('id', auth.userId);
+
+    if (profileError) {
+      console.error('[Seal] Key rotation profile error:', profileError);
+      return NextResponse.json({ error: profileError.message }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true, retiredCount: retiredKeys.length }, { headers });
+  } catch (err) {
+    console.error('[Seal] Key rotation API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -3,6 +3,18 @@ import { NextResponse } from 'next/server';
 import type { NextRequest } from 'next/server';
 import { authenticateRequest } from '@/lib/auth';
 import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import type { KdfParams } from '@/lib/crypto';
+import { recoveryFromMetadata } from '@/lib/recovery';
+
+/** A retired key pair as kept in user_metadata.retired_keys */
+interface RetiredKeyRecord {
+  public_key: string;
+  encrypted_private_key: string;
+  salt: string;
+  iv: string;
+  kdf?: KdfParams;
+  retired_at: string;
+}
 
 export async function OPTIONS(request: NextRequest) {
   return handleCorsPreFlight(request);
@@ -45,6 +57,25 @@ export async function GET(request: NextRequest) {
         encryptedPrivateKey: meta.encrypted_private_key,
         salt: meta.salt,
         iv: meta.iv,
+        // Keys stored before KDF parameters were recorded used the legacy ones
+        kdf: meta.kdf ?? null,
+        // Accounts created before sender signatures have no signing key yet
+        signingPublicKey: meta.signing_public_key ?? null,
+        encryptedSigningKey: meta.encrypted_signing_key ?? null,
+        signingSalt: meta.signing_salt ?? null,
+        signingIv: meta.signing_iv ?? null,
+        signingKdf: meta.signing_kdf ?? null,
+        // Key pairs replaced by a rotation, oldest first, still needed for files sent earlier
+        retiredKeys: ((meta.retired_keys ?? []) as RetiredKeyRecord[]).map((k) => ({
+          publicKey: k.public_key,
+          encryptedPrivateKey: k.encrypted_private_key,
+          salt: k.salt,
+          iv: k.iv,
+          kdf: k.kdf ?? null,
+          retiredAt: k.retired_at,
+        })),
+        // Accounts created before recovery codes may not have one
+        recovery: meta.recovery ? recoveryFromMetadata(meta.recovery) : null,
       },
     }, { headers });
   } catch (err) {
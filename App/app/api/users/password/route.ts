@@ -0,0 +1,81 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { rewrapMetadata } from '@/lib/rewrap-keys';
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+/**
+ * Change the user's password. The client decrypts the private keys with the
+ * current password and encrypts them under the new one; the new password
+ * and keys are stored in one update (see lib/rewrap-keys.ts), so the login
+ * password always unlocks the stored keys.
+ */
+export async function POST(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.userId || !auth.email) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+
+    const { currentPassword, newPassword, ...keys } = await request.json();
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+      return NextResponse.json({ error: 'Missing required fields' }, { status: 400, headers });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      return NextResponse.json({ error: 'Password must be at least 8 characters' }, { status: 400, headers });
+    }
+
+    const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+    if (!serviceRole || !supabaseUrl || !supabaseAnonKey) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    // A stolen session must not be enough to take over the account
+    const verifier = createClient(supabaseUrl, supabaseAnonKey, { auth: { persistSession: false } });
+    const { error: signInError } = await verifier.auth.signInWithPassword({
+      email: auth.email,
+      password: currentPassword,
+    });
+    if (signInError) {
+      return NextResponse.json({ error: 'Incorrect password' }, { status: 403, headers });
+    }
+    await verifier.auth.signOut({ scope: 'local' });
+
+    const adminClient = createClient(supabaseUrl, serviceRole);
+    const { data: userData, error: fetchError } = await adminClient.auth.admin.getUserById(auth.userId);
+
+    if (fetchError || !userData.user) {
+      return NextResponse.json({ error: 'Could not fetch user data' }, { status: 500, headers });
+    }
+
+    const result = rewrapMetadata(userData.user.user_metadata ?? {}, keys);
+    if ('error' in result) {
+      return NextResponse.json({ error: result.error }, { status: result.status, headers });
+    }
+
+    const { error: updateError } = await adminClient.auth.admin.updateUserById(auth.userId, {
+      password: newPassword,
+      user_metadata: result.metadata,
+    });
+
+    if (updateError) {
+      console.error('[Seal] Password change error:', updateError);
+      return NextResponse.json({ error: updateError.message }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (err) {
+    console.error('[Seal] Password API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
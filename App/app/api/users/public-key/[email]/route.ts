@@ -35,7 +35,7 @@ export async function GET(
   const adminClient = createClient(supabaseUrl, serviceRole);
   const { data, error } = await adminClient
     .from('profiles')
-    .select('public_key')
+    .select('public_key, signing_public_key')
     .eq('email', email)
     .single();
 
@@ -43,5 +43,8 @@ export async function GET(
     return NextResponse.json({ error: 'User not found' }, { status: 404, headers });
   }
 
-  return NextResponse.json({ publicKey: data.public_key }, { headers });
+  return NextResponse.json(
+    { publicKey: data.public_key, signingPublicKey: data.signing_public_key ?? null },
+    { headers }
+  );
 }
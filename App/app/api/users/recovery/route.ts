@@ -0,0 +1,71 @@
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { corsHeaders, handleCorsPreFlight } from '@/lib/cors';
+import { isRecoveryRecord, recoveryToMetadata } from '@/lib/recovery';
+
+export async function OPTIONS(request: NextRequest) {
+  return handleCorsPreFlight(request);
+}
+
+/**
+ * Set up or replace the user's recovery code. The old code stops working.
+ */
+export async function POST(request: NextRequest) {
+  const headers = corsHeaders(request);
+
+  try {
+    const auth = await authenticateRequest(request);
+    if (!auth.authenticated || !auth.userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401, headers });
+    }
+
+    const { currentPublicKey, recovery } = await request.json();
+    if (!currentPublicKey || !isRecoveryRecord(recovery)) {
+      return NextResponse.json({ error: 'Missing required fields' }, { status: 400, headers });
+    }
+
+    const serviceRole = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+
+    if (!serviceRole || !supabaseUrl) {
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500, headers });
+    }
+
+    const adminClient = createClient(supabaseUrl, serviceRole);
+    const { data: userData, error: fetchError } = await adminClient.auth.admin.getUserById(auth.userId);
+
+    if (fetchError || !userData.user) {
+      return NextResponse.json({ error: 'Could not fetch user data' }, { status: 500, headers });
+    }
+
+    const meta = userData.user.user_metadata;
+    if (!meta?.public_key) {
+      return NextResponse.json({ error: 'Encryption keys not found' }, { status: 404, headers });
+    }
+
+    // The keyring in the record was built from the keys this page loaded;
+    // after a rotation elsewhere it would be missing the new key
+    if (meta.public_key !== currentPublicKey) {
+      return NextResponse.json(
+        { error: 'Your keys changed since this page loaded. Reload and try again.' },
+        { status: 409, headers }
+      );
+    }
+
+    const { error: metaError } = await adminClient.auth.admin.updateUserById(auth.userId, {
+      user_metadata: { recovery: recoveryToMetadata(recovery) },
+    });
+
+    if (metaError) {
+      console.error('[Seal] Recovery code update error:', metaError);
+      return NextResponse.json({ error: metaError.message }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (err) {
+    console.error('[Seal] Recovery API error:', err);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
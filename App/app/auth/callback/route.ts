@@ -3,14 +3,30 @@ import { cookies } from 'next/headers';
 import { NextResponse } from 'next/server';
 import type { NextRequest } from 'next/server';
 
+/**
+ * Where to go next, e.g. /recover after a password reset link. Only paths on
+ * this site: browsers read a backslash as a slash, so "/\evil.com" would
+ * leave it.
+ */
+function sameOriginPath(next: string | null, origin: string): string {
+  if (!next || next.includes('\\')) return '/dashboard';
+  try {
+    const url = new URL(next, origin);
+    return url.origin === origin ? url.pathname + url.search + url.hash : '/dashboard';
+  } catch {
+    return '/dashboard';
+  }
+}
+
 export async function GET(request: NextRequest) {
   const requestUrl = new URL(request.url);
   const code = requestUrl.searchParams.get('code');
+  const destination = sameOriginPath(requestUrl.searchParams.get('next'), requestUrl.origin);
 
   if (code) {
     const supabase = createRouteHandlerClient({ cookies });
     await supabase.auth.exchangeCodeForSession(code);
   }
 
-  return NextResponse.redirect(new URL('/dashboard', request.url));
+  return NextResponse.redirect(new URL(destination, request.url));
 }
@@ -8,6 +8,7 @@ import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
 import EncryptPanel from '@/components/dashboard/EncryptPanel';
 import { DEMO_MODE } from '@/lib/supabase/client';
 import { relayLogoutToExtension } from '@/lib/extension-bridge';
+import { clearSessionKeys } from '@/lib/session-keys';
 
 export default function DashboardPage() {
   const router = useRouter();
@@ -23,8 +24,8 @@ export default function DashboardPage() {
       if (user?.email) {
         setUserEmail(user.email);
       } else {
-        // No valid user - session is stale, sign out and redirect
-        supabase.auth.signOut().then(() => {
+        // No valid user - session is stale, sign out, drop the unlocked keys and redirect
+        Promise.all([supabase.auth.signOut(), clearSessionKeys().catch(() => {})]).then(() => {
           router.push('/login');
         });
       }
@@ -35,7 +36,7 @@ export default function DashboardPage() {
     if (DEMO_MODE) return;
     const supabase = createClientComponentClient();
     await supabase.auth.signOut();
-    localStorage.removeItem('seal_private_key');
+    await clearSessionKeys().catch(() => {});
     localStorage.removeItem('seal_user_email');
     // Notify extension to clear cached auth
     relayLogoutToExtension().catch(() => {});
@@ -56,7 +57,7 @@ export default function DashboardPage() {
             <nav className="flex items-center gap-4 text-sm text-slate-600">
               <span className="font-medium text-primary">Encrypt</span>
               <Link href="/viewer" className="hover:text-slate-900 transition-colors">Open .seal</Link>
-              <span className="cursor-not-allowed text-slate-400">Settings</span>
+              <Link href="/settings" className="hover:text-slate-900 transition-colors">Settings</Link>
             </nav>
 
             <div className="flex items-center gap-3">
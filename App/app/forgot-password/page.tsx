@@ -0,0 +1,123 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { Shield, Loader2, Mail } from 'lucide-react';
+import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
+
+export default function ForgotPasswordPage() {
+  const [supabase, setSupabase] = useState<ReturnType<typeof createClientComponentClient> | null>(null);
+  useEffect(() => {
+    if (typeof window !== 'undefined') setSupabase(createClientComponentClient());
+  }, []);
+
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string>();
+
+  async function handleSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    if (!supabase) return;
+    setError(undefined);
+    setLoading(true);
+
+    try {
+      // The link signs them in and opens /recover, where the recovery code
+      // unlocks their keys and they choose the new password
+      const { error: resetError } = await supabase.auth.resetPasswordForEmail(email, {
+        redirectTo: `${window.location.origin}/auth/callback?next=/recover`,
+      });
+      if (resetError) throw resetError;
+      setSent(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-slate-50 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        {/* Logo */}
+        <div className="mb-8 text-center">
+          <div className="inline-flex items-center gap-2">
+            <Shield className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold text-slate-900">Seal</span>
+          </div>
+          <p className="mt-2 text-sm text-slate-500">
+            Reset your password
+          </p>
+        </div>
+
+        <div className="rounded-2xl border border-slate-200 bg-white p-8 shadow-sm">
+          {sent ? (
+            <div className="py-4 text-center">
+              <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-primary-50">
+                <Mail className="h-8 w-8 text-primary" />
+              </div>
+              <h3 className="text-lg font-semibold text-slate-900">Check your email</h3>
+              <p className="mt-2 text-sm text-slate-500">
+                If <span className="font-medium text-slate-700">{email}</span> has a Seal account,
+                we sent it a link to reset the password. Have your recovery code ready.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="rounded-lg border border-error/20 bg-error/5 px-3 py-2 text-sm text-error">
+                  {error}
+                </div>
+              )}
+
+              <p className="text-sm text-slate-500">
+                Your encryption keys are locked with your password. To get them back after a
+                reset you need the recovery code you saved when you signed up.
+              </p>
+
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-slate-700 mb-1">
+                  Email
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                  placeholder="you@company.com"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !supabase}
+                className="w-full rounded-xl bg-primary py-3 text-sm font-semibold text-white shadow-md shadow-primary/20 hover:bg-primary-600 active:bg-primary-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <Loader2 className="mx-auto h-5 w-5 animate-spin" />
+                ) : (
+                  'Send reset link'
+                )}
+              </button>
+
+              <p className="text-center text-sm text-slate-500">
+                Remembered it?{' '}
+                <Link href="/login" className="font-medium text-primary hover:text-primary-dark">
+                  Log in
+                </Link>
+              </p>
+            </form>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
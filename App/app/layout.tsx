@@ -1,6 +1,7 @@
 import type { Metadata } from 'next';
 import { Inter } from 'next/font/google';
 import Script from 'next/script';
+import SessionLock from '@/components/layout/SessionLock';
 import './globals.css';
 
 const inter = Inter({ subsets: ['latin'] });
@@ -32,9 +33,15 @@ export default function RootLayout({
   return (
     <html lang="en" className="scroll-smooth">
       <head>
+        <Script src="/seal-format.js" strategy="beforeInteractive" />
+        <Script src="/seal-stream.js" strategy="beforeInteractive" />
+        <Script src="/seal-keys.js" strategy="beforeInteractive" />
         <Script src="/seal-crypto.js" strategy="beforeInteractive" />
       </head>
-      <body className={inter.className}>{children}</body>
+      <body className={inter.className}>
+        <SessionLock />
+        {children}
+      </body>
     </html>
   );
 }
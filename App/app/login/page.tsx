@@ -6,7 +6,48 @@ import Link from 'next/link';
 import { motion } from 'framer-motion';
 import { Shield, Eye, EyeOff, Loader2 } from 'lucide-react';
 import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
+import type { KdfParams } from '@/lib/crypto';
 import { relayAuthToExtension } from '@/lib/extension-bridge';
+import { storeSessionKeys } from '@/lib/session-keys';
+import { upgradeStoredKeys } from '@/lib/stored-keys';
+
+type SealCryptoGlobal = Record<string, (...args: unknown[]) => unknown>;
+
+/**
+ * Give an account created before sender signatures its signing key pair.
+ * Returns the base64 PKCS8 signing key for this session.
+ */
+async function createSigningKey(
+  sc: SealCryptoGlobal,
+  account: { userId: string; email: string; publicKey: string },
+  password: string
+): Promise<string> {
+  const keyPair = (await sc.generateSigningKeyPair()) as CryptoKeyPair;
+  const signingPublicKey = (await sc.exportKey(keyPair.publicKey, 'spki')) as string;
+  const signingPrivateKey = (await sc.exportKey(keyPair.privateKey, 'pkcs8')) as string;
+  const encrypted = (await sc.encryptPrivateKeyWithPassword(signingPrivateKey, password)) as {
+    encryptedKey: string;
+    salt: string;
+    iv: string;
+    kdf: KdfParams;
+  };
+
+  const res = await fetch('/api/profile', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ...account,
+      signingPublicKey,
+      encryptedSigningKey: encrypted.encryptedKey,
+      signingSalt: encrypted.salt,
+      signingIv: encrypted.iv,
+      signingKdf: encrypted.kdf,
+    }),
+  });
+  if (!res.ok) throw new Error('Could not publish signing key');
+
+  return signingPrivateKey;
+}
 
 export default function LoginPage() {
   const router = useRouter();
@@ -52,15 +93,55 @@ export default function LoginPage() {
         const { keys } = await keysRes.json();
         if (keys?.encryptedPrivateKey && keys?.salt && keys?.iv) {
           // Decrypt private key with the login password
-          const sc = (window as unknown as { SealCrypto: { decryptPrivateKeyWithPassword: (key: string, pwd: string, salt: string, iv: string) => Promise<string> } }).SealCrypto;
-          const privateKey = await sc.decryptPrivateKeyWithPassword(
-            keys.encryptedPrivateKey,
-            password,
-            keys.salt,
-            keys.iv
-          );
-          // Cache in sessionStorage for the session duration
-          sessionStorage.setItem('seal_private_key', privateKey);
+          const sc = (window as unknown as { SealCrypto: SealCryptoGlobal }).SealCrypto;
+          let privateKey: string;
+          try {
+            privateKey = (await sc.decryptPrivateKeyWithPassword(
+              keys.encryptedPrivateKey,
+              password,
+              keys.salt,
+              keys.iv,
+              keys.kdf
+            )) as string;
+          } catch {
+            // Signed in, but the keys are still encrypted under the password
+            // from before a reset; the recovery code unlocks them
+            router.push('/recover?from=login');
+            return;
+          }
+          // Unlock the signing key used to sign sealed files
+          let signingKey: string | null = null;
+          try {
+            signingKey = keys.encryptedSigningKey
+              ? ((await sc.decryptPrivateKeyWithPassword(
+                  keys.encryptedSigningKey,
+                  password,
+                  keys.signingSalt,
+                  keys.signingIv,
+                  keys.signingKdf
+                )) as string)
+              : await createSigningKey(
+                  sc,
+                  { userId: authData.user.id, email: email.toLowerCase(), publicKey: keys.publicKey },
+                  password
+                );
+          } catch (signingErr) {
+            // Files sealed this session will be unsigned; recipients see a warning
+            console.warn('[Seal] Signing key unavailable:', signingErr);
+          }
+
+          // Keep both keys for the session, as keys no script can export
+          await storeSessionKeys(privateKey, signingKey);
+
+          // Re-encrypt keys stored with older KDF parameters while the password
+          // is at hand. Not awaited: it only makes the stored copies stronger.
+          // A signing key created just now is already current, and the keys
+          // fetched above no longer match; the next login upgrades the rest.
+          if (keys.encryptedSigningKey) {
+            upgradeStoredKeys(keys, password).catch((upgradeErr) => {
+              console.warn('[Seal] Key encryption upgrade failed:', upgradeErr);
+            });
+          }
         }
       }
 
@@ -115,9 +196,14 @@ export default function LoginPage() {
             </div>
 
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-1">
-                Password
-              </label>
+              <div className="mb-1 flex items-center justify-between">
+                <label htmlFor="password" className="block text-sm font-medium text-slate-700">
+                  Password
+                </label>
+                <Link href="/forgot-password" className="text-xs text-primary hover:text-primary-dark">
+                  Forgot password?
+                </Link>
+              </div>
               <div className="relative">
                 <input
                   id="password"
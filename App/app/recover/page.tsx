@@ -0,0 +1,221 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { Shield, Eye, EyeOff, Loader2, LifeBuoy } from 'lucide-react';
+import { openRecovery, type RecoveryRecord } from '@/lib/recovery';
+import { storeSessionKeys } from '@/lib/session-keys';
+import { wrapKeyring } from '@/lib/stored-keys';
+
+interface AccountKeys {
+  publicKey: string;
+  signingPublicKey: string | null;
+  retiredKeys: { publicKey: string }[];
+  recovery: RecoveryRecord | null;
+}
+
+/**
+ * Reached from a password reset link, or from login when the password no
+ * longer unlocks the keys. The recovery code opens the second copy of the
+ * keys, which are then encrypted under the new password, or from login,
+ * under the password the user signed in with (which the server checks
+ * instead of the reset link).
+ */
+export default function RecoverPage() {
+  const router = useRouter();
+  const [keys, setKeys] = useState<AccountKeys>();
+  const [fromLogin, setFromLogin] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string>();
+
+  useEffect(() => {
+    setFromLogin(new URLSearchParams(window.location.search).get('from') === 'login');
+    fetch('/api/users/keys')
+      .then((res) => {
+        if (!res.ok) throw new Error('Could not load your keys');
+        return res.json() as Promise<{ keys: AccountKeys }>;
+      })
+      .then(({ keys: loaded }) => setKeys(loaded))
+      .catch((err) => setError(err instanceof Error ? err.message : 'Could not load your keys'));
+  }, []);
+
+  async function handleRecover(e: React.FormEvent) {
+    e.preventDefault();
+    if (!keys?.recovery) return;
+    setError(undefined);
+
+    if (!fromLogin && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const { keyring, byPassword } = await openRecovery(keys.recovery, code, password);
+      if (
+        keyring.publicKey !== keys.publicKey ||
+        keyring.retiredKeys.length !== keys.retiredKeys.length
+      ) {
+        throw new Error('This recovery code does not match your current keys. Use the newest code you saved.');
+      }
+
+      // The new password is set together with the keys encrypted under it
+      const rewrapped = await wrapKeyring(keyring, password, { record: keys.recovery, byPassword });
+      const res = await fetch('/api/users/keys/recover', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...rewrapped,
+          newPassword: password,
+          ...(fromLogin ? { currentPassword: password } : {}),
+        }),
+      });
+      if (!res.ok) {
+        const { error: rewrapError } = await res.json().catch(() => ({ error: undefined }));
+        throw new Error(rewrapError || 'Could not save your keys');
+      }
+
+      await storeSessionKeys(keyring.privateKey, keyring.signingKey);
+
+      router.push('/dashboard');
+      router.refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Recovery failed');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-slate-50 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        {/* Logo */}
+        <div className="mb-8 text-center">
+          <div className="inline-flex items-center gap-2">
+            <Shield className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold text-slate-900">Seal</span>
+          </div>
+          <p className="mt-2 text-sm text-slate-500">
+            Recover your encryption keys
+          </p>
+        </div>
+
+        <div className="rounded-2xl border border-slate-200 bg-white p-8 shadow-sm">
+          {keys && !keys.recovery ? (
+            <div className="space-y-2 text-sm text-slate-500">
+              <p className="font-medium text-slate-900">This account has no recovery code</p>
+              <p>
+                Your keys are locked with the password you had before. Log in with that password
+                to unlock them, then set up a recovery code in Settings.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleRecover} className="space-y-4">
+              {error && (
+                <div className="rounded-lg border border-error/20 bg-error/5 px-3 py-2 text-sm text-error">
+                  {error}
+                </div>
+              )}
+
+              <div className="flex items-start gap-2 rounded-lg bg-primary-50/50 px-3 py-2">
+                <LifeBuoy className="mt-0.5 h-4 w-4 flex-shrink-0 text-primary" />
+                <span className="text-xs text-primary-dark">
+                  Your password no longer unlocks your encryption keys. Enter the recovery code
+                  you saved when you signed up and{' '}
+                  {fromLogin ? 'the password you just signed in with.' : 'choose a new password.'}
+                </span>
+              </div>
+
+              <div>
+                <label htmlFor="recovery-code" className="block text-sm font-medium text-slate-700 mb-1">
+                  Recovery code
+                </label>
+                <input
+                  id="recovery-code"
+                  type="text"
+                  required
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoComplete="off"
+                  spellCheck={false}
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2.5 font-mono text-sm text-slate-900 placeholder:font-sans placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                  placeholder="xxxx-xxxx-xxxx-xxxx-xxxx-xxxx-xxxx-xxxx"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-1">
+                  {fromLogin ? 'Password' : 'New password'}
+                </label>
+                <div className="relative">
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    required
+                    minLength={8}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete={fromLogin ? 'current-password' : 'new-password'}
+                    className="w-full rounded-lg border border-slate-200 px-3 py-2.5 pr-10 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    placeholder="Min 8 characters"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
+                  >
+                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  </button>
+                </div>
+              </div>
+
+              {!fromLogin && (
+                <div>
+                  <label htmlFor="confirm-password" className="block text-sm font-medium text-slate-700 mb-1">
+                    Confirm new password
+                  </label>
+                  <input
+                    id="confirm-password"
+                    type={showPassword ? 'text' : 'password'}
+                    required
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    autoComplete="new-password"
+                    className="w-full rounded-lg border border-slate-200 px-3 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    placeholder="Repeat password"
+                  />
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading || !keys}
+                className="w-full rounded-xl bg-primary py-3 text-sm font-semibold text-white shadow-md shadow-primary/20 hover:bg-primary-600 active:bg-primary-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <Loader2 className="mx-auto h-5 w-5 animate-spin" />
+                ) : (
+                  'Recover keys'
+                )}
+              </button>
+            </form>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
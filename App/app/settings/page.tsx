@@ -0,0 +1,119 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { Shield, LogOut, User, Lock } from 'lucide-react';
+import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
+import KdfStatus from '@/components/settings/KdfStatus';
+import KeyRotation from '@/components/settings/KeyRotation';
+import RecoveryCode from '@/components/settings/RecoveryCode';
+import SendPolicySettings from '@/components/settings/SendPolicySettings';
+import { DEMO_MODE } from '@/lib/supabase/client';
+import { relayLogoutToExtension } from '@/lib/extension-bridge';
+import { clearSessionKeys } from '@/lib/session-keys';
+
+export default function SettingsPage() {
+  const router = useRouter();
+  const [userEmail, setUserEmail] = useState<string>();
+  const [keysVersion, setKeysVersion] = useState(0);
+  const onKeysChanged = () => setKeysVersion((v) => v + 1);
+
+  useEffect(() => {
+    if (DEMO_MODE) {
+      setUserEmail('demo@seal.email');
+      return;
+    }
+    const supabase = createClientComponentClient();
+    supabase.auth.getUser().then(({ data: { user } }) => {
+      if (user?.email) {
+        setUserEmail(user.email);
+      } else {
+        // No valid user - session is stale, sign out, drop the unlocked keys and redirect
+        Promise.all([supabase.auth.signOut(), clearSessionKeys().catch(() => {})]).then(() => {
+          router.push('/login');
+        });
+      }
+    });
+  }, [router]);
+
+  async function handleLogout() {
+    if (DEMO_MODE) return;
+    const supabase = createClientComponentClient();
+    await supabase.auth.signOut();
+    await clearSessionKeys().catch(() => {});
+    localStorage.removeItem('seal_user_email');
+    // Notify extension to clear cached auth
+    relayLogoutToExtension().catch(() => {});
+    router.push('/login');
+    router.refresh();
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+        {/* Dashboard header */}
+        <header className="border-b border-slate-200 bg-white">
+          <div className="mx-auto flex max-w-5xl items-center justify-between px-4 py-4">
+            <div className="flex items-center gap-2">
+              <Shield className="h-6 w-6 text-primary" />
+              <span className="text-lg font-bold text-slate-900">Seal</span>
+            </div>
+
+            <nav className="flex items-center gap-4 text-sm text-slate-600">
+              <Link href="/dashboard" className="hover:text-slate-900 transition-colors">Encrypt</Link>
+              <Link href="/viewer" className="hover:text-slate-900 transition-colors">Open .seal</Link>
+              <span className="font-medium text-primary">Settings</span>
+            </nav>
+
+            <div className="flex items-center gap-3">
+              {userEmail && (
+                <span className="flex items-center gap-1.5 text-sm text-slate-500">
+                  <User className="h-3.5 w-3.5" />
+                  {userEmail}
+                </span>
+              )}
+              <button
+                onClick={handleLogout}
+                className="flex items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors"
+              >
+                <LogOut className="h-3.5 w-3.5" />
+                Log out
+              </button>
+            </div>
+          </div>
+        </header>
+
+        {/* Main content */}
+        <main className="mx-auto max-w-2xl space-y-6 px-4 py-10">
+          <h1 className="text-xl font-semibold text-slate-900">Settings</h1>
+          {DEMO_MODE ? (
+            <p className="text-sm text-slate-500">Settings are not available in demo mode.</p>
+          ) : (
+            <>
+              <KeyRotation keysVersion={keysVersion} onKeysChanged={onKeysChanged} />
+              <RecoveryCode email={userEmail ?? ''} keysVersion={keysVersion} onKeysChanged={onKeysChanged} />
+              <section className="flex items-start justify-between gap-4 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+                <div>
+                  <h2 className="flex items-center gap-2 text-base font-semibold text-slate-900">
+                    <Lock className="h-4 w-4 text-primary" />
+                    Password
+                  </h2>
+                  <p className="mt-1 text-sm text-slate-500">
+                    Your password also protects your encryption keys; changing it here keeps them unlocked.
+                  </p>
+                </div>
+                <Link
+                  href="/settings/password"
+                  className="flex-shrink-0 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors"
+                >
+                  Change
+                </Link>
+              </section>
+              <SendPolicySettings />
+              <KdfStatus />
+            </>
+          )}
+        </main>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { Shield, Eye, EyeOff, Loader2, CheckCircle2, ArrowLeft } from 'lucide-react';
+import { rewrapRecoveryKey } from '@/lib/recovery';
+import { unlockKeyring, wrapKeyring, type StoredKeys } from '@/lib/stored-keys';
+import { DEMO_MODE } from '@/lib/supabase/client';
+
+/**
+ * Change the account password. The private keys are encrypted under the
+ * password, so they are decrypted with the current one here and encrypted
+ * under the new one before anything is sent; the server stores the new
+ * password and keys together.
+ */
+export default function ChangePasswordPage() {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string>();
+  const [changed, setChanged] = useState(false);
+
+  async function handleChange(e: React.FormEvent) {
+    e.preventDefault();
+    setError(undefined);
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (newPassword.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (newPassword === currentPassword) {
+      setError('Choose a password different from the current one');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const keysRes = await fetch('/api/users/keys');
+      if (!keysRes.ok) throw new Error('Could not load your keys');
+      const { keys } = (await keysRes.json()) as { keys: StoredKeys };
+
+      // 1. Decrypt every private key with the current password
+      let keyring;
+      try {
+        keyring = await unlockKeyring(keys, currentPassword);
+      } catch {
+        throw new Error('Incorrect password. Please try again.');
+      }
+
+      // 2. Encrypt them under the new one, with the recovery key if there is one
+      const recovery = keys.recovery
+        ? {
+            record: keys.recovery,
+            byPassword: await rewrapRecoveryKey(keys.recovery, currentPassword, newPassword),
+          }
+        : undefined;
+      const rewrapped = await wrapKeyring(keyring, newPassword, recovery);
+
+      // 3. Store the new password and keys in one update
+      const res = await fetch('/api/users/password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...rewrapped, currentPassword, newPassword }),
+      });
+      if (!res.ok) {
+        const { error: changeError } = await res.json().catch(() => ({ error: undefined }));
+        throw new Error(changeError || 'Could not change your password');
+      }
+
+      setChanged(true);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not change your password');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-slate-50 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        {/* Logo */}
+        <div className="mb-8 text-center">
+          <div className="inline-flex items-center gap-2">
+            <Shield className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold text-slate-900">Seal</span>
+          </div>
+          <p className="mt-2 text-sm text-slate-500">
+            Change your password
+          </p>
+        </div>
+
+        <div className="rounded-2xl border border-slate-200 bg-white p-8 shadow-sm">
+          {DEMO_MODE ? (
+            <p className="text-sm text-slate-500">Settings are not available in demo mode.</p>
+          ) : changed ? (
+            <div className="py-4 text-center">
+              <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-success/10">
+                <CheckCircle2 className="h-8 w-8 text-success" />
+              </div>
+              <h3 className="text-lg font-semibold text-slate-900">Password changed</h3>
+              <p className="mt-2 text-sm text-slate-500">
+                Your encryption keys are now protected by your new password.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleChange} className="space-y-4">
+              {error && (
+                <div className="rounded-lg border border-error/20 bg-error/5 px-3 py-2 text-sm text-error">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="current-password" className="block text-sm font-medium text-slate-700 mb-1">
+                  Current password
+                </label>
+                <input
+                  id="current-password"
+                  type="password"
+                  required
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  autoComplete="current-password"
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                  placeholder="Your password"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="new-password" className="block text-sm font-medium text-slate-700 mb-1">
+                  New password
+                </label>
+                <div className="relative">
+                  <input
+                    id="new-password"
+                    type={showPassword ? 'text' : 'password'}
+                    required
+                    minLength={8}
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    autoComplete="new-password"
+                    className="w-full rounded-lg border border-slate-200 px-3 py-2.5 pr-10 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    placeholder="Min 8 characters"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
+                  >
+                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="confirm-password" className="block text-sm font-medium text-slate-700 mb-1">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirm-password"
+                  type={showPassword ? 'text' : 'password'}
+                  required
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                  placeholder="Repeat password"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full rounded-xl bg-primary py-3 text-sm font-semibold text-white shadow-md shadow-primary/20 hover:bg-primary-600 active:bg-primary-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <Loader2 className="mx-auto h-5 w-5 animate-spin" />
+                ) : (
+                  'Change password'
+                )}
+              </button>
+            </form>
+          )}
+
+          <Link
+            href="/settings"
+            className="mt-6 flex items-center justify-center gap-1.5 text-sm text-slate-500 hover:text-slate-700"
+          >
+            <ArrowLeft className="h-3.5 w-3.5" />
+            Back to settings
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
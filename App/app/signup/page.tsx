@@ -6,6 +6,9 @@ import Link from 'next/link';
 import { motion } from 'framer-motion';
 import { Shield, Lock, Eye, EyeOff, Loader2, KeyRound } from 'lucide-react';
 import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
+import type { KdfParams } from '@/lib/crypto';
+import { createRecovery } from '@/lib/recovery';
+import RecoveryCodeSheet from '@/components/settings/RecoveryCodeSheet';
 
 export default function SignupPage() {
   const router = useRouter();
@@ -19,8 +22,11 @@ export default function SignupPage() {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [step, setStep] = useState<'form' | 'generating' | 'done' | 'confirm-email'>('form');
+  const [step, setStep] = useState<'form' | 'generating' | 'recovery' | 'done' | 'confirm-email'>('form');
   const [error, setError] = useState<string>();
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [codeSaved, setCodeSaved] = useState(false);
+  const [needsConfirmation, setNeedsConfirmation] = useState(false);
 
   async function handleSignup(e: React.FormEvent) {
     e.preventDefault();
@@ -51,11 +57,11 @@ export default function SignupPage() {
 
       // Check if email confirmation is required
       // When confirm email is enabled, identities will be empty or session will be null
-      const needsConfirmation =
-        !authData.session ||
-        (authData.user.identities && authData.user.identities.length === 0);
+      setNeedsConfirmation(
+        !authData.session || (!!authData.user.identities && authData.user.identities.length === 0)
+      );
 
-      // 2. Generate RSA-2048 key pair in the browser
+      // 2. Generate ECDH P-256 (encryption) and ECDSA P-256 (signing) key pairs in the browser
       setStep('generating');
 
       const sc = (window as unknown as Record<string, unknown>).SealCrypto as
@@ -67,14 +73,29 @@ export default function SignupPage() {
       const publicKey = (await sc.exportKey(keyPair.publicKey, 'spki')) as string;
       const privateKey = (await sc.exportKey(keyPair.privateKey, 'pkcs8')) as string;
 
-      // 3. Encrypt the private key with the user's password
+      const signingKeyPair = (await sc.generateSigningKeyPair()) as CryptoKeyPair;
+      const signingPublicKey = (await sc.exportKey(signingKeyPair.publicKey, 'spki')) as string;
+      const signingPrivateKey = (await sc.exportKey(signingKeyPair.privateKey, 'pkcs8')) as string;
+
+      // 3. Encrypt both private keys with the user's password
       const encryptedKeyData = (await sc.encryptPrivateKeyWithPassword(privateKey, password)) as {
         encryptedKey: string;
         salt: string;
         iv: string;
+        kdf: KdfParams;
       };
+      const encryptedSigningData = (await sc.encryptPrivateKeyWithPassword(
+        signingPrivateKey,
+        password
+      )) as { encryptedKey: string; salt: string; iv: string; kdf: KdfParams };
+
+      // 4. A second copy of the keys, opened by a recovery code instead of the password
+      const recovery = await createRecovery(
+        { publicKey, privateKey, signingPublicKey, signingKey: signingPrivateKey, retiredKeys: [] },
+        password
+      );
 
-      // 4. Store public key in profiles table + encrypted private key in user_metadata
+      // 5. Store public keys in profiles table + encrypted private keys in user_metadata
       const profileRes = await fetch('/api/profile', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -85,6 +106,13 @@ export default function SignupPage() {
           encryptedPrivateKey: encryptedKeyData.encryptedKey,
           salt: encryptedKeyData.salt,
           iv: encryptedKeyData.iv,
+          kdf: encryptedKeyData.kdf,
+          signingPublicKey,
+          encryptedSigningKey: encryptedSigningData.encryptedKey,
+          signingSalt: encryptedSigningData.salt,
+          signingIv: encryptedSigningData.iv,
+          signingKdf: encryptedSigningData.kdf,
+          recovery: recovery.record,
         }),
       });
 
@@ -93,15 +121,11 @@ export default function SignupPage() {
         throw new Error(profileError || 'Failed to create profile');
       }
 
-      // 5. Store email for quick lookup (private key stays server-side)
+      // 6. Store email for quick lookup (private key stays server-side)
       localStorage.setItem('seal_user_email', email.toLowerCase());
 
-      if (needsConfirmation) {
-        setStep('confirm-email');
-      } else {
-        setStep('done');
-        setTimeout(() => router.push('/dashboard'), 1500);
-      }
+      setRecoveryCode(recovery.code);
+      setStep('recovery');
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Signup failed');
       setStep('form');
@@ -110,6 +134,16 @@ export default function SignupPage() {
     }
   }
 
+  function handleRecoverySaved() {
+    setRecoveryCode('');
+    if (needsConfirmation) {
+      setStep('confirm-email');
+    } else {
+      setStep('done');
+      setTimeout(() => router.push('/dashboard'), 1500);
+    }
+  }
+
   return (
     <div className="flex min-h-screen items-center justify-center bg-slate-50 px-4">
         <motion.div
@@ -142,7 +176,7 @@ export default function SignupPage() {
                   Generating your encryption keys...
                 </h3>
                 <p className="mt-2 text-sm text-slate-500">
-                  Creating an RSA-2048 key pair in your browser.
+                  Creating your encryption and signing keys in your browser.
                   <br />
                   Your private key never leaves this device.
                 </p>
@@ -150,6 +184,44 @@ export default function SignupPage() {
               </motion.div>
             )}
 
+            {step === 'recovery' && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="space-y-4"
+              >
+                <div>
+                  <h3 className="text-lg font-semibold text-slate-900">
+                    Save your recovery code
+                  </h3>
+                  <p className="mt-1 text-sm text-slate-500">
+                    Your password protects your encryption keys, and Seal cannot reset it for
+                    you. If you forget it, this code gets your keys back.
+                  </p>
+                </div>
+
+                <RecoveryCodeSheet code={recoveryCode} email={email.toLowerCase()} />
+
+                <label className="flex cursor-pointer items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={codeSaved}
+                    onChange={(e) => setCodeSaved(e.target.checked)}
+                    className="h-4 w-4 rounded border-slate-300 text-primary focus:ring-primary/20"
+                  />
+                  I saved my recovery code somewhere safe
+                </label>
+
+                <button
+                  onClick={handleRecoverySaved}
+                  disabled={!codeSaved}
+                  className="w-full rounded-xl bg-primary py-3 text-sm font-semibold text-white shadow-md shadow-primary/20 hover:bg-primary-600 active:bg-primary-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Continue
+                </button>
+              </motion.div>
+            )}
+
             {step === 'confirm-email' && (
               <motion.div
                 initial={{ opacity: 0, scale: 0.95 }}
@@ -258,7 +330,7 @@ export default function SignupPage() {
                 <div className="flex items-start gap-2 rounded-lg bg-primary-50/50 px-3 py-2">
                   <KeyRound className="mt-0.5 h-4 w-4 flex-shrink-0 text-primary" />
                   <span className="text-xs text-primary-dark">
-                    An RSA-2048 key pair will be generated in your browser. Your private key is stored locally and never sent to our servers.
+                    Your encryption keys will be generated in your browser. Your private key is stored locally and never sent to our servers.
                   </span>
                 </div>
 
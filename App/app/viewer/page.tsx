@@ -16,9 +16,20 @@ import {
 import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
 import SealFileUpload from '@/components/viewer/SealFileUpload';
 import FileViewer from '@/components/viewer/FileViewer';
+import BundleViewer from '@/components/viewer/BundleViewer';
 import FileInfo from '@/components/viewer/FileInfo';
 import PasswordPrompt from '@/components/viewer/PasswordPrompt';
-import { openSealFile, type SealFileResult, type DecryptedFile } from '@/lib/crypto';
+import {
+  openSealFile,
+  openSealFileWithPassword,
+  passwordRecipient,
+  PASSWORD_KEY_WRAPPING,
+  type SealFileResult,
+  type DecryptedFile,
+  type KdfParams,
+  type KeyringEntry,
+} from '@/lib/crypto';
+import { clearSessionKeys, loadSessionKeys, storeSessionKeys } from '@/lib/session-keys';
 import { DEMO_MODE } from '@/lib/supabase/client';
 
 type ViewerStep =
@@ -35,21 +46,78 @@ interface ViewerError {
   icon: 'expired' | 'unauthorized' | 'invalid' | 'generic';
 }
 
-interface UserKeys {
+interface EncryptedKeyPair {
+  publicKey: string;
   encryptedPrivateKey: string;
   salt: string;
   iv: string;
+  /** Null for keys stored before KDF parameters were recorded */
+  kdf: KdfParams | null;
+}
+
+interface UserKeys extends EncryptedKeyPair {
+  /** Key pairs replaced by a rotation; files sent earlier were sealed for them */
+  retiredKeys?: EncryptedKeyPair[];
+}
+
+// Map a decryption failure to the error screen
+function decryptionError(err: unknown): ViewerError {
+  const message = err instanceof Error ? err.message : 'Decryption failed';
+  if (message.startsWith('Header tampered')) {
+    return {
+      title: 'File details were altered',
+      message:
+        'The file name, expiry date or recipient list was changed after this file was sealed. Ask the sender to send it again.',
+      icon: 'invalid',
+    };
+  }
+  return {
+    title: 'Decryption failed',
+    message: `Could not decrypt the file. ${message}`,
+    icon: 'generic',
+  };
+}
+
+function notRecipientError(email: string): ViewerError {
+  return {
+    title: 'Not authorized',
+    message: `You (${email}) are not a recipient of this file. Only its recipients can decrypt it.`,
+    icon: 'unauthorized',
+  };
+}
+
+// With hidden recipients, the user only turns out not to be one when their keys open no entry
+function isNotRecipientError(err: unknown): boolean {
+  return err instanceof Error && err.message === 'You are not a recipient of this file';
+}
+
+// The entry names a key other than the one given: after a rotation, a retired one
+function isWrongKeyError(err: unknown): boolean {
+  return err instanceof Error && err.message.startsWith('Could not unlock this file with your key');
+}
+
+// Look up a sender's published signing key so their signature can be checked
+async function fetchSigningKey(email: string): Promise<string | null> {
+  if (DEMO_MODE) return null;
+  const res = await fetch(`/api/users/public-key/${encodeURIComponent(email)}`);
+  if (!res.ok) return null;
+  const { signingPublicKey } = await res.json();
+  return signingPublicKey ?? null;
 }
 
 export default function ViewerPage() {
   const router = useRouter();
   const [step, setStep] = useState<ViewerStep>('upload');
   const [sealFile, setSealFile] = useState<SealFileResult>();
+  const [rawFile, setRawFile] = useState<File>();
+  const [decryptProgress, setDecryptProgress] = useState(0);
   const [decryptedFile, setDecryptedFile] = useState<DecryptedFile>();
   const [error, setError] = useState<ViewerError>();
   const [passwordError, setPasswordError] = useState<string>();
   const [userEmail, setUserEmail] = useState<string>();
   const [userKeys, setUserKeys] = useState<UserKeys>();
+  // 'account' unlocks the user's private key; 'file' is the password the sender shared
+  const [passwordMode, setPasswordMode] = useState<'account' | 'file'>('account');
 
   // Get current user email on mount
   useEffect(() => {
@@ -62,18 +130,34 @@ export default function ViewerPage() {
       if (user?.email) {
         setUserEmail(user.email);
       } else {
-        // No valid user - session is stale, sign out and redirect
-        supabase.auth.signOut().then(() => {
-          router.push('/login');
-        });
+        // No valid user: clear any stale session and its unlocked keys.
+        // Password-sealed files can still be opened without logging in.
+        supabase.auth.signOut();
+        clearSessionKeys().catch(() => {});
       }
     });
-  }, [router]);
+  }, []);
+
+  const onDecryptProgress = useCallback((done: number, total: number) => {
+    setDecryptProgress(total ? done / total : 1);
+  }, []);
+
+  // The user's keys opened no entry: they may still have the file password
+  const handleNotRecipient = useCallback((seal: SealFileResult, email: string) => {
+    if (passwordRecipient(seal)) {
+      setPasswordMode('file');
+      setStep('password');
+    } else {
+      setError(notRecipientError(email));
+      setStep('error');
+    }
+  }, []);
 
   const handleFileLoaded = useCallback(
-    async (parsed: unknown, _rawFile: File) => {
-      const seal = parsed as SealFileResult;
+    async (seal: SealFileResult, file: File) => {
       setSealFile(seal);
+      setRawFile(file);
+      setDecryptProgress(0);
       setError(undefined);
       setPasswordError(undefined);
 
@@ -96,8 +180,22 @@ export default function ViewerPage() {
         }
       }
 
-      // Check: is the current user a recipient?
+      // Check: is the current user a recipient? With hidden recipients any
+      // account may be one, until their keys are tried on the entries
       const email = userEmail || localStorage.getItem('seal_user_email') || '';
+      const isRecipient = !!email && (
+        seal.metadata.hiddenRecipients
+          ? seal.recipients.some((r) => r.keyWrapping !== PASSWORD_KEY_WRAPPING)
+          : seal.recipients.some((r) => r.email?.toLowerCase() === email.toLowerCase())
+      );
+
+      // Anyone else may still have the password the sender shared
+      if (!isRecipient && passwordRecipient(seal)) {
+        setPasswordMode('file');
+        setStep('password');
+        return;
+      }
+
       if (!email) {
         setError({
           title: 'Not logged in',
@@ -108,68 +206,60 @@ export default function ViewerPage() {
         return;
       }
 
-      const isRecipient = seal.recipients.some(
-        (r) => r.email.toLowerCase() === email.toLowerCase()
-      );
       if (!isRecipient) {
-        setError({
-          title: 'Not authorized',
-          message: `You (${email}) are not a recipient of this file. Only the listed recipients can decrypt it.`,
-          icon: 'unauthorized',
-        });
+        setError(notRecipientError(email));
         setStep('error');
         return;
       }
 
-      // --- Check for cached private key first (set at login) ---
-      const cachedPrivateKey = sessionStorage.getItem('seal_private_key');
-      if (cachedPrivateKey) {
-        // Use cached key - no password needed
+      // --- Use the key unlocked at login, unless the session has locked ---
+      // The session only holds the current key. A file sealed for a retired
+      // key falls through to the keyring, which the password unlocks.
+      let sessionError: unknown;
+      const session = await loadSessionKeys().catch(() => null);
+      if (session) {
+        // No password needed
         setStep('decrypting');
         try {
-          const result = await openSealFile(seal, email, cachedPrivateKey);
+          const result = await openSealFile(file, email, session.privateKey, {
+            onProgress: onDecryptProgress,
+            signingKeyFor: fetchSigningKey,
+          });
           setDecryptedFile(result);
           setStep('viewing');
+          return;
         } catch (err) {
-          const message = err instanceof Error ? err.message : 'Decryption failed';
-          setError({
-            title: 'Decryption failed',
-            message: `Could not decrypt the file. ${message}`,
-            icon: 'generic',
-          });
-          setStep('error');
+          if (!isWrongKeyError(err) && !isNotRecipientError(err)) {
+            setError(decryptionError(err));
+            setStep('error');
+            return;
+          }
+          sessionError = err;
         }
-        return;
       }
 
-      // --- Fallback: Fetch user's encrypted keys ---
-      if (DEMO_MODE) {
-        // In demo mode, use localStorage (old behavior)
-        const privateKey = localStorage.getItem('seal_private_key');
-        if (!privateKey) {
-          setError({
-            title: 'Private key not found',
-            message: 'Demo mode: private key not found in localStorage.',
-            icon: 'generic',
-          });
-          setStep('error');
-          return;
-        }
-        // Decrypt directly (no password needed in demo)
-        setStep('decrypting');
-        try {
-          const result = await openSealFile(seal, email, privateKey);
-          setDecryptedFile(result);
-          setStep('viewing');
-        } catch (err) {
-          const message = err instanceof Error ? err.message : 'Decryption failed';
-          setError({
-            title: 'Decryption failed',
-            message: `Could not decrypt the file. ${message}`,
-            icon: 'generic',
-          });
+      // The current key failed and there are no retired keys to try
+      const failSession = () => {
+        if (isNotRecipientError(sessionError)) {
+          handleNotRecipient(seal, email);
+        } else {
+          setError(decryptionError(sessionError));
           setStep('error');
         }
+      };
+
+      // --- Fallback: Fetch user's encrypted keys ---
+      if (DEMO_MODE && sessionError) {
+        failSession();
+        return;
+      }
+      if (DEMO_MODE) {
+        setError({
+          title: 'Private key not found',
+          message: 'Demo mode: there is no unlocked private key in this browser.',
+          icon: 'generic',
+        });
+        setStep('error');
         return;
       }
 
@@ -181,7 +271,12 @@ export default function ViewerPage() {
           throw new Error(keysError || 'Could not fetch encryption keys');
         }
         const { keys } = await keysRes.json();
+        if (sessionError && !keys.retiredKeys?.length) {
+          failSession();
+          return;
+        }
         setUserKeys(keys);
+        setPasswordMode('account');
         setStep('password');
       } catch (err) {
         setError({
@@ -194,12 +289,39 @@ export default function ViewerPage() {
         setStep('error');
       }
     },
-    [userEmail]
+    [userEmail, onDecryptProgress, handleNotRecipient]
+  );
+
+  const handleFilePasswordSubmit = useCallback(
+    async (password: string) => {
+      if (!rawFile) return;
+      setPasswordError(undefined);
+
+      try {
+        setStep('decrypting');
+        const result = await openSealFileWithPassword(rawFile, password, {
+          onProgress: onDecryptProgress,
+          signingKeyFor: fetchSigningKey,
+        });
+        setDecryptedFile(result);
+        setStep('viewing');
+      } catch (err) {
+        const message = err instanceof Error ? err.message : 'Decryption failed';
+        if (message.includes('Incorrect password')) {
+          setPasswordError('Incorrect password. Check the password the sender gave you.');
+          setStep('password');
+        } else {
+          setError(decryptionError(err));
+          setStep('error');
+        }
+      }
+    },
+    [rawFile, onDecryptProgress]
   );
 
   const handlePasswordSubmit = useCallback(
     async (password: string) => {
-      if (!sealFile || !userKeys) return;
+      if (!rawFile || !userKeys) return;
 
       const email = userEmail || localStorage.getItem('seal_user_email') || '';
       setPasswordError(undefined);
@@ -215,15 +337,31 @@ export default function ViewerPage() {
           userKeys.encryptedPrivateKey,
           password,
           userKeys.salt,
-          userKeys.iv
+          userKeys.iv,
+          userKeys.kdf
         )) as string;
 
-        // Cache the private key for future decryptions in this session
-        sessionStorage.setItem('seal_private_key', privateKey);
+        // Keep the key for future decryptions in this session
+        await storeSessionKeys(privateKey).catch((storeErr) => {
+          console.warn('[Seal] Could not keep the unlocked key:', storeErr);
+        });
+
+        // Retired keys are only decrypted if the file was sealed for one of them
+        const keyring: KeyringEntry[] = [
+          { publicKey: userKeys.publicKey, privateKey },
+          ...(userKeys.retiredKeys ?? []).map((k) => ({
+            publicKey: k.publicKey,
+            privateKey: () =>
+              sc.decryptPrivateKeyWithPassword(k.encryptedPrivateKey, password, k.salt, k.iv, k.kdf) as Promise<string>,
+          })),
+        ];
 
         // Decrypt the file
         setStep('decrypting');
-        const result = await openSealFile(sealFile, email, privateKey);
+        const result = await openSealFile(rawFile, email, keyring, {
+          onProgress: onDecryptProgress,
+          signingKeyFor: fetchSigningKey,
+        });
         setDecryptedFile(result);
         setStep('viewing');
       } catch (err) {
@@ -231,25 +369,25 @@ export default function ViewerPage() {
         if (message.includes('Incorrect password')) {
           setPasswordError('Incorrect password. Please try again.');
           setStep('password');
+        } else if (isNotRecipientError(err) && sealFile) {
+          handleNotRecipient(sealFile, email);
         } else {
-          setError({
-            title: 'Decryption failed',
-            message: `Could not decrypt the file. ${message}`,
-            icon: 'generic',
-          });
+          setError(decryptionError(err));
           setStep('error');
         }
       }
     },
-    [sealFile, userEmail, userKeys]
+    [rawFile, sealFile, userEmail, userKeys, onDecryptProgress, handleNotRecipient]
   );
 
   const handleReset = useCallback(() => {
     setSealFile(undefined);
+    setRawFile(undefined);
     setDecryptedFile(undefined);
     setError(undefined);
     setPasswordError(undefined);
     setUserKeys(undefined);
+    setPasswordMode('account');
     setStep('upload');
   }, []);
 
@@ -270,11 +408,11 @@ export default function ViewerPage() {
             <span className="text-lg font-bold text-slate-900">Seal</span>
           </div>
           <button
-            onClick={() => router.push('/dashboard')}
+            onClick={() => router.push(userEmail ? '/dashboard' : '/login')}
             className="flex items-center gap-1.5 text-sm text-slate-600 hover:text-slate-900 transition-colors"
           >
             <ArrowLeft className="h-4 w-4" />
-            Back to dashboard
+            {userEmail ? 'Back to dashboard' : 'Log in'}
           </button>
         </div>
       </header>
@@ -354,7 +492,8 @@ export default function ViewerPage() {
               exit={{ opacity: 0, y: -10 }}
             >
               <PasswordPrompt
-                onSubmit={handlePasswordSubmit}
+                mode={passwordMode}
+                onSubmit={passwordMode === 'file' ? handleFilePasswordSubmit : handlePasswordSubmit}
                 error={passwordError}
               />
             </motion.div>
@@ -391,9 +530,9 @@ export default function ViewerPage() {
                 <div className="mt-6 h-1.5 overflow-hidden rounded-full bg-slate-100">
                   <motion.div
                     className="h-full rounded-full bg-primary"
-                    initial={{ width: '50%' }}
-                    animate={{ width: '80%' }}
-                    transition={{ duration: 0.5, ease: 'easeInOut' }}
+                    initial={{ width: '0%' }}
+                    animate={{ width: `${Math.round(decryptProgress * 100)}%` }}
+                    transition={{ duration: 0.3, ease: 'easeOut' }}
                   />
                 </div>
 
@@ -440,10 +579,10 @@ export default function ViewerPage() {
                     Try another file
                   </button>
                   <button
-                    onClick={() => router.push('/dashboard')}
+                    onClick={() => router.push(userEmail ? '/dashboard' : '/login')}
                     className="rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary-600 transition-colors"
                   >
-                    Back to dashboard
+                    {userEmail ? 'Back to dashboard' : 'Log in'}
                   </button>
                 </div>
               </div>
@@ -460,15 +599,24 @@ export default function ViewerPage() {
             >
               <div className="grid gap-6 lg:grid-cols-[1fr_280px]">
                 {/* Main viewer */}
-                <FileViewer
-                  data={decryptedFile.data}
-                  fileName={decryptedFile.fileName}
-                  fileType={decryptedFile.fileType}
-                />
+                {decryptedFile.entries ? (
+                  <BundleViewer entries={decryptedFile.entries} name={decryptedFile.fileName} />
+                ) : (
+                  <FileViewer
+                    data={decryptedFile.data}
+                    fileName={decryptedFile.fileName}
+                    fileType={decryptedFile.fileType}
+                  />
+                )}
 
                 {/* Sidebar */}
                 <div className="space-y-4">
-                  <FileInfo sealFile={sealFile} />
+                  <FileInfo
+                    sealFile={sealFile}
+                    metadata={decryptedFile.metadata}
+                    headerVerified={decryptedFile.headerVerified}
+                    signature={decryptedFile.signature}
+                  />
 
                   <button
                     onClick={handleReset}
@@ -2,27 +2,47 @@
 
 import { useState, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { Lock, Shield, Download } from 'lucide-react';
+import { Lock, Shield, Download, EyeOff, Minimize2, UserX } from 'lucide-react';
 import FileUpload from './FileUpload';
 import RecipientSelector, { type Recipient } from './RecipientSelector';
 import ExpirationSelector from './ExpirationSelector';
+import FilePasswordInput from './FilePasswordInput';
 import EncryptionProgress, { type EncryptionStep } from './EncryptionProgress';
-import { createSealFile, type SealFileResult } from '@/lib/crypto';
+import {
+  bundleName,
+  createSealStream,
+  HIDE_FILE_DETAILS_DEFAULT,
+  HIDDEN_FILE_NAME,
+  MIN_FILE_PASSWORD_LENGTH,
+  type BundleInputFile,
+} from '@/lib/crypto';
+import { openFileSink, isSaveCancelled, type StreamSaver } from '@/lib/file-sink';
+import { loadSessionKeys } from '@/lib/session-keys';
 import { DEMO_MODE } from '@/lib/supabase/client';
 
 export default function EncryptPanel() {
   // Form state
-  const [file, setFile] = useState<File | null>(null);
+  const [files, setFiles] = useState<BundleInputFile[]>([]);
   const [recipients, setRecipients] = useState<Recipient[]>([]);
   const [expirationDays, setExpirationDays] = useState(3);
+  const [hideDetails, setHideDetails] = useState(HIDE_FILE_DETAILS_DEFAULT);
+  const [compress, setCompress] = useState(true);
+  const [hideRecipients, setHideRecipients] = useState(false);
+  const [usePassword, setUsePassword] = useState(false);
+  const [filePassword, setFilePassword] = useState('');
 
   // Encryption state
   const [step, setStep] = useState<EncryptionStep>('idle');
   const [errorMessage, setErrorMessage] = useState<string>();
+  const [progress, setProgress] = useState(0);
 
+  const passwordReady = usePassword && filePassword.length >= MIN_FILE_PASSWORD_LENGTH;
+
+  // A file needs account recipients, a password, or both
   const canEncrypt =
-    file !== null &&
-    recipients.length > 0 &&
+    files.length > 0 &&
+    (recipients.length > 0 || passwordReady) &&
+    (!usePassword || passwordReady) &&
     recipients.every((r) => r.verified) &&
     step === 'idle';
 
@@ -31,15 +51,37 @@ export default function EncryptPanel() {
   const [sealFileName, setSealFileName] = useState<string>();
 
   const handleEncrypt = useCallback(async () => {
-    if (!file || recipients.length === 0) return;
+    if (files.length === 0 || (recipients.length === 0 && !usePassword)) return;
+
+    // A lone file is sealed as itself; several files or a folder become a bundle
+    const input = files.length === 1 && files[0].path === files[0].file.name ? files[0].file : files;
+
+    // Generate a unique file ID
+    const fileId = crypto.randomUUID();
+
+    // With hidden details the .seal file name must not give the name away either
+    const outputFileName = hideDetails
+      ? `${HIDDEN_FILE_NAME}-${fileId.slice(0, 8)}.seal`
+      : `${input instanceof File ? input.name : bundleName(files)}.seal`;
+
+    // Ask where to save first: the save dialog needs the click's user gesture
+    let save: StreamSaver;
+    try {
+      save = await openFileSink(outputFileName);
+    } catch (err) {
+      if (!isSaveCancelled(err)) {
+        setStep('error');
+        setErrorMessage(err instanceof Error ? err.message : 'Could not open the save dialog');
+      }
+      return;
+    }
 
     setStep('encrypting');
     setErrorMessage(undefined);
+    setProgress(0);
+    setSealFileName(outputFileName);
 
     try {
-      // Generate a unique file ID
-      const fileId = crypto.randomUUID();
-
       // Calculate expiration date
       const expiresAt = new Date();
       expiresAt.setDate(expiresAt.getDate() + expirationDays);
@@ -50,32 +92,32 @@ export default function EncryptPanel() {
         publicKey: r.publicKey,
       }));
 
-      // Encrypt the file client-side
-      const sealFile: SealFileResult = await createSealFile(
-        file,
+      // Sign as the logged-in sender when their signing key was unlocked at login
+      const signerEmail = localStorage.getItem('seal_user_email');
+      const signingKey = (await loadSessionKeys().catch(() => null))?.signingKey;
+      const signer =
+        signerEmail && signingKey ? { email: signerEmail, privateKey: signingKey } : undefined;
+
+      // Encrypt the file client-side, chunk by chunk, as it is written out
+      const { stream } = await createSealStream(
+        input,
         recipientInputs,
         fileId,
-        { expiresAt: expiresAt.toISOString() }
+        { expiresAt: expiresAt.toISOString() },
+        {
+          signer,
+          hideDetails,
+          compress,
+          hideRecipients,
+          password: usePassword ? filePassword : undefined,
+          onProgress: (done, total) => {
+            setProgress(total ? done / total : 1);
+            if (done === total) setStep('downloading');
+          },
+        }
       );
 
-      // Package as downloadable .seal file
-      setStep('downloading');
-
-      const outputFileName = `${file.name}.seal`;
-      setSealFileName(outputFileName);
-      const sealBlob = new Blob([JSON.stringify(sealFile)], {
-        type: 'application/octet-stream',
-      });
-
-      // Trigger browser download
-      const url = URL.createObjectURL(sealBlob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = outputFileName;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      await save(stream);
 
       setStep('complete');
     } catch (err) {
@@ -84,15 +126,21 @@ export default function EncryptPanel() {
         err instanceof Error ? err.message : 'An unexpected error occurred'
       );
     }
-  }, [file, recipients, expirationDays]);
+  }, [files, recipients, expirationDays, hideDetails, compress, hideRecipients, usePassword, filePassword]);
 
   const handleReset = useCallback(() => {
-    setFile(null);
+    setFiles([]);
     setRecipients([]);
     setExpirationDays(3);
+    setHideDetails(HIDE_FILE_DETAILS_DEFAULT);
+    setCompress(true);
+    setHideRecipients(false);
+    setUsePassword(false);
+    setFilePassword('');
     setStep('idle');
     setErrorMessage(undefined);
     setSealFileName(undefined);
+    setProgress(0);
   }, []);
 
   return (
@@ -131,8 +179,8 @@ export default function EncryptPanel() {
           {step === 'idle' ? (
             <>
               <FileUpload
-                file={file}
-                onFileSelect={setFile}
+                files={files}
+                onFilesChange={setFiles}
                 disabled={isProcessing}
               />
 
@@ -142,12 +190,80 @@ export default function EncryptPanel() {
                 disabled={isProcessing}
               />
 
+              <FilePasswordInput
+                enabled={usePassword}
+                onEnabledChange={setUsePassword}
+                password={filePassword}
+                onPasswordChange={setFilePassword}
+                disabled={isProcessing}
+              />
+
               <ExpirationSelector
                 expirationDays={expirationDays}
                 onExpirationChange={setExpirationDays}
                 disabled={isProcessing}
               />
 
+              {/* Hide file details */}
+              <label className="flex cursor-pointer items-start gap-3 rounded-lg border border-slate-200 px-3 py-2.5">
+                <input
+                  type="checkbox"
+                  checked={hideDetails}
+                  onChange={(e) => setHideDetails(e.target.checked)}
+                  disabled={isProcessing}
+                  className="mt-0.5 h-4 w-4 rounded border-slate-300 text-primary focus:ring-primary/20"
+                />
+                <span>
+                  <span className="flex items-center gap-1.5 text-sm font-medium text-slate-700">
+                    <EyeOff className="h-3.5 w-3.5 text-slate-400" />
+                    Hide file name
+                  </span>
+                  <span className="block text-xs text-slate-500">
+                    Name, size and type are encrypted too; only recipients see them once opened.
+                  </span>
+                </span>
+              </label>
+
+              {/* Hide recipients from each other */}
+              <label className="flex cursor-pointer items-start gap-3 rounded-lg border border-slate-200 px-3 py-2.5">
+                <input
+                  type="checkbox"
+                  checked={hideRecipients}
+                  onChange={(e) => setHideRecipients(e.target.checked)}
+                  disabled={isProcessing}
+                  className="mt-0.5 h-4 w-4 rounded border-slate-300 text-primary focus:ring-primary/20"
+                />
+                <span>
+                  <span className="flex items-center gap-1.5 text-sm font-medium text-slate-700">
+                    <UserX className="h-3.5 w-3.5 text-slate-400" />
+                    Hide recipients
+                  </span>
+                  <span className="block text-xs text-slate-500">
+                    The file does not list who it is for, so forwarding it does not reveal the other recipients.
+                  </span>
+                </span>
+              </label>
+
+              {/* Compress before encryption */}
+              <label className="flex cursor-pointer items-start gap-3 rounded-lg border border-slate-200 px-3 py-2.5">
+                <input
+                  type="checkbox"
+                  checked={compress}
+                  onChange={(e) => setCompress(e.target.checked)}
+                  disabled={isProcessing}
+                  className="mt-0.5 h-4 w-4 rounded border-slate-300 text-primary focus:ring-primary/20"
+                />
+                <span>
+                  <span className="flex items-center gap-1.5 text-sm font-medium text-slate-700">
+                    <Minimize2 className="h-3.5 w-3.5 text-slate-400" />
+                    Compress
+                  </span>
+                  <span className="block text-xs text-slate-500">
+                    Shrinks text, CSV and log files before encryption. Photos, video and archives are left as they are.
+                  </span>
+                </span>
+              </label>
+
               {/* Security message */}
               <div className="flex items-center gap-2 rounded-lg bg-primary-50/50 px-3 py-2">
                 <Shield className="h-4 w-4 text-primary" />
@@ -178,6 +294,7 @@ export default function EncryptPanel() {
           ) : (
             <EncryptionProgress
               step={step}
+              progress={progress}
               errorMessage={errorMessage}
               onReset={handleReset}
             />
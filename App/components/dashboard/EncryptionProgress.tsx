@@ -19,6 +19,8 @@ export type EncryptionStep =
 
 interface EncryptionProgressProps {
   step: EncryptionStep;
+  /** Fraction of the file encrypted so far (0..1) */
+  progress?: number;
   errorMessage?: string;
   onReset?: () => void;
 }
@@ -43,6 +45,7 @@ const STEPS = [
 
 export default function EncryptionProgress({
   step,
+  progress = 0,
   errorMessage,
   onReset,
 }: EncryptionProgressProps) {
@@ -145,12 +148,12 @@ export default function EncryptionProgress({
             animate={{
               width:
                 step === 'encrypting'
-                  ? '40%'
+                  ? `${Math.round(progress * 90)}%`
                   : step === 'downloading'
-                  ? '80%'
+                  ? '95%'
                   : '100%',
             }}
-            transition={{ duration: 0.5, ease: 'easeInOut' }}
+            transition={{ duration: 0.3, ease: 'easeOut' }}
           />
         </div>
       )}
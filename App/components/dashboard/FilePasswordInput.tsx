@@ -0,0 +1,134 @@
+'use client';
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { KeyRound, Eye, EyeOff, RefreshCw, Copy, Check } from 'lucide-react';
+import { MIN_FILE_PASSWORD_LENGTH } from '@/lib/crypto';
+
+interface FilePasswordInputProps {
+  enabled: boolean;
+  onEnabledChange: (enabled: boolean) => void;
+  password: string;
+  onPasswordChange: (password: string) => void;
+  disabled?: boolean;
+}
+
+// No 0/O, 1/l/I: the password is often read out over the phone
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// Four groups of four random characters, about 80 bits
+function generatePassword(): string {
+  // 32-bit values keep the modulo bias negligible
+  const values = crypto.getRandomValues(new Uint32Array(16));
+  const chars = Array.from(values, (v) => PASSWORD_ALPHABET[v % PASSWORD_ALPHABET.length]);
+  return [0, 4, 8, 12].map((i) => chars.slice(i, i + 4).join('')).join('-');
+}
+
+export default function FilePasswordInput({
+  enabled,
+  onEnabledChange,
+  password,
+  onPasswordChange,
+  disabled,
+}: FilePasswordInputProps) {
+  const [showPassword, setShowPassword] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const tooShort = password.length > 0 && password.length < MIN_FILE_PASSWORD_LENGTH;
+
+  function handleToggle(checked: boolean) {
+    onEnabledChange(checked);
+    if (checked && !password) {
+      onPasswordChange(generatePassword());
+      setShowPassword(true);
+    }
+  }
+
+  async function handleCopy() {
+    await navigator.clipboard.writeText(password);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  }
+
+  return (
+    <div className="rounded-lg border border-slate-200 px-3 py-2.5">
+      <label className="flex cursor-pointer items-start gap-3">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => handleToggle(e.target.checked)}
+          disabled={disabled}
+          className="mt-0.5 h-4 w-4 rounded border-slate-300 text-primary focus:ring-primary/20"
+        />
+        <span>
+          <span className="flex items-center gap-1.5 text-sm font-medium text-slate-700">
+            <KeyRound className="h-3.5 w-3.5 text-slate-400" />
+            Also open with a password
+          </span>
+          <span className="block text-xs text-slate-500">
+            For people without a Seal account. Anyone with the password can open the file.
+          </span>
+        </span>
+      </label>
+
+      <AnimatePresence>
+        {enabled && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-3 space-y-2 overflow-hidden"
+          >
+            <div className="relative">
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={password}
+                onChange={(e) => onPasswordChange(e.target.value)}
+                disabled={disabled}
+                autoComplete="new-password"
+                placeholder={`At least ${MIN_FILE_PASSWORD_LENGTH} characters`}
+                className="w-full rounded-lg border border-slate-200 px-3 py-2 pr-24 font-mono text-sm text-slate-900 placeholder:font-sans placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+              />
+              <div className="absolute right-2 top-1/2 flex -translate-y-1/2 items-center gap-1 text-slate-400">
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="rounded p-1 hover:text-slate-600"
+                  aria-label={showPassword ? 'Hide password' : 'Show password'}
+                >
+                  {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onPasswordChange(generatePassword())}
+                  className="rounded p-1 hover:text-slate-600"
+                  aria-label="Generate a new password"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  disabled={!password}
+                  className="rounded p-1 hover:text-slate-600"
+                  aria-label="Copy password"
+                >
+                  {copied ? <Check className="h-4 w-4 text-success" /> : <Copy className="h-4 w-4" />}
+                </button>
+              </div>
+            </div>
+            {tooShort ? (
+              <p className="text-xs text-error">
+                Use at least {MIN_FILE_PASSWORD_LENGTH} characters.
+              </p>
+            ) : (
+              <p className="text-xs text-slate-500">
+                Share it by phone or chat, never in the same email as the file.
+              </p>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
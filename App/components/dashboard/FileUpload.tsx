@@ -1,57 +1,117 @@
 'use client';
 
-import { useCallback, useRef, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Upload, File, X, AlertCircle } from 'lucide-react';
-import { formatFileSize } from '@/lib/crypto';
+import { Upload, File, FolderOpen, Plus, X, AlertCircle } from 'lucide-react';
+import { formatFileSize, type BundleInputFile } from '@/lib/crypto';
 
-const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB free tier
+const MAX_FILE_SIZE = 4 * 1024 * 1024 * 1024; // 4GB in total; files are encrypted in chunks, streamed from disk
 
 interface FileUploadProps {
-  file: File | null;
-  onFileSelect: (file: File | null) => void;
+  /** Selected files with their path in the bundle (folder-relative, or just the name) */
+  files: BundleInputFile[];
+  onFilesChange: (files: BundleInputFile[]) => void;
   disabled?: boolean;
 }
 
-export default function FileUpload({ file, onFileSelect, disabled }: FileUploadProps) {
+// Walk a dropped folder, collecting every file with its path from the folder
+async function readDroppedEntry(entry: FileSystemEntry): Promise<BundleInputFile[]> {
+  const path = entry.fullPath.replace(/^\//, '');
+
+  if (entry.isFile) {
+    const file = await new Promise<File>((resolve, reject) =>
+      (entry as FileSystemFileEntry).file(resolve, reject)
+    );
+    return [{ file, path }];
+  }
+
+  // readEntries returns the children in batches until it returns none
+  const reader = (entry as FileSystemDirectoryEntry).createReader();
+  const children: FileSystemEntry[] = [];
+  for (;;) {
+    const batch = await new Promise<FileSystemEntry[]>((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+
+  const files: BundleInputFile[] = [];
+  for (const child of children) {
+    files.push(...(await readDroppedEntry(child)));
+  }
+  return files;
+}
+
+export default function FileUpload({ files, onFilesChange, disabled }: FileUploadProps) {
   const [isDragging, setIsDragging] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const inputRef = useRef<HTMLInputElement>(null);
+  const folderInputRef = useRef<HTMLInputElement>(null);
 
-  const validateFile = useCallback((f: File): string | null => {
-    if (f.size > MAX_FILE_SIZE) {
-      return `File too large (${formatFileSize(f.size)}). Free tier limit is 5MB.`;
+  // React does not type the non-standard folder picker attribute
+  useEffect(() => {
+    folderInputRef.current?.setAttribute('webkitdirectory', '');
+  }, []);
+
+  const totalSize = files.reduce((sum, f) => sum + f.file.size, 0);
+
+  const validateFiles = useCallback((selected: BundleInputFile[]): string | null => {
+    const total = selected.reduce((sum, f) => sum + f.file.size, 0);
+    if (total > MAX_FILE_SIZE) {
+      return `Files too large (${formatFileSize(total)}). Maximum size is 4GB in total.`;
+    }
+    if (total === 0) {
+      return selected.length === 1 ? 'File is empty.' : 'Files are empty.';
     }
-    if (f.size === 0) {
-      return 'File is empty.';
+    if (new Set(selected.map((f) => f.path)).size !== selected.length) {
+      return 'Two files have the same name. Rename one or put them in separate folders.';
     }
     return null;
   }, []);
 
-  const handleFile = useCallback(
-    (f: File) => {
-      const validationError = validateFile(f);
+  const addFiles = useCallback(
+    (added: BundleInputFile[]) => {
+      if (added.length === 0) return;
+      const next = [...files, ...added];
+      const validationError = validateFiles(next);
       if (validationError) {
         setError(validationError);
-        onFileSelect(null);
         return;
       }
       setError(null);
-      onFileSelect(f);
+      onFilesChange(next);
     },
-    [validateFile, onFileSelect]
+    [files, validateFiles, onFilesChange]
   );
 
   const handleDrop = useCallback(
-    (e: React.DragEvent) => {
+    async (e: React.DragEvent) => {
       e.preventDefault();
       setIsDragging(false);
       if (disabled) return;
 
-      const droppedFile = e.dataTransfer.files[0];
-      if (droppedFile) handleFile(droppedFile);
+      // Read the entries before awaiting: the drop data is only valid during the event
+      const entries = Array.from(e.dataTransfer.items)
+        .map((item) => item.webkitGetAsEntry?.())
+        .filter((entry): entry is FileSystemEntry => !!entry);
+
+      if (entries.length === 0) {
+        addFiles(Array.from(e.dataTransfer.files).map((file) => ({ file, path: file.name })));
+        return;
+      }
+
+      try {
+        const dropped: BundleInputFile[] = [];
+        for (const entry of entries) {
+          dropped.push(...(await readDroppedEntry(entry)));
+        }
+        addFiles(dropped);
+      } catch {
+        setError('Could not read the dropped folder.');
+      }
     },
-    [disabled, handleFile]
+    [disabled, addFiles]
   );
 
   const handleDragOver = useCallback(
@@ -69,18 +129,21 @@ export default function FileUpload({ file, onFileSelect, disabled }: FileUploadP
 
   const handleInputChange = useCallback(
     (e: React.ChangeEvent<HTMLInputElement>) => {
-      const selectedFile = e.target.files?.[0];
-      if (selectedFile) handleFile(selectedFile);
+      const selected = Array.from(e.target.files ?? []);
+      addFiles(selected.map((file) => ({ file, path: file.webkitRelativePath || file.name })));
       // Reset input so the same file can be re-selected
       e.target.value = '';
     },
-    [handleFile]
+    [addFiles]
   );
 
-  const removeFile = useCallback(() => {
-    onFileSelect(null);
-    setError(null);
-  }, [onFileSelect]);
+  const removeFile = useCallback(
+    (path: string) => {
+      onFilesChange(files.filter((f) => f.path !== path));
+      setError(null);
+    },
+    [files, onFilesChange]
+  );
 
   // File type icon color
   const getFileColor = (name: string) => {
@@ -96,11 +159,27 @@ export default function FileUpload({ file, onFileSelect, disabled }: FileUploadP
   return (
     <div className="space-y-3">
       <label className="block text-sm font-medium text-slate-700">
-        File to encrypt
+        Files to encrypt
       </label>
 
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        className="hidden"
+        onChange={handleInputChange}
+        disabled={disabled}
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        className="hidden"
+        onChange={handleInputChange}
+        disabled={disabled}
+      />
+
       <AnimatePresence mode="wait">
-        {!file ? (
+        {files.length === 0 ? (
           <motion.div
             key="dropzone"
             initial={{ opacity: 0, y: 10 }}
@@ -122,13 +201,6 @@ export default function FileUpload({ file, onFileSelect, disabled }: FileUploadP
               }
             `}
           >
-            <input
-              ref={inputRef}
-              type="file"
-              className="hidden"
-              onChange={handleInputChange}
-              disabled={disabled}
-            />
             <div
               className={`mb-3 rounded-full p-3 ${
                 isDragging ? 'bg-primary-100' : 'bg-slate-100'
@@ -141,10 +213,20 @@ export default function FileUpload({ file, onFileSelect, disabled }: FileUploadP
               />
             </div>
             <p className="text-sm font-medium text-slate-700">
-              {isDragging ? 'Drop file here' : 'Drag & drop a file, or click to select'}
+              {isDragging ? 'Drop files here' : 'Drag & drop files or a folder, or click to select'}
             </p>
             <p className="mt-1 text-xs text-slate-500">
-              Max 5MB &middot; Any file type
+              Max 4GB &middot; Any file type &middot;{' '}
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  if (!disabled) folderInputRef.current?.click();
+                }}
+                className="font-medium text-primary hover:underline"
+              >
+                Select a folder
+              </button>
             </p>
           </motion.div>
         ) : (
@@ -153,31 +235,59 @@ export default function FileUpload({ file, onFileSelect, disabled }: FileUploadP
             initial={{ opacity: 0, scale: 0.95 }}
             animate={{ opacity: 1, scale: 1 }}
             exit={{ opacity: 0, scale: 0.95 }}
-            className="flex items-center gap-3 rounded-xl border border-slate-200 bg-slate-50 p-4"
+            onDrop={handleDrop}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            className={`rounded-xl border bg-slate-50 ${
+              isDragging ? 'border-primary' : 'border-slate-200'
+            }`}
           >
-            <div className={`flex-shrink-0 ${getFileColor(file.name)}`}>
-              <File className="h-8 w-8" />
-            </div>
-            <div className="min-w-0 flex-1">
-              <p className="truncate text-sm font-medium text-slate-900">
-                {file.name}
-              </p>
-              <p className="text-xs text-slate-500">
-                {formatFileSize(file.size)}
-              </p>
+            <ul className="max-h-[220px] divide-y divide-slate-100 overflow-auto">
+              {files.map((f) => (
+                <li key={f.path} className="flex items-center gap-3 px-4 py-2.5">
+                  <div className={`flex-shrink-0 ${getFileColor(f.file.name)}`}>
+                    <File className="h-6 w-6" />
+                  </div>
+                  <div className="min-w-0 flex-1">
+                    <p className="truncate text-sm font-medium text-slate-900">{f.path}</p>
+                    <p className="text-xs text-slate-500">{formatFileSize(f.file.size)}</p>
+                  </div>
+                  {!disabled && (
+                    <button
+                      onClick={() => removeFile(f.path)}
+                      className="flex-shrink-0 rounded-lg p-1.5 text-slate-400 hover:bg-slate-200 hover:text-slate-600 transition-colors"
+                      aria-label={`Remove ${f.path}`}
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex items-center justify-between border-t border-slate-200 px-4 py-2">
+              <span className="text-xs text-slate-500">
+                {files.length} {files.length === 1 ? 'file' : 'files'} &middot; {formatFileSize(totalSize)}
+              </span>
+              {!disabled && (
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => inputRef.current?.click()}
+                    className="flex items-center gap-1 text-xs font-medium text-primary hover:underline"
+                  >
+                    <Plus className="h-3.5 w-3.5" />
+                    Add files
+                  </button>
+                  <button
+                    onClick={() => folderInputRef.current?.click()}
+                    className="flex items-center gap-1 text-xs font-medium text-primary hover:underline"
+                  >
+                    <FolderOpen className="h-3.5 w-3.5" />
+                    Add folder
+                  </button>
+                </div>
+              )}
             </div>
-            {!disabled && (
-              <button
-                onClick={(e) => {
-                  e.stopPropagation();
-                  removeFile();
-                }}
-                className="flex-shrink-0 rounded-lg p-1.5 text-slate-400 hover:bg-slate-200 hover:text-slate-600 transition-colors"
-                aria-label="Remove file"
-              >
-                <X className="h-4 w-4" />
-              </button>
-            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -2,17 +2,39 @@
 
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Search, X, UserCheck, UserX, AlertCircle, Users } from 'lucide-react';
+import { Search, X, UserCheck, UserX, AlertCircle, Users, ShieldCheck, ShieldAlert, ShieldQuestion } from 'lucide-react';
 import { searchUsers, type SealUser } from '@/lib/supabase/client';
+import { keyIdFor, safetyNumberFor } from '@/lib/crypto';
+import {
+  keyVerification,
+  markKeyVerified,
+  clearKeyVerification,
+  type KeyVerification,
+} from '@/lib/verified-keys';
+import VerifyKeyPanel from './VerifyKeyPanel';
 
 const MAX_RECIPIENTS = 3; // Free tier
 
 export interface Recipient {
   email: string;
   publicKey: string;
+  /** The recipient has a Seal account and a public key */
   verified: boolean;
 }
 
+// What the user needs to compare a recipient's key out of band
+interface RecipientKey {
+  keyId: string;
+  safetyNumber: string;
+  verification: KeyVerification;
+}
+
+const VERIFICATION_BADGES = {
+  verified: { icon: ShieldCheck, label: 'Key verified', className: 'text-success' },
+  unverified: { icon: ShieldQuestion, label: 'Key not verified', className: 'text-slate-400' },
+  changed: { icon: ShieldAlert, label: 'Key changed since you verified it', className: 'text-warning' },
+};
+
 interface RecipientSelectorProps {
   recipients: Recipient[];
   onRecipientsChange: (recipients: Recipient[]) => void;
@@ -32,6 +54,45 @@ export default function RecipientSelector({
   const inputRef = useRef<HTMLInputElement>(null);
   const containerRef = useRef<HTMLDivElement>(null);
   const debounceRef = useRef<NodeJS.Timeout>();
+  const [keys, setKeys] = useState<Record<string, RecipientKey>>({});
+  const [verifying, setVerifying] = useState<string>();
+
+  // Fingerprint each recipient's key and look up whether the user verified it
+  useEffect(() => {
+    const owner = localStorage.getItem('seal_user_email') || '';
+    let cancelled = false;
+    Promise.all(
+      recipients.map(async (r) => {
+        const keyId = await keyIdFor(r.publicKey);
+        return [r.email, {
+          keyId,
+          safetyNumber: await safetyNumberFor(r.publicKey),
+          verification: keyVerification(owner, r.email, keyId),
+        }] as const;
+      })
+    ).then((entries) => {
+      if (!cancelled) setKeys(Object.fromEntries(entries));
+    }).catch(() => {
+      // Keys that cannot be parsed fail at encryption time with a clearer error
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [recipients]);
+
+  const setVerification = useCallback((email: string, verified: boolean) => {
+    const key = keys[email];
+    if (!key) return;
+    const owner = localStorage.getItem('seal_user_email') || '';
+    if (verified) markKeyVerified(owner, email, key.keyId);
+    else clearKeyVerification(owner, email);
+    setKeys((prev) => ({
+      ...prev,
+      [email]: { ...key, verification: keyVerification(owner, email, key.keyId) },
+    }));
+  }, [keys]);
+
+  const changedKeys = recipients.filter((r) => keys[r.email]?.verification === 'changed');
 
   // Close suggestions on outside click
   useEffect(() => {
@@ -108,9 +169,10 @@ export default function RecipientSelector({
   const removeRecipient = useCallback(
     (email: string) => {
       onRecipientsChange(recipients.filter((r) => r.email !== email));
+      if (verifying === email) setVerifying(undefined);
       setError(null);
     },
-    [recipients, onRecipientsChange]
+    [recipients, onRecipientsChange, verifying]
   );
 
   // Handle enter key to add email directly (if typed manually)
@@ -125,7 +187,7 @@ export default function RecipientSelector({
         if (match) {
           addRecipient(match);
         } else {
-          setError('User not found on Seal. They need an account to receive files.');
+          setError('User not found on Seal. Add a file password below to send to people without an account.');
         }
       }
     },
@@ -160,6 +222,19 @@ export default function RecipientSelector({
               >
                 <UserCheck className="h-3.5 w-3.5 text-primary" />
                 <span className="text-primary-dark font-medium">{r.email}</span>
+                {keys[r.email] && (() => {
+                  const badge = VERIFICATION_BADGES[keys[r.email].verification];
+                  return (
+                    <button
+                      onClick={() => setVerifying(verifying === r.email ? undefined : r.email)}
+                      className={`rounded-full p-0.5 hover:bg-primary-100 transition-colors ${badge.className}`}
+                      title={`${badge.label}. Click to compare safety numbers.`}
+                      aria-label={`${badge.label} for ${r.email}`}
+                    >
+                      <badge.icon className="h-3.5 w-3.5" />
+                    </button>
+                  );
+                })()}
                 {!disabled && (
                   <button
                     onClick={() => removeRecipient(r.email)}
@@ -175,6 +250,31 @@ export default function RecipientSelector({
         )}
       </AnimatePresence>
 
+      {/* Out-of-band key check for one recipient */}
+      <AnimatePresence>
+        {verifying && keys[verifying] && (
+          <VerifyKeyPanel
+            key={verifying}
+            email={verifying}
+            safetyNumber={keys[verifying].safetyNumber}
+            verification={keys[verifying].verification}
+            onVerify={() => setVerification(verifying, true)}
+            onUnverify={() => setVerification(verifying, false)}
+            onClose={() => setVerifying(undefined)}
+          />
+        )}
+      </AnimatePresence>
+
+      {changedKeys.length > 0 && !verifying && (
+        <div className="flex items-start gap-2 text-sm text-warning">
+          <ShieldAlert className="mt-0.5 h-4 w-4 flex-shrink-0" />
+          <span>
+            {changedKeys.map((r) => r.email).join(', ')}: key changed since you verified it.
+            Compare safety numbers again before sending.
+          </span>
+        </div>
+      )}
+
       {/* Search input */}
       <div ref={containerRef} className="relative">
         <div className="relative">
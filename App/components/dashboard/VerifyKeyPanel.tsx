@@ -0,0 +1,174 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { ShieldCheck, ShieldAlert, ScanLine, X } from 'lucide-react';
+import type { KeyVerification } from '@/lib/verified-keys';
+
+// Chromium's shape detection API; not in TypeScript's DOM types yet
+interface BarcodeDetectorLike {
+  detect(source: HTMLVideoElement): Promise<{ rawValue: string }[]>;
+}
+type BarcodeDetectorConstructor = new (options: { formats: string[] }) => BarcodeDetectorLike;
+
+function barcodeDetector(): BarcodeDetectorConstructor | undefined {
+  return (window as unknown as { BarcodeDetector?: BarcodeDetectorConstructor }).BarcodeDetector;
+}
+
+interface VerifyKeyPanelProps {
+  email: string;
+  safetyNumber: string;
+  verification: KeyVerification;
+  onVerify: () => void;
+  onUnverify: () => void;
+  onClose: () => void;
+}
+
+/**
+ * Compare a contact's safety number with the one in their Seal settings,
+ * read aloud or scanned from their QR code, then mark the key verified
+ */
+export default function VerifyKeyPanel({
+  email,
+  safetyNumber,
+  verification,
+  onVerify,
+  onUnverify,
+  onClose,
+}: VerifyKeyPanelProps) {
+  const [scanning, setScanning] = useState(false);
+  const [scanError, setScanError] = useState<string>();
+  const [canScan, setCanScan] = useState(false);
+  const videoRef = useRef<HTMLVideoElement>(null);
+  // The scan loop outlives renders; read the latest callback
+  const onVerifyRef = useRef(onVerify);
+  onVerifyRef.current = onVerify;
+
+  useEffect(() => {
+    setCanScan(!!barcodeDetector() && !!navigator.mediaDevices?.getUserMedia);
+  }, []);
+
+  // Scan until their code is found, the panel closes or scanning stops
+  useEffect(() => {
+    if (!scanning) return;
+    const Detector = barcodeDetector();
+    if (!Detector) return;
+
+    let stream: MediaStream | undefined;
+    let stopped = false;
+    const detector = new Detector({ formats: ['qr_code'] });
+
+    async function scan() {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped || !videoRef.current) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        while (!stopped) {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0) {
+            const scanned = codes[0].rawValue.replace(/\D/g, '');
+            if (scanned === safetyNumber.replace(/\D/g, '')) {
+              onVerifyRef.current();
+              setScanning(false);
+            } else {
+              setScanError(`This code does not match the key Seal has for ${email}. Do not send them files until you find out why.`);
+              setScanning(false);
+            }
+            return;
+          }
+          await new Promise((resolve) => setTimeout(resolve, 300));
+        }
+      } catch {
+        setScanError('Could not use the camera. Compare the numbers instead.');
+        setScanning(false);
+      }
+    }
+
+    scan();
+    return () => {
+      stopped = true;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [scanning, safetyNumber, email]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className="overflow-hidden rounded-lg border border-slate-200 bg-slate-50 p-4"
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="text-sm font-medium text-slate-900">Safety number for {email}</p>
+          <p className="mt-0.5 text-xs text-slate-500">
+            Ask them to open Settings in Seal and compare, in person or on a call you trust.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="rounded p-1 text-slate-400 hover:text-slate-600"
+          aria-label="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <p className="mt-3 font-mono text-lg tracking-wider text-slate-900">{safetyNumber}</p>
+
+      {verification === 'changed' && (
+        <p className="mt-3 flex items-start gap-2 text-xs text-warning">
+          <ShieldAlert className="mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+          Their key changed since you verified it. They may have rotated their keys, or someone may
+          be intercepting files sent to them. Verify again before sending.
+        </p>
+      )}
+
+      {scanning && (
+        <video ref={videoRef} muted playsInline className="mt-3 w-full max-w-xs rounded-lg bg-black" />
+      )}
+      {scanError && <p className="mt-3 text-xs text-error">{scanError}</p>}
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        {verification === 'verified' ? (
+          <>
+            <span className="flex items-center gap-1.5 text-sm font-medium text-success">
+              <ShieldCheck className="h-4 w-4" />
+              Verified
+            </span>
+            <button
+              onClick={onUnverify}
+              className="ml-auto text-xs text-slate-500 hover:text-slate-700 hover:underline"
+            >
+              Mark as unverified
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              onClick={onVerify}
+              className="flex items-center gap-1.5 rounded-lg bg-primary px-3 py-1.5 text-sm font-medium text-white hover:bg-primary-600 transition-colors"
+            >
+              <ShieldCheck className="h-3.5 w-3.5" />
+              The numbers match
+            </button>
+            {canScan && (
+              <button
+                onClick={() => {
+                  setScanError(undefined);
+                  setScanning(!scanning);
+                }}
+                className="flex items-center gap-1.5 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 transition-colors"
+              >
+                <ScanLine className="h-3.5 w-3.5" />
+                {scanning ? 'Stop scanning' : 'Scan their QR code'}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+}
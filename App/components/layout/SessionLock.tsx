@@ -0,0 +1,50 @@
+'use client';
+
+import { useEffect } from 'react';
+import { loadSessionKeys, touchSession } from '@/lib/session-keys';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll'] as const;
+
+// Record activity at most this often; the lock is measured in minutes
+const TOUCH_INTERVAL_MS = 30 * 1000;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps the session's unlocked keys alive while the user is active and wipes
+ * them once it has been idle for SESSION_LOCK_MINUTES (see lib/session-keys.ts).
+ * Renders nothing.
+ */
+export default function SessionLock() {
+  useEffect(() => {
+    // Plain-text keys left behind by earlier versions
+    sessionStorage.removeItem('seal_private_key');
+    sessionStorage.removeItem('seal_signing_key');
+    localStorage.removeItem('seal_private_key');
+
+    let lastTouch = 0;
+    const onActivity = () => {
+      if (Date.now() - lastTouch < TOUCH_INTERVAL_MS) return;
+      lastTouch = Date.now();
+      touchSession().catch(() => {});
+    };
+
+    // Also catches a browser that slept or was closed past the timeout
+    const check = () => {
+      loadSessionKeys().catch(() => {});
+    };
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+
+    for (const event of ACTIVITY_EVENTS) {
+      window.addEventListener(event, onActivity, { passive: true });
+    }
+    return () => {
+      clearInterval(timer);
+      for (const event of ACTIVITY_EVENTS) {
+        window.removeEventListener(event, onActivity);
+      }
+    };
+  }, []);
+
+  return null;
+}
@@ -0,0 +1,47 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Gauge } from 'lucide-react';
+import type { KdfParams } from '@/lib/crypto';
+
+interface KdfStatusData {
+  accounts: number;
+  legacy: number;
+  current: KdfParams;
+}
+
+/**
+ * For administrators: how many accounts still have private keys stored with
+ * older KDF parameters. Renders nothing for everyone else.
+ */
+export default function KdfStatus() {
+  const [status, setStatus] = useState<KdfStatusData>();
+
+  useEffect(() => {
+    fetch('/api/admin/kdf')
+      .then((res) => (res.ok ? res.json() : undefined))
+      .then(setStatus)
+      .catch(() => {});
+  }, []);
+
+  if (!status) return null;
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <h2 className="flex items-center gap-2 text-base font-semibold text-slate-900">
+        <Gauge className="h-4 w-4 text-primary" />
+        Key encryption upgrades
+      </h2>
+      <p className="mt-1 text-sm text-slate-500">
+        Private keys are re-encrypted with {status.current.algorithm} at{' '}
+        {status.current.iterations.toLocaleString()} iterations when their owner next logs in.
+      </p>
+      <p className="mt-4 text-sm text-slate-600">
+        <span className={status.legacy ? 'font-medium text-warning' : 'font-medium text-success'}>
+          {status.legacy.toLocaleString()}
+        </span>{' '}
+        of {status.accounts.toLocaleString()} accounts still use older parameters.
+      </p>
+    </section>
+  );
+}
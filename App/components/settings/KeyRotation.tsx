@@ -0,0 +1,292 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { KeyRound, RefreshCw, Loader2, AlertCircle, CheckCircle2, Archive } from 'lucide-react';
+import { generateKeyPair, keyIdFor, safetyNumberFor, type KdfParams, type PasswordEncrypted } from '@/lib/crypto';
+import { refreshRecoveryKeyring } from '@/lib/recovery';
+import { storeSessionKeys } from '@/lib/session-keys';
+import { unlockKeyring, type StoredKeys } from '@/lib/stored-keys';
+import QrCode from './QrCode';
+
+type SealCryptoGlobal = Record<string, (...args: unknown[]) => unknown>;
+
+interface KeySummary {
+  keyId: string;
+  retiredAt?: string;
+}
+
+interface CurrentKey extends KeySummary {
+  safetyNumber: string;
+}
+
+// Key IDs are read aloud and compared by eye; group them in fours
+function formatKeyId(keyId: string): string {
+  return keyId.match(/.{1,4}/g)?.join(' ') ?? keyId;
+}
+
+/**
+ * Shows the account's current and retired encryption keys and replaces the
+ * key pair. The current key's safety number and QR code let contacts verify
+ * it out of band. Retired private keys stay encrypted under the account
+ * password, so files sealed for them keep opening in the viewer. The
+ * recovery copy of the keys gets the new key too.
+ */
+interface KeyRotationProps {
+  /** Bumped when another section changed the keys; reloads them */
+  keysVersion: number;
+  onKeysChanged: () => void;
+}
+
+export default function KeyRotation({ keysVersion, onKeysChanged }: KeyRotationProps) {
+  const [keys, setKeys] = useState<StoredKeys>();
+  const [current, setCurrent] = useState<CurrentKey>();
+  const [retired, setRetired] = useState<KeySummary[]>([]);
+  const [loadError, setLoadError] = useState<string>();
+
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [rotating, setRotating] = useState(false);
+  const [error, setError] = useState<string>();
+  const [rotated, setRotated] = useState(false);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const res = await fetch('/api/users/keys');
+      if (!res.ok) throw new Error('Could not load your keys');
+      const { keys: loaded } = (await res.json()) as { keys: StoredKeys };
+      setKeys(loaded);
+      setCurrent({
+        keyId: await keyIdFor(loaded.publicKey),
+        safetyNumber: await safetyNumberFor(loaded.publicKey),
+      });
+      setRetired(
+        await Promise.all(
+          loaded.retiredKeys.map(async (k) => ({ keyId: await keyIdFor(k.publicKey), retiredAt: k.retiredAt }))
+        )
+      );
+      setLoadError(undefined);
+    } catch (err) {
+      setLoadError(err instanceof Error ? err.message : 'Could not load your keys');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys, keysVersion]);
+
+  async function handleRotate(e: React.FormEvent) {
+    e.preventDefault();
+    if (!keys || !password || rotating) return;
+    setRotating(true);
+    setError(undefined);
+
+    try {
+      const sc = (window as unknown as { SealCrypto: SealCryptoGlobal }).SealCrypto;
+      if (!sc) throw new Error('Crypto library not loaded');
+
+      // Unlocking the current key checks the password before anything changes.
+      // With a recovery code every key is unlocked, to rebuild its keyring.
+      let keyring;
+      try {
+        if (keys.recovery) {
+          keyring = await unlockKeyring(keys, password);
+        } else {
+          await sc.decryptPrivateKeyWithPassword(keys.encryptedPrivateKey, password, keys.salt, keys.iv, keys.kdf);
+        }
+      } catch {
+        throw new Error('Incorrect password. Please try again.');
+      }
+
+      const { publicKey, privateKey } = await generateKeyPair();
+      const encrypted = (await sc.encryptPrivateKeyWithPassword(privateKey, password)) as {
+        encryptedKey: string;
+        salt: string;
+        iv: string;
+        kdf: KdfParams;
+      };
+
+      let recoveryKeyring: PasswordEncrypted | undefined;
+      if (keys.recovery && keyring) {
+        recoveryKeyring = await refreshRecoveryKeyring(keys.recovery, password, {
+          ...keyring,
+          publicKey,
+          privateKey,
+          retiredKeys: [...keyring.retiredKeys, { publicKey: keyring.publicKey, privateKey: keyring.privateKey }],
+        });
+      }
+
+      const res = await fetch('/api/users/keys/rotate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          currentPublicKey: keys.publicKey,
+          publicKey,
+          encryptedPrivateKey: encrypted.encryptedKey,
+          salt: encrypted.salt,
+          iv: encrypted.iv,
+          kdf: encrypted.kdf,
+          recoveryCreatedAt: keys.recovery?.createdAt,
+          recoveryKeyring,
+        }),
+      });
+      if (!res.ok) {
+        const { error: rotateError } = await res.json().catch(() => ({ error: undefined }));
+        throw new Error(rotateError || 'Could not rotate your keys');
+      }
+
+      // Files opened later this session use the new key
+      await storeSessionKeys(privateKey);
+
+      setRotated(true);
+      setConfirming(false);
+      setPassword('');
+      onKeysChanged();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not rotate your keys');
+    } finally {
+      setRotating(false);
+    }
+  }
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="flex items-center gap-2 text-base font-semibold text-slate-900">
+            <KeyRound className="h-4 w-4 text-primary" />
+            Encryption keys
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">
+            Files sent to you are sealed for your current key. Rotate it if you think it may have
+            been exposed; files sent earlier still open with your retired keys.
+          </p>
+        </div>
+        {!confirming && (
+          <button
+            onClick={() => {
+              setConfirming(true);
+              setRotated(false);
+            }}
+            disabled={!keys}
+            className="flex flex-shrink-0 items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className="h-3.5 w-3.5" />
+            Rotate keys
+          </button>
+        )}
+      </div>
+
+      {loadError && (
+        <p className="mt-4 flex items-center gap-2 text-sm text-error">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          {loadError}
+        </p>
+      )}
+
+      {current && (
+        <div className="mt-5 flex flex-wrap items-start gap-5">
+          <QrCode value={current.safetyNumber} label={`QR code of your safety number ${current.safetyNumber}`} />
+          <dl className="min-w-0 flex-1 space-y-3 text-sm">
+            <div>
+              <dt className="text-xs font-medium uppercase tracking-wide text-slate-400">Your safety number</dt>
+              <dd className="mt-1 font-mono text-lg tracking-wider text-slate-900">{current.safetyNumber}</dd>
+              <dd className="mt-1 text-xs text-slate-500">
+                Contacts compare this with what Seal shows them for you, or scan the code, to
+                make sure files they seal reach you and nobody else.
+              </dd>
+            </div>
+            <div>
+              <dt className="text-xs font-medium uppercase tracking-wide text-slate-400">Current key</dt>
+              <dd className="mt-1 font-mono text-slate-900">{formatKeyId(current.keyId)}</dd>
+            </div>
+            {retired.length > 0 && (
+              <div>
+                <dt className="text-xs font-medium uppercase tracking-wide text-slate-400">Retired keys</dt>
+                {[...retired].reverse().map((k) => (
+                  <dd key={k.keyId} className="mt-1 flex items-center gap-2 text-slate-600">
+                    <Archive className="h-3.5 w-3.5 flex-shrink-0 text-slate-400" />
+                    <span className="font-mono">{formatKeyId(k.keyId)}</span>
+                    {k.retiredAt && (
+                      <span className="text-xs text-slate-400">
+                        retired {new Date(k.retiredAt).toLocaleDateString()}
+                      </span>
+                    )}
+                  </dd>
+                ))}
+              </div>
+            )}
+          </dl>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {rotated && (
+          <motion.p
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-4 flex items-center gap-2 text-sm text-success"
+          >
+            <CheckCircle2 className="h-4 w-4 flex-shrink-0" />
+            Keys rotated. New files will be sealed for your new key.
+          </motion.p>
+        )}
+
+        {confirming && (
+          <motion.form
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            onSubmit={handleRotate}
+            className="mt-5 space-y-3 overflow-hidden border-t border-slate-100 pt-5"
+          >
+            <label htmlFor="rotate-password" className="block text-sm font-medium text-slate-700">
+              Confirm with your password
+            </label>
+            <input
+              id="rotate-password"
+              type="password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={rotating}
+              autoComplete="current-password"
+              autoFocus
+              className="w-full rounded-lg border border-slate-200 px-3 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+              placeholder="Enter your password"
+            />
+            {error && (
+              <p className="flex items-center gap-2 text-sm text-error">
+                <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                {error}
+              </p>
+            )}
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => {
+                  setConfirming(false);
+                  setPassword('');
+                  setError(undefined);
+                }}
+                disabled={rotating}
+                className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!password || rotating}
+                className="flex items-center gap-1.5 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary-600 transition-colors disabled:opacity-60"
+              >
+                {rotating && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+                Rotate keys
+              </button>
+            </div>
+          </motion.form>
+        )}
+      </AnimatePresence>
+    </section>
+  );
+}
@@ -0,0 +1,41 @@
+'use client';
+
+import { useMemo } from 'react';
+import { qrMatrix } from '@/lib/qr';
+
+interface QrCodeProps {
+  /** Digits to encode (spaces are dropped) */
+  value: string;
+  size?: number;
+  label: string;
+}
+
+// Modules of light border the spec asks for around the code
+const QUIET_ZONE = 4;
+
+export default function QrCode({ value, size = 160, label }: QrCodeProps) {
+  const matrix = useMemo(() => qrMatrix(value.replace(/\s/g, '')), [value]);
+  const dimension = matrix.length + QUIET_ZONE * 2;
+
+  // One path for all dark modules keeps the SVG small
+  const path = matrix
+    .flatMap((row, y) =>
+      row.map((dark, x) => (dark ? `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z` : ''))
+    )
+    .join('');
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${dimension} ${dimension}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={label}
+      className="rounded-lg border border-slate-200"
+    >
+      <rect width={dimension} height={dimension} fill="#fff" />
+      <path d={path} fill="#0f172a" />
+    </svg>
+  );
+}
@@ -0,0 +1,205 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { LifeBuoy, Loader2, AlertCircle, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { createRecovery } from '@/lib/recovery';
+import { unlockKeyring, type StoredKeys } from '@/lib/stored-keys';
+import RecoveryCodeSheet from './RecoveryCodeSheet';
+
+interface RecoveryCodeProps {
+  email: string;
+  /** Bumped when another section changed the keys; reloads them */
+  keysVersion: number;
+  onKeysChanged: () => void;
+}
+
+/**
+ * Whether the account has a recovery code, and a way to replace it (or set
+ * one up for accounts created before recovery codes). Replacing needs the
+ * password: the new code gets a fresh copy of every private key.
+ */
+export default function RecoveryCode({ email, keysVersion, onKeysChanged }: RecoveryCodeProps) {
+  const [keys, setKeys] = useState<StoredKeys>();
+  const [loadError, setLoadError] = useState<string>();
+
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState<string>();
+  const [newCode, setNewCode] = useState<string>();
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const res = await fetch('/api/users/keys');
+      if (!res.ok) throw new Error('Could not load your keys');
+      const { keys: loaded } = (await res.json()) as { keys: StoredKeys };
+      setKeys(loaded);
+      setLoadError(undefined);
+    } catch (err) {
+      setLoadError(err instanceof Error ? err.message : 'Could not load your keys');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys, keysVersion]);
+
+  async function handleCreate(e: React.FormEvent) {
+    e.preventDefault();
+    if (!keys || !password || working) return;
+    setWorking(true);
+    setError(undefined);
+
+    try {
+      let keyring;
+      try {
+        keyring = await unlockKeyring(keys, password);
+      } catch {
+        throw new Error('Incorrect password. Please try again.');
+      }
+
+      const { code, record } = await createRecovery(keyring, password);
+      const res = await fetch('/api/users/recovery', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPublicKey: keys.publicKey, recovery: record }),
+      });
+      if (!res.ok) {
+        const { error: saveError } = await res.json().catch(() => ({ error: undefined }));
+        throw new Error(saveError || 'Could not save your recovery code');
+      }
+
+      setNewCode(code);
+      setConfirming(false);
+      setPassword('');
+      onKeysChanged();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not create a recovery code');
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="flex items-center gap-2 text-base font-semibold text-slate-900">
+            <LifeBuoy className="h-4 w-4 text-primary" />
+            Recovery code
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">
+            If you forget your password, the recovery code gets your encryption keys back
+            after you reset it. Making a new code stops the old one from working.
+          </p>
+        </div>
+        {!confirming && !newCode && (
+          <button
+            onClick={() => setConfirming(true)}
+            disabled={!keys}
+            className="flex flex-shrink-0 items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors disabled:opacity-50"
+          >
+            {keys?.recovery ? 'New code' : 'Set up'}
+          </button>
+        )}
+      </div>
+
+      {loadError && (
+        <p className="mt-4 flex items-center gap-2 text-sm text-error">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          {loadError}
+        </p>
+      )}
+
+      {keys && !newCode && (
+        keys.recovery ? (
+          <p className="mt-4 flex items-center gap-2 text-sm text-slate-600">
+            <CheckCircle2 className="h-4 w-4 flex-shrink-0 text-success" />
+            Created {new Date(keys.recovery.createdAt).toLocaleDateString()}
+          </p>
+        ) : (
+          <p className="mt-4 flex items-center gap-2 text-sm text-warning">
+            <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+            Not set up. If you forget your password, files sealed for you cannot be opened.
+          </p>
+        )
+      )}
+
+      <AnimatePresence>
+        {newCode && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-5 space-y-3 overflow-hidden border-t border-slate-100 pt-5"
+          >
+            <RecoveryCodeSheet code={newCode} email={email} />
+            <div className="flex justify-end">
+              <button
+                onClick={() => setNewCode(undefined)}
+                className="rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary-600 transition-colors"
+              >
+                I saved it
+              </button>
+            </div>
+          </motion.div>
+        )}
+
+        {confirming && (
+          <motion.form
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            onSubmit={handleCreate}
+            className="mt-5 space-y-3 overflow-hidden border-t border-slate-100 pt-5"
+          >
+            <label htmlFor="recovery-password" className="block text-sm font-medium text-slate-700">
+              Confirm with your password
+            </label>
+            <input
+              id="recovery-password"
+              type="password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={working}
+              autoComplete="current-password"
+              autoFocus
+              className="w-full rounded-lg border border-slate-200 px-3 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+              placeholder="Enter your password"
+            />
+            {error && (
+              <p className="flex items-center gap-2 text-sm text-error">
+                <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                {error}
+              </p>
+            )}
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => {
+                  setConfirming(false);
+                  setPassword('');
+                  setError(undefined);
+                }}
+                disabled={working}
+                className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!password || working}
+                className="flex items-center gap-1.5 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary-600 transition-colors disabled:opacity-60"
+              >
+                {working && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+                {keys?.recovery ? 'Make new code' : 'Make code'}
+              </button>
+            </div>
+          </motion.form>
+        )}
+      </AnimatePresence>
+    </section>
+  );
+}
@@ -0,0 +1,112 @@
+'use client';
+
+import { useState } from 'react';
+import { Download, Printer, Copy, Check, AlertTriangle } from 'lucide-react';
+
+interface RecoveryCodeSheetProps {
+  code: string;
+  email: string;
+}
+
+function recoveryText(code: string, email: string): string {
+  return [
+    'Seal recovery code',
+    '',
+    `Account: ${email}`,
+    `Created: ${new Date().toLocaleDateString()}`,
+    '',
+    code,
+    '',
+    'If you forget your password, reset it and enter this code to get your',
+    'encryption keys back. Without it, files sealed for you cannot be opened.',
+    'Anyone with this code and access to your email can read your files:',
+    'keep it somewhere safe and offline.',
+  ].join('\n');
+}
+
+/**
+ * A recovery code, shown once, with ways to keep a copy. Seal cannot show
+ * the code again; only a new one can be made.
+ */
+export default function RecoveryCodeSheet({ code, email }: RecoveryCodeSheetProps) {
+  const [copied, setCopied] = useState(false);
+
+  function handleDownload() {
+    const blob = new Blob([recoveryText(code, email)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'seal-recovery-code.txt';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Print from a blank frame so only the code sheet reaches the printer
+  function handlePrint() {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+    const doc = frame.contentDocument;
+    const win = frame.contentWindow;
+    if (!doc || !win) {
+      frame.remove();
+      return;
+    }
+    const sheet = doc.createElement('pre');
+    sheet.style.font = '14px/1.6 ui-monospace, monospace';
+    sheet.textContent = recoveryText(code, email);
+    doc.body.appendChild(sheet);
+    win.addEventListener('afterprint', () => frame.remove());
+    win.print();
+  }
+
+  async function handleCopy() {
+    await navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="rounded-lg bg-slate-50 px-4 py-3 text-center font-mono text-base tracking-wider text-slate-900 break-words">
+        {code}
+      </p>
+      <p className="flex items-start gap-2 text-xs text-warning">
+        <AlertTriangle className="mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+        This is the only time Seal shows this code. If you forget your password and lose the
+        code, files sealed for you cannot be opened.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors"
+        >
+          <Download className="h-3.5 w-3.5" />
+          Download
+        </button>
+        <button
+          type="button"
+          onClick={handlePrint}
+          className="flex items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors"
+        >
+          <Printer className="h-3.5 w-3.5" />
+          Print
+        </button>
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 transition-colors"
+        >
+          {copied ? <Check className="h-3.5 w-3.5 text-success" /> : <Copy className="h-3.5 w-3.5" />}
+          Copy
+        </button>
+      </div>
+    </div>
+  );
+}
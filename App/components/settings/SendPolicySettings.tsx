@@ -0,0 +1,196 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { ShieldAlert, Loader2, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { DEFAULT_SEND_POLICY, type SendPolicy } from '@/lib/send-policy';
+
+interface SendPolicyData {
+  domain: string;
+  policy: SendPolicy | null;
+  updatedAt: string | null;
+  canEdit: boolean;
+}
+
+const LIST_FIELDS = [
+  {
+    key: 'extensions',
+    label: 'Sensitive file types',
+    hint: 'Extensions without the dot, e.g. xlsx, csv, pdf',
+  },
+  {
+    key: 'filenamePatterns',
+    label: 'Sensitive file names',
+    hint: 'Words in the file name, e.g. payroll or contract*2024',
+  },
+  {
+    key: 'internalDomains',
+    label: 'Internal domains',
+    hint: 'Recipients here are not external. Your own domain always counts.',
+  },
+] as const;
+
+type ListKey = (typeof LIST_FIELDS)[number]['key'];
+
+function splitList(text: string): string[] {
+  return text
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * For administrators: the send guard policy of their organization (email
+ * domain). The extension flags unsealed attachments that match it before a
+ * message goes to an external recipient. Renders nothing for everyone else.
+ */
+export default function SendPolicySettings() {
+  const [data, setData] = useState<SendPolicyData>();
+  const [enabled, setEnabled] = useState(true);
+  const [lists, setLists] = useState<Record<ListKey, string>>({
+    extensions: '',
+    filenamePatterns: '',
+    internalDomains: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string>();
+  const [saved, setSaved] = useState(false);
+
+  function showPolicy(policy: SendPolicy) {
+    setEnabled(policy.enabled);
+    setLists({
+      extensions: policy.extensions.join(', '),
+      filenamePatterns: policy.filenamePatterns.join(', '),
+      internalDomains: policy.internalDomains.join(', '),
+    });
+  }
+
+  useEffect(() => {
+    fetch('/api/org/send-policy')
+      .then((res) => (res.ok ? res.json() : undefined))
+      .then((loaded: SendPolicyData | undefined) => {
+        if (!loaded?.canEdit) return;
+        setData(loaded);
+        showPolicy(loaded.policy ?? DEFAULT_SEND_POLICY);
+      })
+      .catch(() => {});
+  }, []);
+
+  async function save(policy: SendPolicy | null) {
+    setSaving(true);
+    setError(undefined);
+    setSaved(false);
+
+    try {
+      const res = await fetch('/api/org/send-policy', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ policy }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || 'Could not save the send policy');
+
+      setData((current) => current && { ...current, policy: body.policy, updatedAt: new Date().toISOString() });
+      showPolicy(body.policy ?? DEFAULT_SEND_POLICY);
+      setSaved(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not save the send policy');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function handleSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    save({
+      enabled,
+      extensions: splitList(lists.extensions),
+      filenamePatterns: splitList(lists.filenamePatterns),
+      internalDomains: splitList(lists.internalDomains),
+    });
+  }
+
+  if (!data) return null;
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <h2 className="flex items-center gap-2 text-base font-semibold text-slate-900">
+        <ShieldAlert className="h-4 w-4 text-primary" />
+        Send guard for {data.domain}
+      </h2>
+      <p className="mt-1 text-sm text-slate-500">
+        The Seal extension stops Gmail from sending matching attachments unsealed to recipients
+        outside your organization, and offers to seal them first. This policy replaces the
+        extension settings of everyone at {data.domain}.
+      </p>
+      <p className="mt-3 text-xs text-slate-400">
+        {data.policy
+          ? `Policy set ${data.updatedAt ? new Date(data.updatedAt).toLocaleDateString() : ''}`
+          : 'No policy set. Members use their own extension settings.'}
+      </p>
+
+      <form onSubmit={handleSubmit} className="mt-5 space-y-4 border-t border-slate-100 pt-5">
+        <label className="flex cursor-pointer items-center gap-3">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            disabled={saving}
+            className="h-4 w-4 rounded border-slate-300 text-primary focus:ring-primary/20"
+          />
+          <span className="text-sm font-medium text-slate-700">Check attachments when sending</span>
+        </label>
+
+        {LIST_FIELDS.map((field) => (
+          <div key={field.key}>
+            <label htmlFor={`send-policy-${field.key}`} className="block text-sm font-medium text-slate-700">
+              {field.label}
+            </label>
+            <textarea
+              id={`send-policy-${field.key}`}
+              rows={2}
+              value={lists[field.key]}
+              onChange={(e) => setLists((current) => ({ ...current, [field.key]: e.target.value }))}
+              disabled={saving || !enabled}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 disabled:opacity-60"
+            />
+            <p className="mt-1 text-xs text-slate-500">{field.hint}</p>
+          </div>
+        ))}
+
+        {error && (
+          <p className="flex items-center gap-2 text-sm text-error">
+            <AlertCircle className="h-4 w-4 flex-shrink-0" />
+            {error}
+          </p>
+        )}
+        {saved && !error && (
+          <p className="flex items-center gap-2 text-sm text-success">
+            <CheckCircle2 className="h-4 w-4 flex-shrink-0" />
+            Saved. Extensions pick it up within the hour.
+          </p>
+        )}
+
+        <div className="flex justify-end gap-3">
+          {data.policy && (
+            <button
+              type="button"
+              onClick={() => save(null)}
+              disabled={saving}
+              className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors"
+            >
+              Remove policy
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center gap-1.5 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary-600 transition-colors disabled:opacity-60"
+          >
+            {saving && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+            Save policy
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,193 @@
+'use client';
+
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Archive, ChevronDown, ChevronRight, File, Folder, Loader2 } from 'lucide-react';
+import { formatFileSize } from '@/lib/crypto';
+import type { BundleEntry } from '@/lib/crypto';
+import { createZip } from '@/lib/zip';
+import FileViewer from './FileViewer';
+
+interface BundleViewerProps {
+  entries: BundleEntry[];
+  /** The bundle's name (the sealed folder, or "N files") */
+  name: string;
+}
+
+interface TreeFolder {
+  name: string;
+  path: string;
+  folders: TreeFolder[];
+  files: BundleEntry[];
+}
+
+function baseName(path: string): string {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Turn the flat manifest into nested folders, keeping the sender's order
+function buildTree(entries: BundleEntry[]): TreeFolder {
+  const root: TreeFolder = { name: '', path: '', folders: [], files: [] };
+  for (const entry of entries) {
+    const segments = entry.path.split('/');
+    let folder = root;
+    for (const segment of segments.slice(0, -1)) {
+      const path = folder.path ? `${folder.path}/${segment}` : segment;
+      let child = folder.folders.find((f) => f.name === segment);
+      if (!child) {
+        child = { name: segment, path, folders: [], files: [] };
+        folder.folders.push(child);
+      }
+      folder = child;
+    }
+    folder.files.push(entry);
+  }
+  return root;
+}
+
+function FolderNode({
+  folder,
+  depth,
+  selected,
+  onSelect,
+}: {
+  folder: TreeFolder;
+  depth: number;
+  selected: BundleEntry;
+  onSelect: (entry: BundleEntry) => void;
+}) {
+  const [open, setOpen] = useState(true);
+  const indent = { paddingLeft: `${depth * 16 + 12}px` };
+
+  return (
+    <div>
+      {folder.path && (
+        <button
+          onClick={() => setOpen(!open)}
+          style={indent}
+          className="flex w-full items-center gap-1.5 py-1.5 pr-3 text-left text-sm text-slate-700 hover:bg-slate-50"
+        >
+          {open ? (
+            <ChevronDown className="h-3.5 w-3.5 flex-shrink-0 text-slate-400" />
+          ) : (
+            <ChevronRight className="h-3.5 w-3.5 flex-shrink-0 text-slate-400" />
+          )}
+          <Folder className="h-4 w-4 flex-shrink-0 text-slate-500" />
+          <span className="truncate">{folder.name}</span>
+        </button>
+      )}
+
+      {open && (
+        <>
+          {folder.folders.map((child) => (
+            <FolderNode
+              key={child.path}
+              folder={child}
+              depth={folder.path ? depth + 1 : depth}
+              selected={selected}
+              onSelect={onSelect}
+            />
+          ))}
+          {folder.files.map((entry) => (
+            <button
+              key={entry.path}
+              onClick={() => onSelect(entry)}
+              style={{ paddingLeft: `${(folder.path ? depth + 1 : depth) * 16 + 32}px` }}
+              className={`flex w-full items-center gap-1.5 py-1.5 pr-3 text-left text-sm transition-colors ${
+                entry === selected
+                  ? 'bg-primary-50 font-medium text-primary-dark'
+                  : 'text-slate-700 hover:bg-slate-50'
+              }`}
+            >
+              <File className="h-4 w-4 flex-shrink-0 text-slate-400" />
+              <span className="truncate">{baseName(entry.path)}</span>
+              <span className="ml-auto flex-shrink-0 text-xs text-slate-400">
+                {formatFileSize(entry.size)}
+              </span>
+            </button>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Browse a decrypted bundle: a folder tree beside a preview of the selected file
+ */
+export default function BundleViewer({ entries, name }: BundleViewerProps) {
+  const tree = useMemo(() => buildTree(entries), [entries]);
+  const [selected, setSelected] = useState(entries[0]);
+  const [zipping, setZipping] = useState(false);
+  const [zipError, setZipError] = useState('');
+
+  async function handleDownloadAll() {
+    setZipping(true);
+    setZipError('');
+    try {
+      const zip = await createZip(entries);
+      const url = URL.createObjectURL(zip);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${name}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setZipError(err instanceof Error ? err.message : 'Could not create the zip');
+    } finally {
+      setZipping(false);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        className="rounded-xl border border-slate-200 bg-white overflow-hidden"
+      >
+        {/* Toolbar */}
+        <div className="flex items-center justify-between border-b border-slate-100 px-4 py-3">
+          <div className="flex items-center gap-2 min-w-0">
+            <Folder className="h-4 w-4 flex-shrink-0 text-slate-500" />
+            <span className="truncate text-sm font-medium text-slate-900">{name}</span>
+            <span className="flex-shrink-0 text-xs text-slate-400">
+              {entries.length} {entries.length === 1 ? 'file' : 'files'}
+            </span>
+          </div>
+          <button
+            onClick={handleDownloadAll}
+            disabled={zipping}
+            className="flex items-center gap-1.5 rounded-lg bg-primary px-3 py-1.5 text-sm font-medium text-white hover:bg-primary-600 transition-colors disabled:opacity-60"
+          >
+            {zipping ? (
+              <Loader2 className="h-3.5 w-3.5 animate-spin" />
+            ) : (
+              <Archive className="h-3.5 w-3.5" />
+            )}
+            Download all as zip
+          </button>
+        </div>
+
+        {zipError && (
+          <p className="border-b border-slate-100 bg-error/10 px-4 py-2 text-xs text-error">{zipError}</p>
+        )}
+
+        {/* Folder tree */}
+        <div className="max-h-[240px] overflow-auto py-1">
+          <FolderNode folder={tree} depth={0} selected={selected} onSelect={setSelected} />
+        </div>
+      </motion.div>
+
+      {/* Preview of the selected file, with its own download */}
+      <FileViewer
+        key={selected.path}
+        data={selected.data}
+        fileName={baseName(selected.path)}
+        fileType={selected.type}
+      />
+    </div>
+  );
+}
@@ -1,11 +1,68 @@
 'use client';
 
-import { Shield, FileText, Clock, User, Calendar, HardDrive } from 'lucide-react';
-import { formatFileSize } from '@/lib/crypto';
-import type { SealFileResult } from '@/lib/crypto';
+import { Shield, ShieldCheck, ShieldAlert, ShieldX, FileText, Clock, User, Calendar, HardDrive, EyeOff } from 'lucide-react';
+import { formatFileSize, PASSWORD_KEY_WRAPPING } from '@/lib/crypto';
+import type { SealFileResult, SealMetadata, SignatureResult } from '@/lib/crypto';
 
 interface FileInfoProps {
   sealFile: SealFileResult;
+  /** Set once decrypted: the real details, including any hidden from the header */
+  metadata?: SealMetadata;
+  /** Set once decrypted: whether the details below were verified against the ciphertext */
+  headerVerified?: boolean;
+  /** Set once decrypted: the outcome of checking the sender's signature */
+  signature?: SignatureResult;
+}
+
+function SignatureBadge({ signature }: { signature: SignatureResult }) {
+  switch (signature.status) {
+    case 'valid':
+      return (
+        <div className="mt-4 flex items-center gap-2 rounded-lg bg-success/10 px-3 py-2">
+          <ShieldCheck className="h-4 w-4 text-success" />
+          <span className="text-xs text-success">
+            Signed by {signature.signer} &#10003;
+          </span>
+        </div>
+      );
+    case 'invalid':
+      return (
+        <div className="mt-4 flex items-start gap-2 rounded-lg border border-error bg-error/10 px-3 py-2">
+          <ShieldX className="mt-0.5 h-4 w-4 flex-shrink-0 text-error" />
+          <div>
+            <p className="text-sm font-semibold text-error">Signature does not match</p>
+            <p className="text-xs text-error">
+              This file claims to be from {signature.signer}, but the signature is not theirs or
+              the file was altered. Do not trust its contents.
+            </p>
+          </div>
+        </div>
+      );
+    case 'unknown-signer':
+      return (
+        <div className="mt-4 flex items-center gap-2 rounded-lg bg-warning/10 px-3 py-2">
+          <ShieldAlert className="h-4 w-4 text-warning" />
+          <span className="text-xs text-warning">
+            Claims to be from {signature.signer} &middot; No signing key on file to verify it
+          </span>
+        </div>
+      );
+    default:
+      // Anyone who can open the file can strip its signature, so an unsigned
+      // file gets as much attention as a bad signature
+      return (
+        <div role="alert" className="mt-4 flex items-start gap-2 rounded-lg border border-warning bg-warning/10 px-3 py-2">
+          <ShieldAlert className="mt-0.5 h-4 w-4 flex-shrink-0 text-warning" />
+          <div>
+            <p className="text-sm font-semibold text-warning">Unsigned file: the sender cannot be verified</p>
+            <p className="text-xs text-warning">
+              Anyone who can open this file, another recipient included, could have made or changed
+              it. Check with the sender before you trust its contents.
+            </p>
+          </div>
+        </div>
+      );
+  }
 }
 
 function formatDate(iso: string): string {
@@ -34,10 +91,16 @@ function getTimeRemaining(expiresAt: string): { label: string; urgent: boolean }
   return { label: 'Less than 1 hour remaining', urgent: true };
 }
 
-export default function FileInfo({ sealFile }: FileInfoProps) {
-  const { metadata, recipients } = sealFile;
+export default function FileInfo({ sealFile, metadata: revealed, headerVerified, signature }: FileInfoProps) {
+  const { recipients } = sealFile;
+  const metadata = revealed ?? sealFile.metadata;
+  const isHidden = !!metadata.hidden && !revealed;
   const expiry = metadata.expiresAt ? getTimeRemaining(metadata.expiresAt) : null;
   const isExpired = metadata.expiresAt && new Date(metadata.expiresAt).getTime() < Date.now();
+  // Hidden recipients' entries have no email; only how many there are shows
+  const hiddenCount = sealFile.metadata.hiddenRecipients
+    ? recipients.filter((r) => r.keyWrapping !== PASSWORD_KEY_WRAPPING).length
+    : 0;
 
   return (
     <div className="rounded-xl border border-slate-200 bg-white p-5">
@@ -49,7 +112,16 @@ export default function FileInfo({ sealFile }: FileInfoProps) {
           <FileText className="mt-0.5 h-4 w-4 flex-shrink-0 text-slate-400" />
           <div>
             <p className="text-xs text-slate-500">Filename</p>
-            <p className="text-sm font-medium text-slate-900 break-all">{metadata.filename}</p>
+            {isHidden ? (
+              <p className="text-sm italic text-slate-500">Hidden until opened</p>
+            ) : (
+              <p className="text-sm font-medium text-slate-900 break-all">{metadata.originalName}</p>
+            )}
+            {metadata.entries && (
+              <p className="text-xs text-slate-500">
+                Bundle of {metadata.entries.length} {metadata.entries.length === 1 ? 'file' : 'files'}
+              </p>
+            )}
           </div>
         </div>
 
@@ -58,7 +130,11 @@ export default function FileInfo({ sealFile }: FileInfoProps) {
           <HardDrive className="mt-0.5 h-4 w-4 flex-shrink-0 text-slate-400" />
           <div>
             <p className="text-xs text-slate-500">Size</p>
-            <p className="text-sm text-slate-700">{formatFileSize(metadata.size)}</p>
+            {metadata.originalSize === null ? (
+              <p className="text-sm italic text-slate-500">Hidden until opened</p>
+            ) : (
+              <p className="text-sm text-slate-700">{formatFileSize(metadata.originalSize)}</p>
+            )}
           </div>
         </div>
 
@@ -67,7 +143,7 @@ export default function FileInfo({ sealFile }: FileInfoProps) {
           <Calendar className="mt-0.5 h-4 w-4 flex-shrink-0 text-slate-400" />
           <div>
             <p className="text-xs text-slate-500">Sent</p>
-            <p className="text-sm text-slate-700">{formatDate(metadata.timestamp)}</p>
+            <p className="text-sm text-slate-700">{formatDate(metadata.encryptedAt)}</p>
           </div>
         </div>
 
@@ -96,14 +172,57 @@ export default function FileInfo({ sealFile }: FileInfoProps) {
           <div>
             <p className="text-xs text-slate-500">Recipients</p>
             <div className="mt-0.5 space-y-0.5">
-              {recipients.map((r) => (
-                <p key={r.email} className="text-sm text-slate-700">{r.email}</p>
-              ))}
+              {hiddenCount > 0 && (
+                <p className="text-sm italic text-slate-500">
+                  Hidden &middot; {hiddenCount} {hiddenCount === 1 ? 'recipient' : 'recipients'}
+                </p>
+              )}
+              {recipients.map((r) =>
+                r.email ? (
+                  <p key={r.email} className="text-sm text-slate-700">{r.email}</p>
+                ) : r.keyWrapping === PASSWORD_KEY_WRAPPING ? (
+                  <p key="password" className="text-sm italic text-slate-500">
+                    Anyone with the file password
+                  </p>
+                ) : null
+              )}
             </div>
           </div>
         </div>
       </div>
 
+      {/* Header integrity */}
+      {headerVerified !== undefined && (
+        headerVerified ? (
+          <div className="mt-4 flex items-center gap-2 rounded-lg bg-success/10 px-3 py-2">
+            <ShieldCheck className="h-4 w-4 text-success" />
+            <span className="text-xs text-success">
+              Details verified &middot; Unchanged since the sender sealed this file
+            </span>
+          </div>
+        ) : (
+          <div className="mt-4 flex items-center gap-2 rounded-lg bg-warning/10 px-3 py-2">
+            <ShieldAlert className="h-4 w-4 text-warning" />
+            <span className="text-xs text-warning">
+              Details not verified &middot; Sealed with an older version of Seal
+            </span>
+          </div>
+        )
+      )}
+
+      {/* Hidden details */}
+      {sealFile.metadata.hidden && (
+        <div className="mt-4 flex items-center gap-2 rounded-lg bg-slate-50 px-3 py-2">
+          <EyeOff className="h-4 w-4 text-slate-500" />
+          <span className="text-xs text-slate-600">
+            Name hidden &middot; Only recipients can see the file name and type
+          </span>
+        </div>
+      )}
+
+      {/* Sender signature */}
+      {signature && <SignatureBadge signature={signature} />}
+
       {/* Security badge */}
       <div className="mt-4 flex items-center gap-2 rounded-lg bg-primary-50/50 px-3 py-2">
         <Shield className="h-4 w-4 text-primary" />
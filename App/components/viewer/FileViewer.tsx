@@ -6,7 +6,7 @@ import { Download, FileText, Image as ImageIcon, Film, Music, Code, File } from
 import { formatFileSize } from '@/lib/crypto';
 
 interface FileViewerProps {
-  data: ArrayBuffer;
+  data: Blob;
   fileName: string;
   fileType: string;
 }
@@ -43,7 +43,10 @@ export default function FileViewer({ data, fileName, fileType }: FileViewerProps
   const [objectUrl, setObjectUrl] = useState<string>();
   const [textContent, setTextContent] = useState<string>();
 
-  const blob = useMemo(() => new Blob([data], { type: fileType }), [data, fileType]);
+  const blob = useMemo(
+    () => (data.type === fileType ? data : new Blob([data], { type: fileType })),
+    [data, fileType]
+  );
 
   useEffect(() => {
     const url = URL.createObjectURL(blob);
@@ -80,7 +83,7 @@ export default function FileViewer({ data, fileName, fileType }: FileViewerProps
         <div className="flex items-center gap-2 min-w-0">
           <ViewerIcon className="h-4 w-4 flex-shrink-0 text-slate-500" />
           <span className="truncate text-sm font-medium text-slate-900">{fileName}</span>
-          <span className="flex-shrink-0 text-xs text-slate-400">{formatFileSize(data.byteLength)}</span>
+          <span className="flex-shrink-0 text-xs text-slate-400">{formatFileSize(data.size)}</span>
         </div>
         <button
           onClick={handleDownload}
@@ -5,11 +5,13 @@ import { motion } from 'framer-motion';
 import { Lock, Eye, EyeOff, Loader2, AlertCircle } from 'lucide-react';
 
 interface PasswordPromptProps {
+  /** 'account' unlocks the user's private key; 'file' opens a password-sealed file without logging in */
+  mode?: 'account' | 'file';
   onSubmit: (password: string) => Promise<void>;
   error?: string;
 }
 
-export default function PasswordPrompt({ onSubmit, error }: PasswordPromptProps) {
+export default function PasswordPrompt({ mode = 'account', onSubmit, error }: PasswordPromptProps) {
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -38,11 +40,12 @@ export default function PasswordPrompt({ onSubmit, error }: PasswordPromptProps)
             <Lock className="h-7 w-7 text-primary" />
           </div>
           <h3 className="text-lg font-semibold text-slate-900">
-            Enter your password
+            {mode === 'file' ? 'Enter the file password' : 'Enter your password'}
           </h3>
           <p className="mt-2 text-sm text-slate-500">
-            Your private key is encrypted with your account password.
-            Enter it to decrypt this file.
+            {mode === 'file'
+              ? 'This file is protected with a password. Enter the password the sender shared with you.'
+              : 'Your private key is encrypted with your account password. Enter it to decrypt this file.'}
           </p>
         </div>
 
@@ -70,7 +73,7 @@ export default function PasswordPrompt({ onSubmit, error }: PasswordPromptProps)
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 className="w-full rounded-lg border border-slate-200 px-3 py-2.5 pr-10 text-sm text-slate-900 placeholder:text-slate-400 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-                placeholder="Enter your password"
+                placeholder={mode === 'file' ? 'Enter the file password' : 'Enter your password'}
                 autoFocus
               />
               <button
@@ -3,9 +3,10 @@
 import { useState, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { FileKey, Upload, AlertCircle } from 'lucide-react';
+import { readSealFileHeader, type SealFileResult } from '@/lib/crypto';
 
 interface SealFileUploadProps {
-  onFileLoaded: (sealData: unknown, rawFile: File) => void;
+  onFileLoaded: (sealData: SealFileResult, rawFile: File) => void;
   disabled?: boolean;
 }
 
@@ -23,20 +24,16 @@ export default function SealFileUpload({ onFileLoaded, disabled }: SealFileUploa
         return;
       }
 
+      let parsed: SealFileResult;
       try {
-        const text = await file.text();
-        const parsed = JSON.parse(text);
-
-        // Basic validation
-        if (!parsed.version || !parsed.encryptedData || !parsed.iv || !parsed.recipients) {
-          setError('Invalid .seal file — missing required fields');
-          return;
-        }
-
-        onFileLoaded(parsed, file);
+        // Only the header is read here; the payload is decrypted later, chunk by chunk
+        parsed = await readSealFileHeader(file);
       } catch {
-        setError('Could not parse .seal file — it may be corrupted');
+        setError('Could not read .seal file — it may be corrupted or incomplete');
+        return;
       }
+
+      onFileLoaded(parsed, file);
     },
     [onFileLoaded]
   );
@@ -3,10 +3,38 @@ import { createClient } from '@supabase/supabase-js';
 import { cookies } from 'next/headers';
 import type { NextRequest } from 'next/server';
 
+/** How the session was signed in (the access token's amr claim) */
+export interface AuthMethod {
+  method: string;
+  timestamp: number;
+}
+
 export interface AuthResult {
   authenticated: boolean;
   userId?: string;
   email?: string;
+  authMethods?: AuthMethod[];
+}
+
+// The token was checked by getUser; this only reads its claims
+function authMethodsOf(token: string | undefined): AuthMethod[] {
+  try {
+    const payload = JSON.parse(Buffer.from(token!.split('.')[1], 'base64url').toString());
+    return Array.isArray(payload.amr) ? payload.amr : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether the session came from a password reset link opened within the
+ * last maxAgeSeconds
+ */
+export function recentlyRecovered(auth: AuthResult, maxAgeSeconds: number): boolean {
+  const now = Date.now() / 1000;
+  return (auth.authMethods ?? []).some(
+    ({ method, timestamp }) => method === 'recovery' && now - timestamp < maxAgeSeconds
+  );
 }
 
 /**
@@ -48,6 +76,7 @@ async function authenticateWithToken(token: string): Promise<AuthResult> {
     authenticated: true,
     userId: user.id,
     email: user.email,
+    authMethods: authMethodsOf(token),
   };
 }
 
@@ -59,13 +88,28 @@ async function authenticateWithCookies(): Promise<AuthResult> {
     if (error || !user) {
       return { authenticated: false };
     }
+    const { data: { session } } = await supabase.auth.getSession();
 
     return {
       authenticated: true,
       userId: user.id,
       email: user.email,
+      authMethods: authMethodsOf(session?.access_token),
     };
   } catch {
     return { authenticated: false };
   }
 }
+
+/**
+ * Whether an email belongs to a Seal administrator, listed comma-separated
+ * in SEAL_ADMIN_EMAILS
+ */
+export function isAdmin(email?: string): boolean {
+  if (!email) return false;
+  const admins = (process.env.SEAL_ADMIN_EMAILS ?? '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(email.toLowerCase());
+}
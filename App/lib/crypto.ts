@@ -3,26 +3,163 @@
  * Provides typed access to the Web Crypto API encryption functions
  */
 
+// Constants and rules shared with the extension come from the shared modules
+// themselves. They are imported, not read from window like SealCrypto, so
+// they are also there on the server and during prerendering.
+import SealFormat from '../public/seal-format.js';
+import SealKeys from '../public/seal-keys.js';
+
+/**
+ * One way to unlock a file: an account recipient (email), or the password
+ * entry ('PBKDF2-SHA256-AES-KW', no email) for people without an account.
+ * Account entries of files with hidden recipients have no email or keyId.
+ */
+export interface SealRecipientEntry {
+  email?: string;
+  wrappedKey: string;
+  /** Set when this recipient's suite differs from encryption.keyWrapping */
+  keyWrapping?: string;
+  /** ECDH suites: the sender's ephemeral public key (base64 raw P-256 point) */
+  ephemeralKey?: string;
+  /** Fingerprint of the public key this entry was wrapped for (see keyIdFor) */
+  keyId?: string;
+  /** Password entry: PBKDF2 salt (base64) and iteration count */
+  salt?: string;
+  iterations?: number;
+}
+
+/** keyWrapping of the password entry */
+export const PASSWORD_KEY_WRAPPING: string = SealKeys.PASSWORD_KEY_WRAPPING;
+
+/** Shortest passphrase accepted for password-sealed files */
+export const MIN_FILE_PASSWORD_LENGTH: number = SealKeys.MIN_PASSWORD_LENGTH;
+
+/** The password entry of a file that can be opened without an account */
+export function passwordRecipient(sealFile: SealFileResult): SealRecipientEntry | undefined {
+  return sealFile.recipients.find((r) => r.keyWrapping === PASSWORD_KEY_WRAPPING);
+}
+
+/**
+ * When hidden is set the header only holds a generic name and no size; the
+ * real details are in the encrypted inner header and revealed on decryption.
+ */
+export interface SealMetadata {
+  originalName: string;
+  originalSize: number | null;
+  originalType: string;
+  encryptedAt: string;
+  expiresAt: string | null;
+  hidden?: boolean;
+  /** Account entries carry no email or keyId; recipients are found by trying their keys */
+  hiddenRecipients?: boolean;
+  /** Bundles only: the files in payload order (revealed on decryption) */
+  entries?: BundleManifestEntry[];
+}
+
+/**
+ * Several files sealed together are a bundle: originalType is BUNDLE_TYPE and
+ * the payload is the files back to back, described by an encrypted manifest.
+ */
+export const BUNDLE_TYPE: string = SealFormat.BUNDLE_TYPE;
+
+/** One file of a bundle; path is relative to the bundle, with '/' separators */
+export interface BundleManifestEntry {
+  path: string;
+  size: number;
+  type: string;
+}
+
+export interface BundleEntry extends BundleManifestEntry {
+  data: Blob;
+}
+
+/** A file to seal into a bundle, with its path inside the bundle */
+export interface BundleInputFile {
+  file: File;
+  path: string;
+}
+
+/**
+ * Hide file names, sizes and types from the .seal header and the server by
+ * default. Set NEXT_PUBLIC_SEAL_HIDE_FILE_DETAILS=false to show them.
+ */
+export const HIDE_FILE_DETAILS_DEFAULT = process.env.NEXT_PUBLIC_SEAL_HIDE_FILE_DETAILS !== 'false';
+
+/** Generic name used in place of a hidden file name */
+export const HIDDEN_FILE_NAME: string = SealFormat.HIDDEN_FILE_NAME;
+
+/**
+ * Content encryption parameters. New files use 'AES-256-GCM-STREAM'
+ * (chunkSize + noncePrefix); files sealed before chunking use 'AES-256-GCM' with one iv.
+ */
+export interface SealEncryption {
+  algorithm: string;
+  /** Default key wrapping suite: 'ECDH-P256-HKDF-SHA256' or 'RSA-OAEP-SHA256' (see public/seal-keys.js) */
+  keyWrapping: string;
+  iv?: string;
+  chunkSize?: number;
+  noncePrefix?: string;
+  /** Authenticates the header; absent on files sealed before headers were bound */
+  headerTag?: string;
+  /** Set when the content was compressed before encryption */
+  compression?: 'gzip' | 'deflate';
+}
+
+/** Names the sender who signed a .seal file; the signature bytes travel outside the header */
+export interface SealSignature {
+  signer: string;
+  algorithm: string;
+}
+
+/**
+ * A .seal file in format 2.0 (see public/seal-format.js).
+ * The payload holds the raw ciphertext; it is only base64-encoded in JSON exports.
+ * It is null when only the header has been read.
+ */
 export interface SealFileResult {
   version: string;
   fileId: string;
-  encryptedData: string;
-  iv: string;
-  recipients: { email: string; encryptedKey: string }[];
-  metadata: {
-    filename: string;
-    mimetype: string;
-    size: number;
-    timestamp: string;
-    expiresAt?: string;
-    [key: string]: unknown;
-  };
+  metadata: SealMetadata;
+  encryption: SealEncryption;
+  recipients: SealRecipientEntry[];
+  signature?: SealSignature;
+  /** Encrypted name, size and type of hidden files, and bundle manifests (base64) */
+  innerHeader?: string;
+  payload: Uint8Array | null;
+}
+
+export type ProgressCallback = (done: number, total: number) => void;
+
+/** The sender's private signing key (base64 PKCS8), used to sign new files */
+export interface SealSigner {
+  email: string;
+  /** Base64 PKCS8, or a CryptoKey from the session key store */
+  privateKey: string | CryptoKey;
+}
+
+/** Looks up a sender's published signing key (base64 SPKI), or null if they have none */
+export type SigningKeyLookup = (email: string) => Promise<string | null>;
+
+/**
+ * Outcome of checking a file's sender signature:
+ * 'unknown-signer' means the signer has no published signing key.
+ */
+export interface SignatureResult {
+  status: 'valid' | 'invalid' | 'unknown-signer' | 'unsigned';
+  signer: string | null;
 }
 
 export interface DecryptedFile {
-  data: ArrayBuffer;
+  data: Blob;
   fileName: string;
   fileType: string;
+  /** The real file details, including those hidden from the header */
+  metadata: SealMetadata;
+  /** The files of a bundle, null for a single file */
+  entries: BundleEntry[] | null;
+  /** True if the header (metadata, recipients) was verified against the ciphertext */
+  headerVerified: boolean;
+  signature: SignatureResult;
 }
 
 export interface RecipientInput {
@@ -43,33 +180,192 @@ function getSealCrypto() {
   return sc;
 }
 
+// Access SealFormat from the global scope (loaded via <script> tag)
+function getSealFormat() {
+  const sf = (window as unknown as Record<string, unknown>).SealFormat as
+    | Record<string, (...args: unknown[]) => unknown>
+    | undefined;
+  if (!sf) {
+    throw new Error(
+      'SealFormat not loaded. Ensure seal-format.js is included via <script> tag.'
+    );
+  }
+  return sf;
+}
+
+// Access SealKeys from the global scope (loaded via <script> tag)
+function getSealKeys() {
+  const sk = (window as unknown as Record<string, unknown>).SealKeys as
+    | Record<string, (...args: unknown[]) => unknown>
+    | undefined;
+  if (!sk) {
+    throw new Error(
+      'SealKeys not loaded. Ensure seal-keys.js is included via <script> tag.'
+    );
+  }
+  return sk;
+}
+
 /**
- * Create an encrypted .seal file for multiple recipients
+ * One of the user's key pairs. After a key rotation, files sent earlier are
+ * opened with the retired key their recipient entry names. privateKey may be
+ * a function so a retired key is only decrypted when a file needs it.
+ */
+export interface KeyringEntry {
+  publicKey: string;
+  privateKey: string | CryptoKey | (() => Promise<string>);
+}
+
+/**
+ * Key ID of a base64 SPKI public key: 32 hex characters, as recorded in
+ * recipient entries
+ */
+export async function keyIdFor(publicKey: string): Promise<string> {
+  return (await getSealKeys().keyIdFor(publicKey)) as string;
+}
+
+/**
+ * Safety number of a base64 SPKI public key: six groups of five digits that
+ * two people compare out of band to check Seal gave them the right key
+ */
+export async function safetyNumberFor(publicKey: string): Promise<string> {
+  return (await getSealKeys().safetyNumberFor(publicKey)) as string;
+}
+
+/**
+ * Parse a .seal file: the binary container, a JSON export, or a legacy 1.0 file
+ * Throws if the file is not a valid .seal file.
+ */
+export function parseSealFile(input: ArrayBuffer | Uint8Array | string | object): SealFileResult {
+  const sf = getSealFormat();
+  return sf.readSealFile(input) as SealFileResult;
+}
+
+/**
+ * Read just the header of a .seal file, without loading the payload into memory.
+ * JSON exports and legacy files have no separate header and are parsed whole.
+ */
+export async function readSealFileHeader(file: Blob): Promise<SealFileResult> {
+  const sf = getSealFormat();
+  const header = (await sf.readSealHeader(file)) as SealFileResult | null;
+  if (header) {
+    const { valid, errors } = sf.validateSealFile(header, { headerOnly: true }) as {
+      valid: boolean;
+      errors: string[];
+    };
+    if (!valid) throw new Error(`Invalid .seal file: ${errors.join(', ')}`);
+    return header;
+  }
+  return parseSealFile(await file.arrayBuffer());
+}
+
+/**
+ * Serialize a .seal file to the binary container for download
+ */
+export function serializeSealFile(sealFile: SealFileResult): Uint8Array {
+  const sf = getSealFormat();
+  return sf.writeSealFile(sealFile) as Uint8Array;
+}
+
+/**
+ * Export a .seal file as JSON for debugging (payload base64-encoded)
+ */
+export function exportSealFileJson(sealFile: SealFileResult): string {
+  const sf = getSealFormat();
+  return sf.exportSealJson(sealFile) as string;
+}
+
+/**
+ * hideDetails encrypts the name, size and type; compress (true for gzip, or
+ * 'deflate') compresses the content first unless it is compressed already;
+ * password lets people without an account open the file with it;
+ * hideRecipients leaves recipient emails out of the file.
+ */
+export interface SealOptions {
+  onProgress?: ProgressCallback;
+  signer?: SealSigner;
+  hideDetails?: boolean;
+  compress?: boolean | 'gzip' | 'deflate';
+  password?: string;
+  hideRecipients?: boolean;
+}
+
+/**
+ * The name a bundle of files is sealed under: the folder's name when they all
+ * come from one folder, otherwise "N files"
+ */
+export function bundleName(files: BundleInputFile[]): string {
+  const sf = getSealFormat();
+  const details = sf.bundleMetadata(
+    files.map((f) => ({ path: f.path, size: f.file.size, type: f.file.type }))
+  ) as SealMetadata;
+  return details.originalName;
+}
+
+/**
+ * Create an encrypted .seal file for multiple recipients, held in memory.
+ * Pass an array of files to seal them together as one bundle.
  */
 export async function createSealFile(
-  file: File,
+  file: File | (File | BundleInputFile)[],
   recipients: RecipientInput[],
   fileId: string,
-  metadata: { expiresAt?: string; [key: string]: unknown }
+  metadata: { expiresAt?: string },
+  options: SealOptions = {}
 ): Promise<SealFileResult> {
   const sc = getSealCrypto();
-  return (await sc.createSealFile(file, recipients, fileId, metadata)) as SealFileResult;
+  return (await sc.createSealFile(file, recipients, fileId, metadata, options)) as SealFileResult;
+}
+
+/**
+ * Create an encrypted .seal file as a stream of container bytes.
+ * The file is read and encrypted chunk by chunk as the stream is consumed.
+ * Pass an array of files to seal them together as one bundle.
+ */
+export async function createSealStream(
+  file: File | (File | BundleInputFile)[],
+  recipients: RecipientInput[],
+  fileId: string,
+  metadata: { expiresAt?: string },
+  options: SealOptions = {}
+): Promise<{ sealFile: SealFileResult; stream: ReadableStream<Uint8Array> }> {
+  const sc = getSealCrypto();
+  return (await sc.createSealStream(file, recipients, fileId, metadata, options)) as {
+    sealFile: SealFileResult;
+    stream: ReadableStream<Uint8Array>;
+  };
 }
 
 /**
- * Decrypt a .seal file for the current user
+ * Decrypt a .seal file for the current user.
+ * Pass the original File/Blob so large files are read chunk by chunk.
+ * Pass a keyring to open files sealed for a key the user has since rotated.
  */
 export async function openSealFile(
-  sealFile: SealFileResult,
+  sealFile: Blob | SealFileResult | ArrayBuffer | Uint8Array,
   userEmail: string,
-  userPrivateKeyBase64: string
+  userPrivateKey: string | CryptoKey | KeyringEntry[],
+  options: { onProgress?: ProgressCallback; signingKeyFor?: SigningKeyLookup } = {}
 ): Promise<DecryptedFile> {
   const sc = getSealCrypto();
-  return (await sc.openSealFile(sealFile, userEmail, userPrivateKeyBase64)) as DecryptedFile;
+  return (await sc.openSealFile(sealFile, userEmail, userPrivateKey, options)) as DecryptedFile;
 }
 
 /**
- * Generate an RSA-2048 key pair and export as base64 strings
+ * Decrypt a password-sealed .seal file with the password the sender shared.
+ * Needs no account; rejects with 'Incorrect password for this file'.
+ */
+export async function openSealFileWithPassword(
+  sealFile: Blob | SealFileResult | ArrayBuffer | Uint8Array,
+  password: string,
+  options: { onProgress?: ProgressCallback; signingKeyFor?: SigningKeyLookup } = {}
+): Promise<DecryptedFile> {
+  const sc = getSealCrypto();
+  return (await sc.openSealFileWithPassword(sealFile, password, options)) as DecryptedFile;
+}
+
+/**
+ * Generate an ECDH P-256 key pair for receiving files and export as base64 strings
  */
 export async function generateKeyPair(): Promise<{
   publicKey: string;
@@ -82,6 +378,87 @@ export async function generateKeyPair(): Promise<{
   return { publicKey, privateKey };
 }
 
+/** Import a base64 PKCS8 private key (either suite) as a non-extractable CryptoKey */
+export async function importPrivateKey(privateKey: string): Promise<CryptoKey> {
+  return (await getSealKeys().importPrivateKey(privateKey)) as CryptoKey;
+}
+
+/** Import a base64 PKCS8 signing key as a non-extractable CryptoKey */
+export async function importSigningKey(signingKey: string): Promise<CryptoKey> {
+  return (await getSealCrypto().importSigningKey(signingKey, 'pkcs8')) as CryptoKey;
+}
+
+/** How the key that encrypts a stored private key was derived from the password */
+export interface KdfParams {
+  algorithm: string;
+  iterations: number;
+}
+
+/** KDF for newly stored private keys */
+export const PRIVATE_KEY_KDF: KdfParams = SealKeys.PRIVATE_KEY_KDF;
+
+/**
+ * Whether a stored private key should be encrypted again with PRIVATE_KEY_KDF.
+ * Keys without recorded parameters are legacy.
+ */
+export function kdfNeedsUpgrade(kdf?: KdfParams | null): boolean {
+  return SealKeys.kdfNeedsUpgrade(kdf ?? undefined);
+}
+
+/** A secret encrypted under a password (PBKDF2 + AES-GCM), as the API stores private keys */
+export interface PasswordEncrypted {
+  encryptedKey: string;
+  salt: string;
+  iv: string;
+  /** Absent for keys stored before KDF parameters were recorded */
+  kdf?: KdfParams;
+}
+
+/** Shape check for KDF parameters sent to the API */
+export function isKdfParams(value: unknown): value is KdfParams {
+  const v = value as KdfParams | null;
+  return !!v && typeof v.algorithm === 'string' && Number.isInteger(v.iterations) && v.iterations > 0;
+}
+
+/** Shape check for password-encrypted data sent to the API */
+export function isPasswordEncrypted(value: unknown): value is PasswordEncrypted {
+  const v = value as PasswordEncrypted | null;
+  return (
+    !!v &&
+    typeof v.encryptedKey === 'string' &&
+    typeof v.salt === 'string' &&
+    typeof v.iv === 'string' &&
+    (v.kdf === undefined || isKdfParams(v.kdf))
+  );
+}
+
+/**
+ * Encrypt a private key, or any other secret string, with a password and
+ * the current KDF parameters
+ */
+export async function encryptWithPassword(
+  secret: string,
+  password: string
+): Promise<Required<PasswordEncrypted>> {
+  const sc = getSealCrypto();
+  return (await sc.encryptPrivateKeyWithPassword(secret, password)) as Required<PasswordEncrypted>;
+}
+
+/**
+ * Decrypt a secret encrypted by encryptWithPassword
+ * Throws 'Incorrect password' if the password does not match.
+ */
+export async function decryptWithPassword(data: PasswordEncrypted, password: string): Promise<string> {
+  const sc = getSealCrypto();
+  return (await sc.decryptPrivateKeyWithPassword(
+    data.encryptedKey,
+    password,
+    data.salt,
+    data.iv,
+    data.kdf
+  )) as string;
+}
+
 /**
  * Format file size for display
  */
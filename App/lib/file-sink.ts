@@ -0,0 +1,49 @@
+/**
+ * Save streamed bytes (e.g. a .seal container being encrypted) to the user's disk
+ */
+
+type SaveFilePicker = (options: {
+  suggestedName?: string;
+}) => Promise<{ createWritable(): Promise<WritableStream<Uint8Array>> }>;
+
+export type StreamSaver = (stream: ReadableStream<Uint8Array>) => Promise<void>;
+
+/**
+ * Prepare a destination for a download.
+ *
+ * Where the File System Access API is available the user picks a location up
+ * front and the stream is written straight to disk, so large files never sit
+ * in memory. Elsewhere the stream is buffered into a Blob and downloaded.
+ *
+ * Call this directly from the click handler: the save picker needs the user
+ * gesture. Rejects with an AbortError if the user cancels the picker.
+ */
+export async function openFileSink(fileName: string): Promise<StreamSaver> {
+  const picker = (window as unknown as { showSaveFilePicker?: SaveFilePicker })
+    .showSaveFilePicker;
+
+  if (picker) {
+    const handle = await picker({ suggestedName: fileName });
+    const writable = await handle.createWritable();
+    return (stream) => stream.pipeTo(writable);
+  }
+
+  return async (stream) => {
+    const blob = await new Response(stream).blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+}
+
+/**
+ * True if the error means the user dismissed the save dialog
+ */
+export function isSaveCancelled(err: unknown): boolean {
+  return err instanceof DOMException && err.name === 'AbortError';
+}
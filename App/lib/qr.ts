@@ -0,0 +1,152 @@
+/**
+ * Minimal QR code encoder for safety numbers.
+ * Only what a 30-digit number needs: numeric mode, version 1 (21x21),
+ * error correction level M (16 data + 10 EC codewords, one block), and a
+ * fixed mask. Any mask is valid for readers; scoring all eight only matters
+ * for hard-to-scan payloads, and a version 1 code is small enough either way.
+ */
+
+const SIZE = 21;
+const DATA_CODEWORDS = 16;
+const EC_CODEWORDS = 10;
+const MAX_DIGITS = 34;
+const EC_LEVEL_M = 0b00;
+const MASK = 0; // (row + column) % 2 === 0
+
+// Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x: number, y: number): number {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Reed-Solomon generator polynomial of the given degree (leading 1 dropped)
+function rsDivisor(degree: number): number[] {
+  const result = new Array<number>(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data: number[], divisor: number[]): number[] {
+  const result = new Array<number>(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ (result.shift() as number);
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// Numeric mode: mode indicator, 10-bit count, then 10 bits per three digits
+function encodeDigits(digits: string): number[] {
+  const bits: number[] = [];
+  const push = (value: number, length: number) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0001, 4);
+  push(digits.length, 10);
+  for (let i = 0; i < digits.length; i += 3) {
+    const group = digits.slice(i, i + 3);
+    push(parseInt(group, 10), group.length * 3 + 1);
+  }
+
+  // Terminator, byte alignment, then alternating pad bytes
+  const capacity = DATA_CODEWORDS * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords: number[] = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Encode up to 34 digits as a QR code
+ * @returns Rows of modules, true for dark
+ */
+export function qrMatrix(digits: string): boolean[][] {
+  if (!/^\d+$/.test(digits) || digits.length > MAX_DIGITS) {
+    throw new Error(`A QR code here holds up to ${MAX_DIGITS} digits`);
+  }
+
+  const modules = Array.from({ length: SIZE }, () => new Array<boolean>(SIZE).fill(false));
+  const isFunction = Array.from({ length: SIZE }, () => new Array<boolean>(SIZE).fill(false));
+  const setFunction = (x: number, y: number, dark: boolean) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns, then the three finder patterns with their separators
+  for (let i = 0; i < SIZE; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [SIZE - 4, 3], [3, SIZE - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= SIZE || y < 0 || y >= SIZE) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Format information: level and mask, BCH-protected, in two copies
+  const format = (EC_LEVEL_M << 3) | MASK;
+  let rem = format;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const formatBits = ((format << 10) | rem) ^ 0x5412;
+  const bit = (i: number) => ((formatBits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+  setFunction(8, 7, bit(6));
+  setFunction(8, 8, bit(7));
+  setFunction(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) setFunction(SIZE - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunction(8, SIZE - 15 + i, bit(i));
+  setFunction(8, SIZE - 8, true); // always dark
+
+  // Data and error correction, in two-column zigzags from the bottom right
+  const data = encodeDigits(digits);
+  const codewords = [...data, ...rsRemainder(data, rsDivisor(EC_CODEWORDS))];
+  let i = 0;
+  for (let right = SIZE - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < SIZE; vert++) {
+      const y = upward ? SIZE - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (isFunction[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      if (!isFunction[y][x] && (x + y) % 2 === 0) modules[y][x] = !modules[y][x];
+    }
+  }
+  return modules;
+}
@@ -0,0 +1,61 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRecovery,
+  openRecovery,
+  recoveryFromMetadata,
+  recoveryToMetadata,
+  refreshRecoveryKeyring,
+  withRecoveryKeyring,
+  type RecoveryMetadata,
+} from './recovery';
+import type { AccountKeyring } from './stored-keys';
+
+const PASSWORD = 'correct horse battery staple';
+
+function keyring(privateKey: string): AccountKeyring {
+  return { publicKey: `public-${privateKey}`, privateKey, signingPublicKey: null, signingKey: null, retiredKeys: [] };
+}
+
+let SealKeys: Record<string, unknown>;
+
+before(async () => {
+  // lib/crypto.ts uses the browser build in public/, from window
+  const load = async (file: string) => (await import(`../public/${file}`)).default;
+  SealKeys = await load('seal-keys.js');
+  Object.assign(globalThis, { window: globalThis, SealKeys, SealCrypto: await load('seal-crypto.js') });
+});
+
+// A record as stored before KDF parameters were recorded
+async function legacyRecovery(): Promise<{ code: string; meta: RecoveryMetadata }> {
+  const current = SealKeys.PRIVATE_KEY_KDF;
+  SealKeys.PRIVATE_KEY_KDF = SealKeys.LEGACY_PRIVATE_KEY_KDF;
+  try {
+    const { code, record } = await createRecovery(keyring('old'), PASSWORD);
+    const { code_kdf, password_kdf, keyring_kdf, ...meta } = recoveryToMetadata(record);
+    assert.deepEqual([code_kdf, password_kdf, keyring_kdf], Array(3).fill(SealKeys.LEGACY_PRIVATE_KEY_KDF));
+    return { code, meta };
+  } finally {
+    SealKeys.PRIVATE_KEY_KDF = current;
+  }
+}
+
+test('a legacy record refreshed after a key rotation still opens with the recovery code', async () => {
+  const { code, meta } = await legacyRecovery();
+
+  const refreshed = await refreshRecoveryKeyring(recoveryFromMetadata(meta), PASSWORD, keyring('new'));
+  const rotated = withRecoveryKeyring(meta, refreshed);
+  assert.deepEqual(rotated.keyring_kdf, SealKeys.PRIVATE_KEY_KDF);
+
+  const opened = await openRecovery(recoveryFromMetadata(rotated), code, 'new password');
+  assert.deepEqual(opened.keyring, keyring('new'));
+});
+
+test('the refreshed keyring does not open with the legacy KDF parameters', async () => {
+  const { code, meta } = await legacyRecovery();
+
+  const refreshed = await refreshRecoveryKeyring(recoveryFromMetadata(meta), PASSWORD, keyring('new'));
+  const withoutKdf = { ...withRecoveryKeyring(meta, refreshed), keyring_kdf: undefined };
+
+  await assert.rejects(openRecovery(recoveryFromMetadata(withoutKdf), code, 'new password'));
+});
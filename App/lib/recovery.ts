@@ -0,0 +1,208 @@
+/**
+ * Account recovery.
+ *
+ * At signup the user gets a recovery code, shown once. A random recovery key
+ * encrypts a second copy of their private keys (the keyring); the recovery
+ * key itself is stored twice, encrypted under the recovery code and under the
+ * account password. The password copy lets a signed-in user refresh the
+ * keyring (after a key rotation) without the code. After a password reset
+ * the code opens the keyring and the keys are encrypted again under the new
+ * password. The server only ever sees ciphertext.
+ */
+
+import {
+  decryptWithPassword,
+  encryptWithPassword,
+  isPasswordEncrypted,
+  type KdfParams,
+  type PasswordEncrypted,
+} from './crypto';
+import type { AccountKeyring } from './stored-keys';
+
+/** The recovery data of an account, as returned by GET /api/users/keys */
+export interface RecoveryRecord {
+  /** The recovery key under the recovery code */
+  byCode: PasswordEncrypted;
+  /** The recovery key under the account password */
+  byPassword: PasswordEncrypted;
+  /** AccountKeyring JSON under the recovery key */
+  keyring: PasswordEncrypted;
+  createdAt: string;
+}
+
+/** How user_metadata.recovery stores a RecoveryRecord */
+export interface RecoveryMetadata {
+  code_encrypted_key: string;
+  code_salt: string;
+  code_iv: string;
+  password_encrypted_key: string;
+  password_salt: string;
+  password_iv: string;
+  encrypted_keyring: string;
+  keyring_salt: string;
+  keyring_iv: string;
+  /** Absent on records stored before KDF parameters were recorded */
+  code_kdf?: KdfParams;
+  password_kdf?: KdfParams;
+  keyring_kdf?: KdfParams;
+  created_at: string;
+}
+
+// No 0/O, 1/l/I: the code is typed back in from paper
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const CODE_GROUPS = 8;
+const GROUP_LENGTH = 4;
+
+/**
+ * Eight groups of four random characters, about 158 bits
+ */
+export function generateRecoveryCode(): string {
+  // 32-bit values keep the modulo bias negligible
+  const values = crypto.getRandomValues(new Uint32Array(CODE_GROUPS * GROUP_LENGTH));
+  const chars = Array.from(values, (v) => CODE_ALPHABET[v % CODE_ALPHABET.length]).join('');
+  return formatRecoveryCode(chars);
+}
+
+function formatRecoveryCode(chars: string): string {
+  return chars.match(new RegExp(`.{1,${GROUP_LENGTH}}`, 'g'))?.join('-') ?? chars;
+}
+
+/**
+ * The canonical form of a recovery code as typed: case, spaces and dashes
+ * don't matter. Throws if it cannot be a recovery code.
+ */
+export function normalizeRecoveryCode(input: string): string {
+  const chars = input.toLowerCase().replace(/[\s-]/g, '');
+  if (chars.length !== CODE_GROUPS * GROUP_LENGTH || chars.split('').some((c) => !CODE_ALPHABET.includes(c))) {
+    throw new Error('That is not a Seal recovery code. Check it and try again.');
+  }
+  return formatRecoveryCode(chars);
+}
+
+/**
+ * The recovery key of a record moved from the old account password to a new
+ * one. Throws 'Incorrect password'.
+ */
+export async function rewrapRecoveryKey(
+  record: RecoveryRecord,
+  oldPassword: string,
+  newPassword: string
+): Promise<PasswordEncrypted> {
+  return encryptWithPassword(await decryptWithPassword(record.byPassword, oldPassword), newPassword);
+}
+
+function randomRecoveryKey(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(''));
+}
+
+/**
+ * Set up recovery for a keyring: a new recovery code and the record to store
+ */
+export async function createRecovery(
+  keyring: AccountKeyring,
+  password: string
+): Promise<{ code: string; record: RecoveryRecord }> {
+  const code = generateRecoveryCode();
+  const recoveryKey = randomRecoveryKey();
+  const record: RecoveryRecord = {
+    byCode: await encryptWithPassword(recoveryKey, code),
+    byPassword: await encryptWithPassword(recoveryKey, password),
+    keyring: await encryptWithPassword(JSON.stringify(keyring), recoveryKey),
+    createdAt: new Date().toISOString(),
+  };
+  return { code, record };
+}
+
+/**
+ * Encrypt an updated keyring for an existing record, unlocking the recovery
+ * key with the account password. Throws 'Incorrect password'.
+ */
+export async function refreshRecoveryKeyring(
+  record: RecoveryRecord,
+  password: string,
+  keyring: AccountKeyring
+): Promise<PasswordEncrypted> {
+  const recoveryKey = await decryptWithPassword(record.byPassword, password);
+  return encryptWithPassword(JSON.stringify(keyring), recoveryKey);
+}
+
+/**
+ * Open the keyring with the recovery code. Also returns the recovery key
+ * encrypted under newPassword, to replace byPassword after a reset.
+ */
+export async function openRecovery(
+  record: RecoveryRecord,
+  code: string,
+  newPassword: string
+): Promise<{ keyring: AccountKeyring; byPassword: PasswordEncrypted }> {
+  const normalized = normalizeRecoveryCode(code);
+  let recoveryKey: string;
+  try {
+    recoveryKey = await decryptWithPassword(record.byCode, normalized);
+  } catch {
+    throw new Error('Incorrect recovery code');
+  }
+  const keyring = JSON.parse(await decryptWithPassword(record.keyring, recoveryKey)) as AccountKeyring;
+  return { keyring, byPassword: await encryptWithPassword(recoveryKey, newPassword) };
+}
+
+/**
+ * A stored record with its keyring replaced by one from
+ * refreshRecoveryKeyring. The keyring's KDF parameters are replaced too:
+ * records stored before they were recorded would otherwise read the new
+ * keyring with the legacy default.
+ */
+export function withRecoveryKeyring(meta: RecoveryMetadata, keyring: PasswordEncrypted): RecoveryMetadata {
+  return {
+    ...meta,
+    encrypted_keyring: keyring.encryptedKey,
+    keyring_salt: keyring.salt,
+    keyring_iv: keyring.iv,
+    keyring_kdf: keyring.kdf,
+  };
+}
+
+export function recoveryToMetadata(record: RecoveryRecord): RecoveryMetadata {
+  return {
+    code_encrypted_key: record.byCode.encryptedKey,
+    code_salt: record.byCode.salt,
+    code_iv: record.byCode.iv,
+    password_encrypted_key: record.byPassword.encryptedKey,
+    password_salt: record.byPassword.salt,
+    password_iv: record.byPassword.iv,
+    encrypted_keyring: record.keyring.encryptedKey,
+    keyring_salt: record.keyring.salt,
+    keyring_iv: record.keyring.iv,
+    code_kdf: record.byCode.kdf,
+    password_kdf: record.byPassword.kdf,
+    keyring_kdf: record.keyring.kdf,
+    created_at: record.createdAt,
+  };
+}
+
+export function recoveryFromMetadata(meta: RecoveryMetadata): RecoveryRecord {
+  return {
+    byCode: { encryptedKey: meta.code_encrypted_key, salt: meta.code_salt, iv: meta.code_iv, kdf: meta.code_kdf },
+    byPassword: {
+      encryptedKey: meta.password_encrypted_key,
+      salt: meta.password_salt,
+      iv: meta.password_iv,
+      kdf: meta.password_kdf,
+    },
+    keyring: { encryptedKey: meta.encrypted_keyring, salt: meta.keyring_salt, iv: meta.keyring_iv, kdf: meta.keyring_kdf },
+    createdAt: meta.created_at,
+  };
+}
+
+/** Shape check for a RecoveryRecord sent to the API */
+export function isRecoveryRecord(value: unknown): value is RecoveryRecord {
+  const v = value as RecoveryRecord | null;
+  return (
+    !!v &&
+    isPasswordEncrypted(v.byCode) &&
+    isPasswordEncrypted(v.byPassword) &&
+    isPasswordEncrypted(v.keyring) &&
+    typeof v.createdAt === 'string'
+  );
+}
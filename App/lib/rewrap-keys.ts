@@ -0,0 +1,116 @@
+/**
+ * Server side of re-encrypting a user's private keys under a new password or
+ * newer KDF parameters, shared by /api/users/keys/rewrap (KDF upgrades),
+ * /api/users/keys/recover and /api/users/password.
+ * The key pairs themselves must not change: every public key has to match
+ * what is stored, and every stored private key has to be replaced, so no key
+ * is left behind under the old password.
+ */
+
+import { isKdfParams, isPasswordEncrypted, kdfNeedsUpgrade, type KdfParams } from './crypto';
+import type { RewrappedKeys } from './stored-keys';
+
+interface RetiredKeyRecord {
+  public_key: string;
+  encrypted_private_key: string;
+  salt: string;
+  iv: string;
+  kdf?: KdfParams;
+  retired_at: string;
+}
+
+function isRewrappedKey(value: unknown): boolean {
+  const k = value as RewrappedKeys | null;
+  return (
+    !!k &&
+    [k.publicKey, k.encryptedPrivateKey, k.salt, k.iv].every((field) => typeof field === 'string' && field) &&
+    isKdfParams(k.kdf)
+  );
+}
+
+/**
+ * Check re-encrypted keys against the stored user_metadata and build the
+ * update that replaces them, or say why they cannot be stored
+ */
+export function rewrapMetadata(
+  meta: Record<string, unknown> & { retired_keys?: RetiredKeyRecord[]; recovery?: Record<string, string> },
+  body: RewrappedKeys
+): { metadata: Record<string, unknown> } | { error: string; status: number } {
+  if (!meta.public_key || !meta.encrypted_private_key) {
+    return { error: 'Encryption keys not found', status: 404 };
+  }
+  if (!isRewrappedKey(body) || !Array.isArray(body.retiredKeys)) {
+    return { error: 'Missing required fields', status: 400 };
+  }
+
+  // The client re-encrypted a different set of keys than the one stored
+  // (a rotation or new recovery code elsewhere); replacing them would lose keys
+  const storedRetired = meta.retired_keys ?? [];
+  const stale =
+    meta.public_key !== body.publicKey ||
+    (meta.signing_public_key ?? null) !== (body.signingPublicKey ?? null) ||
+    storedRetired.length !== body.retiredKeys.length ||
+    storedRetired.some((k, i) => !isRewrappedKey(body.retiredKeys[i]) || body.retiredKeys[i].publicKey !== k.public_key) ||
+    (meta.recovery?.created_at ?? null) !== (body.recoveryCreatedAt ?? null);
+  if (stale) {
+    return { error: 'Your keys changed since this page loaded. Reload and try again.', status: 409 };
+  }
+  if (
+    (meta.signing_public_key &&
+      !(
+        isPasswordEncrypted({ encryptedKey: body.encryptedSigningKey, salt: body.signingSalt, iv: body.signingIv }) &&
+        isKdfParams(body.signingKdf)
+      )) ||
+    (meta.recovery && !isPasswordEncrypted(body.recoveryByPassword))
+  ) {
+    return { error: 'Missing required fields', status: 400 };
+  }
+
+  const metadata: Record<string, unknown> = {
+    encrypted_private_key: body.encryptedPrivateKey,
+    salt: body.salt,
+    iv: body.iv,
+    kdf: body.kdf,
+    retired_keys: storedRetired.map((k, i) => ({
+      public_key: k.public_key,
+      encrypted_private_key: body.retiredKeys[i].encryptedPrivateKey,
+      salt: body.retiredKeys[i].salt,
+      iv: body.retiredKeys[i].iv,
+      kdf: body.retiredKeys[i].kdf,
+      retired_at: k.retired_at,
+    })),
+  };
+  if (meta.signing_public_key) {
+    Object.assign(metadata, {
+      encrypted_signing_key: body.encryptedSigningKey,
+      signing_salt: body.signingSalt,
+      signing_iv: body.signingIv,
+      signing_kdf: body.signingKdf,
+    });
+  }
+  if (meta.recovery && body.recoveryByPassword) {
+    metadata.recovery = {
+      ...meta.recovery,
+      password_encrypted_key: body.recoveryByPassword.encryptedKey,
+      password_salt: body.recoveryByPassword.salt,
+      password_iv: body.recoveryByPassword.iv,
+      password_kdf: body.recoveryByPassword.kdf,
+    };
+  }
+  return { metadata };
+}
+
+/**
+ * Whether any password-encrypted key in user_metadata uses KDF parameters
+ * older than PRIVATE_KEY_KDF (see storedKeysNeedUpgrade)
+ */
+export function metadataNeedsKdfUpgrade(
+  meta: Record<string, unknown> & { retired_keys?: RetiredKeyRecord[]; recovery?: Record<string, unknown> }
+): boolean {
+  return (
+    kdfNeedsUpgrade(meta.kdf as KdfParams | undefined) ||
+    (!!meta.encrypted_signing_key && kdfNeedsUpgrade(meta.signing_kdf as KdfParams | undefined)) ||
+    (meta.retired_keys ?? []).some((k) => kdfNeedsUpgrade(k.kdf)) ||
+    (!!meta.recovery && kdfNeedsUpgrade(meta.recovery.password_kdf as KdfParams | undefined))
+  );
+}
@@ -0,0 +1,63 @@
+/**
+ * The send guard policy: which unsealed attachments the extension flags
+ * before a message goes to someone outside the organization. An organization
+ * is an email domain; Seal admins set its policy in Settings and the
+ * extension fetches it from /api/org/send-policy. Without one, the extension
+ * uses the user's own policy or its defaults (keep those in step with
+ * DEFAULT_SEND_POLICY, see extension/background.js). Policies are stored in
+ * org_send_policies (supabase/migrations).
+ */
+
+export interface SendPolicy {
+  enabled: boolean;
+  /** File extensions, lower case and without the dot */
+  extensions: string[];
+  /** Domains counted as internal besides the sender's own */
+  internalDomains: string[];
+  /** Case-insensitive filename keywords; * matches anything */
+  filenamePatterns: string[];
+}
+
+export const DEFAULT_SEND_POLICY: SendPolicy = {
+  enabled: true,
+  extensions: ['csv', 'xls', 'xlsx', 'ods', 'doc', 'docx', 'pdf', 'zip', 'sql', 'pem', 'key', 'pfx'],
+  internalDomains: [],
+  filenamePatterns: ['confidential', 'payroll', 'salary', 'passport', 'contract', 'invoice', 'tax', 'bank', 'password'],
+};
+
+const MAX_ENTRIES = 200;
+const MAX_ENTRY_LENGTH = 100;
+
+function parseList(value: unknown, normalize: (entry: string) => string): string[] | null {
+  if (!Array.isArray(value) || value.length > MAX_ENTRIES) return null;
+  const entries: string[] = [];
+  for (const entry of value) {
+    if (typeof entry !== 'string') return null;
+    const normalized = normalize(entry);
+    if (!normalized) continue;
+    if (normalized.length > MAX_ENTRY_LENGTH) return null;
+    if (!entries.includes(normalized)) entries.push(normalized);
+  }
+  return entries;
+}
+
+/**
+ * Validate and normalize a policy from a request, or null if it is not one
+ */
+export function parseSendPolicy(value: unknown): SendPolicy | null {
+  const p = value as SendPolicy | null;
+  if (!p || typeof p !== 'object' || typeof p.enabled !== 'boolean') return null;
+
+  const extensions = parseList(p.extensions, (e) => e.trim().toLowerCase().replace(/^\.+/, ''));
+  const internalDomains = parseList(p.internalDomains, (d) => d.trim().toLowerCase().replace(/^@/, ''));
+  const filenamePatterns = parseList(p.filenamePatterns, (f) => f.trim().toLowerCase());
+  if (!extensions || !internalDomains || !filenamePatterns) return null;
+  if (internalDomains.some((d) => !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(d))) return null;
+
+  return { enabled: p.enabled, extensions, internalDomains, filenamePatterns };
+}
+
+/** The organization an email address belongs to */
+export function domainOf(email: string): string {
+  return email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+}
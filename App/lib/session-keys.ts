@@ -0,0 +1,114 @@
+/**
+ * The signed-in user's unlocked private keys, kept in this browser for the
+ * session. They are imported as non-extractable CryptoKeys and stored in
+ * IndexedDB: pages can decrypt and sign with them, but no script can read
+ * the key bytes back out. Logging out wipes them, and so does
+ * SESSION_LOCK_MINUTES without activity; the password unlocks them again.
+ */
+
+import { importPrivateKey, importSigningKey } from './crypto';
+
+const DB_NAME = 'seal-session';
+const STORE_NAME = 'keys';
+const RECORD_KEY = 'current';
+
+/**
+ * Minutes without activity before the keys are wiped.
+ * Set NEXT_PUBLIC_SEAL_SESSION_LOCK_MINUTES to change it.
+ */
+export const SESSION_LOCK_MINUTES = Number(process.env.NEXT_PUBLIC_SEAL_SESSION_LOCK_MINUTES) || 30;
+
+export interface SessionKeys {
+  privateKey: CryptoKey;
+  /** Null when the signing key could not be unlocked; files are sealed unsigned */
+  signingKey: CryptoKey | null;
+}
+
+interface SessionRecord extends SessionKeys {
+  lastActive: number;
+}
+
+function openDatabase(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request on the store and wait for its transaction to commit
+async function withStore<T>(
+  mode: IDBTransactionMode,
+  run: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+  const db = await openDatabase();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = run(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function readRecord(): Promise<SessionRecord | undefined> {
+  return withStore('readonly', (store) => store.get(RECORD_KEY) as IDBRequest<SessionRecord | undefined>);
+}
+
+function writeRecord(record: SessionRecord): Promise<IDBValidKey> {
+  return withStore('readwrite', (store) => store.put(record, RECORD_KEY));
+}
+
+function isLocked(record: SessionRecord): boolean {
+  return Date.now() - record.lastActive > SESSION_LOCK_MINUTES * 60 * 1000;
+}
+
+/**
+ * Keep the user's decrypted keys (base64 PKCS8) for the session. The strings
+ * are only held until they are imported; callers should drop theirs too.
+ * Leave signingKey undefined to keep the signing key already stored.
+ */
+export async function storeSessionKeys(privateKey: string, signingKey?: string | null): Promise<void> {
+  const existing = signingKey === undefined ? await readRecord() : undefined;
+  await writeRecord({
+    privateKey: await importPrivateKey(privateKey),
+    signingKey: signingKey ? await importSigningKey(signingKey) : existing?.signingKey ?? null,
+    lastActive: Date.now(),
+  });
+}
+
+/** The session's keys, or null if there are none or the session has locked */
+export async function loadSessionKeys(): Promise<SessionKeys | null> {
+  const record = await readRecord();
+  if (!record) return null;
+  if (isLocked(record)) {
+    await clearSessionKeys();
+    return null;
+  }
+  return { privateKey: record.privateKey, signingKey: record.signingKey };
+}
+
+/**
+ * Note activity so the session stays unlocked, or wipe the keys if it has
+ * already been idle too long. Returns whether keys remain.
+ */
+export async function touchSession(): Promise<boolean> {
+  const record = await readRecord();
+  if (!record) return false;
+  if (isLocked(record)) {
+    await clearSessionKeys();
+    return false;
+  }
+  await writeRecord({ ...record, lastActive: Date.now() });
+  return true;
+}
+
+/** Wipe the session's keys (logout) */
+export async function clearSessionKeys(): Promise<void> {
+  await withStore('readwrite', (store) => store.delete(RECORD_KEY));
+}
@@ -0,0 +1,190 @@
+/**
+ * The account's private keys as the server stores them: each encrypted under
+ * the user's password, with the KDF parameters that derived its encryption
+ * key. Helpers here unlock all of them at once and encrypt them again, for a
+ * new password or newer KDF parameters.
+ */
+
+import {
+  decryptWithPassword,
+  encryptWithPassword,
+  kdfNeedsUpgrade,
+  type KdfParams,
+  type PasswordEncrypted,
+} from './crypto';
+import { rewrapRecoveryKey, type RecoveryRecord } from './recovery';
+
+/** An account's password-encrypted keys, as returned by GET /api/users/keys */
+export interface StoredKeys {
+  publicKey: string;
+  encryptedPrivateKey: string;
+  salt: string;
+  iv: string;
+  /** Null for keys stored before KDF parameters were recorded */
+  kdf: KdfParams | null;
+  signingPublicKey: string | null;
+  encryptedSigningKey: string | null;
+  signingSalt: string | null;
+  signingIv: string | null;
+  signingKdf: KdfParams | null;
+  retiredKeys: {
+    publicKey: string;
+    encryptedPrivateKey: string;
+    salt: string;
+    iv: string;
+    kdf: KdfParams | null;
+    retiredAt: string;
+  }[];
+  recovery: RecoveryRecord | null;
+}
+
+/** All of an account's private keys, unlocked */
+export interface AccountKeyring {
+  publicKey: string;
+  privateKey: string;
+  signingPublicKey: string | null;
+  signingKey: string | null;
+  /** Oldest first, matching user_metadata.retired_keys */
+  retiredKeys: { publicKey: string; privateKey: string }[];
+}
+
+/**
+ * All of an account's private keys encrypted under a new password, as sent to
+ * /api/users/keys/rewrap, /api/users/keys/recover and /api/users/password
+ * (see lib/rewrap-keys.ts)
+ */
+export interface RewrappedKeys {
+  publicKey: string;
+  encryptedPrivateKey: string;
+  salt: string;
+  iv: string;
+  kdf: KdfParams;
+  signingPublicKey: string | null;
+  encryptedSigningKey?: string;
+  signingSalt?: string;
+  signingIv?: string;
+  signingKdf?: KdfParams;
+  retiredKeys: { publicKey: string; encryptedPrivateKey: string; salt: string; iv: string; kdf: KdfParams }[];
+  /** Identifies the recovery record the new byPassword belongs to */
+  recoveryCreatedAt?: string;
+  recoveryByPassword?: PasswordEncrypted;
+}
+
+/**
+ * Decrypt all of an account's private keys with its password.
+ * Throws 'Incorrect password'.
+ */
+export async function unlockKeyring(keys: StoredKeys, password: string): Promise<AccountKeyring> {
+  const privateKey = await decryptWithPassword(
+    { encryptedKey: keys.encryptedPrivateKey, salt: keys.salt, iv: keys.iv, kdf: keys.kdf ?? undefined },
+    password
+  );
+  const signingKey =
+    keys.encryptedSigningKey && keys.signingSalt && keys.signingIv
+      ? await decryptWithPassword(
+          {
+            encryptedKey: keys.encryptedSigningKey,
+            salt: keys.signingSalt,
+            iv: keys.signingIv,
+            kdf: keys.signingKdf ?? undefined,
+          },
+          password
+        )
+      : null;
+  const retiredKeys = [];
+  for (const k of keys.retiredKeys) {
+    retiredKeys.push({
+      publicKey: k.publicKey,
+      privateKey: await decryptWithPassword(
+        { encryptedKey: k.encryptedPrivateKey, salt: k.salt, iv: k.iv, kdf: k.kdf ?? undefined },
+        password
+      ),
+    });
+  }
+  return {
+    publicKey: keys.publicKey,
+    privateKey,
+    signingPublicKey: signingKey ? keys.signingPublicKey : null,
+    signingKey,
+    retiredKeys,
+  };
+}
+
+/**
+ * Encrypt every key of a keyring under a new password. Pass the account's
+ * recovery record and the recovery key under the new password, if it has one.
+ */
+export async function wrapKeyring(
+  keyring: AccountKeyring,
+  password: string,
+  recovery?: { record: RecoveryRecord; byPassword: PasswordEncrypted }
+): Promise<RewrappedKeys> {
+  const encrypted = await encryptWithPassword(keyring.privateKey, password);
+  const signing = keyring.signingKey ? await encryptWithPassword(keyring.signingKey, password) : null;
+  const retiredKeys = [];
+  for (const retired of keyring.retiredKeys) {
+    const wrapped = await encryptWithPassword(retired.privateKey, password);
+    retiredKeys.push({
+      publicKey: retired.publicKey,
+      encryptedPrivateKey: wrapped.encryptedKey,
+      salt: wrapped.salt,
+      iv: wrapped.iv,
+      kdf: wrapped.kdf,
+    });
+  }
+  return {
+    publicKey: keyring.publicKey,
+    encryptedPrivateKey: encrypted.encryptedKey,
+    salt: encrypted.salt,
+    iv: encrypted.iv,
+    kdf: encrypted.kdf,
+    signingPublicKey: keyring.signingPublicKey,
+    encryptedSigningKey: signing?.encryptedKey,
+    signingSalt: signing?.salt,
+    signingIv: signing?.iv,
+    signingKdf: signing?.kdf,
+    retiredKeys,
+    recoveryCreatedAt: recovery?.record.createdAt,
+    recoveryByPassword: recovery?.byPassword,
+  };
+}
+
+/**
+ * Whether any password-encrypted key of the account uses KDF parameters
+ * older than PRIVATE_KEY_KDF. The recovery code's copy is left alone: the
+ * code is random enough that the work factor adds nothing.
+ */
+export function storedKeysNeedUpgrade(keys: StoredKeys): boolean {
+  return (
+    kdfNeedsUpgrade(keys.kdf) ||
+    (!!keys.encryptedSigningKey && kdfNeedsUpgrade(keys.signingKdf)) ||
+    keys.retiredKeys.some((k) => kdfNeedsUpgrade(k.kdf)) ||
+    (!!keys.recovery && kdfNeedsUpgrade(keys.recovery.byPassword.kdf))
+  );
+}
+
+/**
+ * Encrypt the account's keys again under the same password with the current
+ * KDF parameters, if any still use older ones. Run after a login, while the
+ * password is at hand.
+ */
+export async function upgradeStoredKeys(keys: StoredKeys, password: string): Promise<boolean> {
+  if (!storedKeysNeedUpgrade(keys)) return false;
+
+  const keyring = await unlockKeyring(keys, password);
+  const recovery = keys.recovery
+    ? { record: keys.recovery, byPassword: await rewrapRecoveryKey(keys.recovery, password, password) }
+    : undefined;
+  const rewrapped = await wrapKeyring(keyring, password, recovery);
+
+  const res = await fetch('/api/users/keys/rewrap', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rewrapped),
+  });
+  if (!res.ok) {
+    const { error } = await res.json().catch(() => ({ error: undefined }));
+    throw new Error(error || 'Could not upgrade your key encryption');
+  }
+  return true;
+}
@@ -0,0 +1,42 @@
+/**
+ * Contacts whose keys the user has compared out of band (safety number read
+ * aloud or QR code scanned). Kept in this browser rather than on the server:
+ * the point is to catch a server that hands out the wrong key.
+ */
+
+export type KeyVerification = 'verified' | 'unverified' | 'changed';
+
+const STORAGE_PREFIX = 'seal_verified_keys:';
+
+// Verified key IDs by contact email, per signed-in user
+function load(ownerEmail: string): Record<string, string> {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + ownerEmail.toLowerCase()) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function save(ownerEmail: string, verified: Record<string, string>) {
+  localStorage.setItem(STORAGE_PREFIX + ownerEmail.toLowerCase(), JSON.stringify(verified));
+}
+
+/**
+ * Whether a contact's current key is the one the user verified.
+ * 'changed' means they verified a different key for this contact.
+ */
+export function keyVerification(ownerEmail: string, contactEmail: string, keyId: string): KeyVerification {
+  const verifiedKeyId = load(ownerEmail)[contactEmail.toLowerCase()];
+  if (!verifiedKeyId) return 'unverified';
+  return verifiedKeyId === keyId ? 'verified' : 'changed';
+}
+
+export function markKeyVerified(ownerEmail: string, contactEmail: string, keyId: string) {
+  save(ownerEmail, { ...load(ownerEmail), [contactEmail.toLowerCase()]: keyId });
+}
+
+export function clearKeyVerification(ownerEmail: string, contactEmail: string) {
+  const verified = load(ownerEmail);
+  delete verified[contactEmail.toLowerCase()];
+  save(ownerEmail, verified);
+}
@@ -0,0 +1,123 @@
+/**
+ * Minimal zip writer for downloading a decrypted bundle in one go.
+ * Files are stored uncompressed (method 0) and the archive is assembled as a
+ * Blob of slices, so file contents are only read once to compute their CRC.
+ */
+
+export interface ZipInput {
+  /** Path inside the archive, with '/' separators */
+  path: string;
+  data: Blob;
+}
+
+// Without zip64, sizes and offsets are 32-bit
+const ZIP_LIMIT = 0xffffffff;
+
+let crcTable: Uint32Array | undefined;
+
+function crc32Table(): Uint32Array {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+async function crc32(data: Blob): Promise<number> {
+  const table = crc32Table();
+  const reader = data.stream().getReader();
+  let crc = 0xffffffff;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i++) {
+      crc = table[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date: Date): { time: number; date: number } {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a zip archive of the given files
+ * Throws if the archive would need zip64 (more than 4 GB).
+ */
+export async function createZip(files: ZipInput[]): Promise<Blob> {
+  const encoder = new TextEncoder();
+  const stamp = dosDateTime(new Date());
+  const parts: BlobPart[] = [];
+  const central: BlobPart[] = [];
+  let centralSize = 0;
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const crc = await crc32(file.data);
+    const size = file.data.size;
+    if (offset + 30 + name.length + size > ZIP_LIMIT) {
+      throw new Error('Too large to download as a zip. Download the files one by one instead.');
+    }
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true); // version needed
+    lv.setUint16(6, 0x0800, true); // UTF-8 names
+    lv.setUint16(8, 0, true); // stored
+    lv.setUint16(10, stamp.time, true);
+    lv.setUint16(12, stamp.date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, size, true);
+    lv.setUint32(22, size, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const entry = new Uint8Array(46 + name.length);
+    const cv = new DataView(entry.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true); // version made by
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, stamp.time, true);
+    cv.setUint16(14, stamp.date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, size, true);
+    cv.setUint32(24, size, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    entry.set(name, 46);
+
+    parts.push(local, file.data);
+    central.push(entry);
+    centralSize += entry.length;
+    offset += local.length + size;
+  }
+
+  if (offset + centralSize + 22 > ZIP_LIMIT || files.length > 0xffff) {
+    throw new Error('Too large to download as a zip. Download the files one by one instead.');
+  }
+
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
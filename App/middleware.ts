@@ -12,8 +12,11 @@ export async function middleware(req: NextRequest) {
   const supabase = createMiddlewareClient({ req, res });
   const { data: { session } } = await supabase.auth.getSession();
 
-  // Protect /dashboard and /viewer — redirect to /login if not authenticated
-  if ((req.nextUrl.pathname.startsWith('/dashboard') || req.nextUrl.pathname.startsWith('/viewer')) && !session) {
+  // Protect /dashboard, /settings and /recover — redirect to /login if not authenticated.
+  // /viewer is open so password-sealed files can be read without an account;
+  // it asks for a login itself when a file needs one.
+  const isProtected = ['/dashboard', '/settings', '/recover'].some((path) => req.nextUrl.pathname.startsWith(path));
+  if (isProtected && !session) {
     return NextResponse.redirect(new URL('/login', req.url));
   }
 
@@ -26,5 +29,5 @@ export async function middleware(req: NextRequest) {
 }
 
 export const config = {
-  matcher: ['/dashboard/:path*', '/viewer/:path*', '/login', '/signup', '/api/:path*'],
+  matcher: ['/dashboard/:path*', '/settings/:path*', '/recover', '/viewer/:path*', '/login', '/signup', '/api/:path*'],
 };
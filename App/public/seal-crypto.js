@@ -1,7 +1,10 @@
 /**
  * Seal Crypto Library
  * Client-side encryption using Web Crypto API
- * AES-256-GCM for file encryption, RSA-OAEP for key wrapping
+ * AES-256-GCM for file encryption; file keys are wrapped per recipient with
+ * ECDH P-256 + HKDF or, for older accounts, RSA-OAEP (seal-keys.js)
+ * File layout is defined by the shared SealFormat codec (seal-format.js);
+ * payloads are encrypted in chunks by SealStream (seal-stream.js)
  */
 
 (function (global) {
@@ -9,9 +12,24 @@
 
   const ALGORITHM = 'AES-GCM';
   const KEY_LENGTH = 256;
-  const RSA_ALGORITHM = 'RSA-OAEP';
-  const RSA_HASH = 'SHA-256';
-  const RSA_KEY_SIZE = 2048;
+  const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGNING_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+  /**
+   * Resolve a shared .seal module (loaded as a global in the browser)
+   * @param {string} name - Global name, e.g. 'SealFormat'
+   * @param {string} file - Script file name, e.g. 'seal-format.js'
+   * @returns {object}
+   */
+  function shared(name, file) {
+    if (global[name]) return global[name];
+    if (typeof require === 'function') return require('./' + file);
+    throw new Error(`${name} not loaded. Include ${file} before seal-crypto.js.`);
+  }
+
+  const sealFormat = () => shared('SealFormat', 'seal-format.js');
+  const sealStream = () => shared('SealStream', 'seal-stream.js');
+  const sealKeys = () => shared('SealKeys', 'seal-keys.js');
 
   /**
    * Generate a random AES-256 key for file encryption
@@ -29,15 +47,14 @@
    * Encrypt file data with AES-256-GCM
    * @param {ArrayBuffer} fileData - Raw file bytes
    * @param {CryptoKey} aesKey - AES-256 key
+   * @param {Uint8Array} [additionalData] - Authenticated but not encrypted (e.g. the .seal header)
    * @returns {Promise<{encryptedData: ArrayBuffer, iv: Uint8Array}>}
    */
-  async function encryptFile(fileData, aesKey) {
+  async function encryptFile(fileData, aesKey, additionalData) {
     const iv = crypto.getRandomValues(new Uint8Array(12));
-    const encryptedData = await crypto.subtle.encrypt(
-      { name: ALGORITHM, iv: iv },
-      aesKey,
-      fileData
-    );
+    const params = { name: ALGORITHM, iv: iv };
+    if (additionalData) params.additionalData = additionalData;
+    const encryptedData = await crypto.subtle.encrypt(params, aesKey, fileData);
     return { encryptedData, iv };
   }
 
@@ -46,106 +63,48 @@
    * @param {ArrayBuffer} encryptedData
    * @param {CryptoKey} aesKey
    * @param {Uint8Array} iv
+   * @param {Uint8Array} [additionalData] - Must match what was passed to encryptFile
    * @returns {Promise<ArrayBuffer>}
    */
-  async function decryptFile(encryptedData, aesKey, iv) {
-    return await crypto.subtle.decrypt(
-      { name: ALGORITHM, iv: iv },
-      aesKey,
-      encryptedData
-    );
+  async function decryptFile(encryptedData, aesKey, iv, additionalData) {
+    const params = { name: ALGORITHM, iv: iv };
+    if (additionalData) params.additionalData = additionalData;
+    return await crypto.subtle.decrypt(params, aesKey, encryptedData);
   }
 
   /**
-   * Encrypt an AES key with a recipient's RSA public key
-   * @param {CryptoKey} aesKey - The file encryption key
-   * @param {CryptoKey} recipientPublicKey - RSA-OAEP public key
-   * @returns {Promise<ArrayBuffer>} - Encrypted key bytes
-   */
-  async function encryptKeyForRecipient(aesKey, recipientPublicKey) {
-    const rawKey = await crypto.subtle.exportKey('raw', aesKey);
-    return await crypto.subtle.encrypt(
-      { name: RSA_ALGORITHM },
-      recipientPublicKey,
-      rawKey
-    );
-  }
-
-  /**
-   * Decrypt an AES key with the user's RSA private key
-   * @param {ArrayBuffer} encryptedKey
-   * @param {CryptoKey} userPrivateKey - RSA-OAEP private key
-   * @returns {Promise<CryptoKey>}
+   * Generate a key pair for receiving files: ECDH P-256 unless an older
+   * suite is asked for (SealKeys.RSA_KEY_WRAPPING)
+   * @param {string} [keyWrapping]
+   * @returns {Promise<CryptoKeyPair>}
    */
-  async function decryptKeyForRecipient(encryptedKey, userPrivateKey) {
-    const rawKey = await crypto.subtle.decrypt(
-      { name: RSA_ALGORITHM },
-      userPrivateKey,
-      encryptedKey
-    );
-    return await crypto.subtle.importKey(
-      'raw',
-      rawKey,
-      { name: ALGORITHM, length: KEY_LENGTH },
-      true,
-      ['encrypt', 'decrypt']
-    );
+  async function generateKeyPair(keyWrapping) {
+    return await sealKeys().generateKeyPair(keyWrapping);
   }
 
   /**
-   * Import an RSA public key from base64-encoded SPKI format
-   * @param {string} base64Key
-   * @returns {Promise<CryptoKey>}
+   * Generate an ECDSA P-256 key pair for signing sealed files
+   * @returns {Promise<CryptoKeyPair>}
    */
-  async function importPublicKey(base64Key) {
-    const binaryString = atob(base64Key);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-    return await crypto.subtle.importKey(
-      'spki',
-      bytes.buffer,
-      { name: RSA_ALGORITHM, hash: RSA_HASH },
-      true,
-      ['encrypt']
-    );
+  async function generateSigningKeyPair() {
+    return await crypto.subtle.generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
   }
 
   /**
-   * Import an RSA private key from base64-encoded PKCS8 format
-   * @param {string} base64Key
+   * Import an ECDSA signing key (base64 PKCS8 private or SPKI public) as a
+   * non-extractable CryptoKey. CryptoKeys are returned as they are.
+   * @param {string|CryptoKey} base64Key
+   * @param {'pkcs8'|'spki'} format
    * @returns {Promise<CryptoKey>}
    */
-  async function importPrivateKey(base64Key) {
-    const binaryString = atob(base64Key);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
+  async function importSigningKey(base64Key, format) {
+    if (base64Key instanceof CryptoKey) return base64Key;
     return await crypto.subtle.importKey(
-      'pkcs8',
-      bytes.buffer,
-      { name: RSA_ALGORITHM, hash: RSA_HASH },
-      true,
-      ['decrypt']
-    );
-  }
-
-  /**
-   * Generate an RSA-2048 key pair
-   * @returns {Promise<CryptoKeyPair>}
-   */
-  async function generateKeyPair() {
-    return await crypto.subtle.generateKey(
-      {
-        name: RSA_ALGORITHM,
-        modulusLength: RSA_KEY_SIZE,
-        publicExponent: new Uint8Array([1, 0, 1]),
-        hash: RSA_HASH,
-      },
-      true,
-      ['encrypt', 'decrypt']
+      format,
+      base64ToArrayBuffer(base64Key),
+      SIGNING_ALGORITHM,
+      false,
+      [format === 'pkcs8' ? 'sign' : 'verify']
     );
   }
 
@@ -186,51 +145,38 @@
   }
 
   // Password-based key derivation constants
-  const PBKDF2_ITERATIONS = 100000;
-  const PBKDF2_HASH = 'SHA-256';
   const SALT_LENGTH = 16;
   const IV_LENGTH = 12;
 
   /**
-   * Derive an AES-256 key from a password using PBKDF2
+   * Derive an AES-256 key from a password using the recorded KDF parameters
    * @param {string} password
    * @param {Uint8Array} salt
+   * @param {{algorithm: string, iterations: number}} [kdf] - Absent for legacy keys
    * @returns {Promise<CryptoKey>}
    */
-  async function deriveKeyFromPassword(password, salt) {
-    const encoder = new TextEncoder();
-    const passwordKey = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(password),
-      'PBKDF2',
-      false,
-      ['deriveKey']
-    );
-    return await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: PBKDF2_HASH,
-      },
-      passwordKey,
+  async function deriveKeyFromPassword(password, salt, kdf) {
+    return sealKeys().deriveKeyWithKdf(
+      password,
+      salt,
+      kdf,
       { name: ALGORITHM, length: KEY_LENGTH },
-      false,
       ['encrypt', 'decrypt']
     );
   }
 
   /**
    * Encrypt a private key with a password (for secure storage)
-   * Uses PBKDF2 for key derivation + AES-256-GCM for encryption
+   * Uses PBKDF2 (SealKeys.PRIVATE_KEY_KDF) for key derivation + AES-256-GCM for encryption
    * @param {string} privateKeyBase64 - The base64-encoded private key
    * @param {string} password - User's password
-   * @returns {Promise<{encryptedKey: string, salt: string, iv: string}>}
+   * @returns {Promise<{encryptedKey: string, salt: string, iv: string, kdf: {algorithm: string, iterations: number}}>}
    */
   async function encryptPrivateKeyWithPassword(privateKeyBase64, password) {
     const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
     const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
-    const derivedKey = await deriveKeyFromPassword(password, salt);
+    const kdf = { ...sealKeys().PRIVATE_KEY_KDF };
+    const derivedKey = await deriveKeyFromPassword(password, salt, kdf);
 
     const encoder = new TextEncoder();
     const encryptedData = await crypto.subtle.encrypt(
@@ -243,6 +189,7 @@
       encryptedKey: arrayBufferToBase64(encryptedData),
       salt: arrayBufferToBase64(salt),
       iv: arrayBufferToBase64(iv),
+      kdf,
     };
   }
 
@@ -252,14 +199,16 @@
    * @param {string} password - User's password
    * @param {string} saltBase64 - The salt used for key derivation
    * @param {string} ivBase64 - The IV used for encryption
+   * @param {{algorithm: string, iterations: number}} [kdf] - The KDF recorded with
+   *   the key; absent for keys stored before parameters were recorded
    * @returns {Promise<string>} - The decrypted base64-encoded private key
    */
-  async function decryptPrivateKeyWithPassword(encryptedKeyBase64, password, saltBase64, ivBase64) {
+  async function decryptPrivateKeyWithPassword(encryptedKeyBase64, password, saltBase64, ivBase64, kdf) {
     const salt = new Uint8Array(base64ToArrayBuffer(saltBase64));
     const iv = new Uint8Array(base64ToArrayBuffer(ivBase64));
     const encryptedData = base64ToArrayBuffer(encryptedKeyBase64);
 
-    const derivedKey = await deriveKeyFromPassword(password, salt);
+    const derivedKey = await deriveKeyFromPassword(password, salt, kdf);
 
     try {
       const decryptedData = await crypto.subtle.decrypt(
@@ -275,82 +224,382 @@
   }
 
   /**
-   * Create a .seal file (encrypt file for multiple recipients)
-   * @param {File} file - The file to encrypt
+   * Describe what is being sealed: one file, or several as a bundle whose
+   * plaintext is the files back to back
+   * @param {File|Array<File|{file: File, path: string}>} input - Files without
+   *   a path use their folder-relative path (webkitRelativePath) or name
+   * @returns {{details: object, source: ReadableStream<Uint8Array>}}
+   */
+  function describeSource(input) {
+    if (!Array.isArray(input)) {
+      return {
+        details: { originalName: input.name, originalSize: input.size, originalType: input.type },
+        source: input.stream(),
+      };
+    }
+
+    const files = input.map((f) => (f instanceof Blob ? { file: f, path: f.webkitRelativePath || f.name } : f));
+    return {
+      details: sealFormat().bundleMetadata(
+        files.map((f) => ({ path: f.path, size: f.file.size, type: f.file.type }))
+      ),
+      source: sealStream().concat(files.map((f) => f.file.stream())),
+    };
+  }
+
+  /**
+   * Build the .seal header for a file and a stream of its encrypted payload.
+   * With options.signer, also returns sign() to call once the payload is read.
+   * @returns {Promise<{sealFile: object, payload: ReadableStream<Uint8Array>, sign: (() => Promise<Uint8Array>)|null}>}
+   */
+  async function sealPayload(file, recipients, fileId, metadata, options) {
+    const signer = options && options.signer;
+    const aesKey = await generateFileEncryptionKey();
+    const noncePrefix = sealStream().generateNoncePrefix();
+    const digest = signer ? sealStream().createPayloadDigest() : null;
+
+    // Each recipient gets the wrapping their key supports
+    const wrapped = await sealKeys().wrapForRecipients(
+      aesKey,
+      recipients,
+      options && options.password,
+      options && options.hideRecipients
+    );
+
+    const { details, source } = describeSource(file);
+    details.expiresAt = metadata && metadata.expiresAt;
+
+    // Compress first when asked, unless the content is compressed already
+    const compression = sealFormat().compressionFor(details, options && options.compress);
+
+    // Hidden details and bundle manifests travel encrypted; with hidden
+    // details the outer header only gets a generic name
+    const hide = !!(options && options.hideDetails);
+    const innerHeader = hide || details.entries
+      ? arrayBufferToBase64(
+          await sealStream().sealInnerHeader(aesKey, noncePrefix, sealFormat().writeInnerHeader(details))
+        )
+      : undefined;
+
+    const sealFile = sealFormat().buildSealFile({
+      fileId: fileId,
+      metadata: Object.assign(hide ? sealFormat().hiddenMetadata(details) : Object.assign({}, details), {
+        hiddenRecipients: !!(options && options.hideRecipients),
+      }),
+      innerHeader,
+      encryption: {
+        algorithm: sealFormat().STREAM_ALGORITHM,
+        keyWrapping: wrapped.keyWrapping,
+        chunkSize: sealStream().CHUNK_SIZE,
+        noncePrefix: arrayBufferToBase64(noncePrefix),
+        compression,
+      },
+      recipients: wrapped.recipients,
+      signature: signer ? { signer: signer.email } : undefined,
+      payload: null,
+    });
+
+    // Bind the header to the ciphertext so it cannot be edited afterwards
+    const header = sealFormat().canonicalHeader(sealFile);
+    const headerTag = await sealStream().sealHeader(aesKey, noncePrefix, header);
+    sealFile.encryption.headerTag = arrayBufferToBase64(headerTag);
+
+    // Progress is reported on the uncompressed bytes
+    const progress = { totalBytes: details.originalSize, onProgress: options && options.onProgress };
+    const plaintext = compression ? sealStream().compressStream(source, compression, progress) : source;
+    const payload = sealStream().encryptStream(
+      plaintext,
+      aesKey,
+      noncePrefix,
+      Object.assign({ additionalData: header, digest }, compression ? {} : progress)
+    );
+
+    // Sign the header and the finished payload digest
+    const sign = signer
+      ? async () => {
+          const signingKey = await importSigningKey(signer.privateKey, 'pkcs8');
+          const message = sealFormat().signatureMessage(sealFile, await digest.finish());
+          sealFile.signatureValue = new Uint8Array(
+            await crypto.subtle.sign(SIGNING_PARAMS, signingKey, message)
+          );
+          return sealFile.signatureValue;
+        }
+      : null;
+
+    return { sealFile, payload, sign };
+  }
+
+  /**
+   * Seal a file as a stream of .seal container bytes, for files too large to
+   * hold in memory. Pipe the stream to disk or wrap it in a Response.
+   * @param {File|Array<File|{file: File, path: string}>} file - The file to
+   *   encrypt, or several files (e.g. a folder) to seal as one bundle
+   * @param {{email: string, publicKey: string}[]} recipients - Recipients with base64 public keys
+   * @param {string} fileId - Unique file identifier
+   * @param {{expiresAt?: string}} metadata - Expiration options
+   * @param {{onProgress?: (done: number, total: number) => void, signer?: {email: string, privateKey: string|CryptoKey}, hideDetails?: boolean, compress?: boolean|string}} [options]
+   *   signer.privateKey is the sender's signing key (base64 PKCS8 or CryptoKey); hideDetails
+   *   encrypts the file name, size and type so only recipients can read them;
+   *   compress (true for gzip, or 'deflate') compresses content that is not
+   *   compressed already; password adds a password entry so people without an
+   *   account can open the file (see openSealFileWithPassword); hideRecipients
+   *   leaves recipient emails out of the file so it does not reveal who received it
+   * @returns {Promise<{sealFile: object, stream: ReadableStream<Uint8Array>}>}
+   */
+  async function createSealStream(file, recipients, fileId, metadata, options) {
+    const { sealFile, payload, sign } = await sealPayload(file, recipients, fileId, metadata, options);
+    const parts = [sealFormat().writeSealHeader(sealFile), payload];
+    if (sign) parts.push(async () => sealFormat().writeSealTrailer(await sign()));
+    return { sealFile, stream: sealStream().concat(parts) };
+  }
+
+  /**
+   * Create a .seal file in memory (encrypt file for multiple recipients)
+   * @param {File|Array<File|{file: File, path: string}>} file - The file, or files to bundle
    * @param {{email: string, publicKey: string}[]} recipients - Recipients with base64 public keys
    * @param {string} fileId - Unique file identifier
-   * @param {object} metadata - Additional metadata (expiration, etc.)
-   * @returns {Promise<object>} - The .seal file object
+   * @param {{expiresAt?: string}} metadata - Expiration options
+   * @param {{onProgress?: (done: number, total: number) => void, signer?: {email: string, privateKey: string|CryptoKey}, hideDetails?: boolean, compress?: boolean|string}} [options]
+   * @returns {Promise<object>} - The format 2.0 .seal file object (serialize with SealFormat.writeSealFile)
    */
-  async function createSealFile(file, recipients, fileId, metadata) {
-    // Read file as ArrayBuffer
-    const fileData = await file.arrayBuffer();
+  async function createSealFile(file, recipients, fileId, metadata, options) {
+    const { sealFile, payload, sign } = await sealPayload(file, recipients, fileId, metadata, options);
+    sealFile.payload = await sealStream().collect(payload);
+    if (sign) await sign();
+    return sealFile;
+  }
 
-    // Generate random AES key
-    const aesKey = await generateFileEncryptionKey();
+  /**
+   * Check a file's sender signature against the signer's published key
+   * @param {object} sealFile
+   * @param {Uint8Array} payloadDigest
+   * @param {(email: string) => Promise<string|null>} [signingKeyFor] - Looks up a base64 SPKI signing key
+   * @returns {Promise<{status: 'valid'|'invalid'|'unknown-signer'|'unsigned', signer: string|null}>}
+   */
+  async function checkSignature(sealFile, payloadDigest, signingKeyFor) {
+    if (!sealFile.signature) return { status: 'unsigned', signer: null };
 
-    // Encrypt file data
-    const { encryptedData, iv } = await encryptFile(fileData, aesKey);
-
-    // Encrypt AES key for each recipient
-    const recipientKeys = [];
-    for (const recipient of recipients) {
-      const publicKey = await importPublicKey(recipient.publicKey);
-      const encryptedKey = await encryptKeyForRecipient(aesKey, publicKey);
-      recipientKeys.push({
-        email: recipient.email,
-        encryptedKey: arrayBufferToBase64(encryptedKey),
-      });
+    const signer = sealFile.signature.signer;
+    let publicKey = null;
+    try {
+      publicKey = signingKeyFor ? await signingKeyFor(signer) : null;
+    } catch (err) {
+      publicKey = null;
     }
+    if (!publicKey) return { status: 'unknown-signer', signer };
 
-    return {
-      version: '1.0',
-      fileId: fileId,
-      encryptedData: arrayBufferToBase64(encryptedData),
-      iv: arrayBufferToBase64(iv),
-      recipients: recipientKeys,
-      metadata: {
-        filename: file.name,
-        mimetype: file.type,
-        size: file.size,
-        timestamp: new Date().toISOString(),
-        ...metadata,
+    const valid = await crypto.subtle.verify(
+      SIGNING_PARAMS,
+      await importSigningKey(publicKey, 'spki'),
+      sealFile.signatureValue,
+      sealFormat().signatureMessage(sealFile, payloadDigest)
+    );
+    return { status: valid ? 'valid' : 'invalid', signer };
+  }
+
+  /**
+   * Read a .seal header and locate its payload
+   * @param {Blob|ArrayBuffer|Uint8Array|object|string} input
+   * @returns {Promise<{sealFile: object, payload: Blob}>}
+   */
+  async function readSealSource(input) {
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+      const { sealFile, payload } = await sealFormat().readSealBlob(input);
+      return { sealFile, payload };
+    }
+    const sealFile = sealFormat().readSealFile(input);
+    return { sealFile, payload: new Blob([sealFile.payload]) };
+  }
+
+  /**
+   * Check that the header is the one the sender sealed
+   * @param {object} sealFile
+   * @param {CryptoKey} aesKey
+   * @returns {Promise<boolean>} false for files sealed before headers were bound
+   * @throws {Error} 'Header tampered: ...' if metadata or recipients were edited
+   */
+  async function verifySealHeader(sealFile, aesKey) {
+    if (!sealFormat().isHeaderBound(sealFile)) return false;
+
+    await sealStream().verifyHeader(
+      aesKey,
+      new Uint8Array(base64ToArrayBuffer(sealFile.encryption.noncePrefix)),
+      sealFormat().canonicalHeader(sealFile),
+      new Uint8Array(base64ToArrayBuffer(sealFile.encryption.headerTag))
+    );
+    return true;
+  }
+
+  /**
+   * The file's real metadata, decrypting the inner header of hidden files and bundles
+   * @param {object} sealFile
+   * @param {CryptoKey} aesKey
+   * @returns {Promise<object>}
+   */
+  async function revealMetadata(sealFile, aesKey) {
+    if (!sealFile.innerHeader) return sealFile.metadata;
+
+    const innerHeader = await sealStream().openInnerHeader(
+      aesKey,
+      new Uint8Array(base64ToArrayBuffer(sealFile.encryption.noncePrefix)),
+      new Uint8Array(base64ToArrayBuffer(sealFile.innerHeader))
+    );
+    return sealFormat().readInnerHeader(sealFile, innerHeader);
+  }
+
+  /**
+   * Decrypt a .seal payload as a stream
+   * Chunked payloads are decrypted chunk by chunk; legacy single-shot payloads
+   * ('AES-256-GCM' with one IV) are decrypted whole.
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function decryptPayload(sealFile, metadata, payload, aesKey, options, digest) {
+    const encryption = sealFile.encryption;
+    const onProgress = options && options.onProgress;
+
+    if (encryption.algorithm === sealFormat().STREAM_ALGORITHM) {
+      // Compressed files report progress (and are size-checked) after decompression
+      const compression = encryption.compression;
+      const progress = { totalBytes: metadata.originalSize, onProgress };
+      const plaintext = sealStream().decryptStream(
+        payload.stream(),
+        aesKey,
+        new Uint8Array(base64ToArrayBuffer(encryption.noncePrefix)),
+        Object.assign(
+          {
+            chunkSize: encryption.chunkSize,
+            additionalData: sealFormat().isHeaderBound(sealFile)
+              ? sealFormat().canonicalHeader(sealFile)
+              : undefined,
+            digest,
+          },
+          compression ? {} : progress
+        )
+      );
+      return compression ? sealStream().decompressStream(plaintext, compression, progress) : plaintext;
+    }
+
+    const iv = new Uint8Array(base64ToArrayBuffer(encryption.iv));
+    return new ReadableStream({
+      async start(controller) {
+        let decrypted;
+        try {
+          decrypted = await decryptFile(await payload.arrayBuffer(), aesKey, iv);
+        } catch (err) {
+          throw new Error('Decryption failed: the file is corrupted or has been tampered with');
+        }
+        if (onProgress) onProgress(decrypted.byteLength, decrypted.byteLength);
+        controller.enqueue(new Uint8Array(decrypted));
+        controller.close();
       },
-    };
+    });
   }
 
   /**
-   * Open a .seal file (decrypt for the current user)
-   * @param {object} sealFile - The .seal file object
+   * Open a .seal file as a stream of decrypted bytes (for large files)
+   * @param {Blob|ArrayBuffer|Uint8Array|object|string} input - The .seal file in any supported layout
    * @param {string} userEmail - Current user's email
-   * @param {string} userPrivateKeyBase64 - User's base64-encoded private key
-   * @returns {Promise<{data: ArrayBuffer, fileName: string, fileType: string}>}
+   * @param {string|CryptoKey|object[]} userPrivateKey - User's base64-encoded private key or CryptoKey, or a keyring
+   *   of their current and retired keys ({publicKey, privateKey}[], see SealKeys.unwrapWithKeyring)
+   * @param {{onProgress?: (done: number, total: number) => void, signingKeyFor?: (email: string) => Promise<string|null>}} [options]
+   *   signingKeyFor looks up the sender's published signing key
+   * @returns {Promise<{sealFile: object, metadata: object, stream: ReadableStream<Uint8Array>, headerVerified: boolean, verifySignature: () => Promise<object>}>}
+   *   metadata holds the real file details, also for files with hidden details.
+   *   Call verifySignature() after the stream has been read to the end.
    */
-  async function openSealFile(sealFile, userEmail, userPrivateKeyBase64) {
+  async function openSealStream(input, userEmail, userPrivateKey, options) {
+    const { sealFile, payload } = await readSealSource(input);
+
+    // Hidden recipients: the entry that opens with the user's key is theirs
+    if (sealFormat().hasHiddenRecipients(sealFile)) {
+      const aesKey = await sealKeys().unwrapHiddenEntry(sealFile, userPrivateKey);
+      if (!aesKey) throw new Error('You are not a recipient of this file');
+      return openPayload(sealFile, payload, aesKey, options);
+    }
+
     // Find the recipient entry for this user
-    const recipientEntry = sealFile.recipients.find(
-      (r) => r.email.toLowerCase() === userEmail.toLowerCase()
-    );
+    const recipientEntry = sealFormat().findRecipient(sealFile, userEmail);
     if (!recipientEntry) {
       throw new Error('You are not a recipient of this file');
     }
 
-    // Import user's private key
-    const privateKey = await importPrivateKey(userPrivateKeyBase64);
+    // Unwrap the AES key with the user's private key (the one the entry names, after a rotation)
+    const aesKey = await sealKeys().unwrapFileKey(sealFile, recipientEntry, userPrivateKey);
+    return openPayload(sealFile, payload, aesKey, options);
+  }
 
-    // Decrypt the AES key
-    const encryptedKeyBuffer = base64ToArrayBuffer(recipientEntry.encryptedKey);
-    const aesKey = await decryptKeyForRecipient(encryptedKeyBuffer, privateKey);
+  /**
+   * Open a .seal file as a stream with the password the sender shared, for
+   * recipients without a Seal account. Same result as openSealStream.
+   * @param {Blob|ArrayBuffer|Uint8Array|object|string} input - The .seal file in any supported layout
+   * @param {string} password
+   * @param {{onProgress?: (done: number, total: number) => void, signingKeyFor?: (email: string) => Promise<string|null>}} [options]
+   */
+  async function openSealStreamWithPassword(input, password, options) {
+    const { sealFile, payload } = await readSealSource(input);
+
+    const passwordEntry = sealFormat().findPasswordRecipient(sealFile);
+    if (!passwordEntry) {
+      throw new Error('This file is not protected with a password');
+    }
+
+    const aesKey = await sealKeys().unwrapWithPassword(passwordEntry, password);
+    return openPayload(sealFile, payload, aesKey, options);
+  }
+
+  // With the file key unwrapped: check the header, reveal hidden details and decrypt
+  async function openPayload(sealFile, payload, aesKey, options) {
+    // Reject edited metadata or recipients before touching the payload
+    const headerVerified = await verifySealHeader(sealFile, aesKey);
+    const metadata = await revealMetadata(sealFile, aesKey);
+
+    // Signed files: digest the ciphertext while it is decrypted
+    const digest = sealFile.signature ? sealStream().createPayloadDigest() : null;
+    const stream = decryptPayload(sealFile, metadata, payload, aesKey, options, digest);
+    const verifySignature = async () =>
+      checkSignature(sealFile, digest && (await digest.finish()), options && options.signingKeyFor);
+
+    return { sealFile, metadata, stream, headerVerified, verifySignature };
+  }
+
+  /**
+   * Open a .seal file (decrypt for the current user)
+   * @param {Blob|ArrayBuffer|Uint8Array|object|string} input - The .seal file in any supported layout
+   * @param {string} userEmail - Current user's email
+   * @param {string|CryptoKey|object[]} userPrivateKey - User's base64-encoded private key or CryptoKey, or a keyring
+   *   of their current and retired keys ({publicKey, privateKey}[], see SealKeys.unwrapWithKeyring)
+   * @param {{onProgress?: (done: number, total: number) => void, signingKeyFor?: (email: string) => Promise<string|null>}} [options]
+   * @returns {Promise<{data: Blob, fileName: string, fileType: string, metadata: object, entries: object[]|null, headerVerified: boolean, signature: object}>}
+   *   entries lists the files of a bundle ({path, size, type, data}), null otherwise
+   */
+  async function openSealFile(input, userEmail, userPrivateKey, options) {
+    return readOpenedFile(await openSealStream(input, userEmail, userPrivateKey, options));
+  }
+
+  /**
+   * Open a .seal file with the password the sender shared (no login needed)
+   * @param {Blob|ArrayBuffer|Uint8Array|object|string} input - The .seal file in any supported layout
+   * @param {string} password
+   * @param {{onProgress?: (done: number, total: number) => void, signingKeyFor?: (email: string) => Promise<string|null>}} [options]
+   * @returns {Promise<object>} Same as openSealFile; rejects with 'Incorrect password for this file'
+   */
+  async function openSealFileWithPassword(input, password, options) {
+    return readOpenedFile(await openSealStreamWithPassword(input, password, options));
+  }
 
-    // Decrypt the file data
-    const encryptedData = base64ToArrayBuffer(sealFile.encryptedData);
-    const iv = new Uint8Array(base64ToArrayBuffer(sealFile.iv));
-    const decryptedData = await decryptFile(encryptedData, aesKey, iv);
+  // Read a whole decrypted stream into the openSealFile result
+  async function readOpenedFile({ metadata, stream, headerVerified, verifySignature }) {
+    const fileType = metadata.originalType;
+    const data = await new Response(stream).blob();
 
     return {
-      data: decryptedData,
-      fileName: sealFile.metadata.filename,
-      fileType: sealFile.metadata.mimetype,
+      data: fileType ? new Blob([data], { type: fileType }) : data,
+      fileName: metadata.originalName,
+      fileType: fileType,
+      metadata,
+      entries: metadata.entries ? sealFormat().splitBundle(data, metadata.entries) : null,
+      headerVerified,
+      signature: await verifySignature(),
     };
   }
 
@@ -359,14 +608,16 @@
     generateFileEncryptionKey,
     encryptFile,
     decryptFile,
-    encryptKeyForRecipient,
-    decryptKeyForRecipient,
-    importPublicKey,
-    importPrivateKey,
     generateKeyPair,
+    generateSigningKeyPair,
+    importSigningKey,
     exportKey,
     createSealFile,
+    createSealStream,
     openSealFile,
+    openSealStream,
+    openSealFileWithPassword,
+    openSealStreamWithPassword,
     encryptPrivateKeyWithPassword,
     decryptPrivateKeyWithPassword,
     arrayBufferToBase64,
@@ -0,0 +1,887 @@
+/**
+ * Seal Format
+ * Shared reader/writer for .seal files, used by both the extension
+ * (extension/lib/seal-format.js) and the web app (App/public/seal-format.js).
+ * The two copies must stay identical (npm run check:shared checks them).
+ *
+ * On disk a .seal file is a binary container:
+ *   bytes 0-3   magic 'SEAL'
+ *   byte  4     container version (1)
+ *   bytes 5-8   header length N (uint32, big-endian)
+ *   bytes 9..   header: N bytes of UTF-8 JSON (everything except the payload)
+ *   then        raw payload (see seal-stream.js for the chunk layout)
+ *   then        signed files only: signature (S bytes), then S (uint32, big-endian)
+ *
+ * The same content can be exported as JSON for debugging, with the payload
+ * base64-encoded. Format 2.0 JSON layout:
+ * {
+ *   version: '2.0',
+ *   fileId: string,
+ *   metadata: {
+ *     originalName: string,
+ *     originalSize: number,
+ *     originalType: string,
+ *     encryptedAt: ISO string,
+ *     expiresAt: ISO string | null,
+ *     hidden?: true (name, size and type are in innerHeader),
+ *     hiddenRecipients?: true (account entries carry no email or keyId)
+ *   },
+ *   encryption: {
+ *     algorithm: 'AES-256-GCM-STREAM',
+ *     keyWrapping: 'ECDH-P256-HKDF-SHA256' | 'RSA-OAEP-SHA256' (default for recipients),
+ *     chunkSize: number (plaintext bytes per chunk),
+ *     noncePrefix: base64 (7 bytes),
+ *     headerTag: base64 (16 bytes, see canonicalHeader),
+ *     compression?: 'gzip' | 'deflate' (plaintext compressed before encryption)
+ *   },
+ *   recipients: [{
+ *     email?: string (absent when metadata.hiddenRecipients is set),
+ *     wrappedKey: base64,
+ *     keyWrapping?: string (only when it differs from encryption.keyWrapping),
+ *     ephemeralKey?: base64 (ECDH suites: raw ephemeral P-256 public key),
+ *     keyId?: hex (fingerprint of the recipient's public key, see SealKeys.keyIdFor)
+ *   } | {
+ *     keyWrapping: 'PBKDF2-SHA256-AES-KW' (password entry, at most one, no email),
+ *     wrappedKey: base64,
+ *     salt: base64,
+ *     iterations: number
+ *   }],
+ *   signature?: { signer: email, algorithm: 'ECDSA-P256-SHA256' },
+ *   innerHeader?: base64 (hidden files and bundles, see below),
+ *   payload: base64 (chunked AES-GCM ciphertext),
+ *   signatureValue?: base64 (signed files only)
+ * }
+ *
+ * A signature covers the canonical header followed by the payload digest
+ * (see signatureMessage), so neither the details nor the content can be
+ * swapped without invalidating it. The signer's public key is published
+ * through /api/users/public-key/[email].
+ *
+ * The canonical header (everything except the payload and headerTag, with
+ * sorted keys) is passed as AES-GCM additional data to every chunk, and
+ * headerTag authenticates it on its own so edits to metadata or recipients
+ * are reported as a tampered header before the payload is touched. Files
+ * without a headerTag were sealed before headers were bound.
+ *
+ * Key wrapping suites are implemented in seal-keys.js. A file may also carry
+ * one password entry, so people without an account can open it with a
+ * passphrase the sender shares with them (findPasswordRecipient).
+ *
+ * An account entry's keyId names the public key it was wrapped for. Users
+ * can rotate their key pair; the keyId tells which of their current and
+ * retired keys opens the file. Entries written before key rotation have none.
+ *
+ * With metadata.hiddenRecipients set, account entries carry neither an email
+ * nor a keyId (a keyId is as telling as an email: anyone can fetch a user's
+ * public key and hash it) and are stored in random order, so a forwarded
+ * file does not reveal who else received it. Recipients find their entry by
+ * trying their keys on each one (SealKeys.unwrapHiddenEntry).
+ *
+ * When metadata.hidden is set, the outer header carries only a generic name
+ * (HIDDEN_FILE_NAME), no size and a generic type. The real originalName,
+ * originalSize and originalType are JSON (writeInnerHeader) encrypted with the
+ * file key (SealStream.sealInnerHeader), so only recipients can read them.
+ *
+ * A bundle seals several files (e.g. a folder) into one .seal. Its type is
+ * BUNDLE_TYPE and its plaintext is the files' bytes back to back. The manifest
+ * ({path, size, type} per file, in payload order) is kept in the inner header
+ * as `entries`, so paths are never in cleartext; splitBundle cuts the
+ * decrypted payload back into files.
+ *
+ * With encryption.compression set, the plaintext was compressed (with the
+ * CompressionStream format of that name) before it was chunked and
+ * encrypted; originalSize is still the uncompressed size. compressionFor
+ * skips files that are already compressed (images, video, archives...).
+ *
+ * A sealed email body is an ordinary .seal container of the body's HTML
+ * (MESSAGE_NAME), written into the email as base64 lines between
+ * ARMOR_BEGIN and ARMOR_END (armorMessage) so it survives the mail client.
+ *
+ * Files written before chunking use algorithm 'AES-256-GCM' with a single
+ * 12-byte `iv` instead of chunkSize/noncePrefix, and one ciphertext + tag.
+ *
+ * Legacy layouts (both labelled version '1.0') are read and normalized:
+ * - extension 1.0: same shape as 2.0
+ * - web 1.0: top-level iv/encryptedData, recipients[].encryptedKey,
+ *   metadata.filename/mimetype/size/timestamp
+ */
+
+(function (global) {
+  'use strict';
+
+  const FORMAT_VERSION = '2.0';
+  const LEGACY_VERSION = '1.0';
+  const CONTENT_ALGORITHM = 'AES-256-GCM';
+  const STREAM_ALGORITHM = 'AES-256-GCM-STREAM';
+  const KEY_WRAPPING = 'RSA-OAEP-SHA256';
+  const ECDH_KEY_WRAPPING = 'ECDH-P256-HKDF-SHA256';
+  const PASSWORD_KEY_WRAPPING = 'PBKDF2-SHA256-AES-KW';
+  const KEY_WRAPPING_SUITES = [KEY_WRAPPING, ECDH_KEY_WRAPPING]; // for account recipients
+  const SIGNATURE_ALGORITHM = 'ECDSA-P256-SHA256';
+  const DEFAULT_TYPE = 'application/octet-stream';
+  const HIDDEN_FILE_NAME = 'sealed-file';
+  const BUNDLE_TYPE = 'application/vnd.seal.bundle';
+  const COMPRESSION_FORMATS = ['gzip', 'deflate'];
+  const KEY_ID_PATTERN = /^[0-9a-f]{32}$/;
+  const MESSAGE_NAME = 'message.html';
+  const MESSAGE_TYPE = 'text/html';
+  const ARMOR_BEGIN = '-----BEGIN SEAL MESSAGE-----';
+  const ARMOR_END = '-----END SEAL MESSAGE-----';
+  const ARMOR_LINE_LENGTH = 64;
+
+  // Formats that are compressed already; compressing them again only costs time
+  const COMPRESSED_TYPES = /^(image\/(jpeg|png|gif|webp|avif|heic|heif)|video\/|audio\/(?!(wav|x-wav|wave)$)|application\/(zip|gzip|x-gzip|x-7z-compressed|x-rar-compressed|vnd\.rar|x-bzip2|x-xz|zstd|pdf|epub\+zip|java-archive|vnd\.android\.package-archive|vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.)|font\/woff2?$)/;
+  const COMPRESSED_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|heic|heif|mp4|m4v|mov|mkv|webm|avi|mp3|m4a|aac|ogg|opus|flac|zip|gz|tgz|bz2|xz|7z|rar|zst|jar|apk|epub|docx|xlsx|pptx|odt|ods|odp|pdf|woff2?)$/i;
+
+  // Password entries below this are refused, so a file cannot be sealed with
+  // weak parameters; the ceiling keeps a hostile file from stalling the reader
+  const MIN_PASSWORD_ITERATIONS = 600000;
+  const MAX_PASSWORD_ITERATIONS = 10000000;
+
+  // Binary container constants
+  const MAGIC = [0x53, 0x45, 0x41, 0x4c]; // 'SEAL'
+  const CONTAINER_VERSION = 1;
+  const PREAMBLE_LENGTH = MAGIC.length + 1 + 4;
+
+  // Helper: bytes to base64
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+  }
+
+  // Helper: base64 to bytes
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Helper: normalize a base64 string, ArrayBuffer or view to a Uint8Array
+  function toBytes(data) {
+    if (typeof data === 'string') return base64ToBytes(data);
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return null;
+  }
+
+  /**
+   * Identify which layout a parsed .seal object uses
+   * @param {object} obj
+   * @returns {'seal-2'|'extension-1'|'web-1'|null}
+   */
+  function detectLayout(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+    if (obj.version === FORMAT_VERSION) return 'seal-2';
+    if (obj.version === LEGACY_VERSION) {
+      if (typeof obj.payload === 'string' && obj.encryption) return 'extension-1';
+      if (typeof obj.encryptedData === 'string') return 'web-1';
+    }
+    return null;
+  }
+
+  /**
+   * Build the encryption block for either content algorithm
+   * @param {{algorithm?: string, iv?: string, chunkSize?: number, noncePrefix?: string, headerTag?: string}} enc
+   * @returns {object}
+   */
+  function buildEncryption(enc) {
+    const encryption = {
+      algorithm: enc.algorithm || CONTENT_ALGORITHM,
+      keyWrapping: enc.keyWrapping || KEY_WRAPPING,
+    };
+    if (encryption.algorithm === STREAM_ALGORITHM) {
+      encryption.chunkSize = enc.chunkSize;
+      encryption.noncePrefix = enc.noncePrefix;
+      if (enc.headerTag) encryption.headerTag = enc.headerTag;
+      if (enc.compression) encryption.compression = enc.compression;
+    } else {
+      encryption.iv = enc.iv;
+    }
+    return encryption;
+  }
+
+  // Copy a recipient entry, keeping the per-recipient wrapping fields when set
+  function buildRecipient(r) {
+    if (r.keyWrapping === PASSWORD_KEY_WRAPPING) {
+      return { keyWrapping: r.keyWrapping, wrappedKey: r.wrappedKey, salt: r.salt, iterations: r.iterations };
+    }
+    const entry = r.email ? { email: r.email, wrappedKey: r.wrappedKey } : { wrappedKey: r.wrappedKey };
+    if (r.keyWrapping) entry.keyWrapping = r.keyWrapping;
+    if (r.ephemeralKey) entry.ephemeralKey = r.ephemeralKey;
+    if (r.keyId) entry.keyId = r.keyId;
+    return entry;
+  }
+
+  // Whether a recipient entry is unlocked by a password rather than an account key
+  function isPasswordRecipient(entry) {
+    return entry.keyWrapping === PASSWORD_KEY_WRAPPING;
+  }
+
+  // A password entry needs a salt and iterations within bounds
+  function isValidPasswordRecipient(entry) {
+    return (
+      !!entry.wrappedKey &&
+      typeof entry.salt === 'string' && entry.salt.length > 0 &&
+      Number.isSafeInteger(entry.iterations) &&
+      entry.iterations >= MIN_PASSWORD_ITERATIONS &&
+      entry.iterations <= MAX_PASSWORD_ITERATIONS
+    );
+  }
+
+  /**
+   * Build an in-memory format 2.0 .seal object
+   * @param {{fileId: string, metadata: object, encryption: object, recipients: {email: string, wrappedKey: string, keyWrapping?: string, ephemeralKey?: string, keyId?: string}[], signature?: {signer: string, algorithm?: string}, innerHeader?: string, payload?: ArrayBuffer|Uint8Array|string, signatureValue?: ArrayBuffer|Uint8Array|string}} parts
+   * @returns {object} The .seal object, with the payload as a Uint8Array (null when not loaded)
+   */
+  function buildSealFile(parts) {
+    const meta = parts.metadata || {};
+    const sealFile = {
+      version: FORMAT_VERSION,
+      fileId: parts.fileId,
+      metadata: {
+        originalName: meta.originalName,
+        originalSize: meta.originalSize,
+        originalType: meta.originalType || DEFAULT_TYPE,
+        encryptedAt: meta.encryptedAt || new Date().toISOString(),
+        expiresAt: meta.expiresAt || null,
+      },
+      encryption: buildEncryption(parts.encryption || {}),
+      recipients: parts.recipients.map(buildRecipient),
+      payload: parts.payload == null ? null : toBytes(parts.payload),
+    };
+    if (meta.hidden) sealFile.metadata.hidden = true;
+    if (meta.hiddenRecipients) sealFile.metadata.hiddenRecipients = true;
+    if (parts.innerHeader) sealFile.innerHeader = parts.innerHeader;
+    if (parts.signature) {
+      sealFile.signature = {
+        signer: parts.signature.signer,
+        algorithm: parts.signature.algorithm || SIGNATURE_ALGORITHM,
+      };
+      sealFile.signatureValue = parts.signatureValue == null ? null : toBytes(parts.signatureValue);
+    }
+    return sealFile;
+  }
+
+  // Legacy web layout → 2.0
+  function fromWebLayout(obj) {
+    const meta = obj.metadata || {};
+    return buildSealFile({
+      fileId: obj.fileId,
+      metadata: {
+        originalName: meta.filename,
+        originalSize: meta.size,
+        originalType: meta.mimetype,
+        encryptedAt: meta.timestamp,
+        expiresAt: meta.expiresAt,
+      },
+      encryption: { iv: obj.iv },
+      recipients: (obj.recipients || []).map((r) => ({
+        email: r.email,
+        wrappedKey: r.encryptedKey,
+      })),
+      payload: obj.encryptedData,
+    });
+  }
+
+  // Legacy extension layout → 2.0
+  function fromExtensionLayout(obj) {
+    return buildSealFile({
+      fileId: obj.fileId,
+      metadata: obj.metadata,
+      encryption: { iv: obj.encryption.iv },
+      recipients: obj.recipients || [],
+      payload: obj.payload,
+    });
+  }
+
+  /**
+   * Validate a format 2.0 .seal object
+   * @param {object} sealFile
+   * @param {{headerOnly?: boolean}} [options] - Skip the payload check
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  function validateSealFile(sealFile, options = {}) {
+    const errors = [];
+
+    if (sealFile.version !== FORMAT_VERSION) errors.push('Unsupported version');
+    if (!sealFile.fileId) errors.push('Missing fileId');
+    if (!sealFile.metadata) errors.push('Missing metadata');
+    const enc = sealFile.encryption;
+    if (!enc) {
+      errors.push('Missing encryption info');
+    } else if (enc.algorithm === STREAM_ALGORITHM) {
+      if (!enc.noncePrefix || !(enc.chunkSize > 0)) errors.push('Missing chunk parameters');
+      if (enc.compression !== undefined && !COMPRESSION_FORMATS.includes(enc.compression)) {
+        errors.push('Unsupported compression');
+      }
+    } else if (enc.algorithm !== CONTENT_ALGORITHM) {
+      errors.push('Unsupported encryption algorithm');
+    } else if (!enc.iv) {
+      errors.push('Missing encryption info');
+    }
+    const passwordEntries = (sealFile.recipients || []).filter(isPasswordRecipient);
+    const accountEntries = (sealFile.recipients || []).filter((r) => !isPasswordRecipient(r));
+    const hiddenRecipients = !!(sealFile.metadata && sealFile.metadata.hiddenRecipients);
+    if (!sealFile.recipients || !sealFile.recipients.length) {
+      errors.push('Missing recipients');
+    } else if (accountEntries.some((r) => !r.wrappedKey || (r.keyId !== undefined && !KEY_ID_PATTERN.test(r.keyId)))) {
+      errors.push('Malformed recipient entry');
+    } else if (accountEntries.some((r) => (hiddenRecipients ? r.email !== undefined || r.keyId !== undefined : !r.email))) {
+      errors.push('Malformed recipient entry');
+    } else if (enc && accountEntries.some((r) => !KEY_WRAPPING_SUITES.includes(r.keyWrapping || enc.keyWrapping))) {
+      errors.push('Unsupported key wrapping');
+    } else if (enc && accountEntries.some((r) => (r.keyWrapping || enc.keyWrapping) === ECDH_KEY_WRAPPING && !r.ephemeralKey)) {
+      errors.push('Malformed recipient entry');
+    } else if (passwordEntries.length > 1 || !passwordEntries.every(isValidPasswordRecipient)) {
+      errors.push('Unsupported password protection');
+    }
+    if (!options.headerOnly && (!sealFile.payload || !sealFile.payload.length)) {
+      errors.push('Missing encrypted payload');
+    }
+    if (sealFile.metadata && (sealFile.metadata.hidden || sealFile.metadata.originalType === BUNDLE_TYPE)) {
+      if (!sealFile.innerHeader || !enc || enc.algorithm !== STREAM_ALGORITHM) {
+        errors.push('Missing hidden file details');
+      }
+    }
+    if (sealFile.signature) {
+      if (
+        !sealFile.signature.signer ||
+        sealFile.signature.algorithm !== SIGNATURE_ALGORITHM ||
+        !enc || enc.algorithm !== STREAM_ALGORITHM
+      ) {
+        errors.push('Unsupported signature');
+      } else if (!options.headerOnly && !(sealFile.signatureValue && sealFile.signatureValue.length)) {
+        errors.push('Missing signature');
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Check whether bytes start with the binary container magic
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  function isBinarySealFile(bytes) {
+    if (bytes.length < PREAMBLE_LENGTH) return false;
+    return MAGIC.every((b, i) => bytes[i] === b);
+  }
+
+  // Parse the container preamble, returning the header length
+  function readPreamble(bytes) {
+    if (!isBinarySealFile(bytes)) throw new Error('Not a valid .seal file');
+    if (bytes[MAGIC.length] !== CONTAINER_VERSION) {
+      throw new Error(`Unsupported .seal container version ${bytes[MAGIC.length]}`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return view.getUint32(MAGIC.length + 1);
+  }
+
+  // Locate the signature trailer at the end of the payload section
+  function trailerStart(rest) {
+    if (rest.length < 4) throw new Error('Truncated .seal file');
+    const view = new DataView(rest.buffer, rest.byteOffset, rest.byteLength);
+    const sigLength = view.getUint32(rest.length - 4);
+    if (sigLength + 4 > rest.length) throw new Error('Truncated .seal file');
+    return rest.length - 4 - sigLength;
+  }
+
+  // Decode the JSON header stored in a binary container
+  function decodeHeader(headerBytes) {
+    try {
+      return JSON.parse(new TextDecoder().decode(headerBytes));
+    } catch (err) {
+      throw new Error('Could not parse .seal header');
+    }
+  }
+
+  // Normalize a parsed object in any known layout to format 2.0
+  function normalize(obj) {
+    switch (detectLayout(obj)) {
+      case 'seal-2':
+        return buildSealFile({
+          fileId: obj.fileId,
+          metadata: obj.metadata,
+          encryption: obj.encryption,
+          recipients: obj.recipients || [],
+          signature: obj.signature,
+          innerHeader: obj.innerHeader,
+          payload: obj.payload,
+          signatureValue: obj.signatureValue,
+        });
+      case 'extension-1':
+        return fromExtensionLayout(obj);
+      case 'web-1':
+        return fromWebLayout(obj);
+      default:
+        throw new Error('Not a valid .seal file');
+    }
+  }
+
+  /**
+   * Read a .seal file in any known layout and normalize it to format 2.0
+   * @param {ArrayBuffer|Uint8Array|string|object} input - Container bytes, JSON text or a parsed object
+   * @returns {object} The normalized .seal object, with the payload as a Uint8Array
+   */
+  function readSealFile(input) {
+    let obj = input;
+    const bytes = typeof input === 'string' ? null : toBytes(input);
+
+    if (bytes && isBinarySealFile(bytes)) {
+      const headerLength = readPreamble(bytes);
+      const payloadStart = PREAMBLE_LENGTH + headerLength;
+      if (payloadStart > bytes.length) throw new Error('Truncated .seal file');
+      obj = decodeHeader(bytes.subarray(PREAMBLE_LENGTH, payloadStart));
+      let payloadEnd = bytes.length;
+      if (obj.signature) {
+        const sigStart = trailerStart(bytes.subarray(payloadStart));
+        obj.signatureValue = bytes.subarray(payloadStart + sigStart, bytes.length - 4);
+        payloadEnd = payloadStart + sigStart;
+      }
+      obj.payload = bytes.subarray(payloadStart, payloadEnd);
+    } else if (bytes || typeof input === 'string') {
+      // JSON export or a legacy 1.0 file
+      const text = bytes ? new TextDecoder().decode(bytes) : input;
+      try {
+        obj = JSON.parse(text);
+      } catch (err) {
+        throw new Error('Could not parse .seal file');
+      }
+    }
+
+    const sealFile = normalize(obj);
+    const { valid, errors } = validateSealFile(sealFile);
+    if (!valid) {
+      throw new Error(`Invalid .seal file: ${errors.join(', ')}`);
+    }
+    return sealFile;
+  }
+
+  /**
+   * Read only the header of a binary .seal file, without loading the payload
+   * @param {Blob} blob - The .seal file
+   * @returns {Promise<object|null>} The header (payload: null, plus payloadOffset),
+   *   or null for JSON/legacy files
+   */
+  async function readSealHeader(blob) {
+    const preamble = new Uint8Array(await blob.slice(0, PREAMBLE_LENGTH).arrayBuffer());
+    if (!isBinarySealFile(preamble)) return null;
+
+    const headerLength = readPreamble(preamble);
+    if (PREAMBLE_LENGTH + headerLength > blob.size) throw new Error('Truncated .seal file');
+    const headerBytes = new Uint8Array(
+      await blob.slice(PREAMBLE_LENGTH, PREAMBLE_LENGTH + headerLength).arrayBuffer()
+    );
+    const header = normalize(decodeHeader(headerBytes));
+    header.payloadOffset = PREAMBLE_LENGTH + headerLength;
+    return header;
+  }
+
+  /**
+   * Split a .seal file of any layout into its header and payload
+   * Binary containers are sliced, so the payload is never read into memory here.
+   * @param {Blob} blob - The .seal file
+   * @returns {Promise<{sealFile: object, payload: Blob}>}
+   */
+  async function readSealBlob(blob) {
+    const header = await readSealHeader(blob);
+    if (header) {
+      const { valid, errors } = validateSealFile(header, { headerOnly: true });
+      if (!valid) throw new Error(`Invalid .seal file: ${errors.join(', ')}`);
+
+      let payloadEnd = blob.size;
+      if (header.signature) {
+        // Only the trailer is read; at most the last 4 bytes plus the signature
+        const tail = new Uint8Array(await blob.slice(Math.max(header.payloadOffset, blob.size - 1024)).arrayBuffer());
+        const sigStart = trailerStart(tail);
+        header.signatureValue = tail.slice(sigStart, tail.length - 4);
+        payloadEnd = blob.size - tail.length + sigStart;
+      }
+      return { sealFile: header, payload: blob.slice(header.payloadOffset, payloadEnd) };
+    }
+
+    const sealFile = readSealFile(await blob.arrayBuffer());
+    const payload = new Blob([sealFile.payload]);
+    sealFile.payload = null;
+    return { sealFile, payload };
+  }
+
+  // Everything except the payload and signature value, in a stable key order
+  function headerOf(sealFile) {
+    const header = {
+      version: sealFile.version,
+      fileId: sealFile.fileId,
+      metadata: sealFile.metadata,
+      encryption: sealFile.encryption,
+      recipients: sealFile.recipients,
+    };
+    if (sealFile.signature) header.signature = sealFile.signature;
+    if (sealFile.innerHeader) header.innerHeader = sealFile.innerHeader;
+    return header;
+  }
+
+  // Recursively sort object keys so the serialization is reproducible
+  function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      const sorted = {};
+      for (const key of Object.keys(value).sort()) sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }
+    return value;
+  }
+
+  /**
+   * Canonical header bytes, bound to the ciphertext as AES-GCM additional data.
+   * Covers metadata, encryption parameters and recipients; excludes the
+   * payload and the headerTag that authenticates these bytes.
+   * @param {object} sealFile
+   * @returns {Uint8Array}
+   */
+  function canonicalHeader(sealFile) {
+    const header = headerOf(sealFile);
+    const encryption = Object.assign({}, header.encryption);
+    delete encryption.headerTag;
+    header.encryption = encryption;
+    return new TextEncoder().encode(JSON.stringify(sortKeys(header)));
+  }
+
+  /**
+   * The exact bytes a sender signs: canonical header, then the payload digest
+   * @param {object} sealFile
+   * @param {Uint8Array} payloadDigest - SealStream payload digest (32 bytes)
+   * @returns {Uint8Array}
+   */
+  function signatureMessage(sealFile, payloadDigest) {
+    const header = canonicalHeader(sealFile);
+    const message = new Uint8Array(header.length + payloadDigest.length);
+    message.set(header, 0);
+    message.set(payloadDigest, header.length);
+    return message;
+  }
+
+  /**
+   * Whether the header of this file is bound to its ciphertext
+   * @param {object} sealFile
+   * @returns {boolean}
+   */
+  function isHeaderBound(sealFile) {
+    return !!(sealFile.encryption && sealFile.encryption.headerTag);
+  }
+
+  /**
+   * Serialize the container preamble and header; the payload follows directly
+   * @param {object} sealFile
+   * @returns {Uint8Array}
+   */
+  function writeSealHeader(sealFile) {
+    const header = new TextEncoder().encode(JSON.stringify(headerOf(sealFile)));
+    const out = new Uint8Array(PREAMBLE_LENGTH + header.length);
+
+    out.set(MAGIC, 0);
+    out[MAGIC.length] = CONTAINER_VERSION;
+    new DataView(out.buffer).setUint32(MAGIC.length + 1, header.length);
+    out.set(header, PREAMBLE_LENGTH);
+    return out;
+  }
+
+  /**
+   * Serialize a .seal object to the binary container
+   * @param {object} sealFile
+   * @returns {Uint8Array}
+   */
+  function writeSealFile(sealFile) {
+    const header = writeSealHeader(sealFile);
+    const payload = toBytes(sealFile.payload);
+    const trailer = sealFile.signature ? writeSealTrailer(sealFile.signatureValue) : new Uint8Array(0);
+    const out = new Uint8Array(header.length + payload.length + trailer.length);
+
+    out.set(header, 0);
+    out.set(payload, header.length);
+    out.set(trailer, header.length + payload.length);
+    return out;
+  }
+
+  /**
+   * Serialize the signature trailer that follows the payload of a signed file
+   * @param {ArrayBuffer|Uint8Array|string} signatureValue
+   * @returns {Uint8Array}
+   */
+  function writeSealTrailer(signatureValue) {
+    const signature = toBytes(signatureValue);
+    const out = new Uint8Array(signature.length + 4);
+    out.set(signature, 0);
+    new DataView(out.buffer).setUint32(signature.length, signature.length);
+    return out;
+  }
+
+  /**
+   * Export a .seal object as JSON text (for debugging; readSealFile accepts it)
+   * @param {object} sealFile
+   * @returns {string}
+   */
+  function exportSealJson(sealFile) {
+    const json = headerOf(sealFile);
+    json.payload = bytesToBase64(toBytes(sealFile.payload));
+    if (sealFile.signature) json.signatureValue = bytesToBase64(toBytes(sealFile.signatureValue));
+    return JSON.stringify(json, null, 2);
+  }
+
+  /**
+   * The outer metadata for a file whose details are hidden
+   * @param {{expiresAt?: string|null, encryptedAt?: string}} metadata
+   * @returns {object} Metadata for buildSealFile
+   */
+  function hiddenMetadata(metadata) {
+    return {
+      originalName: HIDDEN_FILE_NAME,
+      originalSize: null,
+      originalType: DEFAULT_TYPE,
+      encryptedAt: metadata.encryptedAt,
+      expiresAt: metadata.expiresAt,
+      hidden: true,
+    };
+  }
+
+  /**
+   * Describe a bundle of files: a display name, the total size and the manifest
+   * @param {{path: string, size: number, type: string}[]} entries - In payload order
+   * @returns {{originalName: string, originalSize: number, originalType: string, entries: object[]}}
+   */
+  function bundleMetadata(entries) {
+    // A dropped folder is named after the folder, anything else by its count
+    const top = entries[0].path.split('/')[0];
+    const oneFolder = entries.every((e) => e.path.includes('/') && e.path.split('/')[0] === top);
+
+    const metadata = {
+      originalName: oneFolder ? top : `${entries.length} files`,
+      originalSize: entries.reduce((sum, e) => sum + e.size, 0),
+      originalType: BUNDLE_TYPE,
+      entries: entries.map((e) => ({ path: e.path, size: e.size, type: e.type || DEFAULT_TYPE })),
+    };
+    checkManifest(metadata.entries, metadata.originalSize);
+    return metadata;
+  }
+
+  // Reject manifests that could write outside a folder or misplace bytes
+  function checkManifest(entries, totalSize) {
+    const seen = new Set();
+    let sum = 0;
+    for (const e of entries) {
+      const segments = typeof e.path === 'string' ? e.path.split('/') : [''];
+      if (segments.some((s) => !s || s === '.' || s === '..' || s.includes('\\')) || seen.has(e.path)) {
+        throw new Error('Invalid bundle manifest');
+      }
+      if (!Number.isSafeInteger(e.size) || e.size < 0) throw new Error('Invalid bundle manifest');
+      seen.add(e.path);
+      sum += e.size;
+    }
+    if (!entries.length || sum !== totalSize) throw new Error('Invalid bundle manifest');
+  }
+
+  /**
+   * Serialize the details a file keeps in its inner header
+   * @param {{originalName: string, originalSize: number, originalType: string, entries?: object[]}} metadata
+   * @returns {Uint8Array} Plaintext for SealStream.sealInnerHeader
+   */
+  function writeInnerHeader(metadata) {
+    const inner = {
+      originalName: metadata.originalName,
+      originalSize: metadata.originalSize,
+      originalType: metadata.originalType || DEFAULT_TYPE,
+    };
+    if (metadata.entries) inner.entries = metadata.entries;
+    return new TextEncoder().encode(JSON.stringify(inner));
+  }
+
+  /**
+   * Merge a decrypted inner header into the outer metadata
+   * @param {object} sealFile
+   * @param {Uint8Array} innerHeader - Output of SealStream.openInnerHeader
+   * @returns {object} The file's real metadata (hidden stays true), with the
+   *   manifest as `entries` for bundles
+   */
+  function readInnerHeader(sealFile, innerHeader) {
+    const inner = decodeHeader(innerHeader);
+    const metadata = Object.assign({}, sealFile.metadata, {
+      originalName: inner.originalName,
+      originalSize: inner.originalSize,
+      originalType: inner.originalType || DEFAULT_TYPE,
+    });
+    if (metadata.originalType === BUNDLE_TYPE) {
+      checkManifest(inner.entries || [], inner.originalSize);
+      metadata.entries = inner.entries;
+    }
+    return metadata;
+  }
+
+  // True unless the file's name or type says it is compressed already
+  function isCompressible(name, type) {
+    return !COMPRESSED_TYPES.test(type || '') && !COMPRESSED_EXTENSIONS.test(name || '');
+  }
+
+  /**
+   * Pick the compression for a file about to be sealed
+   * @param {{originalName: string, originalType: string, entries?: object[]}} metadata - The real details
+   * @param {boolean|string} requested - true for gzip, or a COMPRESSION_FORMATS name
+   * @returns {string|undefined} The format to record in encryption.compression,
+   *   or undefined when not requested or the content is compressed already
+   */
+  function compressionFor(metadata, requested) {
+    if (!requested) return undefined;
+    const format = requested === true ? COMPRESSION_FORMATS[0] : requested;
+    if (!COMPRESSION_FORMATS.includes(format)) {
+      throw new Error(`Unsupported compression: ${requested}`);
+    }
+    // A bundle is worth compressing if any of its files is
+    const compressible = metadata.entries
+      ? metadata.entries.some((e) => isCompressible(e.path, e.type))
+      : isCompressible(metadata.originalName, metadata.originalType);
+    return compressible ? format : undefined;
+  }
+
+  /**
+   * Cut a decrypted bundle back into its files
+   * @param {Blob} data - The decrypted payload
+   * @param {{path: string, size: number, type: string}[]} entries - metadata.entries
+   * @returns {{path: string, size: number, type: string, data: Blob}[]}
+   */
+  function splitBundle(data, entries) {
+    let offset = 0;
+    return entries.map((e) => {
+      const part = data.slice(offset, offset + e.size, e.type);
+      offset += e.size;
+      return { path: e.path, size: e.size, type: e.type, data: part };
+    });
+  }
+
+  /**
+   * Whether a file's account recipients are hidden (see hiddenRecipients above)
+   * @param {object} sealFile - Normalized .seal object
+   * @returns {boolean}
+   */
+  function hasHiddenRecipients(sealFile) {
+    return !!sealFile.metadata.hiddenRecipients;
+  }
+
+  /**
+   * Find the recipient entry for an email address
+   * @param {object} sealFile - Normalized .seal object
+   * @param {string} email
+   * @returns {object|undefined}
+   */
+  function findRecipient(sealFile, email) {
+    const needle = (email || '').toLowerCase();
+    return sealFile.recipients.find((r) => !!r.email && r.email.toLowerCase() === needle);
+  }
+
+  /**
+   * Find the password entry of a file that can be opened with a password
+   * @param {object} sealFile - Normalized .seal object
+   * @returns {object|undefined}
+   */
+  function findPasswordRecipient(sealFile) {
+    return sealFile.recipients.find(isPasswordRecipient);
+  }
+
+  /**
+   * Armor a sealed message for an email body
+   * @param {Uint8Array} bytes - The .seal container
+   * @returns {string[]} The lines of the block, markers included
+   */
+  function armorMessage(bytes) {
+    const base64 = bytesToBase64(bytes);
+    const lines = [ARMOR_BEGIN];
+    for (let i = 0; i < base64.length; i += ARMOR_LINE_LENGTH) {
+      lines.push(base64.slice(i, i + ARMOR_LINE_LENGTH));
+    }
+    lines.push(ARMOR_END);
+    return lines;
+  }
+
+  /**
+   * Find the first armored message in text
+   * @param {string} text - E.g. the text content of an email body
+   * @returns {string|null} The block, markers included
+   */
+  function findArmoredMessage(text) {
+    const start = text.indexOf(ARMOR_BEGIN);
+    if (start === -1) return null;
+    const end = text.indexOf(ARMOR_END, start);
+    return end === -1 ? null : text.slice(start, end + ARMOR_END.length);
+  }
+
+  /**
+   * Decode an armored message back into container bytes. Mail clients rewrap
+   * and re-space the block, so whitespace inside it is ignored.
+   * @param {string} text - Text containing the block
+   * @returns {Uint8Array}
+   */
+  function dearmorMessage(text) {
+    const block = findArmoredMessage(text);
+    if (!block) throw new Error('No sealed message found');
+    return base64ToBytes(block.slice(ARMOR_BEGIN.length, -ARMOR_END.length).replace(/\s+/g, ''));
+  }
+
+  const SealFormat = {
+    FORMAT_VERSION,
+    LEGACY_VERSION,
+    CONTENT_ALGORITHM,
+    STREAM_ALGORITHM,
+    SIGNATURE_ALGORITHM,
+    HIDDEN_FILE_NAME,
+    BUNDLE_TYPE,
+    COMPRESSION_FORMATS,
+    detectLayout,
+    buildSealFile,
+    validateSealFile,
+    CONTAINER_VERSION,
+    isBinarySealFile,
+    readSealFile,
+    readSealHeader,
+    readSealBlob,
+    canonicalHeader,
+    isHeaderBound,
+    signatureMessage,
+    writeSealHeader,
+    writeSealTrailer,
+    writeSealFile,
+    exportSealJson,
+    hiddenMetadata,
+    bundleMetadata,
+    writeInnerHeader,
+    readInnerHeader,
+    splitBundle,
+    compressionFor,
+    findRecipient,
+    findPasswordRecipient,
+    hasHiddenRecipients,
+    MESSAGE_NAME,
+    MESSAGE_TYPE,
+    armorMessage,
+    findArmoredMessage,
+    dearmorMessage,
+    bytesToBase64,
+    base64ToBytes,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SealFormat;
+  } else {
+    global.SealFormat = SealFormat;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
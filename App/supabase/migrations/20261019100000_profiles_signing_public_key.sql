@@ -0,0 +1,7 @@
+-- Signing keys (ECDSA P-256, base64 SPKI) that recipients use to check who
+-- sealed a file. Published on the profile next to the encryption key and
+-- served by /api/users/public-key/[email]; null until the user's first login
+-- after signing was added. Only /api/profile writes it, with the service role.
+
+alter table public.profiles
+  add column if not exists signing_public_key text;
@@ -0,0 +1,23 @@
+-- Send guard policy per organization (email domain), see lib/send-policy.ts.
+-- Set by Seal admins through /api/org/send-policy and fetched by members'
+-- extensions from the same route.
+
+create table if not exists public.org_send_policies (
+  domain text primary key check (domain = lower(domain)),
+  policy jsonb not null,
+  updated_by text not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.org_send_policies enable row level security;
+
+-- Members may read their own organization's policy
+create policy "Members read their organization's send policy"
+  on public.org_send_policies
+  for select
+  to authenticated
+  using (domain = lower(split_part(auth.jwt() ->> 'email', '@', 2)));
+
+-- No insert, update or delete policies: admins are listed in
+-- SEAL_ADMIN_EMAILS, which only the server knows, so /api/org/send-policy
+-- checks it and writes with the service role (which bypasses RLS).
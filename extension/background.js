@@ -5,11 +5,40 @@
  * - API calls to seal.email (auth, keys, metadata)
  * - Message routing between popup and content script
  * - Token-based authentication with the Seal API
+ * - Pinning recipient keys on first use
+ * - Sealing compose bodies for the content script
+ * - The send guard policy, and sealing the attachments it flags
  * - External message relay from seal.email for auth handoff
  */
 
 const API_BASE = 'https://seal.email/api';
 
+// Key IDs for pinning recipient keys; the rest seals message bodies
+importScripts('lib/seal-keys.js', 'lib/seal-format.js', 'lib/seal-stream.js', 'lib/seal-crypto.js');
+
+// Gmail clips bodies over ~102KB, which would cut the armored block
+const MAX_SEALED_MESSAGE = 96 * 1024;
+// Gmail's attachment limit
+const MAX_SEALED_ATTACHMENT = 25 * 1024 * 1024;
+// Tabs the content script runs in (see manifest.json)
+const MAIL_TAB_URLS = ['https://mail.google.com/*', 'https://outlook.office.com/*', 'https://outlook.live.com/*'];
+// Same default as the popup
+const DEFAULT_EXPIRATION_DAYS = 3;
+
+/**
+ * What the send guard flags (see content-script.js): unsealed attachments
+ * with one of these extensions or names going to a recipient outside the
+ * sender's domain and internalDomains. Keep in step with App/lib/send-policy.ts.
+ */
+const DEFAULT_SEND_POLICY = {
+  enabled: true,
+  extensions: ['csv', 'xls', 'xlsx', 'ods', 'doc', 'docx', 'pdf', 'zip', 'sql', 'pem', 'key', 'pfx'],
+  internalDomains: [],
+  filenamePatterns: ['confidential', 'payroll', 'salary', 'passport', 'contract', 'invoice', 'tax', 'bank', 'password']
+};
+// How long an organization's policy is used before it is fetched again
+const ORG_POLICY_MAX_AGE = 60 * 60 * 1000;
+
 // --- Auth Token Management ---
 
 /**
@@ -37,8 +66,143 @@ async function storeAuth(token, email) {
  */
 async function clearAuth() {
   return new Promise((resolve) => {
-    chrome.storage.local.remove(['authToken', 'userEmail'], resolve);
+    chrome.storage.local.remove(['authToken', 'userEmail', 'orgSendPolicy'], resolve);
+  });
+}
+
+/**
+ * The sender's signing key lives in session storage: it is unlocked with the
+ * password at login and never written to disk.
+ */
+async function getSigningKey() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(['signingKey'], (data) => {
+      resolve((data && data.signingKey) || null);
+    });
+  });
+}
+
+async function storeSigningKey(signingKey) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ signingKey }, resolve);
+  });
+}
+
+async function clearSigningKey() {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove(['signingKey'], resolve);
+  });
+}
+
+/**
+ * Recipient key pins, as {email: {keyId, publicKey, firstSeen, verifiedAt}}.
+ * A key is pinned the first time Seal sees it (trust on first use); when the
+ * server later returns a different key, encryption is blocked until the user
+ * reviews the change. verifiedAt is set once they compared safety numbers.
+ * Kept in the browser so a compromised server cannot vouch for a key.
+ */
+async function getKeyPins() {
+  const data = await new Promise((resolve) => {
+    chrome.storage.local.get(['keyPins', 'verifiedKeys'], resolve);
+  });
+  const pins = (data && data.keyPins) || {};
+
+  // Contacts verified before keys were pinned were stored as {email: keyId};
+  // their public key is filled in the next time it is fetched
+  const verifiedKeys = (data && data.verifiedKeys) || {};
+  for (const [email, keyId] of Object.entries(verifiedKeys)) {
+    if (!pins[email]) {
+      const now = new Date().toISOString();
+      pins[email] = { keyId, publicKey: null, firstSeen: now, verifiedAt: now };
+    }
+  }
+  return pins;
+}
+
+// Pin updates read, change and write the whole store; run them one at a time
+// so concurrent lookups do not drop each other's pins
+let pinUpdates = Promise.resolve();
+
+function updateKeyPins(update) {
+  const run = pinUpdates.then(async () => {
+    const pins = await getKeyPins();
+    const result = await update(pins);
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ keyPins: pins }, resolve);
+    });
+    await new Promise((resolve) => {
+      chrome.storage.local.remove(['verifiedKeys'], resolve);
+    });
+    return result;
   });
+  pinUpdates = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check fetched keys against their pins, pinning keys seen for the first time.
+ * Adds `keyId` and `pin` to each found result: 'new', 'pinned', 'verified',
+ * or 'changed' with the pinned key as `pinned` ({keyId, publicKey, firstSeen,
+ * verified}).
+ */
+async function checkKeyPins(results) {
+  return updateKeyPins(async (pins) => {
+    const checked = [];
+    for (const result of results) {
+      if (!result.found || !result.publicKey) {
+        checked.push(result);
+        continue;
+      }
+      const email = result.email.toLowerCase();
+      const keyId = await SealKeys.keyIdFor(result.publicKey);
+      const pin = pins[email];
+
+      if (!pin) {
+        pins[email] = { keyId, publicKey: result.publicKey, firstSeen: new Date().toISOString(), verifiedAt: null };
+        checked.push({ ...result, keyId, pin: 'new' });
+      } else if (pin.keyId === keyId) {
+        pin.publicKey = result.publicKey;
+        checked.push({ ...result, keyId, pin: pin.verifiedAt ? 'verified' : 'pinned' });
+      } else {
+        checked.push({
+          ...result,
+          keyId,
+          pin: 'changed',
+          pinned: {
+            keyId: pin.keyId,
+            publicKey: pin.publicKey,
+            firstSeen: pin.firstSeen,
+            verified: !!pin.verifiedAt
+          }
+        });
+      }
+    }
+    return checked;
+  });
+}
+
+/**
+ * Validate a pin store read from an export file
+ * @returns {Object} The pins, normalized
+ */
+function parseKeyPins(data) {
+  const pins = data && data.type === 'seal-key-pins' ? data.pins : null;
+  if (!pins || typeof pins !== 'object' || Array.isArray(pins)) {
+    throw new Error('This is not a Seal key pin export');
+  }
+  const parsed = {};
+  for (const [email, pin] of Object.entries(pins)) {
+    if (!pin || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || !/^[0-9a-f]{32}$/.test(pin.keyId)) {
+      throw new Error(`Invalid pin for ${email}`);
+    }
+    parsed[email.toLowerCase()] = {
+      keyId: pin.keyId,
+      publicKey: typeof pin.publicKey === 'string' ? pin.publicKey : null,
+      firstSeen: typeof pin.firstSeen === 'string' ? pin.firstSeen : new Date().toISOString(),
+      verifiedAt: typeof pin.verifiedAt === 'string' ? pin.verifiedAt : null
+    };
+  }
+  return parsed;
 }
 
 /**
@@ -105,13 +269,32 @@ async function fetchPublicKey(email) {
       throw new Error(`Failed to fetch key for ${email}`);
     }
     const data = await response.json();
-    return { found: true, email, publicKey: data.publicKey };
+    return {
+      found: true,
+      email,
+      publicKey: data.publicKey,
+      signingPublicKey: data.signingPublicKey || null
+    };
   } catch (err) {
     console.error(`[Seal] Key fetch failed for ${email}:`, err);
     return { found: false, email, error: err.message };
   }
 }
 
+/**
+ * Fetch the signed-in user's own password-encrypted keys
+ */
+async function fetchUserKeys() {
+  const headers = await authHeaders();
+  const response = await fetch(`${API_BASE}/users/keys`, {
+    headers,
+    credentials: 'include'
+  });
+  if (!response.ok) throw new Error('Could not fetch your keys');
+  const { keys } = await response.json();
+  return keys;
+}
+
 /**
  * Save file metadata to Seal API
  */
@@ -138,6 +321,181 @@ async function saveFileMetadata(fileId, filename, recipientEmails, expiresAt, se
   }
 }
 
+/**
+ * Public keys for sealing from Gmail without the popup. The sender is added
+ * as a recipient, so their copy in Sent stays readable. Every recipient needs
+ * an account, and a key that changed since it was pinned has to be reviewed
+ * in the popup first.
+ */
+async function resolveSealRecipients(recipientEmails) {
+  const { authToken, userEmail } = await getStoredAuth();
+  if (!authToken || !userEmail) {
+    throw new Error('Sign in to Seal first.');
+  }
+
+  const emails = Array.from(new Set(recipientEmails.concat(userEmail).map(e => e.toLowerCase())));
+  const results = await checkKeyPins(await Promise.all(emails.map(fetchPublicKey)));
+
+  const missing = results.filter(r => !r.found || !r.publicKey).map(r => r.email);
+  if (missing.length > 0) {
+    throw new Error(`No Seal account for ${missing.join(', ')}. Invite them, or seal a file with a password instead.`);
+  }
+  const changed = results.filter(r => r.pin === 'changed').map(r => r.email);
+  if (changed.length > 0) {
+    throw new Error(`The key of ${changed.join(', ')} changed. Review it in the Seal popup before sealing for them.`);
+  }
+
+  const signingKey = await getSigningKey();
+  return {
+    emails,
+    recipients: results.map(r => ({ email: r.email, publicKey: r.publicKey })),
+    signer: signingKey ? { email: userEmail, privateKey: signingKey } : undefined,
+    userEmail
+  };
+}
+
+/**
+ * Seal a message body (HTML) for its recipients and return the armored block
+ * (SealFormat.armorMessage)
+ */
+async function sealMessage(html, recipientEmails) {
+  const { emails, recipients, signer, userEmail } = await resolveSealRecipients(recipientEmails);
+
+  const sealCrypto = new SealCrypto();
+  const fileId = sealCrypto.generateFileId();
+  const sealFile = await sealCrypto.createSealFile(
+    new File([html], SealFormat.MESSAGE_NAME, { type: SealFormat.MESSAGE_TYPE }),
+    recipients,
+    fileId,
+    { signer, compress: true }
+  );
+
+  const lines = SealFormat.armorMessage(SealFormat.writeSealFile(sealFile));
+  if (lines.reduce((length, line) => length + line.length + 1, 0) > MAX_SEALED_MESSAGE) {
+    throw new Error('This message is too long to seal inline. Seal it as a file instead.');
+  }
+
+  try {
+    await saveFileMetadata(fileId, 'Sealed message', emails, null, userEmail);
+  } catch (err) {
+    console.warn('[Seal] Metadata save failed (continuing):', err);
+  }
+
+  return lines;
+}
+
+/**
+ * Seal a draft's attachment (base64) for its recipients, for the send guard's
+ * "Seal and send". Same defaults as the popup: hidden details, compression
+ * and its default expiry.
+ */
+async function sealAttachment(name, type, data, recipientEmails) {
+  const { emails, recipients, signer, userEmail } = await resolveSealRecipients(recipientEmails);
+
+  const sealCrypto = new SealCrypto();
+  const fileId = sealCrypto.generateFileId();
+  const expiresAt = new Date(Date.now() + DEFAULT_EXPIRATION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const sealFile = await sealCrypto.createSealFile(
+    new File([SealFormat.base64ToBytes(data)], name, { type: type || 'application/octet-stream' }),
+    recipients,
+    fileId,
+    { expiresAt, signer, hideDetails: true, compress: true }
+  );
+
+  const sealBytes = SealFormat.writeSealFile(sealFile);
+  if (sealBytes.length > MAX_SEALED_ATTACHMENT) {
+    throw new Error(`${name} is too large to attach once sealed. Share it another way.`);
+  }
+
+  try {
+    await saveFileMetadata(fileId, SealFormat.HIDDEN_FILE_NAME, emails, expiresAt, userEmail);
+  } catch (err) {
+    console.warn('[Seal] Metadata save failed (continuing):', err);
+  }
+
+  return {
+    sealData: SealFormat.bytesToBase64(sealBytes),
+    filename: `${SealFormat.HIDDEN_FILE_NAME}-${fileId.slice(0, 8)}.seal`
+  };
+}
+
+// --- Send Guard Policy ---
+
+/**
+ * Validate a policy from storage or the API, or null if it is not one
+ */
+function normalizeSendPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || typeof policy.enabled !== 'boolean') return null;
+  const list = (value, clean) => (Array.isArray(value)
+    ? Array.from(new Set(value.filter(v => typeof v === 'string').map(clean).filter(Boolean)))
+    : []);
+  return {
+    enabled: policy.enabled,
+    extensions: list(policy.extensions, e => e.trim().toLowerCase().replace(/^\.+/, '')),
+    internalDomains: list(policy.internalDomains, d => d.trim().toLowerCase().replace(/^@/, '')),
+    filenamePatterns: list(policy.filenamePatterns, f => f.trim().toLowerCase())
+  };
+}
+
+/**
+ * The organization's policy from /api/org/send-policy, as {domain, policy
+ * (null if it has none), fetchedAt}. Fetched at most hourly; when the API
+ * cannot be reached the last one is kept, so going offline does not turn an
+ * organization's policy off.
+ */
+async function getOrgSendPolicy() {
+  const { orgSendPolicy } = await new Promise((resolve) => {
+    chrome.storage.local.get(['orgSendPolicy'], (data) => resolve(data || {}));
+  });
+  if (orgSendPolicy && Date.now() - orgSendPolicy.fetchedAt < ORG_POLICY_MAX_AGE) {
+    return orgSendPolicy;
+  }
+
+  const { authToken } = await getStoredAuth();
+  if (!authToken) return null;
+
+  try {
+    const headers = await authHeaders();
+    const response = await fetch(`${API_BASE}/org/send-policy`, { headers, credentials: 'include' });
+    if (!response.ok) throw new Error(`Send policy fetch failed (${response.status})`);
+    const data = await response.json();
+    const fetched = { domain: data.domain, policy: normalizeSendPolicy(data.policy), fetchedAt: Date.now() };
+    await new Promise((resolve) => chrome.storage.local.set({ orgSendPolicy: fetched }, resolve));
+    return fetched;
+  } catch (err) {
+    console.warn('[Seal] Send policy fetch failed:', err);
+    return orgSendPolicy || null;
+  }
+}
+
+/**
+ * The policy in force: the organization's, else the user's own, else the
+ * defaults. `source` says which ('org', 'user' or 'default').
+ */
+async function getSendPolicy() {
+  const org = await getOrgSendPolicy();
+  if (org && org.policy) {
+    return { policy: org.policy, source: 'org', domain: org.domain };
+  }
+  const { sendPolicy } = await new Promise((resolve) => {
+    chrome.storage.local.get(['sendPolicy'], (data) => resolve(data || {}));
+  });
+  const own = normalizeSendPolicy(sendPolicy);
+  return own ? { policy: own, source: 'user' } : { policy: DEFAULT_SEND_POLICY, source: 'default' };
+}
+
+/**
+ * Message a mail tab's content script; null if it has none (e.g. a tab
+ * loaded before the extension was installed)
+ */
+function sendToTab(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      resolve(chrome.runtime.lastError ? null : response);
+    });
+  });
+}
+
 // --- Internal Message Handlers (from popup / content script) ---
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -164,7 +522,84 @@ const messageHandlers = {
   async fetchRecipientKeys(request) {
     const { emails } = request;
     const results = await Promise.all(emails.map(fetchPublicKey));
-    return { recipients: results };
+    return { recipients: await checkKeyPins(results) };
+  },
+
+  /**
+   * Fetch the user's own encrypted keys (unlocked with the password in the page)
+   */
+  async fetchUserKeys() {
+    return { keys: await fetchUserKeys() };
+  },
+
+  /**
+   * Keep the unlocked signing key for this browser session
+   */
+  async storeSigningKey(request) {
+    await storeSigningKey(request.signingKey);
+    return { success: true };
+  },
+
+  /**
+   * Get the unlocked signing key, or null if the user has not unlocked it
+   */
+  async getSigningKey() {
+    return { signingKey: await getSigningKey() };
+  },
+
+  /**
+   * Get the pinned recipient keys
+   */
+  async getKeyPins() {
+    return { pins: await getKeyPins() };
+  },
+
+  /**
+   * Mark a contact's pinned key as verified (keyId), or unverified (keyId: null)
+   */
+  async setKeyVerified(request) {
+    const email = request.email.toLowerCase();
+    await updateKeyPins((pins) => {
+      const pin = pins[email];
+      if (!pin) throw new Error(`No key pinned for ${email}`);
+      if (request.keyId && request.keyId !== pin.keyId) {
+        throw new Error('Review the key change before verifying the new key');
+      }
+      pin.verifiedAt = request.keyId ? new Date().toISOString() : null;
+    });
+    return { success: true };
+  },
+
+  /**
+   * Pin a contact's new key after the user reviewed the change
+   */
+  async acceptKeyChange(request) {
+    const email = request.email.toLowerCase();
+    const keyId = await SealKeys.keyIdFor(request.publicKey);
+    await updateKeyPins((pins) => {
+      pins[email] = { keyId, publicKey: request.publicKey, firstSeen: new Date().toISOString(), verifiedAt: null };
+    });
+    return { keyId };
+  },
+
+  /**
+   * Merge pins from an export file. An imported pin replaces a different
+   * local pin for the same contact; for the same key the verification is kept.
+   */
+  async importKeyPins(request) {
+    const imported = parseKeyPins(request.data);
+    await updateKeyPins((pins) => {
+      for (const [email, pin] of Object.entries(imported)) {
+        const local = pins[email];
+        if (local && local.keyId === pin.keyId) {
+          pin.publicKey = pin.publicKey || local.publicKey;
+          pin.firstSeen = local.firstSeen < pin.firstSeen ? local.firstSeen : pin.firstSeen;
+          pin.verifiedAt = pin.verifiedAt || local.verifiedAt;
+        }
+        pins[email] = pin;
+      }
+    });
+    return { imported: Object.keys(imported).length };
   },
 
   /**
@@ -176,32 +611,65 @@ const messageHandlers = {
   },
 
   /**
-   * Forward attach message to content script
+   * Forward a sealed file to the draft it was sealed for (request.composeId,
+   * see content-script.js), in whichever mail tab has it. If that draft has
+   * been closed the file is not attached anywhere.
    */
-  async attachToGmail(request) {
-    const tabs = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
-      url: 'https://mail.google.com/*'
-    });
+  async attachToDraft(request) {
+    const { composeId, sealData, filename } = request;
+    if (!composeId) {
+      throw new Error('Open Seal from the Seal button of the draft to attach to.');
+    }
 
-    if (tabs.length === 0) {
-      throw new Error('No Gmail tab found');
+    const tabs = await chrome.tabs.query({ url: MAIL_TAB_URLS });
+    for (const tab of tabs) {
+      const { found } = (await sendToTab(tab.id, { action: 'hasCompose', composeId })) || {};
+      if (!found) continue;
+
+      const response = await sendToTab(tab.id, { action: 'attachSealFile', composeId, sealData, filename });
+      if (!response || !response.found) break;
+      if (!response.attached) {
+        throw new Error('The draft did not accept the sealed file as an attachment. See the notice in the draft.');
+      }
+      return { success: true };
     }
+    throw new Error('The draft this file was sealed for has been closed, so the file was not attached. Seal it again from the draft you want to send.');
+  },
 
-    return new Promise((resolve, reject) => {
-      chrome.tabs.sendMessage(tabs[0].id, {
-        action: 'attachSealFile',
-        sealFile: request.sealFile,
-        filename: request.filename
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response);
-        }
-      });
-    });
+  /**
+   * Seal a compose body, for the content script
+   */
+  async sealMessage(request) {
+    return { lines: await sealMessage(request.html, request.recipients) };
+  },
+
+  /**
+   * Seal a draft attachment flagged by the send guard
+   */
+  async sealAttachment(request) {
+    return await sealAttachment(request.name, request.type, request.data, request.recipients);
+  },
+
+  /**
+   * The send guard policy in force, for the content script and the popup
+   */
+  async getSendPolicy() {
+    return await getSendPolicy();
+  },
+
+  /**
+   * Save the user's own send guard policy (null goes back to the defaults).
+   * An organization's policy still takes precedence.
+   */
+  async saveSendPolicy(request) {
+    if (request.policy === null) {
+      await new Promise((resolve) => chrome.storage.local.remove(['sendPolicy'], resolve));
+    } else {
+      const policy = normalizeSendPolicy(request.policy);
+      if (!policy) throw new Error('Invalid send policy');
+      await new Promise((resolve) => chrome.storage.local.set({ sendPolicy: policy }, resolve));
+    }
+    return await getSendPolicy();
   },
 
   /**
@@ -261,6 +729,7 @@ const messageHandlers = {
    */
   async logout() {
     await clearAuth();
+    await clearSigningKey();
     return { success: true };
   }
 };
@@ -295,7 +764,7 @@ chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) =>
   }
 
   if (message.type === 'SEAL_LOGOUT') {
-    clearAuth()
+    Promise.all([clearAuth(), clearSigningKey()])
       .then(() => {
         console.log('[Seal] Auth cleared via website logout');
         sendResponse({ success: true });
@@ -1,44 +1,113 @@
 /**
- * Seal Content Script - Injected into Gmail
+ * Seal Content Script - Injected into Gmail and Outlook on the web
+ *
+ * The client's markup is left to its adapter (lib/mail-adapters.js).
  *
  * Responsibilities:
- * 1. Detect Gmail compose windows
+ * 1. Detect compose windows
  * 2. Inject "Seal" button into compose toolbar
  * 3. Handle messages from popup/background to attach .seal files
+ * 4. Seal the compose body itself ("Seal message")
+ * Where the adapter can find attachments and opened messages (Gmail):
+ * 5. Add "Open with Seal" to .seal attachments of received messages, with
+ *    whether the user can open them, and hand the file to the receiver
+ * 6. Show sealed bodies of received messages in a reader frame that
+ *    decrypts them
+ * 7. Stop Send in compose windows we injected into when unsealed attachments
+ *    that match the send policy go to external recipients
  */
 
 (function () {
   'use strict';
 
+  const mail = SealMailAdapters.forHost(location.hostname);
+  if (!mail) return;
+
   const SEAL_BUTTON_CLASS = 'seal-compose-btn';
   const SEAL_ICON_SVG = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
     <path d="M12 2C9.24 2 7 4.24 7 7V10H6C4.9 10 4 10.9 4 12V20C4 21.1 4.9 22 6 22H18C19.1 22 20 21.1 20 20V12C20 10.9 19.1 10 18 10H17V7C17 4.24 14.76 2 12 2ZM12 4C13.66 4 15 5.34 15 7V10H9V7C9 5.34 10.34 4 12 4ZM12 14C13.1 14 14 14.9 14 16C14 17.1 13.1 18 12 18C10.9 18 10 17.1 10 16C10 14.9 10.9 14 12 14Z" fill="currentColor"/>
   </svg>`;
 
+  const SEAL_MESSAGE_ICON_SVG = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <path d="M20 4H4C2.9 4 2 4.9 2 6V18C2 19.1 2.9 20 4 20H12V18H4V8L12 13L20 8V11H22V6C22 4.9 21.1 4 20 4ZM12 11L4 6H20L12 11Z" fill="currentColor"/>
+    <path d="M21 16V15C21 13.9 20.1 13 19 13C17.9 13 17 13.9 17 15V16C16.45 16 16 16.45 16 17V21C16 21.55 16.45 22 17 22H21C21.55 22 22 21.55 22 21V17C22 16.45 21.55 16 21 16ZM20 16H18V15C18 14.45 18.45 14 19 14C19.55 14 20 14.45 20 15V16Z" fill="currentColor"/>
+  </svg>`;
+
+  const SEAL_ATTACHMENTS_ICON_SVG = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <path transform="translate(-3 0)" d="M16.5 6V17.5C16.5 19.71 14.71 21.5 12.5 21.5C10.29 21.5 8.5 19.71 8.5 17.5V5C8.5 3.62 9.62 2.5 11 2.5C12.38 2.5 13.5 3.62 13.5 5V15.5C13.5 16.05 13.05 16.5 12.5 16.5C11.95 16.5 11.5 16.05 11.5 15.5V6H10V15.5C10 16.88 11.12 18 12.5 18C13.88 18 15 16.88 15 15.5V5C15 2.79 13.21 1 11 1C8.79 1 7 2.79 7 5V17.5C7 20.54 9.46 23 12.5 23C15.54 23 18 20.54 18 17.5V6H16.5Z" fill="currentColor"/>
+    <path d="M21 16V15C21 13.9 20.1 13 19 13C17.9 13 17 13.9 17 15V16C16.45 16 16 16.45 16 17V21C16 21.55 16.45 22 17 22H21C21.55 22 22 21.55 22 21V17C22 16.45 21.55 16 21 16ZM20 16H18V15C18 14.45 18.45 14 19 14C19.55 14 20 14.45 20 15V16Z" fill="currentColor"/>
+  </svg>`;
+
+  // The compose toolbar buttons, in order
+  const SEAL_BUTTONS = {
+    file: {
+      icon: SEAL_ICON_SVG,
+      tooltip: 'Seal - Encrypt & Attach',
+      label: 'Seal - Encrypt and attach file',
+      onClick: handleSealButtonClick
+    },
+    attachments: {
+      icon: SEAL_ATTACHMENTS_ICON_SVG,
+      tooltip: 'Seal all attachments',
+      label: 'Seal all attachments - Replace the attached files with sealed copies',
+      onClick: handleSealAttachmentsClick,
+      needsDraftAttachments: true
+    },
+    message: {
+      icon: SEAL_MESSAGE_ICON_SVG,
+      tooltip: 'Seal message - Encrypt the text',
+      label: 'Seal message - Encrypt the message text',
+      onClick: handleSealMessageClick
+    }
+  };
+
   // Track compose windows we've already injected into
   const injectedComposeWindows = new WeakSet();
 
+  // A compose window's ID, which the popup passes back with the sealed file
+  // so it is attached to the draft it was sealed for and no other
+  const COMPOSE_ID_ATTRIBUTE = 'data-seal-compose-id';
+
+  const SEAL_ATTACHMENT_CLASS = 'seal-attachment-action';
+  const EXTENSION_ORIGIN = new URL(chrome.runtime.getURL('')).origin;
+
+  // Attachment chips we've already looked at
+  const scannedAttachments = new WeakSet();
+  // Downloaded .seal attachments by URL, shared by the status check and opening
+  const attachmentDownloads = new Map();
+
+  const READER_FRAME_CLASS = 'seal-reader-frame';
+
+  // Message bodies we've already given a reader frame
+  const readMessages = new WeakSet();
+
+  // {policy, source, domain} from the background; null turns the guard off
+  let sendPolicy = null;
+  let ownEmail = null;
+  // Compose windows whose send is going through after the guard
+  const approvedSends = new WeakSet();
+
   /**
-   * Create the Seal button element
+   * Create a Seal button element (see SEAL_BUTTONS)
    */
-  function createSealButton() {
+  function createSealButton({ icon, tooltip, label, onClick }) {
     const button = document.createElement('div');
     button.className = SEAL_BUTTON_CLASS;
     button.setAttribute('role', 'button');
     button.setAttribute('tabindex', '0');
-    button.setAttribute('data-tooltip', 'Seal - Encrypt & Attach');
-    button.setAttribute('aria-label', 'Seal - Encrypt and attach file');
+    button.setAttribute('data-tooltip', tooltip);
+    button.setAttribute('aria-label', label);
     button.innerHTML = `
       <div class="seal-btn-inner">
-        ${SEAL_ICON_SVG}
+        ${icon}
       </div>
     `;
 
-    button.addEventListener('click', handleSealButtonClick);
+    button.addEventListener('click', onClick);
     button.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
-        handleSealButtonClick(e);
+        onClick(e);
       }
     });
 
@@ -52,8 +121,13 @@
     e.stopPropagation();
 
     // Get recipients from the compose window
-    const composeWindow = e.target.closest('div[role="dialog"], .nH .iN');
-    const recipients = extractRecipients(composeWindow);
+    const composeWindow = mail.composeOf(e.target);
+    if (!composeWindow) {
+      showNotification('Could not tell which draft to attach to. Please try again.', 'error');
+      return;
+    }
+    const recipients = mail.recipientsOf(composeWindow);
+    const composeId = composeIdOf(composeWindow);
 
     // Open popup window for encryption
     const popupUrl = chrome.runtime.getURL('popup/popup.html');
@@ -63,109 +137,400 @@
     const top = Math.round((screen.height - popupHeight) / 2);
 
     const popup = window.open(
-      `${popupUrl}?recipients=${encodeURIComponent(recipients.join(','))}`,
+      `${popupUrl}?recipients=${encodeURIComponent(recipients.join(','))}&composeId=${encodeURIComponent(composeId)}`,
       'seal-encrypt',
       `width=${popupWidth},height=${popupHeight},left=${left},top=${top},resizable=yes,scrollbars=yes`
     );
 
     if (!popup) {
       // Popup blocked - notify user
-      showNotification('Please allow popups for Gmail to use Seal encryption.', 'error');
+      showNotification(`Please allow popups for ${mail.name} to use Seal encryption.`, 'error');
     }
   }
 
   /**
-   * Extract recipient email addresses from compose window
+   * Tag a compose window with an ID, once
    */
-  function extractRecipients(composeWindow) {
-    if (!composeWindow) return [];
+  function composeIdOf(composeWindow) {
+    let composeId = composeWindow.getAttribute(COMPOSE_ID_ATTRIBUTE);
+    if (!composeId) {
+      composeId = crypto.randomUUID();
+      composeWindow.setAttribute(COMPOSE_ID_ATTRIBUTE, composeId);
+    }
+    return composeId;
+  }
 
-    const recipients = new Set();
+  /**
+   * The open compose window with an ID, or null once the draft is closed
+   */
+  function findCompose(composeId) {
+    if (typeof composeId !== 'string') return null;
+    return Array.from(document.querySelectorAll(`[${COMPOSE_ID_ATTRIBUTE}]`))
+      .find(el => el.getAttribute(COMPOSE_ID_ATTRIBUTE) === composeId) || null;
+  }
 
-    // Gmail stores recipients in elements with email attribute or data-hovercard-id
-    const recipientSelectors = [
-      '[email]',
-      '[data-hovercard-id]',
-      'span[email]',
-      '.afV span[email]',
-      'div[data-hovercardid]'
-    ];
+  /**
+   * Handle click on Seal message button - replace the compose body with a
+   * sealed block for the draft's recipients
+   */
+  async function handleSealMessageClick(e) {
+    e.stopPropagation();
+    const button = e.currentTarget;
+    if (button.classList.contains('seal-busy')) return;
+
+    const composeWindow = mail.composeOf(e.target);
+    const body = composeWindow && mail.bodyOf(composeWindow);
+    if (!body) {
+      showNotification('Could not find the message text to seal.', 'error');
+      return;
+    }
+    // A quoted sealed message in a reply does not count
+    const ownText = body.cloneNode(true);
+    mail.quotesOf(ownText).forEach(quote => quote.remove());
+    if (SealFormat.findArmoredMessage(ownText.textContent)) {
+      showNotification('This message is already sealed.', 'warning');
+      return;
+    }
+    if (!body.textContent.trim() && !body.querySelector('img')) {
+      showNotification('Write the message first, then seal it.', 'warning');
+      return;
+    }
+    const recipients = mail.recipientsOf(composeWindow);
+    if (recipients.length === 0) {
+      showNotification('Add the recipients first: the message is sealed for them.', 'warning');
+      return;
+    }
 
-    for (const selector of recipientSelectors) {
-      const elements = composeWindow.querySelectorAll(selector);
-      elements.forEach(el => {
-        const email = el.getAttribute('email') ||
-          el.getAttribute('data-hovercard-id') ||
-          el.getAttribute('data-hovercardid') ||
-          '';
-        if (email && email.includes('@')) {
-          recipients.add(email.toLowerCase());
-        }
-      });
+    button.classList.add('seal-busy');
+    try {
+      const { lines } = await sendMessage({ action: 'sealMessage', html: body.innerHTML, recipients });
+      body.replaceChildren(createSealedBlock(lines));
+      // Let the client save the draft with the new body
+      body.dispatchEvent(new Event('input', { bubbles: true }));
+      showNotification(`Message sealed for ${recipients.join(', ')}.`, 'success');
+    } catch (err) {
+      console.error('[Seal] Sealing message failed:', err);
+      showNotification(err.message || 'Could not seal the message. Please try again.', 'error');
+    } finally {
+      button.classList.remove('seal-busy');
+    }
+  }
+
+  /**
+   * Handle click on Seal all attachments button - replace the files already
+   * on the draft with sealed copies for the draft's recipients
+   */
+  async function handleSealAttachmentsClick(e) {
+    e.stopPropagation();
+    const button = e.currentTarget;
+    if (button.classList.contains('seal-busy')) return;
+
+    const composeWindow = mail.composeOf(e.target);
+    if (!composeWindow) {
+      showNotification('Could not find the draft to seal. Please try again.', 'error');
+      return;
+    }
+    const attachments = mail.draftAttachments(composeWindow)
+      .filter(a => !a.name.toLowerCase().endsWith('.seal'));
+    if (attachments.length === 0) {
+      showNotification('This draft has no unsealed attachments.', 'warning');
+      return;
+    }
+    const recipients = mail.recipientsOf(composeWindow);
+    if (recipients.length === 0) {
+      showNotification('Add the recipients first: the attachments are sealed for them.', 'warning');
+      return;
     }
 
-    return Array.from(recipients);
+    button.classList.add('seal-busy');
+    try {
+      await sealDraftAttachments(composeWindow, attachments);
+      showNotification(attachments.length === 1
+        ? `${attachments[0].name} sealed for ${recipients.join(', ')}.`
+        : `${attachments.length} attachments sealed for ${recipients.join(', ')}.`, 'success');
+    } catch (err) {
+      console.error('[Seal] Sealing attachments failed:', err);
+      showNotification(err.message || 'Could not seal the attachments. Please try again.', 'error');
+    } finally {
+      button.classList.remove('seal-busy');
+    }
   }
 
   /**
-   * Find Gmail compose toolbars and inject Seal button
+   * The body of a sealed message: how to read it, then the armored block
+   */
+  function createSealedBlock(lines) {
+    const block = document.createElement('div');
+
+    const note = document.createElement('div');
+    note.textContent = 'This message is sealed with Seal. Only its recipients can read it: ' +
+      'open it in Gmail with the Seal extension installed (https://seal.email).';
+
+    const armor = document.createElement('div');
+    armor.style.fontFamily = 'monospace';
+    lines.forEach((line, i) => {
+      if (i > 0) armor.appendChild(document.createElement('br'));
+      armor.appendChild(document.createTextNode(line));
+    });
+
+    block.append(note, document.createElement('br'), armor);
+    return block;
+  }
+
+  /**
+   * Find compose toolbars and inject the Seal buttons
    */
   function injectSealButtons() {
-    // Gmail compose toolbar selectors (multiple strategies for compatibility)
-    const toolbarSelectors = [
-      // Standard compose toolbar with formatting options
-      'div.btC',
-      // Compose bottom area
-      'tr.btC td.gU',
-      // New Gmail compose toolbar
-      'div[role="dialog"] div.bAK',
-      // Toolbar area near send button
-      'div.IZ',
-      // Compose action bar
-      'table.IZ',
-      // Generic compose toolbar detection
-      'div[role="dialog"] table.cf',
-    ];
-
-    for (const selector of toolbarSelectors) {
-      const toolbars = document.querySelectorAll(selector);
-      toolbars.forEach(toolbar => {
-        // Check if we already injected into this compose window
-        const composeRoot = toolbar.closest('div[role="dialog"]') ||
-          toolbar.closest('.nH') ||
-          toolbar;
-
-        if (injectedComposeWindows.has(composeRoot)) return;
-
-        // Check if seal button already exists in this toolbar
-        if (toolbar.querySelector(`.${SEAL_BUTTON_CLASS}`)) return;
-
-        const sealButton = createSealButton();
-        toolbar.appendChild(sealButton);
-        injectedComposeWindows.add(composeRoot);
+    for (const { root, toolbar } of mail.findComposes(document)) {
+      // Check if we already injected into this compose window
+      if (injectedComposeWindows.has(root)) continue;
+
+      // Check if seal button already exists in this toolbar
+      if (toolbar.querySelector(`.${SEAL_BUTTON_CLASS}`)) continue;
+
+      const buttons = Object.values(SEAL_BUTTONS).filter(b => !b.needsDraftAttachments || mail.draftAttachments);
+      toolbar.append(...buttons.map(createSealButton));
+      injectedComposeWindows.add(root);
+      refreshSendPolicy();
+    }
+  }
+
+  /**
+   * Ask the background service worker
+   */
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response || {});
+        }
       });
+    });
+  }
+
+  /**
+   * Find .seal attachment chips in open messages and add the Seal action
+   */
+  function injectAttachmentActions() {
+    mail.attachmentLinks(document).forEach(attachment => {
+      const { chip } = attachment;
+      if (scannedAttachments.has(chip)) return;
+      scannedAttachments.add(chip);
+
+      if (!attachment.name.toLowerCase().endsWith('.seal')) return;
+      if (chip.querySelector(`.${SEAL_ATTACHMENT_CLASS}`)) return;
+      // The action sits over the bottom of the chip
+      if (getComputedStyle(chip).position === 'static') chip.style.position = 'relative';
+      chip.appendChild(createAttachmentAction(attachment));
+    });
+  }
+
+  /**
+   * "Open with Seal" button and access status for one attachment chip
+   */
+  function createAttachmentAction(attachment) {
+    const action = document.createElement('div');
+    action.className = SEAL_ATTACHMENT_CLASS;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'seal-attachment-open';
+    button.innerHTML = `${SEAL_ICON_SVG}<span>Open with Seal</span>`;
+
+    const status = document.createElement('span');
+    status.className = 'seal-attachment-status';
+    status.textContent = 'Checking\u2026';
+
+    // The chip opens the client's preview on click; keep ours to ourselves
+    action.addEventListener('mousedown', (e) => e.stopPropagation());
+    action.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+    button.addEventListener('click', () => openAttachment(attachment));
+
+    action.append(button, status);
+
+    describeAttachment(attachment).then(({ text, tone, canOpen }) => {
+      status.textContent = text;
+      status.classList.add(`seal-attachment-${tone}`);
+      button.disabled = !canOpen;
+    });
+
+    return action;
+  }
+
+  /**
+   * Download an attachment with the client session's cookies (once per URL)
+   */
+  function downloadAttachment(attachment) {
+    if (!attachmentDownloads.has(attachment.url)) {
+      const download = fetch(attachment.url, { credentials: 'include' }).then(response => {
+        if (!response.ok) throw new Error(`Attachment download failed (${response.status})`);
+        return response.blob();
+      });
+      // Let a failed download be retried
+      download.catch(() => attachmentDownloads.delete(attachment.url));
+      attachmentDownloads.set(attachment.url, download);
     }
+    return attachmentDownloads.get(attachment.url);
+  }
 
-    // Alternative: look for the attachment/insert area more broadly
-    const composeDialogs = document.querySelectorAll('div[role="dialog"]');
-    composeDialogs.forEach(dialog => {
-      if (injectedComposeWindows.has(dialog)) return;
+  /**
+   * Whether the signed-in user can open a .seal attachment, from its header
+   */
+  async function describeAttachment(attachment) {
+    let sealFile;
+    try {
+      ({ sealFile } = await SealFormat.readSealBlob(await downloadAttachment(attachment)));
+    } catch (err) {
+      console.warn('[Seal] Could not read attachment:', err);
+      return { text: 'Not a readable .seal file', tone: 'denied', canOpen: false };
+    }
+
+    const expiresAt = sealFile.metadata && sealFile.metadata.expiresAt;
+    if (expiresAt && new Date(expiresAt) < new Date()) {
+      return { text: 'Expired', tone: 'denied', canOpen: false };
+    }
+
+    let email = null;
+    try {
+      ({ email } = await sendMessage({ action: 'getStoredEmail' }));
+    } catch (err) {
+      // Extension reloaded; treat as signed out
+    }
+
+    const hasPassword = !!SealFormat.findPasswordRecipient(sealFile);
+    if (!email) {
+      return { text: 'Sign in to Seal to check access', tone: 'neutral', canOpen: true };
+    }
+    if (SealFormat.hasHiddenRecipients(sealFile)) {
+      return { text: 'Recipients hidden \u00b7 checked when opened', tone: 'neutral', canOpen: true };
+    }
+    if (SealFormat.findRecipient(sealFile, email)) {
+      return { text: 'Sealed for you', tone: 'granted', canOpen: true };
+    }
+    if (hasPassword) {
+      return { text: 'Opens with the sender\'s password', tone: 'neutral', canOpen: true };
+    }
+    return { text: 'Not sealed for you', tone: 'denied', canOpen: false };
+  }
+
+  /**
+   * Open the receiver in a window and hand it the attachment. The bytes are
+   * posted straight to the window, never through extension storage.
+   */
+  async function openAttachment(attachment) {
+    const width = 380;
+    const height = 620;
+    const left = Math.round((screen.width - width) / 2);
+    const top = Math.round((screen.height - height) / 2);
+    const receiver = window.open(
+      `${chrome.runtime.getURL('receiver/receiver.html')}?source=gmail`,
+      'seal-receiver',
+      `width=${width},height=${height},left=${left},top=${top},resizable=yes,scrollbars=yes`
+    );
+    if (!receiver) {
+      showNotification(`Please allow popups for ${mail.name} to open sealed files.`, 'error');
+      return;
+    }
 
-      // Look for the bottom toolbar area
-      const bottomBar = dialog.querySelector('.bAK') ||
-        dialog.querySelector('.btC') ||
-        dialog.querySelector('td.gU');
+    try {
+      const [blob] = await Promise.all([
+        downloadAttachment(attachment),
+        waitForExtensionPage(receiver, 'seal-receiver-ready')
+      ]);
+      const bytes = await blob.arrayBuffer();
+      receiver.postMessage({ type: 'seal-attachment', name: attachment.name, bytes }, EXTENSION_ORIGIN, [bytes]);
+    } catch (err) {
+      console.error('[Seal] Could not open attachment:', err);
+      showNotification('Could not open this attachment with Seal. Please try again.', 'error');
+      receiver.close();
+    }
+  }
+
+  /**
+   * Resolve once an extension window or frame says it is listening
+   */
+  function waitForExtensionPage(target, readyType) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        window.removeEventListener('message', onMessage);
+        reject(new Error('Seal window did not respond'));
+      }, 15000);
+
+      function onMessage(event) {
+        if (event.source !== target || event.origin !== EXTENSION_ORIGIN) return;
+        if (!event.data || event.data.type !== readyType) return;
+        clearTimeout(timeout);
+        window.removeEventListener('message', onMessage);
+        resolve();
+      }
+      window.addEventListener('message', onMessage);
+    });
+  }
 
-      if (bottomBar && !bottomBar.querySelector(`.${SEAL_BUTTON_CLASS}`)) {
-        const sealButton = createSealButton();
-        bottomBar.appendChild(sealButton);
-        injectedComposeWindows.add(dialog);
+  /**
+   * Give each opened message with a sealed body a reader frame. The frame is
+   * an extension page: the password and the decrypted text stay out of the
+   * client's page.
+   */
+  function injectMessageReaders() {
+    mail.messageBodies(document).forEach(body => {
+      if (readMessages.has(body)) return;
+      const armored = SealFormat.findArmoredMessage(body.textContent);
+      if (!armored) return;
+      readMessages.add(body);
+
+      const frame = document.createElement('iframe');
+      frame.className = READER_FRAME_CLASS;
+      frame.title = 'Sealed message';
+      frame.src = chrome.runtime.getURL('reader/reader.html');
+
+      // Stand in for the block if it has an element of its own (ours does)
+      const block = armoredElement(body);
+      if (block) {
+        block.hidden = true;
+        block.before(frame);
+      } else {
+        body.prepend(frame);
       }
+
+      waitForExtensionPage(frame.contentWindow, 'seal-reader-ready')
+        .then(() => frame.contentWindow.postMessage({ type: 'seal-message', armored }, EXTENSION_ORIGIN))
+        .catch(err => console.warn('[Seal] Reader frame did not load:', err));
     });
   }
 
   /**
-   * Show a notification toast in Gmail
+   * The innermost element of a body holding just the armored block, if any
+   */
+  function armoredElement(body) {
+    let el = body;
+    for (;;) {
+      const child = Array.from(el.children).find(c => SealFormat.findArmoredMessage(c.textContent));
+      if (!child) break;
+      el = child;
+    }
+    if (el === body) return null;
+    return SealFormat.findArmoredMessage(el.textContent) === el.textContent.trim() ? el : null;
+  }
+
+  // Reader frames report their content height
+  window.addEventListener('message', (event) => {
+    if (event.origin !== EXTENSION_ORIGIN || !event.data || event.data.type !== 'seal-reader-height') return;
+    const frame = Array.from(document.querySelectorAll(`iframe.${READER_FRAME_CLASS}`))
+      .find(f => f.contentWindow === event.source);
+    const height = Number(event.data.height);
+    if (frame && height > 0) frame.style.height = `${Math.min(Math.ceil(height), 4000)}px`;
+  });
+
+  /**
+   * Show a notification toast in the page
    */
   function showNotification(message, type = 'info') {
     const existing = document.querySelector('.seal-notification');
@@ -182,55 +547,307 @@
     }, 4000);
   }
 
+  // --- Send guard ---
+
   /**
-   * Attach a .seal file to the current Gmail compose draft
+   * Load the policy in force (see getSendPolicy in background.js). Called
+   * for every new compose window, which also refreshes an organization's
+   * policy when it is due.
    */
-  function attachToGmail(sealFileData, filename) {
+  async function refreshSendPolicy() {
     try {
-      // Create blob from seal file data
-      const jsonString = typeof sealFileData === 'string'
-        ? sealFileData
-        : JSON.stringify(sealFileData);
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      const file = new File([blob], filename, { type: 'application/json' });
-
-      // Strategy 1: Find Gmail's file input and inject
-      const fileInputs = document.querySelectorAll('input[type="file"]');
-      let attached = false;
-
-      for (const fileInput of fileInputs) {
-        try {
-          const dataTransfer = new DataTransfer();
-          dataTransfer.items.add(file);
-          fileInput.files = dataTransfer.files;
-          fileInput.dispatchEvent(new Event('change', { bubbles: true }));
-          attached = true;
-          break;
-        } catch (err) {
-          // Try next input
-        }
+      sendPolicy = await sendMessage({ action: 'getSendPolicy' });
+      ({ email: ownEmail } = await sendMessage({ action: 'getStoredEmail' }));
+    } catch (err) {
+      console.warn('[Seal] Could not load the send policy:', err);
+    }
+  }
+
+  function domainOf(email) {
+    return email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+  }
+
+  // Policy patterns are lower case keywords where * matches anything
+  function patternMatches(pattern, name) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(source).test(name);
+  }
+
+  /**
+   * The compose window around an element, if we injected into it
+   */
+  function guardedComposeOf(el) {
+    const composeRoot = mail.composeOf(el);
+    return composeRoot && composeRoot.querySelector(`.${SEAL_BUTTON_CLASS}`) ? composeRoot : null;
+  }
+
+  // Why the policy flags an attachment; empty if it does not
+  function attachmentReasons(name, policy) {
+    const lower = name.toLowerCase();
+    const reasons = [];
+    const extension = lower.includes('.') ? lower.slice(lower.lastIndexOf('.') + 1) : '';
+    if (extension && policy.extensions.includes(extension)) {
+      reasons.push(`.${extension} files are sensitive`);
+    }
+    const pattern = policy.filenamePatterns.find(p => patternMatches(p, lower));
+    if (pattern) {
+      reasons.push(`the name matches "${pattern}"`);
+    }
+    return reasons;
+  }
+
+  /**
+   * Check a draft against the policy: null if it may be sent, else the
+   * external recipients and the unsealed attachments flagged for them
+   */
+  function checkSendPolicy(composeRoot) {
+    if (!mail.draftAttachments || !sendPolicy || !sendPolicy.policy.enabled) return null;
+    const policy = sendPolicy.policy;
+
+    const internal = policy.internalDomains.concat(ownEmail ? [domainOf(ownEmail)] : []);
+    const external = mail.recipientsOf(composeRoot).filter(email => {
+      const domain = domainOf(email);
+      return !internal.some(d => domain === d || domain.endsWith(`.${d}`));
+    });
+    if (external.length === 0) return null;
+
+    const flagged = mail.draftAttachments(composeRoot)
+      .filter(a => !a.name.toLowerCase().endsWith('.seal'))
+      .map(a => Object.assign(a, { reasons: attachmentReasons(a.name, policy) }))
+      .filter(a => a.reasons.length > 0);
+    return flagged.length > 0 ? { external, flagged } : null;
+  }
+
+  /**
+   * Capture-phase handler for Send clicks and Ctrl/Cmd+Enter. Gmail acts on
+   * mousedown and mouseup as well as click, so all three are held back.
+   */
+  function guardSend(event) {
+    if (!(event.target instanceof Element)) return;
+    const sendButton = event.target.closest(mail.sendButtonSelector);
+    if (event.type === 'keydown') {
+      const shortcut = event.key === 'Enter' && (event.ctrlKey || event.metaKey);
+      const onButton = sendButton && (event.key === 'Enter' || event.key === ' ');
+      if (!shortcut && !onButton) return;
+    } else if (!sendButton) {
+      return;
+    }
+
+    const composeRoot = guardedComposeOf(event.target);
+    if (!composeRoot || approvedSends.has(composeRoot)) return;
+    const check = checkSendPolicy(composeRoot);
+    if (!check) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    if (event.type === 'mousedown' || event.type === 'keydown') {
+      showSendGuard(composeRoot, check);
+    }
+  }
+
+  /**
+   * Press Send for a draft the user cleared, past the guard
+   */
+  function sendApproved(composeRoot) {
+    const button = composeRoot.querySelector(mail.sendButtonSelector);
+    if (!button) {
+      showNotification('Could not find the Send button. Please send the message yourself.', 'warning');
+      return;
+    }
+    approvedSends.add(composeRoot);
+    try {
+      for (const type of ['mousedown', 'mouseup', 'click']) {
+        button.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+      }
+    } finally {
+      approvedSends.delete(composeRoot);
+    }
+  }
+
+  /**
+   * Ask what to do about flagged attachments: seal them and send, send
+   * anyway, or go back to the draft
+   */
+  function showSendGuard(composeRoot, check) {
+    closeSendGuard();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'seal-guard-overlay';
+    const dialog = document.createElement('div');
+    dialog.className = 'seal-guard-dialog';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'seal-guard-title');
+
+    const title = document.createElement('h2');
+    title.id = 'seal-guard-title';
+    title.className = 'seal-guard-title';
+    title.innerHTML = `${SEAL_ICON_SVG}<span></span>`;
+    title.querySelector('span').textContent = check.flagged.length === 1
+      ? 'Send this attachment unsealed?'
+      : `Send ${check.flagged.length} attachments unsealed?`;
+
+    const intro = document.createElement('p');
+    intro.className = 'seal-guard-text';
+    intro.textContent = `This message goes outside your organization, to ${check.external.join(', ')}.`;
+
+    const list = document.createElement('ul');
+    list.className = 'seal-guard-list';
+    for (const attachment of check.flagged) {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = attachment.name;
+      item.append(name, document.createTextNode(`: ${attachment.reasons.join(', and ')}`));
+      list.appendChild(item);
+    }
+
+    const source = document.createElement('p');
+    source.className = 'seal-guard-source';
+    source.textContent = sendPolicy.source === 'org'
+      ? `Send policy of ${sendPolicy.domain}`
+      : 'Your send policy (change it in the Seal popup)';
+
+    const error = document.createElement('p');
+    error.className = 'seal-guard-error';
+    error.hidden = true;
+
+    const actions = document.createElement('div');
+    actions.className = 'seal-guard-actions';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'seal-guard-btn';
+    cancel.textContent = 'Cancel';
+    const sendAnyway = document.createElement('button');
+    sendAnyway.type = 'button';
+    sendAnyway.className = 'seal-guard-btn';
+    sendAnyway.textContent = 'Send anyway';
+    const sealAndSendButton = document.createElement('button');
+    sealAndSendButton.type = 'button';
+    sealAndSendButton.className = 'seal-guard-btn seal-guard-primary';
+    sealAndSendButton.textContent = 'Seal and send';
+    actions.append(cancel, sendAnyway, sealAndSendButton);
+
+    dialog.append(title, intro, list, source, error, actions);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    sealAndSendButton.focus();
+
+    const buttons = [cancel, sendAnyway, sealAndSendButton];
+    cancel.addEventListener('click', closeSendGuard);
+    sendAnyway.addEventListener('click', () => {
+      closeSendGuard();
+      sendApproved(composeRoot);
+    });
+    sealAndSendButton.addEventListener('click', async () => {
+      buttons.forEach(b => { b.disabled = true; });
+      sealAndSendButton.textContent = 'Sealing...';
+      error.hidden = true;
+      try {
+        await sealAndSend(composeRoot, check.flagged);
+        closeSendGuard();
+        sendApproved(composeRoot);
+      } catch (err) {
+        console.error('[Seal] Seal and send failed:', err);
+        error.textContent = err.message || 'Could not seal the attachments.';
+        error.hidden = false;
+        buttons.forEach(b => { b.disabled = false; });
+        sealAndSendButton.textContent = 'Seal and send';
       }
+    });
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeSendGuard();
+    });
+  }
 
-      // Strategy 2: Drag and drop onto compose area
-      if (!attached) {
-        const composeBody = document.querySelector(
-          'div[role="dialog"] div[contenteditable="true"]'
-        );
-        if (composeBody) {
-          const dataTransfer = new DataTransfer();
-          dataTransfer.items.add(file);
-
-          const dropEvent = new DragEvent('drop', {
-            bubbles: true,
-            cancelable: true,
-            dataTransfer
-          });
-
-          composeBody.dispatchEvent(dropEvent);
-          attached = true;
-        }
+  function closeSendGuard() {
+    const overlay = document.querySelector('.seal-guard-overlay');
+    if (overlay) overlay.remove();
+  }
+
+  /**
+   * Replace each flagged attachment of a draft with a sealed copy, then make
+   * sure nothing unsealed is left to send
+   */
+  async function sealAndSend(composeRoot, flagged) {
+    await sealDraftAttachments(composeRoot, flagged);
+
+    // Never send while an unsealed copy is still attached
+    const remaining = checkSendPolicy(composeRoot);
+    if (remaining) {
+      throw new Error(`Remove ${remaining.flagged.map(a => a.name).join(', ')} from the draft; the sealed copies are attached.`);
+    }
+  }
+
+  /**
+   * Replace attachments of a draft (from mail.draftAttachments) with sealed
+   * copies for the draft's recipients, and wait until Gmail lists the
+   * sealed files in their place
+   */
+  async function sealDraftAttachments(composeRoot, attachments) {
+    const recipients = mail.recipientsOf(composeRoot);
+    const filenames = [];
+
+    for (const attachment of attachments) {
+      if (!attachment.url) {
+        throw new Error(`Could not read ${attachment.name} from the draft. Seal it with the Seal button instead.`);
       }
+      const response = await fetch(attachment.url, { credentials: 'include' });
+      if (!response.ok) throw new Error(`Could not read ${attachment.name} from the draft.`);
+      const blob = await response.blob();
+
+      const { sealData, filename } = await sendMessage({
+        action: 'sealAttachment',
+        name: attachment.name,
+        type: blob.type,
+        data: SealFormat.bytesToBase64(new Uint8Array(await blob.arrayBuffer())),
+        recipients
+      });
+      if (!attachToDraft(sealData, filename, composeRoot)) {
+        throw new Error(`Could not attach the sealed copy of ${attachment.name}.`);
+      }
+      filenames.push(filename);
 
+      mail.removeAttachment(attachment);
+    }
+
+    // Gmail uploads attachments before it sends
+    const deadline = Date.now() + 30000;
+    for (;;) {
+      const names = mail.draftAttachments(composeRoot).map(a => a.name);
+      if (filenames.every(name => names.includes(name))) break;
+      if (Date.now() > deadline) throw new Error('The sealed files are still uploading. Try again in a moment.');
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    const kept = attachments.filter(a => a.chip.isConnected);
+    if (kept.length > 0) {
+      throw new Error(`Remove ${kept.map(a => a.name).join(', ')} from the draft; the sealed copies are attached.`);
+    }
+  }
+
+  /**
+   * Decode the base64-encoded .seal container sent by the popup
+   */
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Attach a .seal file to a compose draft. Only that draft is touched,
+   * never another one. Returns whether it was attached.
+   */
+  function attachToDraft(sealData, filename, composeRoot) {
+    try {
+      // Create blob from the binary .seal container
+      const blob = new Blob([base64ToBytes(sealData)], { type: 'application/octet-stream' });
+      const file = new File([blob], filename, { type: 'application/octet-stream' });
+
+      const attached = mail.attachFile(composeRoot, file);
       if (attached) {
         showNotification(`Sealed file "${filename}" attached successfully!`, 'success');
       } else {
@@ -241,9 +858,11 @@
         // Fallback: download the file for manual attachment
         downloadFile(blob, filename);
       }
+      return attached;
     } catch (err) {
       console.error('[Seal] Error attaching file:', err);
       showNotification('Error attaching sealed file. Please try again.', 'error');
+      return false;
     }
   }
 
@@ -265,23 +884,36 @@
    * Listen for messages from popup/background
    */
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'attachSealFile') {
-      attachToGmail(request.sealFile, request.filename);
-      sendResponse({ success: true });
+    if (request.action === 'hasCompose') {
+      sendResponse({ found: !!findCompose(request.composeId) });
+    } else if (request.action === 'attachSealFile') {
+      // The draft may have closed since hasCompose; then nothing is attached
+      const composeWindow = findCompose(request.composeId);
+      sendResponse(composeWindow
+        ? { found: true, attached: attachToDraft(request.sealData, request.filename, composeWindow) }
+        : { found: false });
     } else if (request.action === 'showNotification') {
       showNotification(request.message, request.type);
       sendResponse({ success: true });
     } else if (request.action === 'getRecipients') {
-      // Get recipients from the most recent compose window
-      const dialog = document.querySelector('div[role="dialog"]');
-      const recipients = extractRecipients(dialog);
-      sendResponse({ recipients });
+      // Get recipients from the first open compose window
+      const [compose] = mail.findComposes(document);
+      sendResponse({ recipients: compose ? mail.recipientsOf(compose.root) : [] });
     }
     return true;
   });
 
   /**
-   * Observe DOM for new compose windows
+   * Look for compose windows and received attachments
+   */
+  function scanPage() {
+    injectSealButtons();
+    if (mail.attachmentLinks) injectAttachmentActions();
+    if (mail.messageBodies) injectMessageReaders();
+  }
+
+  /**
+   * Observe DOM for new compose windows and opened messages
    */
   function startObserver() {
     const observer = new MutationObserver((mutations) => {
@@ -293,9 +925,9 @@
         }
       }
       if (shouldCheck) {
-        // Debounce - Gmail can trigger many mutations
+        // Debounce - the client can trigger many mutations
         clearTimeout(startObserver._timeout);
-        startObserver._timeout = setTimeout(injectSealButtons, 300);
+        startObserver._timeout = setTimeout(scanPage, 300);
       }
     });
 
@@ -310,18 +942,29 @@
    */
   function init() {
     // Initial injection attempt
-    injectSealButtons();
+    scanPage();
 
-    // Watch for new compose windows
+    // Watch for new compose windows and opened messages
     startObserver();
 
     // Also poll periodically as a fallback
-    setInterval(injectSealButtons, 2000);
+    setInterval(scanPage, 2000);
+
+    // Hold back Send until the draft passes the send policy
+    refreshSendPolicy();
+    for (const type of ['mousedown', 'mouseup', 'click', 'keydown']) {
+      window.addEventListener(type, guardSend, true);
+    }
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && (changes.sendPolicy || changes.orgSendPolicy || changes.userEmail)) {
+        refreshSendPolicy();
+      }
+    });
 
     console.log('[Seal] Content script loaded');
   }
 
-  // Wait for Gmail to be ready
+  // Wait for the client to be ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
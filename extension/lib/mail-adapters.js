@@ -0,0 +1,280 @@
+/**
+ * Seal Mail Adapters
+ * What the content script needs to know about a webmail client's page, one
+ * adapter per client. The content script picks the adapter for the page it
+ * runs on (forHost) and keeps everything else client-independent.
+ *
+ * An adapter has:
+ *   id, name              'gmail' | 'outlook', and the name shown to users
+ *   hosts                 hostnames it runs on (see manifest.json)
+ *   findComposes(doc)     open compose windows: [{ root, toolbar }], where
+ *                         toolbar is where the Seal buttons go
+ *   composeOf(el)         the compose window around an element, or null
+ *   recipientsOf(root)    lower-case email addresses of a draft (To, Cc, Bcc)
+ *   bodyOf(root)          the draft's editable body, or null
+ *   quotesOf(body)        the quoted earlier messages in a draft's body
+ *   attachFile(root, file) add a File to the draft; whether it was accepted
+ *   sendButtonSelector    the draft's Send button
+ * Optional, and the features that need them are off without them (Gmail
+ * has them, Outlook does not yet):
+ *   draftAttachments(root) the draft's attachments: [{ chip, name, url }]
+ *                         (send guard, Seal all attachments)
+ *   removeAttachment(attachment) take one of those off the draft; whether
+ *                         it found how
+ *   attachmentLinks(doc)  attachments of opened messages:
+ *                         [{ chip, name, type, url }] (Open with Seal)
+ *   messageBodies(doc)    bodies of opened messages (the reader frame)
+ *
+ * Adapters only touch the document they are given (and its window), so they
+ * are tested against saved copies of the clients' markup (test/fixtures).
+ */
+
+(function (global) {
+  'use strict';
+
+  const EMAIL_PATTERN = /[a-z0-9._%+'-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+  function emailsIn(text) {
+    return (text || '').match(EMAIL_PATTERN) || [];
+  }
+
+  // Drop a file on an element the way a user dragging it from the desktop
+  // would; clients that take dropped files attach it
+  function dropFile(target, file) {
+    const win = target.ownerDocument.defaultView;
+    const dataTransfer = new win.DataTransfer();
+    dataTransfer.items.add(file);
+    for (const type of ['dragenter', 'dragover', 'drop']) {
+      target.dispatchEvent(new win.DragEvent(type, { bubbles: true, cancelable: true, dataTransfer }));
+    }
+  }
+
+  // Put a file in the first file input that takes it
+  function fillFileInput(inputs, file) {
+    for (const input of inputs) {
+      try {
+        const win = input.ownerDocument.defaultView;
+        const dataTransfer = new win.DataTransfer();
+        dataTransfer.items.add(file);
+        input.files = dataTransfer.files;
+        input.dispatchEvent(new win.Event('change', { bubbles: true }));
+        return true;
+      } catch (err) {
+        // Try next input
+      }
+    }
+    return false;
+  }
+
+  // --- Gmail ---
+
+  // Compose toolbars, tried in order (Gmail's markup varies by version)
+  const GMAIL_TOOLBAR_SELECTORS = [
+    // Standard compose toolbar with formatting options
+    'div.btC',
+    // Compose bottom area
+    'tr.btC td.gU',
+    // New Gmail compose toolbar
+    'div[role="dialog"] div.bAK',
+    // Toolbar area near send button
+    'div.IZ',
+    // Compose action bar
+    'table.IZ',
+    // Generic compose toolbar detection
+    'div[role="dialog"] table.cf'
+  ];
+
+  // Recipient chips carry the address in one of these attributes
+  const GMAIL_RECIPIENT_ATTRIBUTES = ['email', 'data-hovercard-id', 'data-hovercardid'];
+
+  const gmail = {
+    id: 'gmail',
+    name: 'Gmail',
+    hosts: ['mail.google.com'],
+    sendButtonSelector: 'div[role="button"].T-I.aoO, div[role="button"][data-tooltip^="Send"]',
+
+    findComposes(doc) {
+      const composes = [];
+      const seen = new Set();
+      const add = (root, toolbar) => {
+        if (seen.has(root)) return;
+        seen.add(root);
+        composes.push({ root, toolbar });
+      };
+
+      for (const selector of GMAIL_TOOLBAR_SELECTORS) {
+        doc.querySelectorAll(selector).forEach(toolbar => {
+          add(gmail.composeOf(toolbar) || toolbar.closest('.nH') || toolbar, toolbar);
+        });
+      }
+      // Alternative: look for the bottom toolbar area of compose dialogs
+      doc.querySelectorAll('div[role="dialog"]').forEach(dialog => {
+        const bottomBar = dialog.querySelector('.bAK') ||
+          dialog.querySelector('.btC') ||
+          dialog.querySelector('td.gU');
+        if (bottomBar) add(dialog, bottomBar);
+      });
+      return composes;
+    },
+
+    composeOf(el) {
+      return el.closest('div[role="dialog"], .nH .iN');
+    },
+
+    recipientsOf(root) {
+      const recipients = new Set();
+      const selector = GMAIL_RECIPIENT_ATTRIBUTES.map(name => `[${name}]`).join(', ');
+      root.querySelectorAll(selector).forEach(el => {
+        for (const name of GMAIL_RECIPIENT_ATTRIBUTES) {
+          const email = el.getAttribute(name) || '';
+          if (email.includes('@')) {
+            recipients.add(email.toLowerCase());
+            break;
+          }
+        }
+      });
+      return Array.from(recipients);
+    },
+
+    bodyOf(root) {
+      return root.querySelector('div[contenteditable="true"][role="textbox"], div[contenteditable="true"]');
+    },
+
+    quotesOf(body) {
+      return Array.from(body.querySelectorAll('.gmail_quote'));
+    },
+
+    attachFile(root, file) {
+      // Gmail's own file input, else a drop onto the body
+      if (fillFileInput(root.querySelectorAll('input[type="file"]'), file)) return true;
+      const body = gmail.bodyOf(root);
+      if (!body) return false;
+      dropFile(body, file);
+      return true;
+    },
+
+    draftAttachments(root) {
+      return Array.from(root.querySelectorAll('div.dL')).map(chip => {
+        const nameEl = chip.querySelector('.vI');
+        const link = chip.querySelector('a[href]');
+        return {
+          chip,
+          name: (nameEl ? nameEl.textContent : chip.textContent).trim(),
+          url: link ? link.href : null
+        };
+      }).filter(a => a.name);
+    },
+
+    removeAttachment(attachment) {
+      const remove = attachment.chip.querySelector('[aria-label^="Remove"], .vq');
+      if (!remove) return false;
+      remove.click();
+      return true;
+    },
+
+    // Chips carry "mime type:file name:download URL" in download_url
+    attachmentLinks(doc) {
+      return Array.from(doc.querySelectorAll('[download_url]')).map(chip => {
+        const parts = chip.getAttribute('download_url').split(':');
+        if (parts.length < 3) return null;
+        return { chip, type: parts[0], name: parts[1], url: parts.slice(2).join(':') };
+      }).filter(Boolean);
+    },
+
+    // Compose bodies are contenteditable
+    messageBodies(doc) {
+      return Array.from(doc.querySelectorAll('div.a3s')).filter(body => !body.closest('[contenteditable="true"]'));
+    }
+  };
+
+  // --- Outlook on the web ---
+
+  // Outlook has few stable class names; its ARIA labels are what stays put
+  const OUTLOOK_BODY_SELECTOR = 'div[contenteditable="true"][aria-label^="Message body"]';
+  const OUTLOOK_SEND_SELECTOR = 'button[aria-label="Send"], button[title^="Send"]';
+  const OUTLOOK_RECIPIENT_WELLS = ['To', 'Cc', 'Bcc']
+    .map(field => `div[role="textbox"][aria-label="${field}"]`).join(', ');
+
+  const outlook = {
+    id: 'outlook',
+    name: 'Outlook',
+    hosts: ['outlook.office.com', 'outlook.live.com'],
+    sendButtonSelector: OUTLOOK_SEND_SELECTOR,
+
+    findComposes(doc) {
+      const composes = [];
+      doc.querySelectorAll(OUTLOOK_BODY_SELECTOR).forEach(body => {
+        const root = outlook.composeOf(body);
+        const send = root && root.querySelector(OUTLOOK_SEND_SELECTOR);
+        // The Seal buttons go in the bar that has Send and Discard
+        if (send && !composes.some(c => c.root === root)) {
+          composes.push({ root, toolbar: send.parentElement });
+        }
+      });
+      return composes;
+    },
+
+    // The nearest ancestor that holds both the body and Send: the reading
+    // pane reply, or the pop-out window's dialog
+    composeOf(el) {
+      for (let node = el; node && node !== el.ownerDocument.body; node = node.parentElement) {
+        if (node.querySelector(OUTLOOK_BODY_SELECTOR) && node.querySelector(OUTLOOK_SEND_SELECTOR)) {
+          return node;
+        }
+      }
+      return null;
+    },
+
+    // Resolved recipients are pills whose label or tooltip has the address;
+    // an address still being typed is plain text in the field
+    recipientsOf(root) {
+      const recipients = new Set();
+      root.querySelectorAll(OUTLOOK_RECIPIENT_WELLS).forEach(well => {
+        const texts = [well.textContent];
+        well.querySelectorAll('[aria-label], [title]').forEach(el => {
+          texts.push(el.getAttribute('aria-label'), el.getAttribute('title'));
+        });
+        texts.forEach(text => emailsIn(text).forEach(email => recipients.add(email.toLowerCase())));
+      });
+      return Array.from(recipients);
+    },
+
+    bodyOf(root) {
+      return root.querySelector(OUTLOOK_BODY_SELECTOR);
+    },
+
+    // A reply quotes from Outlook's marker to the end of the body
+    quotesOf(body) {
+      const start = body.querySelector('#appendonsend, #divRplyFwdMsg');
+      if (!start) return [];
+      const quotes = [];
+      for (let node = start; node; node = node.nextElementSibling) quotes.push(node);
+      return quotes;
+    },
+
+    // Outlook keeps no file input in the draft; dropped files are attached
+    attachFile(root, file) {
+      const body = outlook.bodyOf(root);
+      if (!body) return false;
+      dropFile(body, file);
+      return true;
+    }
+  };
+
+  const ADAPTERS = [gmail, outlook];
+
+  /**
+   * The adapter for a page, or null if Seal does not run there
+   */
+  function forHost(hostname) {
+    return ADAPTERS.find(adapter => adapter.hosts.includes(hostname)) || null;
+  }
+
+  const SealMailAdapters = { gmail, outlook, forHost };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SealMailAdapters;
+  } else {
+    global.SealMailAdapters = SealMailAdapters;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
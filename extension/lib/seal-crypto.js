@@ -3,9 +3,11 @@
  * Client-side encryption for .seal files using Web Crypto API
  *
  * Encryption scheme:
- * - AES-256-GCM for file content encryption
- * - RSA-OAEP (2048-bit) for per-recipient key wrapping
+ * - AES-256-GCM for file content encryption, in authenticated chunks (seal-stream.js)
+ * - Per-recipient key wrapping with ECDH P-256 + HKDF, or RSA-OAEP (2048-bit)
+ *   for older accounts (seal-keys.js)
  * - Each .seal file contains the encrypted content + wrapped keys for all recipients
+ * - File layout is defined by the shared SealFormat codec (seal-format.js)
  */
 
 class SealCrypto {
@@ -13,7 +15,17 @@ class SealCrypto {
     this.ALGORITHM = 'AES-GCM';
     this.KEY_LENGTH = 256;
     this.IV_LENGTH = 12;
-    this.SEAL_VERSION = '1.0';
+    this.SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+    this.SIGNING_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+    this.format = typeof SealFormat !== 'undefined'
+      ? SealFormat
+      : require('./seal-format.js');
+    this.stream = typeof SealStream !== 'undefined'
+      ? SealStream
+      : require('./seal-stream.js');
+    this.keys = typeof SealKeys !== 'undefined'
+      ? SealKeys
+      : require('./seal-keys.js');
   }
 
   /**
@@ -40,80 +52,23 @@ class SealCrypto {
 
   /**
    * Encrypt file content with AES-256-GCM
+   * additionalData (e.g. the canonical .seal header) is authenticated but not encrypted
    */
-  async encryptContent(fileBuffer, key) {
+  async encryptContent(fileBuffer, key, additionalData) {
     const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
-    const encrypted = await crypto.subtle.encrypt(
-      { name: this.ALGORITHM, iv },
-      key,
-      fileBuffer
-    );
+    const params = { name: this.ALGORITHM, iv };
+    if (additionalData) params.additionalData = additionalData;
+    const encrypted = await crypto.subtle.encrypt(params, key, fileBuffer);
     return { encrypted, iv };
   }
 
   /**
    * Decrypt file content with AES-256-GCM
    */
-  async decryptContent(encryptedBuffer, key, iv) {
-    return crypto.subtle.decrypt(
-      { name: this.ALGORITHM, iv },
-      key,
-      encryptedBuffer
-    );
-  }
-
-  /**
-   * Import an RSA public key from JWK format
-   */
-  async importPublicKey(jwk) {
-    return crypto.subtle.importKey(
-      'jwk',
-      jwk,
-      { name: 'RSA-OAEP', hash: 'SHA-256' },
-      false,
-      ['wrapKey']
-    );
-  }
-
-  /**
-   * Import an RSA private key from JWK format
-   */
-  async importPrivateKey(jwk) {
-    return crypto.subtle.importKey(
-      'jwk',
-      jwk,
-      { name: 'RSA-OAEP', hash: 'SHA-256' },
-      false,
-      ['unwrapKey']
-    );
-  }
-
-  /**
-   * Wrap (encrypt) the file key for a specific recipient using their public key
-   */
-  async wrapKeyForRecipient(fileKey, recipientPublicKey) {
-    const wrappedKey = await crypto.subtle.wrapKey(
-      'raw',
-      fileKey,
-      recipientPublicKey,
-      { name: 'RSA-OAEP' }
-    );
-    return wrappedKey;
-  }
-
-  /**
-   * Unwrap (decrypt) the file key using recipient's private key
-   */
-  async unwrapFileKey(wrappedKeyBuffer, privateKey) {
-    return crypto.subtle.unwrapKey(
-      'raw',
-      wrappedKeyBuffer,
-      privateKey,
-      { name: 'RSA-OAEP' },
-      { name: this.ALGORITHM, length: this.KEY_LENGTH },
-      false,
-      ['decrypt']
-    );
+  async decryptContent(encryptedBuffer, key, iv, additionalData) {
+    const params = { name: this.ALGORITHM, iv };
+    if (additionalData) params.additionalData = additionalData;
+    return crypto.subtle.decrypt(params, key, encryptedBuffer);
   }
 
   /**
@@ -153,76 +108,301 @@ class SealCrypto {
   }
 
   /**
-   * Create a .seal file from a source file
-   *
-   * @param {File} file - The file to encrypt
-   * @param {Array} recipients - Array of {email, publicKey (JWK)} objects
-   * @param {string} fileId - Unique file identifier
-   * @param {Object} options - {expiresAt: ISO string}
-   * @returns {Object} The .seal file data
+   * Decrypt a password-protected private key stored on the Seal server.
+   * Mirrors the web app: PBKDF2-SHA256 derives an AES-256-GCM key from the password,
+   * with the parameters recorded next to the key (kdf; absent for legacy keys).
    */
-  async createSealFile(file, recipients, fileId, options = {}) {
-    // Read file content
-    const fileBuffer = await this.readFileAsArrayBuffer(file);
+  async decryptPrivateKeyWithPassword(encryptedKey, password, salt, iv, kdf) {
+    const derivedKey = await this.keys.deriveKeyWithKdf(
+      password,
+      new Uint8Array(this.base64ToArrayBuffer(salt)),
+      kdf,
+      { name: this.ALGORITHM, length: this.KEY_LENGTH },
+      ['decrypt']
+    );
 
-    // Generate a random AES key for this file
-    const fileKey = await this.generateFileKey();
+    try {
+      const decrypted = await crypto.subtle.decrypt(
+        { name: this.ALGORITHM, iv: this.base64ToArrayBuffer(iv) },
+        derivedKey,
+        this.base64ToArrayBuffer(encryptedKey)
+      );
+      return new TextDecoder().decode(decrypted);
+    } catch (err) {
+      throw new Error('Incorrect password');
+    }
+  }
 
-    // Encrypt the file content
-    const { encrypted, iv } = await this.encryptContent(fileBuffer, fileKey);
-
-    // Wrap the file key for each recipient
-    const recipientKeys = [];
-    for (const recipient of recipients) {
-      const publicKey = await this.importPublicKey(recipient.publicKey);
-      const wrappedKey = await this.wrapKeyForRecipient(fileKey, publicKey);
-      recipientKeys.push({
-        email: recipient.email,
-        wrappedKey: this.arrayBufferToBase64(wrappedKey)
-      });
+  /**
+   * Import an ECDSA P-256 signing key (base64 PKCS8 private or SPKI public)
+   */
+  async importSigningKey(base64Key, format) {
+    return crypto.subtle.importKey(
+      format,
+      this.base64ToArrayBuffer(base64Key),
+      this.SIGNING_ALGORITHM,
+      false,
+      [format === 'pkcs8' ? 'sign' : 'verify']
+    );
+  }
+
+  /**
+   * Describe what is being sealed: one file, or several as a bundle whose
+   * plaintext is the files back to back
+   * @param {File|Array<File|{file: File, path: string}>} input - Files without
+   *   a path use their folder-relative path (webkitRelativePath) or name
+   */
+  describeSource(input) {
+    if (!Array.isArray(input)) {
+      return {
+        details: { originalName: input.name, originalSize: input.size, originalType: input.type },
+        source: input.stream()
+      };
     }
 
+    const files = input.map((f) => (f instanceof Blob ? { file: f, path: f.webkitRelativePath || f.name } : f));
+    return {
+      details: this.format.bundleMetadata(
+        files.map((f) => ({ path: f.path, size: f.file.size, type: f.file.type }))
+      ),
+      source: this.stream.concat(files.map((f) => f.file.stream()))
+    };
+  }
+
+  /**
+   * Build the .seal header for a file and a stream of its encrypted payload.
+   * With options.signer, also returns sign() to call once the payload is read.
+   */
+  async sealPayload(file, recipients, fileId, options = {}) {
+    const signer = options.signer;
+
+    // Generate a random AES key and nonce prefix for this file
+    const fileKey = await this.generateFileKey();
+    const noncePrefix = this.stream.generateNoncePrefix();
+    const digest = signer ? this.stream.createPayloadDigest() : null;
+
+    // Wrap the file key for each recipient, with the suite their key supports
+    const wrapped = await this.keys.wrapForRecipients(
+      fileKey, recipients, options.password, options.hideRecipients
+    );
+
+    const { details, source } = this.describeSource(file);
+    details.expiresAt = options.expiresAt;
+
+    // Compress first when asked, unless the content is compressed already
+    const compression = this.format.compressionFor(details, options.compress);
+
+    // Hidden details and bundle manifests travel encrypted; with hidden
+    // details the outer header only gets a generic name
+    const innerHeader = options.hideDetails || details.entries
+      ? this.arrayBufferToBase64(
+        await this.stream.sealInnerHeader(fileKey, noncePrefix, this.format.writeInnerHeader(details))
+      )
+      : undefined;
+
     // Build the .seal file structure
-    const sealFile = {
-      version: this.SEAL_VERSION,
+    const sealFile = this.format.buildSealFile({
       fileId: fileId,
-      metadata: {
-        originalName: file.name,
-        originalSize: file.size,
-        originalType: file.type || 'application/octet-stream',
-        encryptedAt: new Date().toISOString(),
-        expiresAt: options.expiresAt || null
-      },
+      metadata: Object.assign(
+        options.hideDetails ? this.format.hiddenMetadata(details) : Object.assign({}, details),
+        { hiddenRecipients: !!options.hideRecipients }
+      ),
+      innerHeader,
       encryption: {
-        algorithm: 'AES-256-GCM',
-        keyWrapping: 'RSA-OAEP-SHA256',
-        iv: this.arrayBufferToBase64(iv.buffer)
+        algorithm: this.format.STREAM_ALGORITHM,
+        keyWrapping: wrapped.keyWrapping,
+        chunkSize: this.stream.CHUNK_SIZE,
+        noncePrefix: this.arrayBufferToBase64(noncePrefix),
+        compression
       },
-      recipients: recipientKeys,
-      payload: this.arrayBufferToBase64(encrypted)
-    };
+      recipients: wrapped.recipients,
+      signature: signer ? { signer: signer.email } : undefined,
+      payload: null
+    });
+
+    // Bind the header to the ciphertext so it cannot be edited afterwards
+    const header = this.format.canonicalHeader(sealFile);
+    const headerTag = await this.stream.sealHeader(fileKey, noncePrefix, header);
+    sealFile.encryption.headerTag = this.arrayBufferToBase64(headerTag);
+
+    // Encrypt the file content chunk by chunk as it is read; progress is
+    // reported on the uncompressed bytes
+    const progress = { totalBytes: details.originalSize, onProgress: options.onProgress };
+    const plaintext = compression ? this.stream.compressStream(source, compression, progress) : source;
+    const payload = this.stream.encryptStream(
+      plaintext,
+      fileKey,
+      noncePrefix,
+      Object.assign({ additionalData: header, digest }, compression ? {} : progress)
+    );
+
+    // Sign the header and the finished payload digest
+    const sign = signer
+      ? async () => {
+        const signingKey = await this.importSigningKey(signer.privateKey, 'pkcs8');
+        const message = this.format.signatureMessage(sealFile, await digest.finish());
+        sealFile.signatureValue = new Uint8Array(
+          await crypto.subtle.sign(this.SIGNING_PARAMS, signingKey, message)
+        );
+        return sealFile.signatureValue;
+      }
+      : null;
+
+    return { sealFile, payload, sign };
+  }
 
+  /**
+   * Create a .seal file from a source file
+   *
+   * @param {File|Array<File|{file: File, path: string}>} file - The file, or files to bundle
+   * @param {Array} recipients - Array of {email, publicKey (base64 SPKI or JWK)} objects
+   * @param {string} fileId - Unique file identifier
+   * @param {Object} options - {expiresAt: ISO string, onProgress: (done, total) => void,
+   *   signer: {email, privateKey (base64 PKCS8 signing key)},
+   *   hideDetails: encrypt the file name, size and type so only recipients can read them,
+   *   compress: true (gzip) or 'deflate' to compress content that is not compressed already,
+   *   password: also let anyone with this passphrase open the file (no account needed),
+   *   hideRecipients: leave recipient emails out of the file, so it does not reveal who received it}
+   * @returns {Object} The .seal file data (serialize with SealFormat.writeSealFile)
+   */
+  async createSealFile(file, recipients, fileId, options = {}) {
+    const { sealFile, payload, sign } = await this.sealPayload(file, recipients, fileId, options);
+    sealFile.payload = await this.stream.collect(payload);
+    if (sign) await sign();
     return sealFile;
   }
 
   /**
-   * Decrypt a .seal file
+   * Create a .seal file as a stream of container bytes (for large files)
    *
-   * @param {Object} sealFile - Parsed .seal file data
-   * @param {string} userEmail - Current user's email
-   * @param {Object} privateKeyJwk - User's private key in JWK format
-   * @returns {Object} {data: ArrayBuffer, metadata: Object}
+   * @param {File|Array<File|{file: File, path: string}>} file - The file, or files to bundle
+   * @param {Array} recipients - Array of {email, publicKey (base64 SPKI or JWK)} objects
+   * @param {string} fileId - Unique file identifier
+   * @param {Object} options - Same as createSealFile
+   * @returns {Object} {sealFile: Object, stream: ReadableStream<Uint8Array>}
    */
-  async decryptSealFile(sealFile, userEmail, privateKeyJwk) {
-    // Find the recipient entry for this user
-    const recipientEntry = sealFile.recipients.find(
-      r => r.email.toLowerCase() === userEmail.toLowerCase()
+  async createSealStream(file, recipients, fileId, options = {}) {
+    const { sealFile, payload, sign } = await this.sealPayload(file, recipients, fileId, options);
+    const parts = [this.format.writeSealHeader(sealFile), payload];
+    if (sign) parts.push(async () => this.format.writeSealTrailer(await sign()));
+    return { sealFile, stream: this.stream.concat(parts) };
+  }
+
+  /**
+   * Split a .seal file of any layout into its header and payload Blob
+   */
+  async readSealSource(input) {
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+      return this.format.readSealBlob(input);
+    }
+    const sealFile = this.format.readSealFile(input);
+    return { sealFile, payload: new Blob([sealFile.payload]) };
+  }
+
+  /**
+   * Check a file's sender signature against the signer's published key
+   *
+   * @param {Object} sealFile
+   * @param {Uint8Array} payloadDigest
+   * @param {Function} signingKeyFor - async (email) => base64 SPKI signing key or null
+   * @returns {Object} {status: 'valid'|'invalid'|'unknown-signer'|'unsigned', signer}
+   */
+  async checkSignature(sealFile, payloadDigest, signingKeyFor) {
+    if (!sealFile.signature) return { status: 'unsigned', signer: null };
+
+    const signer = sealFile.signature.signer;
+    let publicKey = null;
+    try {
+      publicKey = signingKeyFor ? await signingKeyFor(signer) : null;
+    } catch (err) {
+      publicKey = null;
+    }
+    if (!publicKey) return { status: 'unknown-signer', signer };
+
+    const valid = await crypto.subtle.verify(
+      this.SIGNING_PARAMS,
+      await this.importSigningKey(publicKey, 'spki'),
+      sealFile.signatureValue,
+      this.format.signatureMessage(sealFile, payloadDigest)
     );
+    return { status: valid ? 'valid' : 'invalid', signer };
+  }
+
+  /**
+   * Verify who sealed a file without decrypting it (anyone can check this)
+   *
+   * @param {Blob|ArrayBuffer|Uint8Array|Object|string} input - .seal file in any supported layout
+   * @param {Function} signingKeyFor - async (email) => base64 SPKI signing key or null
+   * @returns {Object} {status, signer} as for checkSignature
+   */
+  async verifySealSignature(input, signingKeyFor) {
+    const { sealFile, payload } = await this.readSealSource(input);
+    if (!sealFile.signature) return { status: 'unsigned', signer: null };
+
+    const digest = await this.stream.digestPayload(payload.stream(), sealFile.encryption.chunkSize);
+    return this.checkSignature(sealFile, digest, signingKeyFor);
+  }
+
+  /**
+   * Decrypt a .seal file as a stream
+   *
+   * @param {Blob|ArrayBuffer|Uint8Array|Object|string} input - .seal file in any supported layout
+   * @param {string} userEmail - Current user's email
+   * @param {Object|string|Object[]} privateKey - User's private key (base64 PKCS8 or JWK), or a
+   *   keyring of their current and retired keys ({publicKey, privateKey}[], see SealKeys.unwrapWithKeyring)
+   * @param {Object} options - {onProgress: (done, total) => void,
+   *   signingKeyFor: async (email) => base64 SPKI signing key or null}
+   * @returns {Object} {stream: ReadableStream<Uint8Array>, metadata: Object, headerVerified: boolean,
+   *   verifySignature: () => Promise<Object>} - call verifySignature() once the stream is read;
+   *   metadata holds the real file details, also for files with hidden details
+   */
+  async decryptSealStream(input, userEmail, privateKey, options = {}) {
+    const { sealFile, payload } = await this.readSealSource(input);
+
+    // Hidden recipients: the entry that opens with the user's key is theirs
+    if (this.format.hasHiddenRecipients(sealFile)) {
+      const fileKey = await this.keys.unwrapHiddenEntry(sealFile, privateKey);
+      if (!fileKey) throw new Error('You are not an authorized recipient of this file');
+      return this.openPayload(sealFile, payload, fileKey, options);
+    }
 
+    // Find the recipient entry for this user
+    const recipientEntry = this.format.findRecipient(sealFile, userEmail);
     if (!recipientEntry) {
       throw new Error('You are not an authorized recipient of this file');
     }
 
+    // Unwrap the file key with the user's private key
+    const fileKey = await this.keys.unwrapFileKey(sealFile, recipientEntry, privateKey);
+    return this.openPayload(sealFile, payload, fileKey, options);
+  }
+
+  /**
+   * Decrypt a .seal file as a stream with the password the sender shared,
+   * for recipients without a Seal account
+   *
+   * @param {Blob|ArrayBuffer|Uint8Array|Object|string} input - .seal file in any supported layout
+   * @param {string} password
+   * @param {Object} options - Same as decryptSealStream
+   * @returns {Object} Same as decryptSealStream
+   */
+  async decryptSealStreamWithPassword(input, password, options = {}) {
+    const { sealFile, payload } = await this.readSealSource(input);
+
+    const passwordEntry = this.format.findPasswordRecipient(sealFile);
+    if (!passwordEntry) {
+      throw new Error('This file is not protected with a password');
+    }
+
+    const fileKey = await this.keys.unwrapWithPassword(passwordEntry, password);
+    return this.openPayload(sealFile, payload, fileKey, options);
+  }
+
+  /**
+   * With the file key unwrapped: check expiry and the header, reveal hidden
+   * details and start decrypting
+   */
+  async openPayload(sealFile, payload, fileKey, options) {
     // Check expiration
     if (sealFile.metadata.expiresAt) {
       const expiresAt = new Date(sealFile.metadata.expiresAt);
@@ -231,59 +411,152 @@ class SealCrypto {
       }
     }
 
-    // Import private key
-    const privateKey = await this.importPrivateKey(privateKeyJwk);
-
-    // Unwrap the file key
-    const wrappedKeyBuffer = this.base64ToArrayBuffer(recipientEntry.wrappedKey);
-    const fileKey = await this.unwrapFileKey(wrappedKeyBuffer, privateKey);
+    // Reject edited metadata or recipients before touching the payload
+    const headerVerified = await this.verifySealHeader(sealFile, fileKey);
+    const metadata = await this.revealMetadata(sealFile, fileKey);
 
-    // Decrypt the content
-    const iv = new Uint8Array(this.base64ToArrayBuffer(sealFile.encryption.iv));
-    const encryptedContent = this.base64ToArrayBuffer(sealFile.payload);
-    const decryptedContent = await this.decryptContent(encryptedContent, fileKey, iv);
+    // Signed files: digest the ciphertext while it is decrypted
+    const digest = sealFile.signature ? this.stream.createPayloadDigest() : null;
 
     return {
-      data: decryptedContent,
-      metadata: sealFile.metadata
+      stream: this.decryptPayload(sealFile, metadata, payload, fileKey, options, digest),
+      metadata,
+      headerVerified,
+      verifySignature: async () =>
+        this.checkSignature(sealFile, digest && await digest.finish(), options.signingKeyFor)
     };
   }
 
   /**
-   * Validate a .seal file structure
+   * Check that the header is the one the sender sealed
+   * Returns false for files sealed before headers were bound; throws if tampered.
    */
-  validateSealFile(sealFile) {
-    const errors = [];
-
-    if (!sealFile.version) errors.push('Missing version');
-    if (!sealFile.fileId) errors.push('Missing fileId');
-    if (!sealFile.metadata) errors.push('Missing metadata');
-    if (!sealFile.encryption) errors.push('Missing encryption info');
-    if (!sealFile.recipients || !sealFile.recipients.length) {
-      errors.push('Missing recipients');
+  async verifySealHeader(sealFile, fileKey) {
+    if (!this.format.isHeaderBound(sealFile)) return false;
+
+    await this.stream.verifyHeader(
+      fileKey,
+      new Uint8Array(this.base64ToArrayBuffer(sealFile.encryption.noncePrefix)),
+      this.format.canonicalHeader(sealFile),
+      new Uint8Array(this.base64ToArrayBuffer(sealFile.encryption.headerTag))
+    );
+    return true;
+  }
+
+  /**
+   * The file's real metadata, decrypting the inner header of hidden files and bundles
+   */
+  async revealMetadata(sealFile, fileKey) {
+    if (!sealFile.innerHeader) return sealFile.metadata;
+
+    const innerHeader = await this.stream.openInnerHeader(
+      fileKey,
+      new Uint8Array(this.base64ToArrayBuffer(sealFile.encryption.noncePrefix)),
+      new Uint8Array(this.base64ToArrayBuffer(sealFile.innerHeader))
+    );
+    return this.format.readInnerHeader(sealFile, innerHeader);
+  }
+
+  /**
+   * Decrypt a .seal payload. Chunked payloads stream chunk by chunk; legacy
+   * single-shot payloads ('AES-256-GCM' with one IV) are decrypted whole.
+   */
+  decryptPayload(sealFile, metadata, payload, fileKey, options = {}, digest = null) {
+    const encryption = sealFile.encryption;
+
+    if (encryption.algorithm === this.format.STREAM_ALGORITHM) {
+      // Compressed files report progress (and are size-checked) after decompression
+      const compression = encryption.compression;
+      const progress = { totalBytes: metadata.originalSize, onProgress: options.onProgress };
+      const plaintext = this.stream.decryptStream(
+        payload.stream(),
+        fileKey,
+        new Uint8Array(this.base64ToArrayBuffer(encryption.noncePrefix)),
+        Object.assign(
+          {
+            chunkSize: encryption.chunkSize,
+            additionalData: this.format.isHeaderBound(sealFile)
+              ? this.format.canonicalHeader(sealFile)
+              : undefined,
+            digest
+          },
+          compression ? {} : progress
+        )
+      );
+      return compression ? this.stream.decompressStream(plaintext, compression, progress) : plaintext;
     }
-    if (!sealFile.payload) errors.push('Missing encrypted payload');
+
+    const iv = new Uint8Array(this.base64ToArrayBuffer(encryption.iv));
+    return new ReadableStream({
+      start: async (controller) => {
+        let decrypted;
+        try {
+          decrypted = await this.decryptContent(await payload.arrayBuffer(), fileKey, iv);
+        } catch (err) {
+          throw new Error('Decryption failed: the file is corrupted or has been tampered with');
+        }
+        if (options.onProgress) options.onProgress(decrypted.byteLength, decrypted.byteLength);
+        controller.enqueue(new Uint8Array(decrypted));
+        controller.close();
+      }
+    });
+  }
+
+  /**
+   * Decrypt a .seal file
+   *
+   * @param {Blob|ArrayBuffer|Uint8Array|Object|string} input - .seal file in any supported layout
+   * @param {string} userEmail - Current user's email
+   * @param {Object|string|Object[]} privateKey - User's private key (base64 PKCS8 or JWK), or a
+   *   keyring of their current and retired keys ({publicKey, privateKey}[], see SealKeys.unwrapWithKeyring)
+   * @param {Object} options - Same as decryptSealStream
+   * @returns {Object} {data: Blob, metadata: Object, entries: Object[]|null, headerVerified: boolean, signature: Object}
+   *   entries lists the files of a bundle ({path, size, type, data}), null otherwise
+   */
+  async decryptSealFile(input, userEmail, privateKey, options = {}) {
+    return this.readOpenedFile(await this.decryptSealStream(input, userEmail, privateKey, options));
+  }
+
+  /**
+   * Decrypt a .seal file with the password the sender shared (no account needed)
+   *
+   * @param {Blob|ArrayBuffer|Uint8Array|Object|string} input - .seal file in any supported layout
+   * @param {string} password
+   * @param {Object} options - Same as decryptSealStream
+   * @returns {Object} Same as decryptSealFile; rejects with 'Incorrect password for this file'
+   */
+  async decryptSealFileWithPassword(input, password, options = {}) {
+    return this.readOpenedFile(await this.decryptSealStreamWithPassword(input, password, options));
+  }
+
+  /**
+   * Read a whole decrypted stream into the decryptSealFile result
+   */
+  async readOpenedFile({ stream, metadata, headerVerified, verifySignature }) {
+    const data = await new Response(stream).blob();
 
     return {
-      valid: errors.length === 0,
-      errors
+      data: metadata.originalType ? new Blob([data], { type: metadata.originalType }) : data,
+      metadata: metadata,
+      entries: metadata.entries ? this.format.splitBundle(data, metadata.entries) : null,
+      headerVerified,
+      signature: await verifySignature()
     };
   }
 
   /**
-   * Generate an RSA key pair for a user (for testing/setup)
+   * Validate a .seal file structure
    */
-  async generateKeyPair() {
-    const keyPair = await crypto.subtle.generateKey(
-      {
-        name: 'RSA-OAEP',
-        modulusLength: 2048,
-        publicExponent: new Uint8Array([1, 0, 1]),
-        hash: 'SHA-256'
-      },
-      true,
-      ['wrapKey', 'unwrapKey']
-    );
+  validateSealFile(sealFile) {
+    return this.format.validateSealFile(sealFile);
+  }
+
+  /**
+   * Generate a key pair for a user (for testing/setup), as JWK.
+   * ECDH P-256 by default; pass SealKeys.RSA_KEY_WRAPPING for an RSA pair.
+   */
+  async generateKeyPair(keyWrapping) {
+    const keyPair = await this.keys.generateKeyPair(keyWrapping);
 
     const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
     const privateKey = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
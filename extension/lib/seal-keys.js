@@ -0,0 +1,520 @@
+/**
+ * Seal Keys
+ * Per-recipient wrapping of .seal file keys, shared by the extension
+ * (extension/lib/seal-keys.js) and the web app (App/public/seal-keys.js).
+ * The two copies must stay identical (npm run check:shared checks them).
+ *
+ * Account recipients use one of two suites, chosen from their public key;
+ * a third covers people without an account:
+ *
+ * - 'RSA-OAEP-SHA256': the file key is encrypted with the recipient's
+ *   RSA-2048 key. Accounts created before elliptic-curve keys use this.
+ *
+ * - 'ECDH-P256-HKDF-SHA256': a fresh ephemeral P-256 key pair is generated
+ *   for each recipient. ECDH with the recipient's key gives a shared secret;
+ *   HKDF-SHA256 (salt: the ephemeral public key, info: WRAP_INFO) turns it
+ *   into an AES-256 key-wrapping key, and the file key is wrapped with AES-KW.
+ *   The recipient entry carries the raw ephemeral public key as `ephemeralKey`.
+ *
+ * - 'PBKDF2-SHA256-AES-KW': for people without a Seal account. A key-wrapping
+ *   key is derived from a passphrase the sender chooses (PBKDF2-SHA256 with a
+ *   random salt and PASSWORD_ITERATIONS) and the file key is wrapped with
+ *   AES-KW. This "password" entry has no email; it records `salt` and
+ *   `iterations` so the parameters can be raised for new files later.
+ *
+ * Every account entry records the `keyId` of the public key it was wrapped
+ * for (keyIdFor: the first 16 bytes of SHA-256 over the SPKI, in hex). After
+ * a key rotation the user holds a keyring of their current and retired keys;
+ * unwrapFileKey picks the one the entry names. Files with hidden recipients
+ * leave out emails and keyIds; unwrapHiddenEntry tries each key on each entry.
+ *
+ * The file's default suite is recorded in encryption.keyWrapping. A recipient
+ * whose suite differs (e.g. an RSA user on a file for mostly P-256 users)
+ * records its own `keyWrapping` in its entry.
+ *
+ * Public keys are base64 SPKI (as served by the Seal API) or JWK; private
+ * keys are base64 PKCS8, JWK, or a CryptoKey from importPrivateKey, which
+ * the web app keeps non-extractable so scripts can use it but never read it.
+ *
+ * Account private keys are stored on the server encrypted under the user's
+ * password. Each records the KDF that derived its encryption key, as
+ * `{algorithm, iterations}`; keys stored before that was recorded used
+ * LEGACY_PRIVATE_KEY_KDF. New keys use PRIVATE_KEY_KDF, and kdfNeedsUpgrade
+ * tells the app which stored keys to encrypt again after a login.
+ */
+
+(function (global) {
+  'use strict';
+
+  const RSA_KEY_WRAPPING = 'RSA-OAEP-SHA256';
+  const ECDH_KEY_WRAPPING = 'ECDH-P256-HKDF-SHA256';
+  const PASSWORD_KEY_WRAPPING = 'PBKDF2-SHA256-AES-KW';
+
+  // OWASP's recommendation for PBKDF2-HMAC-SHA256; passphrases of files sent
+  // by email must hold up to offline guessing
+  const PASSWORD_ITERATIONS = 600000;
+  const MIN_PASSWORD_LENGTH = 12;
+
+  const PRIVATE_KEY_KDF = Object.freeze({ algorithm: 'PBKDF2-SHA256', iterations: 600000 });
+  const LEGACY_PRIVATE_KEY_KDF = Object.freeze({ algorithm: 'PBKDF2-SHA256', iterations: 100000 });
+  // Parameters come from the server; don't let them hang the browser
+  const MAX_KDF_ITERATIONS = 10000000;
+  const SALT_LENGTH = 16;
+  const SAFETY_NUMBER_GROUPS = 6;
+
+  const RSA_PARAMS = { name: 'RSA-OAEP', hash: 'SHA-256' };
+  const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+  const WRAP_INFO = new TextEncoder().encode('Seal file key wrap v1');
+  const FILE_KEY_PARAMS = { name: 'AES-GCM', length: 256 };
+
+  // Helper: bytes to base64
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  // Helper: base64 to bytes
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Import a base64 (SPKI/PKCS8) or JWK key; CryptoKeys are used as they are
+  function importKey(key, format, params, usages) {
+    if (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey) {
+      return Promise.resolve(key);
+    }
+    const isJwk = typeof key === 'object';
+    return crypto.subtle.importKey(
+      isJwk ? 'jwk' : format,
+      isJwk ? key : base64ToBytes(key),
+      params,
+      false,
+      usages
+    );
+  }
+
+  /**
+   * Generate a key pair for receiving .seal files
+   * @param {string} [keyWrapping] - Suite; new accounts use ECDH_KEY_WRAPPING
+   * @returns {Promise<CryptoKeyPair>} Extractable, so it can be exported and stored
+   */
+  async function generateKeyPair(keyWrapping = ECDH_KEY_WRAPPING) {
+    if (keyWrapping === ECDH_KEY_WRAPPING) {
+      return crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+    }
+    if (keyWrapping === RSA_KEY_WRAPPING) {
+      return crypto.subtle.generateKey(
+        Object.assign({ modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) }, RSA_PARAMS),
+        true,
+        ['wrapKey', 'unwrapKey']
+      );
+    }
+    throw new Error(`Unsupported key wrapping: ${keyWrapping}`);
+  }
+
+  /**
+   * Import an account private key as a non-extractable CryptoKey for
+   * unwrapFileKey
+   * @param {string|object} privateKey - base64 PKCS8 or JWK, either suite
+   * @returns {Promise<CryptoKey>}
+   */
+  async function importPrivateKey(privateKey) {
+    try {
+      return await importKey(privateKey, 'pkcs8', ECDH_PARAMS, ['deriveBits']);
+    } catch (err) {
+      return importKey(privateKey, 'pkcs8', RSA_PARAMS, ['unwrapKey']);
+    }
+  }
+
+  /**
+   * Work out which suite a recipient's public key uses
+   * @param {string|object} publicKey - base64 SPKI or JWK
+   * @returns {Promise<string>} RSA_KEY_WRAPPING or ECDH_KEY_WRAPPING
+   */
+  async function keyWrappingFor(publicKey) {
+    if (typeof publicKey === 'object') {
+      return publicKey.kty === 'EC' ? ECDH_KEY_WRAPPING : RSA_KEY_WRAPPING;
+    }
+    try {
+      await importKey(publicKey, 'spki', ECDH_PARAMS, []);
+      return ECDH_KEY_WRAPPING;
+    } catch (err) {
+      return RSA_KEY_WRAPPING;
+    }
+  }
+
+  // SHA-256 of a public key's SPKI encoding, whichever form it came in
+  async function publicKeyDigest(publicKey) {
+    let spki;
+    if (typeof publicKey === 'object') {
+      // Only exported again, so whatever key_ops it declares ('wrapKey' on
+      // older extension keys) don't matter
+      const jwk = Object.assign({}, publicKey);
+      delete jwk.key_ops;
+      const params = jwk.kty === 'EC' ? ECDH_PARAMS : RSA_PARAMS;
+      const usages = jwk.kty === 'EC' ? [] : ['encrypt'];
+      const key = await crypto.subtle.importKey('jwk', jwk, params, true, usages);
+      spki = new Uint8Array(await crypto.subtle.exportKey('spki', key));
+    } else {
+      spki = base64ToBytes(publicKey);
+    }
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', spki));
+  }
+
+  /**
+   * Fingerprint of a public key, as recorded in recipient entries
+   * @param {string|object} publicKey - base64 SPKI or JWK
+   * @returns {Promise<string>} 32 hex characters
+   */
+  async function keyIdFor(publicKey) {
+    const digest = await publicKeyDigest(publicKey);
+    return Array.from(digest.slice(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Safety number of a public key, for people to compare out of band (read
+   * aloud, or scanned as a QR code). Each group of five digits comes from five
+   * bytes of the key's SHA-256, so the 30 digits carry about 100 bits.
+   * @param {string|object} publicKey - base64 SPKI or JWK
+   * @returns {Promise<string>} Six groups of five digits, separated by spaces
+   */
+  async function safetyNumberFor(publicKey) {
+    const digest = await publicKeyDigest(publicKey);
+    const groups = [];
+    for (let i = 0; i < SAFETY_NUMBER_GROUPS * 5; i += 5) {
+      let value = 0;
+      for (let j = 0; j < 5; j++) value = value * 256 + digest[i + j];
+      groups.push(String(value % 100000).padStart(5, '0'));
+    }
+    return groups.join(' ');
+  }
+
+  // Derive the AES-KW key shared by an ephemeral and a recipient key
+  async function deriveWrappingKey(privateKey, publicKey, ephemeralKey, usage) {
+    const secret = await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      256
+    );
+    const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: ephemeralKey, info: WRAP_INFO },
+      hkdfKey,
+      { name: 'AES-KW', length: 256 },
+      false,
+      [usage]
+    );
+  }
+
+  /**
+   * Derive a key from a password with PBKDF2-SHA256
+   * @param {string} password
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @param {AlgorithmIdentifier|AesKeyGenParams} keyParams - e.g. { name: 'AES-KW', length: 256 }
+   * @param {KeyUsage[]} usages
+   * @returns {Promise<CryptoKey>} Non-extractable
+   */
+  async function derivePasswordKey(password, salt, iterations, keyParams, usages) {
+    const passwordKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      passwordKey,
+      keyParams,
+      false,
+      usages
+    );
+  }
+
+  /**
+   * Derive a key from a password with the KDF recorded for a stored private key
+   * @param {string} password
+   * @param {Uint8Array} salt
+   * @param {{algorithm: string, iterations: number}} [kdf] - Absent for keys
+   *   stored before parameters were recorded (LEGACY_PRIVATE_KEY_KDF)
+   * @param {AesKeyAlgorithm} keyParams
+   * @param {KeyUsage[]} usages
+   * @returns {Promise<CryptoKey>}
+   */
+  async function deriveKeyWithKdf(password, salt, kdf, keyParams, usages) {
+    const params = kdf || LEGACY_PRIVATE_KEY_KDF;
+    if (params.algorithm !== PRIVATE_KEY_KDF.algorithm) {
+      throw new Error(`Unsupported key derivation: ${params.algorithm}`);
+    }
+    if (!Number.isInteger(params.iterations) || params.iterations < 1 || params.iterations > MAX_KDF_ITERATIONS) {
+      throw new Error('Invalid key derivation parameters');
+    }
+    return derivePasswordKey(password, salt, params.iterations, keyParams, usages);
+  }
+
+  /**
+   * Whether a stored private key should be encrypted again with PRIVATE_KEY_KDF
+   * @param {{algorithm: string, iterations: number}} [kdf]
+   * @returns {boolean}
+   */
+  function kdfNeedsUpgrade(kdf) {
+    const params = kdf || LEGACY_PRIVATE_KEY_KDF;
+    return params.algorithm !== PRIVATE_KEY_KDF.algorithm || params.iterations < PRIVATE_KEY_KDF.iterations;
+  }
+
+  /**
+   * Wrap a file key for everyone who knows a passphrase
+   * @param {CryptoKey} fileKey - Extractable AES-256-GCM key
+   * @param {string} password - Chosen by the sender, at least MIN_PASSWORD_LENGTH characters
+   * @returns {Promise<{keyWrapping: string, wrappedKey: string, salt: string, iterations: number}>}
+   */
+  async function wrapForPassword(fileKey, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`The file password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const kek = await derivePasswordKey(password, salt, PASSWORD_ITERATIONS, { name: 'AES-KW', length: 256 }, ['wrapKey']);
+    const wrapped = await crypto.subtle.wrapKey('raw', fileKey, kek, 'AES-KW');
+    return {
+      keyWrapping: PASSWORD_KEY_WRAPPING,
+      wrappedKey: bytesToBase64(new Uint8Array(wrapped)),
+      salt: bytesToBase64(salt),
+      iterations: PASSWORD_ITERATIONS,
+    };
+  }
+
+  /**
+   * Wrap a file key for one recipient
+   * @param {CryptoKey} fileKey - Extractable AES-256-GCM key
+   * @param {string|object} publicKey - Recipient's base64 SPKI or JWK public key
+   * @returns {Promise<{keyWrapping: string, wrappedKey: string, ephemeralKey?: string, keyId: string}>}
+   */
+  async function wrapFileKey(fileKey, publicKey) {
+    const keyWrapping = await keyWrappingFor(publicKey);
+    const keyId = await keyIdFor(publicKey);
+
+    if (keyWrapping === RSA_KEY_WRAPPING) {
+      const rsaKey = await importKey(publicKey, 'spki', RSA_PARAMS, ['wrapKey']);
+      const wrapped = await crypto.subtle.wrapKey('raw', fileKey, rsaKey, RSA_PARAMS);
+      return { keyWrapping, wrappedKey: bytesToBase64(new Uint8Array(wrapped)), keyId };
+    }
+
+    const recipientKey = await importKey(publicKey, 'spki', ECDH_PARAMS, []);
+    const ephemeral = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+    const ephemeralKey = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+    const kek = await deriveWrappingKey(ephemeral.privateKey, recipientKey, ephemeralKey, 'wrapKey');
+    const wrapped = await crypto.subtle.wrapKey('raw', fileKey, kek, 'AES-KW');
+    return {
+      keyWrapping,
+      wrappedKey: bytesToBase64(new Uint8Array(wrapped)),
+      ephemeralKey: bytesToBase64(ephemeralKey),
+      keyId,
+    };
+  }
+
+  /**
+   * Wrap a file key for every recipient, each with the suite their key supports
+   * @param {CryptoKey} fileKey - Extractable AES-256-GCM key
+   * @param {{email: string, publicKey: string|object}[]} recipients
+   * @param {string} [password] - Also add a password entry for people without an account
+   * @param {boolean} [hideRecipients] - Leave emails and keyIds out of the
+   *   entries and shuffle them (for files with metadata.hiddenRecipients)
+   * @returns {Promise<{keyWrapping: string, recipients: object[]}>} The file's
+   *   default suite and the recipient entries for buildSealFile
+   */
+  async function wrapForRecipients(fileKey, recipients, password, hideRecipients) {
+    const wrapped = [];
+    for (const recipient of recipients) {
+      const entry = await wrapFileKey(fileKey, recipient.publicKey);
+      if (hideRecipients) {
+        delete entry.keyId;
+        wrapped.push(entry);
+      } else {
+        wrapped.push(Object.assign({ email: recipient.email }, entry));
+      }
+    }
+    if (!wrapped.length && !password) throw new Error('A .seal file needs at least one recipient');
+
+    // The order of hidden entries would otherwise follow the sender's list
+    if (hideRecipients) {
+      for (let i = wrapped.length - 1; i > 0; i--) {
+        const j = crypto.getRandomValues(new Uint32Array(1))[0] % (i + 1);
+        [wrapped[i], wrapped[j]] = [wrapped[j], wrapped[i]];
+      }
+    }
+
+    // Only files for RSA users alone default to RSA; entries that differ say so
+    const keyWrapping = wrapped.length && wrapped.every((r) => r.keyWrapping === RSA_KEY_WRAPPING)
+      ? RSA_KEY_WRAPPING
+      : ECDH_KEY_WRAPPING;
+    for (const entry of wrapped) {
+      if (entry.keyWrapping === keyWrapping) delete entry.keyWrapping;
+    }
+    if (password) wrapped.push(await wrapForPassword(fileKey, password));
+    return { keyWrapping, recipients: wrapped };
+  }
+
+  /**
+   * The suite used for one recipient entry of a .seal file
+   * @param {object} sealFile
+   * @param {object} entry - One of sealFile.recipients
+   * @returns {string}
+   */
+  function entryKeyWrapping(sealFile, entry) {
+    return entry.keyWrapping || sealFile.encryption.keyWrapping || RSA_KEY_WRAPPING;
+  }
+
+  // Resolve a keyring entry's private key, unlocking it on first use
+  async function keyringPrivateKey(key) {
+    return typeof key.privateKey === 'function' ? key.privateKey() : key.privateKey;
+  }
+
+  /**
+   * Recover the file key with one of the user's key pairs, current or retired.
+   * An entry's keyId selects the key; older entries without one try each key.
+   * @param {object} sealFile
+   * @param {object} entry - The recipient entry for this user
+   * @param {{publicKey: string|object, privateKey: string|object|(() => Promise<string|object>)}[]} keyring
+   *   privateKey may be a function, so retired keys are only unlocked when a file needs them
+   * @returns {Promise<CryptoKey>} Non-extractable AES-256-GCM key
+   */
+  async function unwrapWithKeyring(sealFile, entry, keyring) {
+    if (entry.keyId) {
+      for (const key of keyring) {
+        if ((await keyIdFor(key.publicKey)) === entry.keyId) {
+          return unwrapFileKey(sealFile, entry, await keyringPrivateKey(key));
+        }
+      }
+      throw new Error('This file was sealed for a key you no longer have.');
+    }
+
+    let lastError = new Error('No keys to unlock this file');
+    for (const key of keyring) {
+      try {
+        return await unwrapFileKey(sealFile, entry, await keyringPrivateKey(key));
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Recover the file key from a file with hidden recipients by trying the
+   * user's keys on every account entry; unwrapping with the wrong key fails
+   * (AES-KW and RSA-OAEP both check integrity). Keys are tried in keyring
+   * order, so retired keys are only unlocked when the current one opens none.
+   * @param {object} sealFile
+   * @param {string|object|object[]} privateKey - As for unwrapFileKey
+   * @returns {Promise<CryptoKey|null>} The file key, or null if no entry is for this user
+   */
+  async function unwrapHiddenEntry(sealFile, privateKey) {
+    const entries = sealFile.recipients.filter((entry) => entry.keyWrapping !== PASSWORD_KEY_WRAPPING);
+    const keyring = Array.isArray(privateKey) ? privateKey : [{ privateKey }];
+    for (const key of keyring) {
+      const candidate = await keyringPrivateKey(key);
+      for (const entry of entries) {
+        try {
+          return await unwrapFileKey(sealFile, entry, candidate);
+        } catch (err) {
+          // Not this user's entry
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Recover the file key from a recipient entry
+   * @param {object} sealFile
+   * @param {object} entry - The recipient entry for this user
+   * @param {string|object|object[]} privateKey - User's base64 PKCS8 or JWK private key
+   *   or CryptoKey (importPrivateKey), or a keyring of current and retired keys (see unwrapWithKeyring)
+   * @returns {Promise<CryptoKey>} Non-extractable AES-256-GCM key
+   */
+  async function unwrapFileKey(sealFile, entry, privateKey) {
+    if (Array.isArray(privateKey)) return unwrapWithKeyring(sealFile, entry, privateKey);
+
+    const keyWrapping = entryKeyWrapping(sealFile, entry);
+    const wrappedKey = base64ToBytes(entry.wrappedKey);
+
+    try {
+      if (keyWrapping === RSA_KEY_WRAPPING) {
+        const rsaKey = await importKey(privateKey, 'pkcs8', RSA_PARAMS, ['unwrapKey']);
+        return await crypto.subtle.unwrapKey('raw', wrappedKey, rsaKey, RSA_PARAMS, FILE_KEY_PARAMS, false, ['decrypt']);
+      }
+      if (keyWrapping === ECDH_KEY_WRAPPING) {
+        const ecdhKey = await importKey(privateKey, 'pkcs8', ECDH_PARAMS, ['deriveBits']);
+        const ephemeralKey = base64ToBytes(entry.ephemeralKey);
+        const ephemeral = await crypto.subtle.importKey('raw', ephemeralKey, ECDH_PARAMS, false, []);
+        const kek = await deriveWrappingKey(ecdhKey, ephemeral, ephemeralKey, 'unwrapKey');
+        return await crypto.subtle.unwrapKey('raw', wrappedKey, kek, 'AES-KW', FILE_KEY_PARAMS, false, ['decrypt']);
+      }
+    } catch (err) {
+      throw new Error('Could not unlock this file with your key. It may have been sealed for a different key.');
+    }
+    throw new Error(`Unsupported key wrapping: ${keyWrapping}`);
+  }
+
+  /**
+   * Recover the file key from a password entry
+   * @param {object} entry - The password entry (SealFormat.findPasswordRecipient)
+   * @param {string} password
+   * @returns {Promise<CryptoKey>} Non-extractable AES-256-GCM key
+   */
+  async function unwrapWithPassword(entry, password) {
+    const kek = await derivePasswordKey(
+      password,
+      base64ToBytes(entry.salt),
+      entry.iterations,
+      { name: 'AES-KW', length: 256 },
+      ['unwrapKey']
+    );
+    try {
+      return await crypto.subtle.unwrapKey('raw', base64ToBytes(entry.wrappedKey), kek, 'AES-KW', FILE_KEY_PARAMS, false, ['decrypt']);
+    } catch (err) {
+      throw new Error('Incorrect password for this file');
+    }
+  }
+
+  const SealKeys = {
+    RSA_KEY_WRAPPING,
+    ECDH_KEY_WRAPPING,
+    PASSWORD_KEY_WRAPPING,
+    PASSWORD_ITERATIONS,
+    MIN_PASSWORD_LENGTH,
+    PRIVATE_KEY_KDF,
+    LEGACY_PRIVATE_KEY_KDF,
+    generateKeyPair,
+    importPrivateKey,
+    derivePasswordKey,
+    deriveKeyWithKdf,
+    kdfNeedsUpgrade,
+    keyIdFor,
+    safetyNumberFor,
+    keyWrappingFor,
+    wrapFileKey,
+    wrapForPassword,
+    wrapForRecipients,
+    entryKeyWrapping,
+    unwrapFileKey,
+    unwrapWithKeyring,
+    unwrapHiddenEntry,
+    unwrapWithPassword,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SealKeys;
+  } else {
+    global.SealKeys = SealKeys;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,452 @@
+/**
+ * Seal Stream
+ * Chunked AES-256-GCM for .seal payloads, shared by the extension
+ * (extension/lib/seal-stream.js) and the web app (App/public/seal-stream.js).
+ * The two copies must stay identical (npm run check:shared checks them).
+ *
+ * The plaintext is split into chunks of `chunkSize` bytes (the last one may be
+ * shorter, or empty for an empty file). Each chunk is sealed separately and
+ * written as ciphertext + 16-byte tag. Chunk nonces are:
+ *
+ *   noncePrefix (7 random bytes) || chunk index (uint32, big-endian) || last flag (1 byte)
+ *
+ * so reordering chunks, dropping chunks or truncating the file at a chunk
+ * boundary all fail authentication.
+ *
+ * The .seal header is bound as additional data to every chunk. It is also
+ * authenticated on its own by a header tag: the GCM tag of an empty message
+ * under the nonce noncePrefix || 0xffffffff || 2, which no chunk can use.
+ * Files with hidden details carry an encrypted inner header (file name, size,
+ * type) sealed under noncePrefix || 0xfffffffe || 2.
+ *
+ * Compressed files (encryption.compression) pass the plaintext through
+ * CompressionStream before encryptStream and DecompressionStream after
+ * decryptStream; progress is reported in uncompressed bytes.
+ *
+ * Signatures cover a payload digest: SHA-256 over the concatenated SHA-256
+ * of each ciphertext chunk, so it can be computed while streaming.
+ */
+
+(function (global) {
+  'use strict';
+
+  const ALGORITHM = 'AES-GCM';
+  const CHUNK_SIZE = 1024 * 1024;
+  const TAG_LENGTH = 16;
+  const NONCE_PREFIX_LENGTH = 7;
+  const HEADER_NONCE_INDEX = 0xffffffff;
+  const INNER_HEADER_NONCE_INDEX = 0xfffffffe;
+  const HEADER_NONCE_FLAG = 2;
+
+  // Bounds for chunk sizes read from untrusted headers
+  const MIN_CHUNK_SIZE = 1024;
+  const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+  /**
+   * Generate a random per-file nonce prefix
+   * @returns {Uint8Array}
+   */
+  function generateNoncePrefix() {
+    return crypto.getRandomValues(new Uint8Array(NONCE_PREFIX_LENGTH));
+  }
+
+  /**
+   * Build the 12-byte nonce for one chunk
+   * @param {Uint8Array} prefix
+   * @param {number} index
+   * @param {boolean|number} last - true/false for chunks, HEADER_NONCE_FLAG for the header tag
+   * @returns {Uint8Array}
+   */
+  function chunkNonce(prefix, index, last) {
+    const nonce = new Uint8Array(12);
+    nonce.set(prefix, 0);
+    new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, index);
+    nonce[11] = Number(last);
+    return nonce;
+  }
+
+  // AES-GCM parameters, with the header as additional data when given
+  function gcmParams(nonce, additionalData) {
+    const params = { name: ALGORITHM, iv: nonce };
+    if (additionalData) params.additionalData = additionalData;
+    return params;
+  }
+
+  /**
+   * Compute the header tag that authenticates a canonical header
+   * @param {CryptoKey} key - AES-256-GCM content key
+   * @param {Uint8Array} noncePrefix
+   * @param {Uint8Array} header - SealFormat.canonicalHeader(sealFile)
+   * @returns {Promise<Uint8Array>} 16-byte tag
+   */
+  async function sealHeader(key, noncePrefix, header) {
+    const tag = await crypto.subtle.encrypt(
+      gcmParams(chunkNonce(noncePrefix, HEADER_NONCE_INDEX, HEADER_NONCE_FLAG), header),
+      key,
+      new Uint8Array(0)
+    );
+    return new Uint8Array(tag);
+  }
+
+  /**
+   * Check a header tag; throws if the header was changed after sealing
+   * @param {CryptoKey} key - AES-256-GCM content key
+   * @param {Uint8Array} noncePrefix
+   * @param {Uint8Array} header - SealFormat.canonicalHeader(sealFile)
+   * @param {Uint8Array} tag
+   * @returns {Promise<void>}
+   */
+  async function verifyHeader(key, noncePrefix, header, tag) {
+    try {
+      await crypto.subtle.decrypt(
+        gcmParams(chunkNonce(noncePrefix, HEADER_NONCE_INDEX, HEADER_NONCE_FLAG), header),
+        key,
+        tag
+      );
+    } catch (err) {
+      throw new Error('Header tampered: the file details or recipient list were changed after sealing');
+    }
+  }
+
+  /**
+   * Encrypt the inner header of a file with hidden details
+   * @param {CryptoKey} key - AES-256-GCM content key
+   * @param {Uint8Array} noncePrefix
+   * @param {Uint8Array} innerHeader - SealFormat.writeInnerHeader(metadata)
+   * @returns {Promise<Uint8Array>}
+   */
+  async function sealInnerHeader(key, noncePrefix, innerHeader) {
+    const encrypted = await crypto.subtle.encrypt(
+      gcmParams(chunkNonce(noncePrefix, INNER_HEADER_NONCE_INDEX, HEADER_NONCE_FLAG)),
+      key,
+      innerHeader
+    );
+    return new Uint8Array(encrypted);
+  }
+
+  /**
+   * Decrypt the inner header of a file with hidden details
+   * @param {CryptoKey} key - AES-256-GCM content key
+   * @param {Uint8Array} noncePrefix
+   * @param {Uint8Array} sealed - The encrypted inner header
+   * @returns {Promise<Uint8Array>}
+   */
+  async function openInnerHeader(key, noncePrefix, sealed) {
+    try {
+      const decrypted = await crypto.subtle.decrypt(
+        gcmParams(chunkNonce(noncePrefix, INNER_HEADER_NONCE_INDEX, HEADER_NONCE_FLAG)),
+        key,
+        sealed
+      );
+      return new Uint8Array(decrypted);
+    } catch (err) {
+      throw new Error('Header tampered: the hidden file details could not be decrypted');
+    }
+  }
+
+  /**
+   * Re-slice a byte stream into fixed-size chunks, flagging the final one.
+   * A full chunk is held back until we know whether more data follows.
+   * @param {ReadableStream<Uint8Array>} readable
+   * @param {number} size
+   */
+  async function* readChunks(readable, size) {
+    const reader = readable.getReader();
+    let buf = new Uint8Array(size);
+    let filled = 0;
+    let held = null;
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        let offset = 0;
+        while (offset < value.length) {
+          if (held) {
+            yield { bytes: held, last: false };
+            held = null;
+          }
+          const n = Math.min(size - filled, value.length - offset);
+          buf.set(value.subarray(offset, offset + n), filled);
+          filled += n;
+          offset += n;
+          if (filled === size) {
+            held = buf;
+            buf = new Uint8Array(size);
+            filled = 0;
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    if (held) {
+      yield { bytes: held, last: filled === 0 };
+      if (filled === 0) return;
+    }
+    yield { bytes: buf.subarray(0, filled), last: true };
+  }
+
+  // Wrap an async iterator of byte arrays as a pull-based ReadableStream
+  function toReadable(iterator) {
+    return new ReadableStream({
+      async pull(controller) {
+        const { done, value } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      cancel() {
+        return iterator.return();
+      },
+    });
+  }
+
+  /**
+   * Start a payload digest; feed it ciphertext chunks in order
+   * @returns {{update: (chunk: Uint8Array) => Promise<void>, finish: () => Promise<Uint8Array>}}
+   */
+  function createPayloadDigest() {
+    const digests = [];
+    return {
+      async update(chunk) {
+        digests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', chunk)));
+      },
+      async finish() {
+        const all = new Uint8Array(digests.length * 32);
+        digests.forEach((d, i) => all.set(d, i * 32));
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', all));
+      },
+    };
+  }
+
+  /**
+   * Digest a chunked payload without decrypting it
+   * @param {ReadableStream<Uint8Array>} source - The .seal payload
+   * @param {number} chunkSize - Plaintext chunk size from the header
+   * @returns {Promise<Uint8Array>}
+   */
+  async function digestPayload(source, chunkSize) {
+    const digest = createPayloadDigest();
+    for await (const { bytes } of readChunks(source, chunkSize + TAG_LENGTH)) {
+      await digest.update(bytes);
+    }
+    return digest.finish();
+  }
+
+  /**
+   * Encrypt a plaintext stream into chunked ciphertext
+   * @param {ReadableStream<Uint8Array>} source - e.g. File.stream()
+   * @param {CryptoKey} key - AES-256-GCM content key
+   * @param {Uint8Array} noncePrefix
+   * @param {{chunkSize?: number, additionalData?: Uint8Array, digest?: object, totalBytes?: number, onProgress?: (done: number, total: number) => void}} [options]
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function encryptStream(source, key, noncePrefix, options = {}) {
+    const chunkSize = options.chunkSize || CHUNK_SIZE;
+
+    async function* run() {
+      let index = 0;
+      let processed = 0;
+      for await (const { bytes, last } of readChunks(source, chunkSize)) {
+        const encrypted = await crypto.subtle.encrypt(
+          gcmParams(chunkNonce(noncePrefix, index, last), options.additionalData),
+          key,
+          bytes
+        );
+        index++;
+        processed += bytes.length;
+        if (options.digest) await options.digest.update(encrypted);
+        if (options.onProgress) options.onProgress(processed, options.totalBytes || processed);
+        yield new Uint8Array(encrypted);
+      }
+    }
+
+    return toReadable(run());
+  }
+
+  /**
+   * Decrypt chunked ciphertext back into a plaintext stream
+   * @param {ReadableStream<Uint8Array>} source - The .seal payload
+   * @param {CryptoKey} key - AES-256-GCM content key
+   * @param {Uint8Array} noncePrefix
+   * @param {{chunkSize: number, additionalData?: Uint8Array, digest?: object, totalBytes?: number, onProgress?: (done: number, total: number) => void}} options
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function decryptStream(source, key, noncePrefix, options) {
+    const chunkSize = options.chunkSize;
+    if (!(chunkSize >= MIN_CHUNK_SIZE && chunkSize <= MAX_CHUNK_SIZE)) {
+      throw new Error('Unsupported chunk size in .seal header');
+    }
+    if (noncePrefix.length !== NONCE_PREFIX_LENGTH) {
+      throw new Error('Invalid nonce prefix in .seal header');
+    }
+
+    async function* run() {
+      let index = 0;
+      let processed = 0;
+      for await (const { bytes, last } of readChunks(source, chunkSize + TAG_LENGTH)) {
+        if (options.digest) await options.digest.update(bytes);
+        let decrypted;
+        try {
+          decrypted = await crypto.subtle.decrypt(
+            gcmParams(chunkNonce(noncePrefix, index, last), options.additionalData),
+            key,
+            bytes
+          );
+        } catch (err) {
+          throw new Error('Decryption failed: the file is corrupted, truncated or has been tampered with');
+        }
+        index++;
+        processed += decrypted.byteLength;
+        if (options.onProgress) options.onProgress(processed, options.totalBytes || processed);
+        yield new Uint8Array(decrypted);
+      }
+    }
+
+    return toReadable(run());
+  }
+
+  /**
+   * Compress a plaintext stream before encryption
+   * @param {ReadableStream<Uint8Array>} source
+   * @param {string} format - 'gzip' or 'deflate'
+   * @param {{totalBytes?: number, onProgress?: (done: number, total: number) => void}} [options]
+   *   Progress counts the uncompressed bytes read
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function compressStream(source, format, options = {}) {
+    let processed = 0;
+    const counter = new TransformStream({
+      transform(chunk, controller) {
+        processed += chunk.length;
+        if (options.onProgress) options.onProgress(processed, options.totalBytes || processed);
+        controller.enqueue(chunk);
+      },
+    });
+    return source.pipeThrough(counter).pipeThrough(new CompressionStream(format));
+  }
+
+  /**
+   * Decompress a decrypted stream
+   * @param {ReadableStream<Uint8Array>} source - Output of decryptStream
+   * @param {string} format - encryption.compression
+   * @param {{totalBytes?: number|null, onProgress?: (done: number, total: number) => void}} [options]
+   *   With totalBytes (the file's originalSize), output of any other size is rejected
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function decompressStream(source, format, options = {}) {
+    const expected = typeof options.totalBytes === 'number' ? options.totalBytes : null;
+    const sizeError = () => new Error('Decompression failed: the file does not match its recorded size');
+
+    // Note errors from the source (e.g. failed decryption) so they are not
+    // reported as bad compressed data
+    let sourceError = null;
+    async function* input() {
+      const reader = source.getReader();
+      try {
+        for (;;) {
+          const { done, value } = await reader.read().catch((err) => {
+            sourceError = err;
+            throw err;
+          });
+          if (done) break;
+          yield value;
+        }
+      } finally {
+        reader.releaseLock();
+      }
+    }
+
+    async function* run() {
+      const reader = toReadable(input()).pipeThrough(new DecompressionStream(format)).getReader();
+      let processed = 0;
+      try {
+        for (;;) {
+          let result;
+          try {
+            result = await reader.read();
+          } catch (err) {
+            throw sourceError || new Error('Decompression failed: the file is corrupted');
+          }
+          if (result.done) break;
+          processed += result.value.length;
+          // Stop a small file from expanding without bound
+          if (expected !== null && processed > expected) throw sizeError();
+          if (options.onProgress) options.onProgress(processed, expected || processed);
+          yield result.value;
+        }
+      } finally {
+        reader.releaseLock();
+      }
+      if (expected !== null && processed !== expected) throw sizeError();
+    }
+
+    return toReadable(run());
+  }
+
+  /**
+   * Emit several parts in order (container header, payload, signature trailer).
+   * A function part is called once everything before it has been read, so it
+   * can depend on the earlier parts (e.g. sign the finished payload digest).
+   * @param {Array<Uint8Array|ReadableStream<Uint8Array>|(() => Promise<Uint8Array>)>} parts
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function concat(parts) {
+    async function* run() {
+      for (const part of parts) {
+        if (part instanceof Uint8Array) {
+          yield part;
+        } else if (typeof part === 'function') {
+          yield await part();
+        } else {
+          const reader = part.getReader();
+          try {
+            for (;;) {
+              const { done, value } = await reader.read();
+              if (done) break;
+              yield value;
+            }
+          } finally {
+            reader.releaseLock();
+          }
+        }
+      }
+    }
+    return toReadable(run());
+  }
+
+  /**
+   * Read a whole stream into one Uint8Array (for small files only)
+   * @param {ReadableStream<Uint8Array>} stream
+   * @returns {Promise<Uint8Array>}
+   */
+  async function collect(stream) {
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const SealStream = {
+    CHUNK_SIZE,
+    TAG_LENGTH,
+    generateNoncePrefix,
+    sealHeader,
+    verifyHeader,
+    sealInnerHeader,
+    openInnerHeader,
+    createPayloadDigest,
+    digestPayload,
+    encryptStream,
+    decryptStream,
+    compressStream,
+    decompressStream,
+    concat,
+    collect,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SealStream;
+  } else {
+    global.SealStream = SealStream;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -1,7 +1,7 @@
 /**
  * Seal Popup - Encryption Flow
  *
- * Handles file selection, recipient validation, encryption, and Gmail attachment.
+ * Handles file selection, recipient validation, encryption, and attaching to the draft.
  */
 
 (function () {
@@ -9,14 +9,22 @@
 
   // --- State ---
   const state = {
-    file: null,
+    files: [], // [{file, path}]; several files or a folder are sealed as one bundle
     recipients: [],
     expirationDays: 3,
+    hideDetails: true,
+    hideRecipients: false,
+    compress: true,
+    password: null, // set when the file can also be opened with a password
+    verifyingEmail: null,
+    reviewingEmail: null, // recipient whose changed key is being reviewed
     userEmail: null,
+    composeId: null, // the draft whose Seal button opened the popup; the file is attached only there
     isEncrypting: false
   };
 
-  const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+  const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB sealed (Gmail attachment limit)
+  const MAX_COMPRESSIBLE_SIZE = 250 * 1024 * 1024; // Text and logs often shrink 5-10x
 
   // --- DOM Elements ---
   const screens = {
@@ -24,6 +32,9 @@
     auth: document.getElementById('screen-auth'),
     encrypt: document.getElementById('screen-encrypt'),
     progress: document.getElementById('screen-progress'),
+    keyReview: document.getElementById('screen-key-review'),
+    keyPins: document.getElementById('screen-key-pins'),
+    sendPolicy: document.getElementById('screen-send-policy'),
     success: document.getElementById('screen-success'),
     error: document.getElementById('screen-error')
   };
@@ -41,6 +52,46 @@
     recipientsInput: document.getElementById('recipients-input'),
     recipientsList: document.getElementById('recipients-list'),
     recipientsError: document.getElementById('recipients-error'),
+    hideDetails: document.getElementById('hide-details'),
+    hideRecipients: document.getElementById('hide-recipients'),
+    compress: document.getElementById('compress'),
+    usePassword: document.getElementById('use-password'),
+    filePassword: document.getElementById('file-password'),
+    passwordError: document.getElementById('password-error'),
+    keyVerify: document.getElementById('key-verify'),
+    keyVerifyEmail: document.getElementById('key-verify-email'),
+    keyVerifyNumber: document.getElementById('key-verify-number'),
+    keyVerifyConfirm: document.getElementById('key-verify-confirm'),
+    keyVerifyClear: document.getElementById('key-verify-clear'),
+    keyVerifyClose: document.getElementById('key-verify-close'),
+    keyChangeBanner: document.getElementById('key-change-banner'),
+    keyChangeText: document.getElementById('key-change-text'),
+    btnReviewKey: document.getElementById('btn-review-key'),
+    reviewEmail: document.getElementById('review-email'),
+    reviewOldNumber: document.getElementById('review-old-number'),
+    reviewOldDetail: document.getElementById('review-old-detail'),
+    reviewNewNumber: document.getElementById('review-new-number'),
+    btnAcceptKey: document.getElementById('btn-accept-key'),
+    btnRemoveChanged: document.getElementById('btn-remove-changed'),
+    btnReviewBack: document.getElementById('btn-review-back'),
+    btnKeyPins: document.getElementById('btn-key-pins'),
+    btnPinsBack: document.getElementById('btn-pins-back'),
+    pinsList: document.getElementById('pins-list'),
+    pinsMessage: document.getElementById('pins-message'),
+    btnExportPins: document.getElementById('btn-export-pins'),
+    btnImportPins: document.getElementById('btn-import-pins'),
+    pinsFile: document.getElementById('pins-file'),
+    btnSendPolicy: document.getElementById('btn-send-policy'),
+    btnPolicyBack: document.getElementById('btn-policy-back'),
+    policyOrg: document.getElementById('policy-org'),
+    policyForm: document.getElementById('policy-form'),
+    policyEnabled: document.getElementById('policy-enabled'),
+    policyExtensions: document.getElementById('policy-extensions'),
+    policyPatterns: document.getElementById('policy-patterns'),
+    policyDomains: document.getElementById('policy-domains'),
+    policyMessage: document.getElementById('policy-message'),
+    btnSavePolicy: document.getElementById('btn-save-policy'),
+    btnResetPolicy: document.getElementById('btn-reset-policy'),
     btnEncrypt: document.getElementById('btn-encrypt'),
     progressStatus: document.getElementById('progress-status'),
     progressBar: document.getElementById('progress-bar'),
@@ -63,16 +114,6 @@
   async function init() {
     showScreen('loading');
 
-    // Parse recipients from URL params (passed from content script)
-    const params = new URLSearchParams(window.location.search);
-    const prefilledRecipients = params.get('recipients');
-    if (prefilledRecipients) {
-      const emails = prefilledRecipients.split(',').filter(e => e.trim());
-      for (const email of emails) {
-        addRecipient(email.trim());
-      }
-    }
-
     // Check auth
     try {
       const authResult = await sendMessage({ action: 'checkAuth' });
@@ -91,6 +132,17 @@
       showScreen('encrypt');
     }
 
+    // Parse recipients and the draft from URL params (passed from content script)
+    const params = new URLSearchParams(window.location.search);
+    state.composeId = params.get('composeId');
+    const prefilledRecipients = params.get('recipients');
+    if (prefilledRecipients) {
+      const emails = prefilledRecipients.split(',').filter(e => e.trim());
+      for (const email of emails) {
+        addRecipient(email.trim());
+      }
+    }
+
     setupEventListeners();
   }
 
@@ -110,14 +162,22 @@
     els.dropZone.addEventListener('dragleave', () => {
       els.dropZone.classList.remove('drag-over');
     });
-    els.dropZone.addEventListener('drop', (e) => {
+    els.dropZone.addEventListener('drop', async (e) => {
       e.preventDefault();
       els.dropZone.classList.remove('drag-over');
-      const file = e.dataTransfer.files[0];
-      if (file) selectFile(file);
+      // Take the entries now: the drop data is gone once the handler awaits
+      const entries = Array.from(e.dataTransfer.items)
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+      const dropped = Array.from(e.dataTransfer.files).map(file => ({ file, path: file.name }));
+      try {
+        selectFiles(entries.length ? await readDroppedEntries(entries) : dropped);
+      } catch (err) {
+        showFieldError('Could not read the dropped folder.');
+      }
     });
     els.fileInput.addEventListener('change', (e) => {
-      if (e.target.files[0]) selectFile(e.target.files[0]);
+      selectFiles(Array.from(e.target.files).map(file => ({ file, path: file.name })));
     });
     els.fileRemove.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -153,6 +213,80 @@
       });
     });
 
+    // Hide file name (on by default)
+    els.hideDetails.addEventListener('change', () => {
+      state.hideDetails = els.hideDetails.checked;
+    });
+
+    // Leave recipient emails out of the file (off by default)
+    els.hideRecipients.addEventListener('change', () => {
+      state.hideRecipients = els.hideRecipients.checked;
+    });
+
+    // Compress before encrypting (on by default); the size limit depends on it
+    els.compress.addEventListener('change', () => {
+      state.compress = els.compress.checked;
+      if (state.files.length) selectFiles(state.files);
+    });
+
+    // Password for recipients without an account (off by default)
+    els.usePassword.addEventListener('change', () => {
+      els.filePassword.hidden = !els.usePassword.checked;
+      state.password = els.usePassword.checked ? els.filePassword.value : null;
+      if (els.usePassword.checked) els.filePassword.focus();
+      updateEncryptButton();
+    });
+    els.filePassword.addEventListener('input', () => {
+      state.password = els.filePassword.value;
+      updateEncryptButton();
+    });
+
+    // Out-of-band key verification
+    els.keyVerifyConfirm.addEventListener('click', () => setVerified(state.verifyingEmail, true));
+    els.keyVerifyClear.addEventListener('click', () => setVerified(state.verifyingEmail, false));
+    els.keyVerifyClose.addEventListener('click', () => showKeyVerify(null));
+
+    // Changed keys block encryption until reviewed
+    els.btnReviewKey.addEventListener('click', () => {
+      const changed = state.recipients.find(r => r.status === 'key-changed');
+      if (changed) showKeyReview(changed.email);
+    });
+    els.btnAcceptKey.addEventListener('click', acceptKeyChange);
+    els.btnRemoveChanged.addEventListener('click', () => {
+      removeRecipient(state.reviewingEmail);
+      state.reviewingEmail = null;
+      showScreen('encrypt');
+    });
+    els.btnReviewBack.addEventListener('click', () => {
+      state.reviewingEmail = null;
+      showScreen('encrypt');
+    });
+
+    // Pinned keys: list, export and import
+    els.btnKeyPins.addEventListener('click', showKeyPins);
+    els.btnPinsBack.addEventListener('click', () => showScreen('encrypt'));
+    els.btnExportPins.addEventListener('click', exportKeyPins);
+    els.btnImportPins.addEventListener('click', () => els.pinsFile.click());
+    els.pinsFile.addEventListener('change', () => {
+      const file = els.pinsFile.files[0];
+      els.pinsFile.value = '';
+      if (file) importKeyPins(file);
+    });
+
+    // Send guard policy
+    els.btnSendPolicy.addEventListener('click', showSendPolicy);
+    els.btnPolicyBack.addEventListener('click', () => showScreen('encrypt'));
+    els.policyForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveSendPolicy({
+        enabled: els.policyEnabled.checked,
+        extensions: splitList(els.policyExtensions.value),
+        filenamePatterns: splitList(els.policyPatterns.value),
+        internalDomains: splitList(els.policyDomains.value)
+      });
+    });
+    els.btnResetPolicy.addEventListener('click', () => saveSendPolicy(null));
+
     // Encrypt button
     els.btnEncrypt.addEventListener('click', handleEncrypt);
 
@@ -170,22 +304,77 @@
   }
 
   // --- File Handling ---
-  function selectFile(file) {
-    if (file.size > MAX_FILE_SIZE) {
-      showFieldError('File too large. Maximum size is 5MB.');
+  // Collect every file under the dropped files and folders, with folder-relative paths
+  async function readDroppedEntries(entries) {
+    const files = [];
+    for (const entry of entries) {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        continue;
+      }
+      // readEntries returns the children in batches until it returns none
+      const reader = entry.createReader();
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) break;
+        files.push(...await readDroppedEntries(batch));
+      }
+    }
+    return files;
+  }
+
+  function selectFiles(files) {
+    if (!files.length) return;
+
+    const total = files.reduce((sum, f) => sum + f.file.size, 0);
+    if (total === 0) {
+      showFieldError('File is empty.');
+      return;
+    }
+
+    let details = { originalName: files[0].file.name, originalType: files[0].file.type };
+    if (!isSingleFile(files)) {
+      try {
+        details = SealFormat.bundleMetadata(
+          files.map(f => ({ path: f.path, size: f.file.size, type: f.file.type }))
+        );
+      } catch (err) {
+        showFieldError('These files cannot be sealed together. Check for duplicate names.');
+        return;
+      }
+    }
+
+    // Compressible content may fit in an attachment once compressed; the
+    // sealed size is checked again after encryption
+    const compressible = !!SealFormat.compressionFor(details, state.compress);
+    if (total > (compressible ? MAX_COMPRESSIBLE_SIZE : MAX_FILE_SIZE)) {
+      showFieldError(compressible
+        ? 'Files too large. Maximum size is 250MB in total.'
+        : 'Files too large. Maximum size is 25MB in total.');
+      clearFile();
       return;
     }
+    const name = details.originalName;
 
-    state.file = file;
-    els.fileName.textContent = file.name;
-    els.fileSize.textContent = formatFileSize(file.size);
+    hideFieldError();
+    state.files = files;
+    els.fileName.textContent = name;
+    els.fileSize.textContent = files.length > 1
+      ? `${files.length} files \u00b7 ${formatFileSize(total)}`
+      : formatFileSize(total);
     els.dropZoneEmpty.hidden = true;
     els.dropZoneFile.hidden = false;
     updateEncryptButton();
   }
 
+  // A lone file is sealed as itself; anything else becomes a bundle
+  function isSingleFile(files) {
+    return files.length === 1 && files[0].path === files[0].file.name;
+  }
+
   function clearFile() {
-    state.file = null;
+    state.files = [];
     els.fileInput.value = '';
     els.dropZoneEmpty.hidden = false;
     els.dropZoneFile.hidden = true;
@@ -228,9 +417,18 @@
         emails: [recipient.email]
       });
       const data = result.recipients[0];
-      recipient.status = data.found ? 'found' : 'not-found';
+      recipient.status = !data.found ? 'not-found'
+        : data.pin === 'changed' ? 'key-changed'
+        : 'found';
       if (data.found) {
         recipient.publicKey = data.publicKey;
+        recipient.keyId = data.keyId;
+        recipient.pin = data.pin;
+        recipient.pinned = data.pinned || null;
+        recipient.safetyNumber = await SealKeys.safetyNumberFor(data.publicKey);
+        if (recipient.pinned && recipient.pinned.publicKey) {
+          recipient.pinned.safetyNumber = await SealKeys.safetyNumberFor(recipient.pinned.publicKey);
+        }
       }
     } catch (err) {
       // API unavailable - mark as found for demo/offline
@@ -243,8 +441,193 @@
 
   function removeRecipient(email) {
     state.recipients = state.recipients.filter(r => r.email !== email);
+    if (state.verifyingEmail === email) showKeyVerify(null);
+    renderRecipients();
+    updateEncryptButton();
+  }
+
+  // 'verified' once the user compared safety numbers for the pinned key
+  function keyVerification(recipient) {
+    return recipient.pin === 'verified' ? 'verified' : 'unverified';
+  }
+
+  // Show the safety number of one recipient's key, or hide the panel (null)
+  function showKeyVerify(email) {
+    const recipient = state.recipients.find(r => r.email === email);
+    state.verifyingEmail = recipient ? email : null;
+    els.keyVerify.hidden = !recipient;
+    if (!recipient) return;
+
+    const verification = keyVerification(recipient);
+    els.keyVerifyEmail.textContent = recipient.email;
+    els.keyVerifyNumber.textContent = recipient.safetyNumber;
+    els.keyVerifyConfirm.hidden = verification === 'verified';
+    els.keyVerifyClear.hidden = verification !== 'verified';
+  }
+
+  async function setVerified(email, verified) {
+    const recipient = state.recipients.find(r => r.email === email);
+    if (!recipient) return;
+    try {
+      await sendMessage({ action: 'setKeyVerified', email, keyId: verified ? recipient.keyId : null });
+      recipient.pin = verified ? 'verified' : 'pinned';
+    } catch (err) {
+      console.warn('[Seal] Could not save key verification:', err);
+    }
+    renderRecipients();
+    updateEncryptButton();
+    showKeyVerify(verified ? null : email);
+  }
+
+  // Compare the pinned and the new key of a recipient whose key changed
+  function showKeyReview(email) {
+    const recipient = state.recipients.find(r => r.email === email);
+    if (!recipient || recipient.status !== 'key-changed') return;
+    state.reviewingEmail = email;
+    showKeyVerify(null);
+
+    const pinned = recipient.pinned;
+    els.reviewEmail.textContent = recipient.email;
+    els.reviewNewNumber.textContent = recipient.safetyNumber;
+    // Pins migrated from verified contacts may only know the key ID
+    els.reviewOldNumber.textContent = pinned.safetyNumber || formatKeyId(pinned.keyId);
+    const firstSeen = pinned.firstSeen ? new Date(pinned.firstSeen).toLocaleDateString() : null;
+    els.reviewOldDetail.textContent = [
+      firstSeen && `First seen ${firstSeen}`,
+      pinned.verified ? 'You verified this key' : 'Not verified'
+    ].filter(Boolean).join(' \u00b7 ');
+    showScreen('keyReview');
+  }
+
+  async function acceptKeyChange() {
+    const recipient = state.recipients.find(r => r.email === state.reviewingEmail);
+    if (!recipient) return;
+    try {
+      await sendMessage({ action: 'acceptKeyChange', email: recipient.email, publicKey: recipient.publicKey });
+    } catch (err) {
+      console.warn('[Seal] Could not pin the new key:', err);
+      return;
+    }
+    recipient.status = 'found';
+    recipient.pin = 'pinned';
+    recipient.pinned = null;
+    state.reviewingEmail = null;
     renderRecipients();
     updateEncryptButton();
+    showScreen('encrypt');
+  }
+
+  // --- Pinned Keys ---
+  async function showKeyPins() {
+    hidePinsMessage();
+    showScreen('keyPins');
+    try {
+      const { pins } = await sendMessage({ action: 'getKeyPins' });
+      renderKeyPins(pins);
+    } catch (err) {
+      showPinsMessage('Could not load pinned keys.', true);
+    }
+  }
+
+  function renderKeyPins(pins) {
+    const emails = Object.keys(pins).sort();
+    els.pinsList.innerHTML = emails.length ? '' : '<p class="pins-empty">No keys pinned yet.</p>';
+    emails.forEach(email => {
+      const pin = pins[email];
+      const row = document.createElement('div');
+      row.className = 'pin-row';
+      row.innerHTML = `
+        <span class="pin-email">${escapeHtml(email)}</span>
+        <span class="pin-key ${pin.verifiedAt ? 'verified' : ''}" title="${pin.verifiedAt ? 'Verified' : 'Not verified'}">${escapeHtml(formatKeyId(pin.keyId).slice(0, 19))}${pin.verifiedAt ? ' \u2713' : ''}</span>
+      `;
+      els.pinsList.appendChild(row);
+    });
+  }
+
+  async function exportKeyPins() {
+    try {
+      const { pins } = await sendMessage({ action: 'getKeyPins' });
+      const data = { type: 'seal-key-pins', version: 1, exportedAt: new Date().toISOString(), pins };
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `seal-key-pins-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showPinsMessage(`Exported ${Object.keys(pins).length} pinned keys.`);
+    } catch (err) {
+      showPinsMessage('Could not export pinned keys.', true);
+    }
+  }
+
+  async function importKeyPins(file) {
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (err) {
+        throw new Error('This file is not a Seal key pin export');
+      }
+      const { imported } = await sendMessage({ action: 'importKeyPins', data });
+      const { pins } = await sendMessage({ action: 'getKeyPins' });
+      renderKeyPins(pins);
+      showPinsMessage(`Imported ${imported} pinned keys.`);
+    } catch (err) {
+      showPinsMessage(err.message, true);
+    }
+  }
+
+  // --- Send Guard ---
+  async function showSendPolicy() {
+    els.policyMessage.hidden = true;
+    showScreen('sendPolicy');
+    try {
+      renderSendPolicy(await sendMessage({ action: 'getSendPolicy' }));
+    } catch (err) {
+      showPolicyMessage('Could not load the send policy.', true);
+    }
+  }
+
+  // An organization's policy replaces the user's own, so it is shown read-only
+  function renderSendPolicy({ policy, source, domain }) {
+    const managed = source === 'org';
+    els.policyOrg.textContent = managed ? `Set by your organization (${domain}) on seal.email.` : '';
+    els.policyOrg.hidden = !managed;
+    els.policyEnabled.checked = policy.enabled;
+    els.policyExtensions.value = policy.extensions.join(', ');
+    els.policyPatterns.value = policy.filenamePatterns.join(', ');
+    els.policyDomains.value = policy.internalDomains.join(', ');
+    [els.policyEnabled, els.policyExtensions, els.policyPatterns, els.policyDomains, els.btnSavePolicy, els.btnResetPolicy]
+      .forEach(el => { el.disabled = managed; });
+  }
+
+  async function saveSendPolicy(policy) {
+    try {
+      renderSendPolicy(await sendMessage({ action: 'saveSendPolicy', policy }));
+      showPolicyMessage(policy ? 'Saved.' : 'Back to the default rules.');
+    } catch (err) {
+      showPolicyMessage(err.message || 'Could not save the send policy.', true);
+    }
+  }
+
+  function splitList(text) {
+    return text.split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean);
+  }
+
+  function showPolicyMessage(msg, isError) {
+    els.policyMessage.textContent = msg;
+    els.policyMessage.classList.toggle('error', !!isError);
+    els.policyMessage.hidden = false;
+  }
+
+  function showPinsMessage(msg, isError) {
+    els.pinsMessage.textContent = msg;
+    els.pinsMessage.classList.toggle('error', !!isError);
+    els.pinsMessage.hidden = false;
+  }
+
+  function hidePinsMessage() {
+    els.pinsMessage.hidden = true;
   }
 
   function renderRecipients() {
@@ -255,17 +638,35 @@
 
       const statusIcon = r.status === 'found' ? '\u2713'
         : r.status === 'not-found' ? '\u2717'
+        : r.status === 'key-changed' ? '!'
         : '\u2026';
 
+      // Found recipients get a badge that opens their safety number; a
+      // changed key opens the review instead
+      const verification = r.status === 'key-changed' ? 'changed'
+        : r.status === 'found' && r.keyId ? keyVerification(r)
+        : null;
+      const keyLabel = { verified: 'verified', unverified: 'verify', changed: 'review' }[verification];
+
       tag.innerHTML = `
         <span class="tag-status">${statusIcon}</span>
         <span>${escapeHtml(r.email)}</span>
+        ${verification ? `<button class="tag-key ${verification}" title="Compare safety numbers">${keyLabel}</button>` : ''}
         <button class="tag-remove" data-email="${escapeHtml(r.email)}">&times;</button>
       `;
 
       tag.querySelector('.tag-remove').addEventListener('click', () => {
         removeRecipient(r.email);
       });
+      if (verification) {
+        tag.querySelector('.tag-key').addEventListener('click', () => {
+          if (verification === 'changed') {
+            showKeyReview(r.email);
+          } else {
+            showKeyVerify(state.verifyingEmail === r.email ? null : r.email);
+          }
+        });
+      }
 
       els.recipientsList.appendChild(tag);
     });
@@ -273,22 +674,40 @@
 
   // --- Validation ---
   function updateEncryptButton() {
-    const hasFile = !!state.file;
+    const hasFile = state.files.length > 0;
     const hasRecipients = state.recipients.length > 0;
-    const allRecipientsValid = state.recipients.every(r => r.status === 'found');
     const noChecking = !state.recipients.some(r => r.status === 'checking');
+    const changedKeys = state.recipients.filter(r => r.status === 'key-changed');
+    const hasPassword = state.password !== null;
+    const passwordValid = !hasPassword || state.password.length >= SealKeys.MIN_PASSWORD_LENGTH;
+
+    els.btnEncrypt.disabled = !(
+      hasFile && (hasRecipients || hasPassword) && noChecking && passwordValid && !changedKeys.length
+    );
+
+    els.keyChangeBanner.hidden = !changedKeys.length;
+    if (changedKeys.length) {
+      els.keyChangeText.textContent =
+        `Seal returned a different key for ${changedKeys.map(r => r.email).join(', ')} than the one you pinned. ` +
+        'Encryption is blocked until you review the change.';
+    }
 
-    els.btnEncrypt.disabled = !(hasFile && hasRecipients && noChecking);
-
-    // Show warning if some recipients not found
-    if (hasRecipients && noChecking && !allRecipientsValid) {
-      const notFound = state.recipients.filter(r => r.status === 'not-found');
-      showFieldError(
-        `${notFound.map(r => r.email).join(', ')} not registered on Seal. They won't be able to decrypt.`
+    const notFound = state.recipients.filter(r => r.status === 'not-found');
+    if (hasRecipients && noChecking && notFound.length) {
+      showFieldError(hasPassword
+        ? `${notFound.map(r => r.email).join(', ')} not registered on Seal. They'll need the file password.`
+        : `${notFound.map(r => r.email).join(', ')} not registered on Seal. They won't be able to decrypt.`
       );
     } else {
       hideFieldError();
     }
+
+    if (hasPassword && state.password.length > 0 && !passwordValid) {
+      els.passwordError.textContent = `Use at least ${SealKeys.MIN_PASSWORD_LENGTH} characters.`;
+      els.passwordError.hidden = false;
+    } else {
+      els.passwordError.hidden = true;
+    }
   }
 
   function showFieldError(msg) {
@@ -316,6 +735,11 @@
 
       const fileId = sealCrypto.generateFileId();
 
+      // The button is disabled too; never seal for a key the user has not accepted
+      if (state.recipients.some(r => r.status === 'key-changed')) {
+        throw new Error('A recipient\'s key changed. Review it before sealing.');
+      }
+
       // Prepare recipient data
       const recipientsData = state.recipients
         .filter(r => r.status === 'found')
@@ -324,7 +748,7 @@
           publicKey: r.publicKey
         }));
 
-      if (recipientsData.length === 0) {
+      if (recipientsData.length === 0 && state.password === null) {
         throw new Error('No valid recipients with public keys');
       }
 
@@ -345,21 +769,50 @@
       const expiresAt = new Date();
       expiresAt.setDate(expiresAt.getDate() + state.expirationDays);
 
+      // Sign as the sender if their signing key was unlocked at login
+      const { signingKey } = await sendMessage({ action: 'getSigningKey' }).catch(() => ({}));
+      const signer = signingKey && state.userEmail
+        ? { email: state.userEmail, privateKey: signingKey }
+        : undefined;
+
+      // Encryption runs chunk by chunk; map its progress onto 50-70%
       const sealFile = await sealCrypto.createSealFile(
-        state.file,
+        isSingleFile(state.files) ? state.files[0].file : state.files,
         recipientsData,
         fileId,
-        { expiresAt: expiresAt.toISOString() }
+        {
+          expiresAt: expiresAt.toISOString(),
+          signer,
+          hideDetails: state.hideDetails,
+          hideRecipients: state.hideRecipients,
+          compress: state.compress,
+          password: state.password || undefined,
+          onProgress: (done, total) => {
+            const percent = 50 + Math.round((total ? done / total : 1) * 20);
+            setProgress('encrypt', `Encrypting file... ${formatFileSize(done)} of ${formatFileSize(total)}`, percent);
+          }
+        }
       );
 
+      const sealBytes = SealFormat.writeSealFile(sealFile);
+      if (sealBytes.length > MAX_FILE_SIZE) {
+        throw new Error(`The sealed file is ${formatFileSize(sealBytes.length)}, over the 25MB attachment limit.`);
+      }
+
       setProgress('metadata', 'Saving metadata...', 70);
 
+      // With hidden details neither the attachment nor the server record names the file
+      const sealFilename = state.hideDetails
+        ? `${SealFormat.HIDDEN_FILE_NAME}-${fileId.slice(0, 8)}.seal`
+        : els.fileName.textContent + '.seal';
+
       // Step 2: Save metadata
       try {
         await sendMessage({
           action: 'saveMetadata',
           fileId,
-          filename: state.file.name,
+          filename: state.hideDetails ? SealFormat.HIDDEN_FILE_NAME : els.fileName.textContent,
+          // Password holders are anonymous; only account recipients are recorded
           recipientEmails: recipientsData.map(r => r.email),
           expiresAt: expiresAt.toISOString(),
           senderEmail: state.userEmail
@@ -368,34 +821,26 @@
         console.warn('[Seal] Metadata save failed (continuing):', err);
       }
 
-      setProgress('attach', 'Attaching to Gmail...', 85);
+      setProgress('attach', 'Attaching to your draft...', 85);
 
-      // Step 3: Attach to Gmail
-      const sealFilename = state.file.name + '.seal';
-      try {
-        await sendMessage({
-          action: 'attachToGmail',
-          sealFile,
-          filename: sealFilename
-        });
-      } catch (err) {
-        console.warn('[Seal] Gmail attach via background failed, trying direct:', err);
-        // Try direct window communication
-        if (window.opener) {
-          window.opener.postMessage({
-            type: 'seal-attach',
-            sealFile,
-            filename: sealFilename
-          }, 'https://mail.google.com');
-        }
-      }
+      // Step 3: Attach to the draft the popup was opened from; fails if it
+      // was closed, rather than attaching the file to another email.
+      // Runtime messages are JSON-serialized, so the container travels as base64
+      await sendMessage({
+        action: 'attachToDraft',
+        composeId: state.composeId,
+        sealData: SealFormat.bytesToBase64(sealBytes),
+        filename: sealFilename
+      });
 
       setProgress('attach', 'Done!', 100);
 
       // Step 4: Show success
       setTimeout(() => {
         els.successFilename.textContent = sealFilename;
-        els.successRecipients.textContent = `Sent to: ${recipientsData.map(r => r.email).join(', ')}`;
+        const sentTo = recipientsData.map(r => r.email);
+        if (state.password !== null) sentTo.push('anyone with the password');
+        els.successRecipients.textContent = `Sent to: ${sentTo.join(', ')}`;
         els.successExpiry.textContent = `Expires: ${expiresAt.toLocaleDateString()}`;
         showScreen('success');
       }, 500);
@@ -425,10 +870,25 @@
 
   // --- Reset ---
   function resetState() {
-    state.file = null;
+    state.files = [];
     state.recipients = [];
     state.expirationDays = 3;
+    state.hideDetails = true;
+    state.hideRecipients = false;
+    state.compress = true;
+    state.password = null;
+    state.verifyingEmail = null;
+    state.reviewingEmail = null;
     state.isEncrypting = false;
+    els.hideDetails.checked = true;
+    els.hideRecipients.checked = false;
+    els.compress.checked = true;
+    els.usePassword.checked = false;
+    els.filePassword.value = '';
+    els.filePassword.hidden = true;
+    els.passwordError.hidden = true;
+    els.keyVerify.hidden = true;
+    els.keyChangeBanner.hidden = true;
 
     clearFile();
     els.recipientsList.innerHTML = '';
@@ -458,6 +918,11 @@
     });
   }
 
+  // Key IDs are compared by eye; group them in fours
+  function formatKeyId(keyId) {
+    return keyId.match(/.{1,4}/g).join(' ');
+  }
+
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
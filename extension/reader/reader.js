@@ -0,0 +1,255 @@
+/**
+ * Seal Reader - Frame the content script puts in place of a sealed message body
+ *
+ * The content script posts the armored block (SealFormat.armorMessage) once
+ * this page says it is ready. The block is decrypted here, in the extension
+ * page, with the user's account password or the password the sender shared;
+ * neither the password nor the message text passes through Gmail's page.
+ * The decrypted HTML is shown in a sandboxed frame where no scripts run and
+ * nothing remote loads.
+ */
+
+(function () {
+  'use strict';
+
+  const GMAIL_ORIGIN = 'https://mail.google.com';
+
+  // Only what the message carries itself: no scripts, remote images or fonts
+  const MESSAGE_CSP = "default-src 'none'; img-src data:; style-src 'unsafe-inline'";
+
+  // --- State ---
+  let sealBytes = null;   // The sealed message as .seal container bytes
+  let sealFile = null;    // Its parsed header
+  let userEmail = null;
+  let unlockMode = null;  // 'account' or 'file': which password the form asks for
+
+  // --- DOM Elements ---
+  const els = {
+    sender: document.getElementById('reader-sender'),
+    status: document.getElementById('reader-status'),
+    unlockForm: document.getElementById('unlock-form'),
+    unlockPassword: document.getElementById('unlock-password'),
+    btnUnlock: document.getElementById('btn-unlock'),
+    unlockError: document.getElementById('unlock-error'),
+    messageFrame: document.getElementById('message-frame'),
+    messageText: document.getElementById('message-text')
+  };
+
+  // --- Chrome Messaging ---
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response || {});
+        }
+      });
+    });
+  }
+
+  // --- Initialization ---
+  function init() {
+    window.addEventListener('message', (event) => {
+      if (event.source !== window.parent || event.origin !== GMAIL_ORIGIN) return;
+      const data = event.data;
+      if (!data || data.type !== 'seal-message' || typeof data.armored !== 'string') return;
+      // One message per frame
+      if (sealBytes) return;
+      loadMessage(data.armored);
+    });
+
+    els.unlockForm.addEventListener('submit', handleUnlock);
+
+    // Keep the frame in Gmail as tall as the content
+    new ResizeObserver(reportHeight).observe(document.body);
+
+    window.parent.postMessage({ type: 'seal-reader-ready' }, GMAIL_ORIGIN);
+  }
+
+  function reportHeight() {
+    window.parent.postMessage(
+      { type: 'seal-reader-height', height: document.documentElement.scrollHeight },
+      GMAIL_ORIGIN
+    );
+  }
+
+  // --- Loading ---
+  async function loadMessage(armored) {
+    try {
+      sealBytes = SealFormat.dearmorMessage(armored);
+      sealFile = SealFormat.readSealFile(sealBytes);
+    } catch (err) {
+      console.warn('[Seal] Could not read sealed message:', err);
+      showStatus('This sealed message is damaged and cannot be opened.', true);
+      return;
+    }
+
+    const expiresAt = sealFile.metadata.expiresAt;
+    if (expiresAt && new Date(expiresAt) < new Date()) {
+      showStatus('This sealed message has expired.', true);
+      return;
+    }
+
+    try {
+      const auth = await sendMessage({ action: 'checkAuth' });
+      userEmail = auth.authenticated ? auth.email : null;
+    } catch (err) {
+      console.warn('[Seal] Auth check failed:', err);
+    }
+
+    const hasPassword = !!SealFormat.findPasswordRecipient(sealFile);
+    if (userEmail && (SealFormat.hasHiddenRecipients(sealFile) || SealFormat.findRecipient(sealFile, userEmail))) {
+      showUnlock('account', `Enter your Seal password to read this message (${userEmail}).`);
+    } else if (hasPassword) {
+      showUnlock('file', 'Enter the password the sender shared with you to read this message.');
+    } else if (!userEmail) {
+      showStatus('Sign in to the Seal extension to read this message.');
+    } else {
+      showStatus(`This message was not sealed for ${userEmail}.`, true);
+    }
+  }
+
+  function showStatus(message, denied) {
+    els.status.textContent = message;
+    els.status.classList.toggle('status-denied', !!denied);
+    els.status.hidden = false;
+    els.unlockForm.hidden = true;
+    els.unlockError.hidden = true;
+  }
+
+  function showUnlock(mode, message) {
+    unlockMode = mode;
+    showStatus(message);
+    els.unlockPassword.placeholder = mode === 'account' ? 'Your Seal password' : 'Password from the sender';
+    els.unlockPassword.autocomplete = mode === 'account' ? 'current-password' : 'off';
+    els.unlockPassword.value = '';
+    els.unlockForm.hidden = false;
+  }
+
+  // --- Unlock ---
+  async function handleUnlock(e) {
+    e.preventDefault();
+    const password = els.unlockPassword.value;
+    if (!sealBytes || !password) return;
+
+    els.unlockError.hidden = true;
+    els.btnUnlock.disabled = true;
+    els.btnUnlock.textContent = 'Decrypting...';
+
+    try {
+      const sealCrypto = new SealCrypto();
+      const input = new Blob([sealBytes]);
+      const options = { signingKeyFor: fetchSigningKey };
+      let result;
+      if (unlockMode === 'account') {
+        const keyring = await unlockKeyring(sealCrypto, password);
+        result = await sealCrypto.decryptSealFile(input, userEmail, keyring, options);
+      } else {
+        result = await sealCrypto.decryptSealFileWithPassword(input, password, options);
+      }
+      els.unlockPassword.value = '';
+      await showMessage(result);
+    } catch (err) {
+      const message = err.message || 'Decryption failed';
+      if (message === 'Incorrect password' || message === 'Incorrect password for this file') {
+        els.unlockError.textContent = 'Incorrect password. Please try again.';
+        els.unlockError.hidden = false;
+      } else if (message.includes('not an authorized recipient') && SealFormat.findPasswordRecipient(sealFile)) {
+        // Hidden recipients: none of the entries was for this user
+        showUnlock('file', 'None of your keys opens this message. Enter the password the sender shared with you.');
+      } else {
+        showStatus(message, true);
+      }
+    } finally {
+      els.btnUnlock.disabled = false;
+      els.btnUnlock.textContent = 'Decrypt';
+    }
+  }
+
+  // Decrypt the user's current key with their password; retired keys are
+  // only decrypted if the message was sealed for one of them
+  async function unlockKeyring(sealCrypto, password) {
+    const { keys } = await sendMessage({ action: 'fetchUserKeys' });
+    if (!keys || !keys.encryptedPrivateKey) {
+      throw new Error('Your encryption keys were not found. Set up your account on seal.email first.');
+    }
+    const privateKey = await sealCrypto.decryptPrivateKeyWithPassword(
+      keys.encryptedPrivateKey,
+      password,
+      keys.salt,
+      keys.iv,
+      keys.kdf
+    );
+    return [{ publicKey: keys.publicKey, privateKey }].concat(
+      (keys.retiredKeys || []).map(k => ({
+        publicKey: k.publicKey,
+        privateKey: () => sealCrypto.decryptPrivateKeyWithPassword(k.encryptedPrivateKey, password, k.salt, k.iv, k.kdf)
+      }))
+    );
+  }
+
+  async function fetchSigningKey(email) {
+    const { recipients } = await sendMessage({ action: 'fetchRecipientKeys', emails: [email] });
+    return (recipients && recipients[0] && recipients[0].signingPublicKey) || null;
+  }
+
+  // --- Opened Message ---
+  async function showMessage(result) {
+    const type = result.metadata.originalType || '';
+    els.status.hidden = true;
+    els.unlockForm.hidden = true;
+    showSignature(result.signature);
+
+    if (type === SealFormat.MESSAGE_TYPE) {
+      const frame = els.messageFrame;
+      frame.addEventListener('load', () => {
+        frame.style.height = `${frame.contentDocument.documentElement.scrollHeight}px`;
+      }, { once: true });
+      frame.srcdoc = messageDocument(await result.data.text());
+      frame.hidden = false;
+    } else if (type.startsWith('text/')) {
+      els.messageText.textContent = await result.data.text();
+      els.messageText.hidden = false;
+    } else {
+      showStatus('This sealed block holds a file, not a message. Open it with the Seal extension.', true);
+    }
+  }
+
+  function messageDocument(html) {
+    return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+      `<meta http-equiv="Content-Security-Policy" content="${MESSAGE_CSP}">` +
+      '<base target="_blank">' +
+      '<style>body{margin:0;font-family:Arial,Helvetica,sans-serif;font-size:14px;' +
+      'color:#222;overflow-wrap:break-word}img{max-width:100%}</style>' +
+      `</head><body>${html}</body></html>`;
+  }
+
+  function showSignature(signature) {
+    const el = els.sender;
+    const label = document.createElement('span');
+    if (!signature || signature.status === 'unsigned') {
+      label.className = 'signature-unverified';
+      label.textContent = 'Unsigned';
+      el.title = 'The sender did not sign this message, so who sent it cannot be verified.';
+    } else if (signature.status === 'valid') {
+      label.className = 'signature-valid';
+      label.textContent = `Signed by ${signature.signer} \u2713`;
+      el.title = 'The signature matches this sender\'s published signing key.';
+    } else if (signature.status === 'invalid') {
+      label.className = 'signature-invalid';
+      label.textContent = `\u26a0 Forged or altered (claims ${signature.signer})`;
+      el.title = 'The signature does not match. This message may not be from who it claims. Do not trust it.';
+    } else {
+      label.className = 'signature-unverified';
+      label.textContent = `Claims ${signature.signer} (unverified)`;
+      el.title = 'The sender has no published signing key, so the signature cannot be checked.';
+    }
+    el.replaceChildren(label);
+  }
+
+  // --- Start ---
+  init();
+})();
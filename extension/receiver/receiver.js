@@ -1,8 +1,16 @@
 /**
  * Seal Receiver - Extension popup with authentication and .seal file viewer
  *
- * Screens: loading → login (if needed) → drop → info → error
+ * Screens: loading → login (if needed) → drop → info → unlock → opened, or error
  * Fixes: login in extension, user email display, safe file handling (no chrome.storage for payloads)
+ *
+ * Files are decrypted here, in the extension page: the user's wrapped keys
+ * come from /api/users/keys and are unlocked with their password, or the
+ * file's password entry with the password the sender shared. The plaintext
+ * is previewed and saved from the popup; nothing passes through the website.
+ *
+ * Opened with ?source=gmail, the page is a window the content script opened
+ * for a .seal attachment; the attachment's bytes arrive by postMessage.
  */
 
 (function () {
@@ -10,8 +18,19 @@
 
   // --- State ---
   let currentSealFile = null;   // Parsed .seal metadata (without payload for display)
-  let currentRawText = null;    // Raw file text kept in memory (never stored in chrome.storage)
+  let currentRawFile = null;    // The dropped File, kept in memory (never stored in chrome.storage)
   let userEmail = null;
+  let unlockMode = null;        // 'account' or 'file': which password the unlock screen asks for
+  let openedFile = null;        // Result of decryptSealFile, until another file is opened
+  let objectUrls = [];          // Blob URLs of the opened file, revoked when it is closed
+  let pendingFile = null;       // A Gmail attachment that arrived before sign-in
+
+  const GMAIL_ORIGIN = 'https://mail.google.com';
+
+  // Decrypting reads the whole file into memory; larger files go to the website viewer
+  const MAX_DECRYPT_SIZE = 200 * 1024 * 1024;
+  // Text is previewed up to this size
+  const MAX_TEXT_PREVIEW = 256 * 1024;
 
   // --- DOM Elements ---
   const screens = {
@@ -19,6 +38,8 @@
     login: document.getElementById('screen-login'),
     drop: document.getElementById('screen-drop'),
     info: document.getElementById('screen-info'),
+    unlock: document.getElementById('screen-unlock'),
+    opened: document.getElementById('screen-opened'),
     error: document.getElementById('screen-error')
   };
 
@@ -42,10 +63,29 @@
     infoDate: document.getElementById('info-date'),
     infoExpires: document.getElementById('info-expires'),
     infoRecipients: document.getElementById('info-recipients'),
+    infoIntegrity: document.getElementById('info-integrity'),
+    infoSender: document.getElementById('info-sender'),
+    senderWarning: document.getElementById('sender-warning'),
     infoAccess: document.getElementById('info-access'),
     accessRow: document.getElementById('access-row'),
-    btnOpenViewer: document.getElementById('btn-open-viewer'),
+    btnOpen: document.getElementById('btn-open'),
     btnBack: document.getElementById('btn-back'),
+    // Unlock screen
+    unlockForm: document.getElementById('unlock-form'),
+    unlockMessage: document.getElementById('unlock-message'),
+    unlockLabel: document.getElementById('unlock-label'),
+    unlockPassword: document.getElementById('unlock-password'),
+    unlockError: document.getElementById('unlock-error'),
+    btnUnlockSubmit: document.getElementById('btn-unlock-submit'),
+    btnUnlockBack: document.getElementById('btn-unlock-back'),
+    // Opened screen
+    openedFilename: document.getElementById('opened-filename'),
+    openedSize: document.getElementById('opened-size'),
+    openedSender: document.getElementById('opened-sender'),
+    openedPreview: document.getElementById('opened-preview'),
+    openedEntries: document.getElementById('opened-entries'),
+    btnSave: document.getElementById('btn-save'),
+    btnOpenedBack: document.getElementById('btn-opened-back'),
     // Error
     errorMessage: document.getElementById('error-message'),
     btnErrorBack: document.getElementById('btn-error-back')
@@ -75,13 +115,14 @@
   // --- Initialization ---
   async function init() {
     showScreen('loading');
+    listenForAttachment();
 
     try {
       const authResult = await sendMessage({ action: 'checkAuth' });
       if (authResult.authenticated && authResult.email) {
         userEmail = authResult.email;
         els.userEmailDisplay.textContent = authResult.email;
-        showScreen('drop');
+        showReady();
       } else {
         showScreen('login');
       }
@@ -93,6 +134,37 @@
     setupEventListeners();
   }
 
+  // Signed in: open the Gmail attachment if one is waiting, else ask for a file
+  function showReady() {
+    if (pendingFile) {
+      const file = pendingFile;
+      pendingFile = null;
+      handleFile(file);
+    } else {
+      showScreen('drop');
+    }
+  }
+
+  // Take a .seal attachment from the Gmail tab that opened this window. It
+  // only posts once we say we are listening.
+  function listenForAttachment() {
+    if (new URLSearchParams(location.search).get('source') !== 'gmail' || !window.opener) return;
+
+    window.addEventListener('message', (event) => {
+      if (event.source !== window.opener || event.origin !== GMAIL_ORIGIN) return;
+      const data = event.data;
+      if (!data || data.type !== 'seal-attachment' || !(data.bytes instanceof ArrayBuffer)) return;
+
+      const file = new File([data.bytes], safeFilename(String(data.name || 'attachment.seal')));
+      if (userEmail) {
+        handleFile(file);
+      } else {
+        pendingFile = file;
+      }
+    });
+    window.opener.postMessage({ type: 'seal-receiver-ready' }, GMAIL_ORIGIN);
+  }
+
   // --- Event Listeners ---
   function setupEventListeners() {
     // Login form
@@ -141,21 +213,32 @@
     });
 
     // Info screen buttons
-    els.btnOpenViewer.addEventListener('click', openInViewer);
-    els.btnBack.addEventListener('click', () => {
-      currentSealFile = null;
-      currentRawText = null;
-      els.fileInput.value = '';
-      showScreen('drop');
+    els.btnOpen.addEventListener('click', openFile);
+    els.btnBack.addEventListener('click', resetToDrop);
+
+    // Unlock screen
+    els.unlockForm.addEventListener('submit', handleUnlock);
+    els.btnUnlockBack.addEventListener('click', () => {
+      els.unlockPassword.value = '';
+      showScreen('info');
     });
 
-    // Error screen
-    els.btnErrorBack.addEventListener('click', () => {
-      currentSealFile = null;
-      currentRawText = null;
-      els.fileInput.value = '';
-      showScreen('drop');
+    // Opened screen
+    els.btnSave.addEventListener('click', () => {
+      if (openedFile) saveBlob(openedFile.data, openedFile.metadata.originalName || 'file');
     });
+    els.btnOpenedBack.addEventListener('click', resetToDrop);
+
+    // Error screen
+    els.btnErrorBack.addEventListener('click', resetToDrop);
+  }
+
+  function resetToDrop() {
+    currentSealFile = null;
+    currentRawFile = null;
+    closeOpenedFile();
+    els.fileInput.value = '';
+    showScreen('drop');
   }
 
   // --- Login ---
@@ -179,7 +262,8 @@
       if (result.authenticated && result.email) {
         userEmail = result.email;
         els.userEmailDisplay.textContent = result.email;
-        showScreen('drop');
+        await unlockSigningKey(password);
+        showReady();
       } else {
         els.loginError.textContent = result.error || 'Login failed. Check your email and password.';
         els.loginError.hidden = false;
@@ -193,6 +277,25 @@
     }
   }
 
+  // Decrypt the user's signing key with the login password so the compose
+  // popup can sign the files it seals. Without it files are sent unsigned.
+  async function unlockSigningKey(password) {
+    try {
+      const { keys } = await sendMessage({ action: 'fetchUserKeys' });
+      if (!keys || !keys.encryptedSigningKey) return;
+      const signingKey = await new SealCrypto().decryptPrivateKeyWithPassword(
+        keys.encryptedSigningKey,
+        password,
+        keys.signingSalt,
+        keys.signingIv,
+        keys.signingKdf
+      );
+      await sendMessage({ action: 'storeSigningKey', signingKey });
+    } catch (err) {
+      console.warn('[Seal] Signing key unavailable:', err);
+    }
+  }
+
   async function handleLogout() {
     try {
       await sendMessage({ action: 'logout' });
@@ -201,7 +304,8 @@
     }
     userEmail = null;
     currentSealFile = null;
-    currentRawText = null;
+    currentRawFile = null;
+    closeOpenedFile();
     showScreen('login');
   }
 
@@ -213,39 +317,36 @@
       return;
     }
 
-    // Size guard: warn on files > 10MB (base64 inflates ~33%)
-    if (file.size > 10 * 1024 * 1024) {
-      showError('This file is too large to open in the extension. Please use seal.email/viewer instead.');
-      return;
-    }
-
     try {
-      const text = await file.text();
+      // Binary containers: read just the header, the payload stays on disk
+      let sealFile = await SealFormat.readSealHeader(file);
+
+      if (!sealFile) {
+        // JSON export or legacy 1.0 file: the whole file has to be parsed.
+        // Size guard: base64 inflates ~33%
+        if (file.size > 10 * 1024 * 1024) {
+          showError('This file is too large to open in the extension. Please use seal.email/viewer instead.');
+          return;
+        }
 
-      // Quick sanity check before full parse
-      if (!text.startsWith('{')) {
-        showError('This file is not a valid .seal file.');
-        return;
-      }
+        const text = await file.text();
 
-      const sealFile = JSON.parse(text);
+        // Quick sanity check before full parse
+        if (!text.trimStart().startsWith('{')) {
+          showError('This file is not a valid .seal file.');
+          return;
+        }
 
-      // Validate structure
-      if (!sealFile.version || !sealFile.fileId || !sealFile.payload) {
-        showError('This file is not a valid .seal file. It may be corrupted or incomplete.');
-        return;
+        // Reads every known layout, including legacy 1.0 files
+        sealFile = SealFormat.readSealFile(text);
       }
 
       currentSealFile = sealFile;
-      currentRawText = text;  // Keep in JS memory, NOT chrome.storage
+      currentRawFile = file;  // Keep in JS memory, NOT chrome.storage
       displayFileInfo(sealFile, file.size);
 
     } catch (err) {
-      if (err instanceof SyntaxError) {
-        showError('Could not read this file. It may be corrupted.');
-      } else {
-        showError('An unexpected error occurred: ' + err.message);
-      }
+      showError('This file is not a valid .seal file. It may be corrupted or incomplete.');
     }
   }
 
@@ -253,8 +354,18 @@
   function displayFileInfo(sealFile, fileSize) {
     const meta = sealFile.metadata || {};
 
-    els.infoFilename.textContent = meta.originalName || 'Unknown file';
-    els.infoSize.textContent = formatFileSize(meta.originalSize || fileSize);
+    // Hidden details are only in the encrypted inner header
+    if (meta.hidden) {
+      els.infoFilename.innerHTML = '<span class="details-hidden">Name hidden until opened</span>';
+      els.infoSize.textContent = `${formatFileSize(fileSize)} sealed`;
+    } else {
+      els.infoFilename.textContent = meta.originalName || 'Unknown file';
+      els.infoSize.textContent = formatFileSize(meta.originalSize || fileSize);
+      // The list of files in a bundle stays encrypted until it is opened
+      if (meta.originalType === SealFormat.BUNDLE_TYPE) {
+        els.infoSize.textContent += ' \u00b7 several files, listed once opened';
+      }
+    }
 
     // Encrypted date
     if (meta.encryptedAt) {
@@ -279,7 +390,14 @@
 
     // Recipients
     if (sealFile.recipients && sealFile.recipients.length > 0) {
-      const emails = sealFile.recipients.map(r => r.email);
+      // A password entry has no email; anyone with the password can open the file.
+      // Hidden recipients' entries have none either; only their number shows.
+      const emails = sealFile.recipients.filter(r => r.email).map(r => r.email);
+      if (SealFormat.hasHiddenRecipients(sealFile)) {
+        const count = sealFile.recipients.filter(r => r !== SealFormat.findPasswordRecipient(sealFile)).length;
+        emails.push(`${count} hidden ${count === 1 ? 'recipient' : 'recipients'}`);
+      }
+      if (SealFormat.findPasswordRecipient(sealFile)) emails.push('anyone with the password');
       els.infoRecipients.textContent = emails.length <= 2
         ? emails.join(', ')
         : `${emails[0]} +${emails.length - 1} more`;
@@ -288,18 +406,37 @@
       els.infoRecipients.textContent = 'Unknown';
     }
 
-    // User access check
+    // Header binding: edits to the details above make decryption fail
+    if (SealFormat.isHeaderBound(sealFile)) {
+      els.infoIntegrity.innerHTML = '<span class="header-bound">Sealed &middot; verified when opened</span>';
+      els.infoIntegrity.title = 'Name, expiry and recipients are bound to the encrypted content. If anyone changed them, opening the file fails.';
+    } else {
+      els.infoIntegrity.innerHTML = '<span class="header-unbound">Not protected (older file)</span>';
+      els.infoIntegrity.title = 'This file was sealed before file details were protected. They could have been edited.';
+    }
+
+    checkSender(sealFile, currentRawFile);
+
+    // User access check; with hidden recipients it is only known once the
+    // user's key is tried on the entries
     let hasAccess = false;
-    if (userEmail && sealFile.recipients) {
+    const hiddenRecipients = SealFormat.hasHiddenRecipients(sealFile);
+    if (userEmail && sealFile.recipients && !hiddenRecipients) {
       hasAccess = sealFile.recipients.some(
-        r => r.email.toLowerCase() === userEmail.toLowerCase()
+        r => r.email && r.email.toLowerCase() === userEmail.toLowerCase()
       );
     }
+    const hasPassword = !!SealFormat.findPasswordRecipient(sealFile);
 
     if (userEmail) {
       els.accessRow.hidden = false;
-      if (hasAccess) {
+      if (hiddenRecipients && sealFile.recipients.some(r => r !== SealFormat.findPasswordRecipient(sealFile))) {
+        hasAccess = true;
+        els.infoAccess.innerHTML = '<span class="access-unknown">Recipients hidden &middot; checked when opened</span>';
+      } else if (hasAccess) {
         els.infoAccess.innerHTML = '<span class="access-granted">Authorized</span>';
+      } else if (hasPassword) {
+        els.infoAccess.innerHTML = '<span class="access-granted">Opens with the sender\'s password</span>';
       } else {
         els.infoAccess.innerHTML = '<span class="access-denied">Not a recipient</span>';
       }
@@ -308,30 +445,260 @@
     }
 
     // Button state
+    unlockMode = hasAccess ? 'account' : 'file';
     if (isExpired) {
-      els.btnOpenViewer.disabled = true;
-      els.btnOpenViewer.textContent = 'File has expired';
-    } else if (!hasAccess && userEmail) {
-      els.btnOpenViewer.disabled = true;
-      els.btnOpenViewer.textContent = 'You are not a recipient';
+      els.btnOpen.disabled = true;
+      els.btnOpen.textContent = 'File has expired';
+    } else if (!hasAccess && !hasPassword && userEmail) {
+      els.btnOpen.disabled = true;
+      els.btnOpen.textContent = 'You are not a recipient';
+    } else if (currentRawFile.size > MAX_DECRYPT_SIZE) {
+      els.btnOpen.disabled = false;
+      els.btnOpen.textContent = 'Open on seal.email';
     } else {
-      els.btnOpenViewer.disabled = false;
-      els.btnOpenViewer.textContent = 'Open in Secure Viewer';
+      els.btnOpen.disabled = false;
+      els.btnOpen.textContent = 'Decrypt and open';
     }
 
     showScreen('info');
   }
 
-  // --- Open in Viewer ---
+  // --- Sender Signature ---
+  // Verifying only hashes the ciphertext, so it works before the file is decrypted
+  async function checkSender(sealFile, file) {
+    if (!sealFile.signature) {
+      showSignature(els.infoSender, { status: 'unsigned' });
+      return;
+    }
+
+    els.infoSender.textContent = 'Checking signature\u2026';
+    els.infoSender.title = '';
+    els.senderWarning.hidden = true;
+
+    let result;
+    try {
+      result = await new SealCrypto().verifySealSignature(file, fetchSigningKey);
+    } catch (err) {
+      result = { status: 'invalid', signer: sealFile.signature.signer };
+    }
+
+    // Another file was opened while we were checking
+    if (file !== currentRawFile) return;
+
+    showSignature(els.infoSender, result);
+  }
+
+  // A sender's published signing key (base64 SPKI), or null if they have none
+  async function fetchSigningKey(email) {
+    const { recipients } = await sendMessage({ action: 'fetchRecipientKeys', emails: [email] });
+    return (recipients && recipients[0] && recipients[0].signingPublicKey) || null;
+  }
+
+  function showSignature(el, result) {
+    // Someone who can open the file can strip its signature; say so loudly
+    els.senderWarning.hidden = result.status !== 'unsigned';
+    if (result.status === 'unsigned') {
+      el.innerHTML = '<span class="signature-unverified">Unsigned</span>';
+      el.title = 'The sender did not sign this file, so who sent it cannot be verified.';
+      return;
+    }
+    const signer = escapeHtml(result.signer);
+    if (result.status === 'valid') {
+      el.innerHTML = `<span class="signature-valid">Signed by ${signer} &#10003;</span>`;
+      el.title = 'The signature matches this sender\'s published signing key.';
+    } else if (result.status === 'invalid') {
+      el.innerHTML = `<span class="signature-invalid">&#9888; Forged or altered (claims ${signer})</span>`;
+      el.title = 'The signature does not match. This file may not be from who it claims. Do not trust it.';
+    } else {
+      el.innerHTML = `<span class="signature-unverified">Claims ${signer} (unverified)</span>`;
+      el.title = 'The sender has no published signing key, so the signature cannot be checked.';
+    }
+  }
+
+  // --- Decrypt ---
+  function openFile() {
+    if (!currentSealFile) return;
+    if (currentRawFile.size > MAX_DECRYPT_SIZE) {
+      openInViewer();
+      return;
+    }
+    showUnlock(unlockMode);
+  }
+
+  function showUnlock(mode, message) {
+    unlockMode = mode;
+    if (mode === 'account') {
+      els.unlockMessage.textContent = 'Enter your Seal password to decrypt this file.';
+      els.unlockLabel.textContent = 'Your password';
+      els.unlockPassword.autocomplete = 'current-password';
+    } else {
+      els.unlockMessage.textContent = message || 'Enter the password the sender shared with you.';
+      els.unlockLabel.textContent = 'File password';
+      els.unlockPassword.autocomplete = 'off';
+    }
+    els.unlockPassword.value = '';
+    els.unlockError.hidden = true;
+    showScreen('unlock');
+    els.unlockPassword.focus();
+  }
+
+  async function handleUnlock(e) {
+    e.preventDefault();
+    const password = els.unlockPassword.value;
+    const file = currentRawFile;
+    if (!file || !password) return;
+
+    els.unlockError.hidden = true;
+    els.btnUnlockSubmit.disabled = true;
+    els.btnUnlockSubmit.textContent = 'Decrypting...';
+
+    try {
+      const sealCrypto = new SealCrypto();
+      const options = { signingKeyFor: fetchSigningKey };
+      let result;
+      if (unlockMode === 'account') {
+        const keyring = await unlockKeyring(sealCrypto, password);
+        result = await sealCrypto.decryptSealFile(file, userEmail, keyring, options);
+      } else {
+        result = await sealCrypto.decryptSealFileWithPassword(file, password, options);
+      }
+
+      // Another file was opened while this one was decrypting
+      if (file !== currentRawFile) return;
+      els.unlockPassword.value = '';
+      showOpenedFile(result);
+    } catch (err) {
+      const message = err.message || 'Decryption failed';
+      if (message === 'Incorrect password' || message === 'Incorrect password for this file') {
+        els.unlockError.textContent = 'Incorrect password. Please try again.';
+        els.unlockError.hidden = false;
+      } else if (message.includes('not an authorized recipient') && SealFormat.findPasswordRecipient(currentSealFile)) {
+        // Hidden recipients: none of the entries was for this user
+        showUnlock('file', 'None of your keys opens this file. Enter the password the sender shared with you.');
+      } else {
+        els.unlockPassword.value = '';
+        showError(message);
+      }
+    } finally {
+      els.btnUnlockSubmit.disabled = false;
+      els.btnUnlockSubmit.textContent = 'Decrypt';
+    }
+  }
+
+  // Decrypt the user's current key with their password; retired keys are
+  // only decrypted if the file was sealed for one of them
+  async function unlockKeyring(sealCrypto, password) {
+    const { keys } = await sendMessage({ action: 'fetchUserKeys' });
+    if (!keys || !keys.encryptedPrivateKey) {
+      throw new Error('Your encryption keys were not found. Set up your account on seal.email first.');
+    }
+    const privateKey = await sealCrypto.decryptPrivateKeyWithPassword(
+      keys.encryptedPrivateKey,
+      password,
+      keys.salt,
+      keys.iv,
+      keys.kdf
+    );
+    return [{ publicKey: keys.publicKey, privateKey }].concat(
+      (keys.retiredKeys || []).map(k => ({
+        publicKey: k.publicKey,
+        privateKey: () => sealCrypto.decryptPrivateKeyWithPassword(k.encryptedPrivateKey, password, k.salt, k.iv, k.kdf)
+      }))
+    );
+  }
+
+  // --- Opened File ---
+  function showOpenedFile(result) {
+    closeOpenedFile();
+    openedFile = result;
+    const meta = result.metadata;
+
+    els.openedFilename.textContent = meta.originalName || 'Unknown file';
+    els.openedSize.textContent = formatFileSize(result.data.size);
+    showSignature(els.openedSender, result.signature);
+
+    els.openedPreview.replaceChildren();
+    els.openedEntries.replaceChildren();
+    if (result.entries) {
+      els.openedSize.textContent += ` \u00b7 ${result.entries.length} files`;
+      for (const entry of result.entries) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'entry-name';
+        name.textContent = entry.path;
+        name.title = `${entry.path} (${formatFileSize(entry.size)})`;
+        const save = document.createElement('button');
+        save.className = 'btn btn-outline';
+        save.textContent = 'Save';
+        save.addEventListener('click', () => saveBlob(entry.data, entry.path));
+        item.append(name, save);
+        els.openedEntries.appendChild(item);
+      }
+      els.openedEntries.hidden = false;
+      els.openedPreview.hidden = true;
+      els.btnSave.hidden = true;
+    } else {
+      els.openedEntries.hidden = true;
+      els.btnSave.hidden = false;
+      showPreview(result.data, meta.originalType || '');
+    }
+
+    showScreen('opened');
+  }
+
+  async function showPreview(data, type) {
+    els.openedPreview.hidden = false;
+    if (type.startsWith('image/')) {
+      const img = document.createElement('img');
+      img.alt = '';
+      img.src = objectUrl(data);
+      els.openedPreview.appendChild(img);
+    } else if ((type.startsWith('text/') || type === 'application/json') && data.size <= MAX_TEXT_PREVIEW) {
+      const pre = document.createElement('pre');
+      pre.textContent = await data.text();
+      els.openedPreview.appendChild(pre);
+    } else {
+      const none = document.createElement('p');
+      none.className = 'preview-none';
+      none.textContent = 'No preview for this type of file. Save it to open it.';
+      els.openedPreview.appendChild(none);
+    }
+  }
+
+  // Save to the Downloads folder. Without a save dialog the popup stays
+  // open, and with it the blob URL the download reads from.
+  function saveBlob(blob, name) {
+    chrome.downloads.download({
+      url: objectUrl(blob),
+      filename: safeFilename(name),
+      saveAs: false
+    });
+  }
+
+  function objectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    objectUrls.push(url);
+    return url;
+  }
+
+  function closeOpenedFile() {
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    objectUrls = [];
+    openedFile = null;
+  }
+
+  // --- Open on the Website ---
+  // For files too large to decrypt in the popup
   function openInViewer() {
     if (!currentSealFile) return;
 
     // Instead of storing the entire payload in chrome.storage (which crashes),
     // we download the .seal file so the user can upload it to the viewer.
     // This avoids the chrome.storage size limit entirely.
-    const blob = new Blob([currentRawText], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const filename = (currentSealFile.metadata?.originalName || 'file') + '.seal';
+    const url = URL.createObjectURL(currentRawFile);
+    const filename = currentSealFile.metadata?.hidden
+      ? currentRawFile.name
+      : (currentSealFile.metadata?.originalName || 'file') + '.seal';
 
     // Download the file so the user has it locally
     chrome.downloads.download({
@@ -354,6 +721,21 @@
   }
 
   // --- Helpers ---
+  function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // chrome.downloads rejects names with reserved characters or '..' segments;
+  // bundle paths keep their folders
+  function safeFilename(name) {
+    const parts = name.split('/')
+      .map(part => part.replace(/[\\:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_').trim())
+      .filter(Boolean);
+    return parts.join('/') || 'file';
+  }
+
   function formatFileSize(bytes) {
     if (bytes < 1024) return bytes + ' B';
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
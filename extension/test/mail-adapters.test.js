@@ -0,0 +1,226 @@
+/**
+ * The mail adapters against saved client markup (test/fixtures), so a
+ * selector that stops matching fails here rather than in the browser.
+ *
+ * Usage: node --test extension/test/ (npm test at the repo root)
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SealMailAdapters = require('../lib/mail-adapters.js');
+
+const { gmail, outlook } = SealMailAdapters;
+
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const { window } = new JSDOM(html);
+
+  // jsdom has no drag and drop: enough of it to see what was dropped
+  window.DataTransfer = class {
+    constructor() {
+      this.files = [];
+      this.items = { add: (file) => this.files.push(file) };
+    }
+  };
+  window.DragEvent = class extends window.Event {
+    constructor(type, init) {
+      super(type, init);
+      this.dataTransfer = init.dataTransfer;
+    }
+  };
+  return window.document;
+}
+
+// Record the files dropped on an element, by event type
+function recordDrops(el) {
+  const drops = [];
+  for (const type of ['dragenter', 'dragover', 'drop']) {
+    el.addEventListener(type, (e) => drops.push([type, e.dataTransfer.files.map(f => f.name)]));
+  }
+  return drops;
+}
+
+function sealFile(doc) {
+  return new doc.defaultView.File(['sealed'], 'figures.xlsx.seal', { type: 'application/octet-stream' });
+}
+
+describe('forHost', () => {
+  test('picks the adapter for each client host', () => {
+    assert.equal(SealMailAdapters.forHost('mail.google.com'), gmail);
+    assert.equal(SealMailAdapters.forHost('outlook.office.com'), outlook);
+    assert.equal(SealMailAdapters.forHost('outlook.live.com'), outlook);
+    assert.equal(SealMailAdapters.forHost('seal.email'), null);
+  });
+});
+
+describe('gmail', () => {
+  let doc;
+  const $ = (id) => doc.getElementById(id);
+  beforeEach(() => {
+    doc = loadFixture('gmail.html');
+  });
+
+  test('findComposes finds the compose window and the inline reply once each', () => {
+    const composes = gmail.findComposes(doc);
+    assert.deepEqual(composes.map(c => c.root.id).sort(), ['compose', 'inline-reply']);
+    for (const { root, toolbar } of composes) {
+      assert.ok(root.contains(toolbar));
+      assert.ok(toolbar.closest('tr.btC'), 'toolbar is the bar with Send');
+    }
+  });
+
+  test('composeOf finds the compose window around any of its elements', () => {
+    assert.equal(gmail.composeOf($('compose-send')), $('compose'));
+    assert.equal(gmail.composeOf($('chip-xlsx')), $('compose'));
+    assert.equal(gmail.composeOf($('inline-send')), $('inline-reply'));
+    assert.equal(gmail.composeOf($('message-body')), null);
+  });
+
+  test('findComposes and composeOf agree on the root', () => {
+    for (const { root, toolbar } of gmail.findComposes(doc)) {
+      assert.equal(gmail.composeOf(toolbar), root);
+    }
+  });
+
+  test('recipientsOf reads every recipient chip attribute, lower-cased', () => {
+    assert.deepEqual(gmail.recipientsOf($('compose')).sort(), [
+      'alice@partner.example',
+      'bob@partner.example',
+      'dave@partner.example',
+    ]);
+    assert.deepEqual(gmail.recipientsOf($('inline-reply')), ['carol@example.com']);
+  });
+
+  test('bodyOf finds the editable body', () => {
+    assert.equal(gmail.bodyOf($('compose')), $('compose-body'));
+    assert.equal(gmail.bodyOf($('inline-reply')), $('inline-body'));
+  });
+
+  test('quotesOf finds the quoted message', () => {
+    assert.ok(gmail.quotesOf($('compose-body')).includes($('compose-quote')));
+    assert.deepEqual(gmail.quotesOf($('inline-body')), []);
+  });
+
+  test('sendButtonSelector matches the Send buttons only', () => {
+    const matches = Array.from(doc.querySelectorAll(gmail.sendButtonSelector)).map(b => b.id);
+    assert.deepEqual(matches.sort(), ['compose-send', 'inline-send']);
+  });
+
+  test('attachFile puts the file in the draft\'s file input', () => {
+    const input = $('compose-file');
+    let files = null;
+    Object.defineProperty(input, 'files', { set: (value) => { files = value; } });
+    let changed = false;
+    input.addEventListener('change', () => { changed = true; });
+
+    assert.equal(gmail.attachFile($('compose'), sealFile(doc)), true);
+    assert.deepEqual(files.map(f => f.name), ['figures.xlsx.seal']);
+    assert.ok(changed);
+  });
+
+  test('attachFile drops the file on the body without a file input', () => {
+    const drops = recordDrops($('inline-body'));
+    assert.equal(gmail.attachFile($('inline-reply'), sealFile(doc)), true);
+    assert.deepEqual(drops.map(([type]) => type), ['dragenter', 'dragover', 'drop']);
+    assert.deepEqual(drops[2][1], ['figures.xlsx.seal']);
+  });
+
+  test('draftAttachments lists name, chip and link of each attachment', () => {
+    const attachments = gmail.draftAttachments($('compose'));
+    assert.deepEqual(attachments.map(a => [a.name, a.chip.id]), [
+      ['figures.xlsx', 'chip-xlsx'],
+      ['notes.txt', 'chip-notes'],
+    ]);
+    assert.match(attachments[0].url, /attid=f_1/);
+    assert.equal(attachments[1].url, null);
+    assert.deepEqual(gmail.draftAttachments($('inline-reply')), []);
+  });
+
+  test('removeAttachment clicks the chip\'s remove button', () => {
+    const [xlsx, notes] = gmail.draftAttachments($('compose'));
+    let clicked = false;
+    xlsx.chip.querySelector('.vq').addEventListener('click', () => { clicked = true; });
+    assert.equal(gmail.removeAttachment(xlsx), true);
+    assert.ok(clicked);
+    assert.equal(gmail.removeAttachment(notes), false);
+  });
+
+  test('attachmentLinks parses download_url, skipping malformed ones', () => {
+    const links = gmail.attachmentLinks(doc);
+    assert.deepEqual(links.map(a => [a.chip.id, a.type, a.name]), [
+      ['received-seal', 'application/octet-stream', 'contract.pdf.seal'],
+      ['received-plain', 'image/png', 'photo.png'],
+    ]);
+    assert.equal(links[0].url, 'https://mail.google.com/mail/u/0/?ui=2&attid=0.1&disp=safe');
+  });
+
+  test('messageBodies finds opened messages, not compose bodies', () => {
+    assert.deepEqual(gmail.messageBodies(doc).map(b => b.id), ['message-body']);
+  });
+});
+
+describe('outlook', () => {
+  let doc;
+  const $ = (id) => doc.getElementById(id);
+  beforeEach(() => {
+    doc = loadFixture('outlook.html');
+  });
+
+  test('findComposes finds the reply and the new message, toolbar by Send', () => {
+    const composes = outlook.findComposes(doc);
+    assert.deepEqual(composes.map(c => [c.root.id, c.toolbar.id]), [
+      ['reply', 'reply-send-bar'],
+      ['new-message', 'new-send-bar'],
+    ]);
+  });
+
+  test('composeOf finds the nearest element holding both body and Send', () => {
+    assert.equal(outlook.composeOf($('reply-send')), $('reply'));
+    assert.equal(outlook.composeOf($('reply-quoted')), $('reply'));
+    assert.equal(outlook.composeOf($('new-send')), $('new-message'));
+    assert.equal(outlook.composeOf(doc.body), null);
+  });
+
+  test('recipientsOf reads pill labels, tooltips and typed addresses', () => {
+    assert.deepEqual(outlook.recipientsOf($('reply')).sort(), [
+      'jane@partner.example',
+      'max@partner.example',
+      'typed@partner.example',
+    ]);
+    assert.deepEqual(outlook.recipientsOf($('new-message')), ['lee@partner.example']);
+  });
+
+  test('bodyOf finds the message body', () => {
+    assert.equal(outlook.bodyOf($('reply')), $('reply-body'));
+    assert.equal(outlook.bodyOf($('new-message')), $('new-body'));
+  });
+
+  test('quotesOf runs from the reply marker to the end of the body', () => {
+    const quotes = outlook.quotesOf($('reply-body'));
+    assert.equal(quotes[0], $('appendonsend'));
+    assert.equal(quotes[quotes.length - 1], $('reply-quoted'));
+    assert.ok(!quotes.some(q => q.textContent.includes('See the notes')));
+    assert.deepEqual(outlook.quotesOf($('new-body')), []);
+  });
+
+  test('sendButtonSelector matches the Send buttons only', () => {
+    const matches = Array.from(doc.querySelectorAll(outlook.sendButtonSelector)).map(b => b.id);
+    assert.deepEqual(matches, ['reply-send', 'new-send']);
+  });
+
+  test('attachFile drops the file on the message body', () => {
+    const drops = recordDrops($('reply-body'));
+    assert.equal(outlook.attachFile($('reply'), sealFile(doc)), true);
+    assert.deepEqual(drops.map(([type]) => type), ['dragenter', 'dragover', 'drop']);
+    assert.deepEqual(drops[2][1], ['figures.xlsx.seal']);
+  });
+
+  test('has no attachment or reading features yet', () => {
+    assert.equal(outlook.draftAttachments, undefined);
+    assert.equal(outlook.attachmentLinks, undefined);
+    assert.equal(outlook.messageBodies, undefined);
+  });
+});
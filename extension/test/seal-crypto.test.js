@@ -0,0 +1,224 @@
+/**
+ * Sealing and opening whole .seal files (lib/seal-crypto.js over
+ * seal-format.js, seal-stream.js and seal-keys.js): round trips for each kind
+ * of recipient, and that edited, cut or stripped files are refused.
+ *
+ * Usage: node --test extension/test/ (npm test at the repo root)
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const SealCrypto = require('../lib/seal-crypto.js');
+const SealFormat = require('../lib/seal-format.js');
+const SealKeys = require('../lib/seal-keys.js');
+
+const sc = new SealCrypto();
+const CONTENT = 'name,salary\nann,1\nbob,2\n'.repeat(100);
+const PASSWORD = 'correct horse battery staple';
+
+const accounts = {};
+let signer;
+
+before(async () => {
+  for (const [name, keyWrapping] of [['ann', SealKeys.ECDH_KEY_WRAPPING], ['carol', SealKeys.ECDH_KEY_WRAPPING]]) {
+    accounts[name] = { email: `${name}@example.com`, ...(await sc.generateKeyPair(keyWrapping)) };
+  }
+  // An RSA account from before SealKeys, its JWK limited to wrapKey/unwrapKey
+  const legacy = await crypto.subtle.generateKey(
+    { name: 'RSA-OAEP', hash: 'SHA-256', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ['wrapKey', 'unwrapKey']
+  );
+  accounts.bob = {
+    email: 'bob@example.com',
+    publicKey: await crypto.subtle.exportKey('jwk', legacy.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', legacy.privateKey),
+  };
+
+  const signing = await crypto.subtle.generateKey(sc.SIGNING_ALGORITHM, true, ['sign', 'verify']);
+  signer = {
+    email: 'ann@example.com',
+    privateKey: Buffer.from(await crypto.subtle.exportKey('pkcs8', signing.privateKey)).toString('base64'),
+    publicKey: Buffer.from(await crypto.subtle.exportKey('spki', signing.publicKey)).toString('base64'),
+  };
+});
+
+function recipients(...names) {
+  return names.map((name) => ({ email: accounts[name].email, publicKey: accounts[name].publicKey }));
+}
+
+async function seal(names, options = {}) {
+  const file = new File([CONTENT], 'salaries.csv', { type: 'text/csv' });
+  const sealFile = await sc.createSealFile(file, recipients(...names), sc.generateFileId(), options);
+  return SealFormat.writeSealFile(sealFile);
+}
+
+function open(bytes, name, options = {}) {
+  const { email, privateKey } = accounts[name];
+  return sc.decryptSealFile(bytes, email, privateKey, options);
+}
+
+async function assertOpened(result) {
+  assert.equal(await result.data.text(), CONTENT);
+  assert.equal(result.metadata.originalName, 'salaries.csv');
+}
+
+// Rewrite the JSON header of a binary container, keeping payload and trailer
+function editHeader(bytes, edit) {
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint32(5);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(9, 9 + headerLength)));
+  edit(header);
+  const json = new TextEncoder().encode(JSON.stringify(header));
+  const rest = bytes.subarray(9 + headerLength);
+  const out = new Uint8Array(9 + json.length + rest.length);
+  out.set(bytes.subarray(0, 5), 0);
+  new DataView(out.buffer).setUint32(5, json.length);
+  out.set(json, 9);
+  out.set(rest, 9 + json.length);
+  return out;
+}
+
+describe('round trips', () => {
+  test('each recipient opens the file, whatever their key', async () => {
+    const bytes = await seal(['ann', 'bob']);
+    for (const name of ['ann', 'bob']) {
+      const result = await open(bytes, name);
+      await assertOpened(result);
+      assert.ok(result.headerVerified);
+      assert.equal(result.signature.status, 'unsigned');
+    }
+  });
+
+  test('the container reads back as it was written', async () => {
+    const bytes = await seal(['ann']);
+    assert.ok(SealFormat.isBinarySealFile(bytes));
+    assert.deepEqual(SealFormat.writeSealFile(SealFormat.readSealFile(bytes)), bytes);
+    const { sealFile, payload } = await SealFormat.readSealBlob(new Blob([bytes]));
+    assert.equal(sealFile.recipients[0].email, 'ann@example.com');
+    assert.deepEqual(new Uint8Array(await payload.arrayBuffer()), SealFormat.readSealFile(bytes).payload);
+  });
+
+  test('hidden details and compression', async () => {
+    const bytes = await seal(['ann'], { hideDetails: true, compress: true });
+    const { sealFile } = await SealFormat.readSealBlob(new Blob([bytes]));
+    assert.equal(sealFile.metadata.originalName, SealFormat.HIDDEN_FILE_NAME);
+    assert.equal(sealFile.encryption.compression, 'gzip');
+    await assertOpened(await open(bytes, 'ann'));
+  });
+
+  test('bundles split back into their files', async () => {
+    const files = [
+      { file: new File(['one'], 'a.txt', { type: 'text/plain' }), path: 'docs/a.txt' },
+      { file: new File(['two'], 'b.txt', { type: 'text/plain' }), path: 'docs/b.txt' },
+    ];
+    const sealFile = await sc.createSealFile(files, recipients('ann'), sc.generateFileId());
+    const result = await open(SealFormat.writeSealFile(sealFile), 'ann');
+    assert.deepEqual(
+      await Promise.all(result.entries.map(async (e) => [e.path, await e.data.text()])),
+      [['docs/a.txt', 'one'], ['docs/b.txt', 'two']]
+    );
+  });
+});
+
+describe('keys', () => {
+  test('the wrong private key does not unlock an entry', async () => {
+    const bytes = await seal(['ann']);
+    await assert.rejects(
+      sc.decryptSealFile(bytes, accounts.ann.email, accounts.carol.privateKey),
+      /Could not unlock this file with your key/
+    );
+  });
+
+  test('someone not on the file is told so', async () => {
+    await assert.rejects(open(await seal(['ann']), 'carol'), /not an authorized recipient/);
+  });
+
+  test('the password entry opens with the password only', async () => {
+    const bytes = await seal(['ann'], { password: PASSWORD });
+    await assertOpened(await sc.decryptSealFileWithPassword(bytes, PASSWORD));
+    await assert.rejects(sc.decryptSealFileWithPassword(bytes, 'wrong password'), /Incorrect password/);
+  });
+});
+
+describe('hidden recipients', () => {
+  test('entries carry no email or keyId, and each recipient finds theirs by trying', async () => {
+    const bytes = await seal(['ann', 'bob'], { hideRecipients: true });
+    const sealFile = SealFormat.readSealFile(bytes);
+    assert.ok(SealFormat.hasHiddenRecipients(sealFile));
+    for (const entry of sealFile.recipients) {
+      assert.equal(entry.email, undefined);
+      assert.equal(entry.keyId, undefined);
+    }
+
+    for (const name of ['ann', 'bob']) {
+      await assertOpened(await open(bytes, name));
+    }
+    await assert.rejects(open(bytes, 'carol'), /not an authorized recipient/);
+  });
+
+  test('a keyring tries each of its keys', async () => {
+    const bytes = await seal(['ann'], { hideRecipients: true });
+    const keyring = [accounts.carol, accounts.ann].map(({ publicKey, privateKey }) => ({ publicKey, privateKey }));
+    await assertOpened(await sc.decryptSealFile(bytes, 'ann@example.com', keyring));
+  });
+});
+
+describe('tampering', () => {
+  test('edited details are refused before the payload is read', async () => {
+    const bytes = editHeader(await seal(['ann']), (h) => { h.metadata.originalName = 'holiday.jpg'; });
+    await assert.rejects(open(bytes, 'ann'), /Header tampered/);
+  });
+
+  test('a removed recipient is refused', async () => {
+    const bytes = editHeader(await seal(['ann', 'bob']), (h) => { h.recipients.pop(); });
+    await assert.rejects(open(bytes, 'ann'), /Header tampered/);
+  });
+
+  test('dropping the header tag does not pass as an older file', async () => {
+    const bytes = editHeader(await seal(['ann']), (h) => { delete h.encryption.headerTag; });
+    await assert.rejects(open(bytes, 'ann'), /Decryption failed/);
+  });
+
+  test('a cut-off payload is refused', async () => {
+    const bytes = await seal(['ann']);
+    await assert.rejects(open(bytes.subarray(0, bytes.length - 1), 'ann'), /Decryption failed/);
+  });
+});
+
+describe('signatures', () => {
+  const signingKeyFor = async (email) => (email === signer.email ? signer.publicKey : null);
+
+  test('a signed file verifies, opened or not', async () => {
+    const bytes = await seal(['bob'], { signer });
+    const result = await open(bytes, 'bob', { signingKeyFor });
+    await assertOpened(result);
+    assert.deepEqual(result.signature, { status: 'valid', signer: signer.email });
+    assert.deepEqual(await sc.verifySealSignature(new Blob([bytes]), signingKeyFor), result.signature);
+  });
+
+  test('without the signer\'s key the signature cannot be checked', async () => {
+    const bytes = await seal(['bob'], { signer });
+    assert.equal((await sc.verifySealSignature(bytes, async () => null)).status, 'unknown-signer');
+  });
+
+  test('a signature by another key is invalid', async () => {
+    const bytes = await seal(['bob'], { signer });
+    const other = await crypto.subtle.generateKey(sc.SIGNING_ALGORITHM, true, ['sign', 'verify']);
+    const otherKey = Buffer.from(await crypto.subtle.exportKey('spki', other.publicKey)).toString('base64');
+    assert.equal((await sc.verifySealSignature(bytes, async () => otherKey)).status, 'invalid');
+  });
+
+  test('a changed signer is refused', async () => {
+    const bytes = editHeader(await seal(['bob'], { signer }), (h) => { h.signature.signer = 'carol@example.com'; });
+    await assert.rejects(open(bytes, 'bob', { signingKeyFor }), /Header tampered/);
+  });
+
+  test('a removed signature is refused by anyone without the file key', async () => {
+    const signed = await seal(['bob'], { signer });
+    const { signatureValue } = SealFormat.readSealFile(signed);
+    const trailerLength = signatureValue.length + 4;
+    const stripped = editHeader(signed.subarray(0, signed.length - trailerLength), (h) => { delete h.signature; });
+
+    await assert.rejects(open(stripped, 'bob', { signingKeyFor }), /Header tampered/);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * The .seal container codec (lib/seal-format.js): layouts it reads back, and
+ * containers it refuses.
+ *
+ * Usage: node --test extension/test/ (npm test at the repo root)
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const SealCrypto = require('../lib/seal-crypto.js');
+const SealFormat = require('../lib/seal-format.js');
+
+let unsigned;
+let signed;
+
+before(async () => {
+  const sc = new SealCrypto();
+  const { publicKey } = await sc.generateKeyPair();
+  const signing = await crypto.subtle.generateKey(sc.SIGNING_ALGORITHM, true, ['sign', 'verify']);
+  const signer = {
+    email: 'ann@example.com',
+    privateKey: Buffer.from(await crypto.subtle.exportKey('pkcs8', signing.privateKey)).toString('base64'),
+  };
+
+  const seal = async (options) => SealFormat.writeSealFile(await sc.createSealFile(
+    new File(['quarterly figures'], 'figures.csv', { type: 'text/csv' }),
+    [{ email: 'bob@example.com', publicKey }],
+    sc.generateFileId(),
+    options
+  ));
+  unsigned = await seal({});
+  signed = await seal({ signer });
+});
+
+describe('readSealFile', () => {
+  test('reads a signed container back into header, payload and signature', () => {
+    const sealFile = SealFormat.readSealFile(signed);
+    assert.equal(sealFile.signature.signer, 'ann@example.com');
+    assert.equal(sealFile.signatureValue.length, 64);
+    assert.deepEqual(SealFormat.writeSealFile(sealFile), signed);
+  });
+
+  test('reads the JSON export of a container', () => {
+    const sealFile = SealFormat.readSealFile(unsigned);
+    const exported = SealFormat.readSealFile(SealFormat.exportSealJson(sealFile));
+    assert.deepEqual(exported.payload, sealFile.payload);
+    assert.deepEqual(SealFormat.canonicalHeader(exported), SealFormat.canonicalHeader(sealFile));
+  });
+
+  test('refuses other files', () => {
+    assert.throws(() => SealFormat.readSealFile(new TextEncoder().encode('PK\x03\x04 not a seal file')), /Could not parse|Not a valid/);
+  });
+
+  test('refuses an unknown container version', () => {
+    const bytes = unsigned.slice();
+    bytes[4] = 99;
+    assert.throws(() => SealFormat.readSealFile(bytes), /Unsupported .seal container version 99/);
+  });
+
+  test('refuses a container cut inside its header', () => {
+    assert.throws(() => SealFormat.readSealFile(unsigned.subarray(0, 20)), /Truncated/);
+  });
+
+  test('refuses a signature trailer longer than the file', () => {
+    const bytes = signed.slice();
+    new DataView(bytes.buffer).setUint32(bytes.length - 4, bytes.length);
+    assert.throws(() => SealFormat.readSealFile(bytes), /Truncated/);
+  });
+});
+
+describe('readSealBlob', () => {
+  test('finds the same payload and signature as readSealFile, reading only the ends', async () => {
+    const { sealFile, payload } = await SealFormat.readSealBlob(new Blob([signed]));
+    const whole = SealFormat.readSealFile(signed);
+    assert.deepEqual(new Uint8Array(await payload.arrayBuffer()), whole.payload);
+    assert.deepEqual(sealFile.signatureValue, whole.signatureValue);
+  });
+});
+
+describe('canonicalHeader', () => {
+  test('leaves out the header tag, and nothing else', () => {
+    const sealFile = SealFormat.readSealFile(unsigned);
+    const retagged = { ...sealFile, encryption: { ...sealFile.encryption, headerTag: 'x' } };
+    assert.deepEqual(SealFormat.canonicalHeader(retagged), SealFormat.canonicalHeader(sealFile));
+
+    const renamed = { ...sealFile, metadata: { ...sealFile.metadata, originalName: 'holiday.jpg' } };
+    assert.notDeepEqual(SealFormat.canonicalHeader(renamed), SealFormat.canonicalHeader(sealFile));
+  });
+});
+
+describe('armored messages', () => {
+  test('survive a mail client rewrapping and re-spacing them', () => {
+    const block = SealFormat.armorMessage(unsigned).join('\n');
+    const mangled = `Hi Bob,\n\n${block.replace(/\n/g, ' \r\n  ')}\n\n-- \nAnn`;
+    assert.deepEqual(SealFormat.dearmorMessage(mangled), unsigned);
+  });
+
+  test('are reported missing when there is none', () => {
+    assert.equal(SealFormat.findArmoredMessage('Hi Bob'), null);
+    assert.throws(() => SealFormat.dearmorMessage('Hi Bob'), /No sealed message found/);
+  });
+});
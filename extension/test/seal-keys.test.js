@@ -0,0 +1,79 @@
+/**
+ * Wrapping and unwrapping .seal file keys (lib/seal-keys.js), with Node's
+ * Web Crypto standing in for the browser's.
+ *
+ * Usage: node --test extension/test/ (npm test at the repo root)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const SealKeys = require('../lib/seal-keys.js');
+
+const RSA_PARAMS = { name: 'RSA-OAEP', hash: 'SHA-256', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) };
+
+function newFileKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+async function exportPair(keyPair) {
+  return {
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+  };
+}
+
+// Whether two AES keys are the same, by what one encrypts and the other opens
+async function assertSameKey(expected, actual) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, expected, new TextEncoder().encode('seal'));
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, actual, ciphertext);
+  assert.equal(new TextDecoder().decode(plaintext), 'seal');
+}
+
+// A file with only the fields unwrapping reads
+function sealFileFor(wrapped) {
+  return { encryption: { keyWrapping: wrapped.keyWrapping }, recipients: wrapped.recipients };
+}
+
+describe('generateKeyPair', () => {
+  for (const keyWrapping of [SealKeys.ECDH_KEY_WRAPPING, SealKeys.RSA_KEY_WRAPPING]) {
+    test(`${keyWrapping} pairs seal and open as JWK`, async () => {
+      const { publicKey, privateKey } = await exportPair(await SealKeys.generateKeyPair(keyWrapping));
+      const fileKey = await newFileKey();
+
+      const wrapped = await SealKeys.wrapForRecipients(fileKey, [{ email: 'ann@example.com', publicKey }]);
+      assert.equal(wrapped.keyWrapping, keyWrapping);
+      const sealFile = sealFileFor(wrapped);
+      await assertSameKey(fileKey, await SealKeys.unwrapFileKey(sealFile, sealFile.recipients[0], privateKey));
+    });
+  }
+});
+
+describe('legacy RSA JWK keys', () => {
+  // Extension accounts from before SealKeys stored their pair as JWK with
+  // key_ops ['wrapKey'] and ['unwrapKey']
+  async function legacyPair() {
+    const keyPair = await crypto.subtle.generateKey(RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+    const spki = Buffer.from(await crypto.subtle.exportKey('spki', keyPair.publicKey)).toString('base64');
+    return { spki, ...(await exportPair(keyPair)) };
+  }
+
+  test('have the same keyId and safety number as their SPKI', async () => {
+    const { spki, publicKey } = await legacyPair();
+    assert.deepEqual(publicKey.key_ops, ['wrapKey']);
+    assert.equal(await SealKeys.keyIdFor(publicKey), await SealKeys.keyIdFor(spki));
+    assert.equal(await SealKeys.safetyNumberFor(publicKey), await SealKeys.safetyNumberFor(spki));
+  });
+
+  test('seal and open, the entry naming the key', async () => {
+    const { publicKey, privateKey } = await legacyPair();
+    const fileKey = await newFileKey();
+
+    const wrapped = await SealKeys.wrapForRecipients(fileKey, [{ email: 'ann@example.com', publicKey }]);
+    assert.equal(wrapped.keyWrapping, SealKeys.RSA_KEY_WRAPPING);
+    const sealFile = sealFileFor(wrapped);
+    const [entry] = sealFile.recipients;
+    assert.equal(entry.keyId, await SealKeys.keyIdFor(publicKey));
+    await assertSameKey(fileKey, await SealKeys.unwrapWithKeyring(sealFile, entry, [{ publicKey, privateKey }]));
+  });
+});
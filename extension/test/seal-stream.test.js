@@ -0,0 +1,172 @@
+/**
+ * The chunked AES-GCM payload (lib/seal-stream.js): round trips, and that
+ * every way of cutting, reordering or re-labelling the ciphertext fails.
+ *
+ * Usage: node --test extension/test/ (npm test at the repo root)
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const SealStream = require('../lib/seal-stream.js');
+
+// The smallest chunk size decryptStream accepts, so a few KB make several chunks
+const CHUNK_SIZE = 1024;
+const SEALED_CHUNK_SIZE = CHUNK_SIZE + 16;
+const HEADER = new TextEncoder().encode('{"fileId":"test"}');
+const TAMPERED = /Decryption failed/;
+
+let key;
+let noncePrefix;
+
+before(async () => {
+  key = await newKey();
+  noncePrefix = SealStream.generateNoncePrefix();
+});
+
+function newKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 65536) crypto.getRandomValues(bytes.subarray(i, i + 65536));
+  return bytes;
+}
+
+function streamOf(bytes) {
+  return new Blob([bytes]).stream();
+}
+
+function encrypt(plaintext, options = {}) {
+  return SealStream.collect(SealStream.encryptStream(streamOf(plaintext), key, noncePrefix, {
+    chunkSize: CHUNK_SIZE,
+    additionalData: HEADER,
+    ...options,
+  }));
+}
+
+function decrypt(ciphertext, options = {}) {
+  return SealStream.collect(SealStream.decryptStream(streamOf(ciphertext), options.key || key, noncePrefix, {
+    chunkSize: CHUNK_SIZE,
+    additionalData: HEADER,
+    ...options,
+  }));
+}
+
+// The sealed chunks of a payload, in order
+function chunksOf(ciphertext) {
+  const chunks = [];
+  for (let i = 0; i < ciphertext.length; i += SEALED_CHUNK_SIZE) {
+    chunks.push(ciphertext.subarray(i, i + SEALED_CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+describe('encryptStream and decryptStream', () => {
+  for (const [label, length] of [
+    ['several chunks', 2.5 * CHUNK_SIZE],
+    ['an exact number of chunks', 2 * CHUNK_SIZE],
+    ['one byte', 1],
+    ['an empty file', 0],
+  ]) {
+    test(`round trip: ${label}`, async () => {
+      const plaintext = randomBytes(length);
+      const ciphertext = await encrypt(plaintext);
+      assert.equal(chunksOf(ciphertext).length, Math.max(1, Math.ceil(length / CHUNK_SIZE)));
+      assert.deepEqual(await decrypt(ciphertext), plaintext);
+    });
+  }
+
+  test('fails with the wrong key', async () => {
+    const ciphertext = await encrypt(randomBytes(2.5 * CHUNK_SIZE));
+    await assert.rejects(decrypt(ciphertext, { key: await newKey() }), TAMPERED);
+  });
+
+  test('fails when the final chunk is dropped', async () => {
+    const ciphertext = await encrypt(randomBytes(2.5 * CHUNK_SIZE));
+    await assert.rejects(decrypt(ciphertext.subarray(0, 2 * SEALED_CHUNK_SIZE)), TAMPERED);
+  });
+
+  test('fails when the final chunk is cut short', async () => {
+    const ciphertext = await encrypt(randomBytes(2.5 * CHUNK_SIZE));
+    await assert.rejects(decrypt(ciphertext.subarray(0, ciphertext.length - 1)), TAMPERED);
+  });
+
+  test('fails when a file of whole chunks is cut at a chunk boundary', async () => {
+    // Its last chunk is a full one flagged last; an earlier full chunk is not
+    const ciphertext = await encrypt(randomBytes(2 * CHUNK_SIZE));
+    await assert.rejects(decrypt(ciphertext.subarray(0, SEALED_CHUNK_SIZE)), TAMPERED);
+  });
+
+  test('fails when chunks are swapped', async () => {
+    const [first, second, last] = chunksOf(await encrypt(randomBytes(3 * CHUNK_SIZE)));
+    await assert.rejects(decrypt(Buffer.concat([second, first, last])), TAMPERED);
+  });
+
+  test('fails when a chunk is flipped', async () => {
+    const ciphertext = await encrypt(randomBytes(2.5 * CHUNK_SIZE));
+    ciphertext[SEALED_CHUNK_SIZE + 10] ^= 1;
+    await assert.rejects(decrypt(ciphertext), TAMPERED);
+  });
+
+  test('fails with different additional data (an edited header)', async () => {
+    const ciphertext = await encrypt(randomBytes(2.5 * CHUNK_SIZE));
+    const edited = new TextEncoder().encode('{"fileId":"tset"}');
+    await assert.rejects(decrypt(ciphertext, { additionalData: edited }), TAMPERED);
+    await assert.rejects(decrypt(ciphertext, { additionalData: undefined }), TAMPERED);
+  });
+
+  test('rejects chunk sizes outside the allowed range', () => {
+    assert.throws(() => SealStream.decryptStream(streamOf(new Uint8Array(0)), key, noncePrefix, { chunkSize: 16 }),
+      /Unsupported chunk size/);
+  });
+
+  test('the payload digest is the same while encrypting, decrypting and reading', async () => {
+    const written = SealStream.createPayloadDigest();
+    const ciphertext = await encrypt(randomBytes(2.5 * CHUNK_SIZE), { digest: written });
+    const read = SealStream.createPayloadDigest();
+    await decrypt(ciphertext, { digest: read });
+
+    const expected = await written.finish();
+    assert.deepEqual(await read.finish(), expected);
+    assert.deepEqual(await SealStream.digestPayload(streamOf(ciphertext), CHUNK_SIZE), expected);
+  });
+});
+
+describe('header tags', () => {
+  test('verify the header they were made for', async () => {
+    const tag = await SealStream.sealHeader(key, noncePrefix, HEADER);
+    await SealStream.verifyHeader(key, noncePrefix, HEADER, tag);
+  });
+
+  test('reject an edited header', async () => {
+    const tag = await SealStream.sealHeader(key, noncePrefix, HEADER);
+    const edited = new TextEncoder().encode('{"fileId":"tset"}');
+    await assert.rejects(SealStream.verifyHeader(key, noncePrefix, edited, tag), /Header tampered/);
+  });
+
+  test('cannot be made from a chunk', async () => {
+    // The tag of an empty message is what an empty final chunk looks like; its
+    // nonce must differ so that chunk cannot pass as a header tag
+    const [emptyChunk] = chunksOf(await encrypt(new Uint8Array(0)));
+    await assert.rejects(SealStream.verifyHeader(key, noncePrefix, HEADER, emptyChunk), /Header tampered/);
+  });
+
+  test('inner headers open with the file key only', async () => {
+    const inner = new TextEncoder().encode('{"originalName":"payroll.xlsx"}');
+    const sealed = await SealStream.sealInnerHeader(key, noncePrefix, inner);
+    assert.deepEqual(await SealStream.openInnerHeader(key, noncePrefix, sealed), inner);
+    await assert.rejects(SealStream.openInnerHeader(await newKey(), noncePrefix, sealed), /Header tampered/);
+  });
+});
+
+describe('compressStream and decompressStream', () => {
+  test('round trip', async () => {
+    const plaintext = new TextEncoder().encode('confidential '.repeat(1000));
+    for (const format of ['gzip', 'deflate']) {
+      const compressed = await SealStream.collect(SealStream.compressStream(streamOf(plaintext), format));
+      assert.ok(compressed.length < plaintext.length);
+      assert.deepEqual(await SealStream.collect(SealStream.decompressStream(streamOf(compressed), format)), plaintext);
+    }
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Check that the modules shared by the extension and the web app are the
+ * same in both places. Each is edited in extension/lib and copied to
+ * App/public; seal-crypto.js is not shared (each side has its own).
+ *
+ * Usage: node scripts/check-shared-copies.js (npm run check:shared)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SHARED = ['seal-format.js', 'seal-stream.js', 'seal-keys.js'];
+
+const differing = SHARED.filter((file) => {
+  const source = path.join(ROOT, 'extension/lib', file);
+  const copy = path.join(ROOT, 'App/public', file);
+  return !fs.existsSync(copy) || !fs.readFileSync(source).equals(fs.readFileSync(copy));
+});
+
+if (differing.length > 0) {
+  for (const file of differing) {
+    console.error(`[Seal] App/public/${file} differs from extension/lib/${file}`);
+  }
+  console.error('Copy the extension/lib versions over: cp extension/lib/<file> App/public/');
+  process.exit(1);
+}
+console.log(`[Seal] Shared modules match: ${SHARED.join(', ')}`);